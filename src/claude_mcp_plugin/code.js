@@ -4,6 +4,9 @@
 // Plugin state
 const state = {
   serverPort: 3055, // Default port
+  channelToken: null, // Shared secret MCP servers must present to join our channel
+  activeCommands: new Set(), // IDs of commands currently executing
+  cancelledCommands: new Set(), // IDs of executing commands the server asked to stop
 };
 
 // Helper function for progress updates
@@ -46,8 +49,27 @@ function sendProgressUpdate(
   return update;
 }
 
+// Long-running commands check this between chunks and stop cleanly when it returns true
+function isCommandCancelled(commandId) {
+  return state.cancelledCommands.has(commandId);
+}
+
+// Tell the server a command stopped early, with how far it got
+function sendCancelledUpdate(commandId, commandType, totalItems, processedItems, payload = null) {
+  sendProgressUpdate(
+    commandId,
+    commandType,
+    'cancelled',
+    totalItems > 0 ? Math.round((processedItems / totalItems) * 100) : 0,
+    totalItems,
+    processedItems,
+    `Cancelled after processing ${processedItems} of ${totalItems} items`,
+    payload
+  );
+}
+
 // Show UI
-figma.showUI(__html__, { width: 350, height: 450 });
+figma.showUI(__html__, { width: 350, height: 520 });
 
 // Plugin commands from UI
 figma.ui.onmessage = async (msg) => {
@@ -61,8 +83,10 @@ figma.ui.onmessage = async (msg) => {
     case 'close-plugin':
       figma.closePlugin();
       break;
-    case 'execute-command':
+    case 'execute-command': {
       // Execute commands received from UI (which gets them from WebSocket)
+      const commandId = (msg.params && msg.params.commandId) || msg.id;
+      state.activeCommands.add(commandId);
       try {
         const result = await handleCommand(msg.command, msg.params);
         // Send result back to UI
@@ -77,14 +101,21 @@ figma.ui.onmessage = async (msg) => {
           id: msg.id,
           error: error.message || 'Error executing command',
         });
+      } finally {
+        state.activeCommands.delete(commandId);
+        state.cancelledCommands.delete(commandId);
       }
       break;
+    }
   }
 };
 
 // Listen for plugin commands from menu
 figma.on('run', ({ command }) => {
-  figma.ui.postMessage({ type: 'auto-connect' });
+  // Connect once saved settings (e.g. the channel token) have reached the UI
+  settingsLoaded.then(() => {
+    figma.ui.postMessage({ type: 'auto-connect' });
+  });
 });
 
 // Update plugin settings
@@ -92,9 +123,13 @@ function updateSettings(settings) {
   if (settings.serverPort) {
     state.serverPort = settings.serverPort;
   }
+  if (settings.channelToken !== undefined) {
+    state.channelToken = settings.channelToken || null;
+  }
 
   figma.clientStorage.setAsync('settings', {
     serverPort: state.serverPort,
+    channelToken: state.channelToken,
   });
 }
 
@@ -102,7 +137,17 @@ function updateSettings(settings) {
 async function handleCommand(command, params) {
   switch (command) {
     case 'get_document_info':
-      return await getDocumentInfo();
+      return await getDocumentInfo(params);
+    case 'create_page':
+      return await createPage(params);
+    case 'rename_page':
+      return await renamePage(params);
+    case 'reorder_page':
+      return await reorderPage(params);
+    case 'delete_page':
+      return await deletePage(params);
+    case 'set_current_page':
+      return await setCurrentPage(params);
     case 'get_selection':
       return await getSelection();
     case 'get_node_info':
@@ -123,8 +168,12 @@ async function handleCommand(command, params) {
       return await createText(params);
     case 'set_fill_color':
       return await setFillColor(params);
+    case 'set_fills':
+      return await setFills(params);
     case 'set_stroke_color':
       return await setStrokeColor(params);
+    case 'set_stroke':
+      return await setStroke(params);
     case 'move_node':
       return await moveNode(params);
     case 'resize_node':
@@ -151,10 +200,36 @@ async function handleCommand(command, params) {
       return await getComponentPropertiesForInstance(params);
     case 'search_components':
       return await searchComponents(params);
+    case 'create_component':
+      return await createComponent(params);
+    case 'convert_to_component':
+      return await convertToComponent(params);
+    case 'combine_as_variants':
+      return await combineAsVariants(params);
+    case 'add_component_property':
+      return await addComponentProperty(params);
+    case 'edit_component_property':
+      return await editComponentProperty(params);
+    case 'delete_component_property':
+      return await deleteComponentProperty(params);
+    case 'swap_component':
+      return await swapComponent(params);
+    case 'reset_overrides':
+      return await resetOverrides(params);
+    case 'detach_instance':
+      return await detachInstance(params);
+    case 'get_instance_overrides':
+      return await getInstanceOverrides(params);
+    case 'bulk_override_instances':
+      return await bulkOverrideInstances(params);
     case 'export_node_as_image':
       return await exportNodeAsImage(params);
+    case 'export_nodes':
+      return await exportNodesBatch(params);
     case 'set_corner_radius':
       return await setCornerRadius(params);
+    case 'set_node_properties':
+      return await setNodeProperties(params);
     case 'set_text_content':
       return await setTextContent(params);
     case 'clone_node':
@@ -165,10 +240,16 @@ async function handleCommand(command, params) {
       return await setFillStyleId(params);
     case 'scan_text_nodes':
       return await scanTextNodes(params);
+    case 'cancel_command':
+      return cancelCommand(params);
+    case 'find_nodes':
+      return await findNodes(params);
     case 'set_multiple_text_contents':
       return await setMultipleTextContents(params);
     case 'set_auto_layout':
       return await setAutoLayout(params);
+    case 'set_layout_child':
+      return await setLayoutChild(params);
     // Nuevos comandos para propiedades de texto
     case 'set_font_name':
       return await setFontName(params);
@@ -198,6 +279,24 @@ async function handleCommand(command, params) {
       return await setEffects(params);
     case 'set_effect_style_id':
       return await setEffectStyleId(params);
+    case 'set_layout_grids':
+      return await setLayoutGrids(params);
+    case 'set_grid_style_id':
+      return await setGridStyleId(params);
+    case 'create_grid_style':
+      return await createGridStyle(params);
+    case 'create_paint_style':
+      return await createPaintStyle(params);
+    case 'create_text_style':
+      return await createTextStyle(params);
+    case 'create_effect_style':
+      return await createEffectStyle(params);
+    case 'update_style':
+      return await updateStyle(params);
+    case 'move_styles_to_folder':
+      return await moveStylesToFolder(params);
+    case 'delete_style':
+      return await deleteStyle(params);
     case 'group_nodes':
       return await groupNodes(params);
     case 'ungroup_nodes':
@@ -216,6 +315,47 @@ async function handleCommand(command, params) {
       return await createVector(params);
     case 'create_line':
       return await createLine(params);
+    case 'boolean_operation':
+      return await booleanOperation(params);
+    case 'create_from_svg':
+      return await createFromSvg(params);
+    case 'outline_stroke':
+      return await outlineStroke(params);
+    case 'create_tree':
+      return await createTree(params);
+    // Variable commands
+    case 'get_variable_collections':
+      return await getVariableCollections(params);
+    case 'get_variables':
+      return await getVariables(params);
+    case 'create_variable_collection':
+      return await createVariableCollection(params);
+    case 'create_variable':
+      return await createVariable(params);
+    case 'update_variable':
+      return await updateVariable(params);
+    case 'delete_variable':
+      return await deleteVariable(params);
+    case 'set_variable_value':
+      return await setVariableValue(params);
+    case 'bind_variable':
+      return await bindVariable(params);
+    // Prototype commands
+    case 'get_reactions':
+      return await getReactions(params);
+    case 'add_reaction':
+      return await addReaction(params);
+    case 'remove_reactions':
+      return await removeReactions(params);
+    case 'add_flow_starting_point':
+      return await addFlowStartingPoint(params);
+    case 'remove_flow_starting_point':
+      return await removeFlowStartingPoint(params);
+    case 'get_prototype_summary':
+      return await getPrototypeSummary(params);
+    // Batch commands
+    case 'execute_batch':
+      return await executeBatch(params);
     default:
       throw new Error(`Unknown command: ${command}`);
   }
@@ -223,10 +363,30 @@ async function handleCommand(command, params) {
 
 // Command implementations
 
-async function getDocumentInfo() {
+async function getDocumentInfo(params) {
+  const { includePageChildCounts = false } = params || {};
   await figma.currentPage.loadAsync();
   const page = figma.currentPage;
+
+  // Pages are loaded on demand with dynamic-page document access, so other pages
+  // are only loaded to count their layers when asked to
+  const pages = [];
+  for (const documentPage of figma.root.children) {
+    const isCurrent = documentPage.id === page.id;
+    const pageInfo = {
+      id: documentPage.id,
+      name: documentPage.name,
+      isCurrent,
+    };
+    if (isCurrent || includePageChildCounts) {
+      await documentPage.loadAsync();
+      pageInfo.childCount = documentPage.children.length;
+    }
+    pages.push(pageInfo);
+  }
+
   return {
+    documentName: figma.root.name,
     name: page.name,
     id: page.id,
     type: page.type,
@@ -240,14 +400,138 @@ async function getDocumentInfo() {
       name: page.name,
       childCount: page.children.length,
     },
-    pages: [
-      {
-        id: page.id,
-        name: page.name,
-        childCount: page.children.length,
-      },
-    ],
+    pages,
+  };
+}
+
+// ===== PAGE FUNCTIONS =====
+
+async function getPageOrThrow(pageId) {
+  const page = await figma.getNodeByIdAsync(pageId);
+  if (!page) {
+    throw new Error(`Page not found with ID: ${pageId}`);
+  }
+  if (page.type !== 'PAGE') {
+    throw new Error(`Node ${pageId} is not a page (type: ${page.type})`);
+  }
+  return page;
+}
+
+// Resolve the page new nodes are appended to when no parent is given
+async function getPageOrCurrent(pageId) {
+  if (!pageId) {
+    return figma.currentPage;
+  }
+  const page = await getPageOrThrow(pageId);
+  await page.loadAsync();
+  return page;
+}
+
+function serializePage(page) {
+  return {
+    id: page.id,
+    name: page.name,
+    index: figma.root.children.indexOf(page),
+    isCurrent: page.id === figma.currentPage.id,
+  };
+}
+
+async function createPage(params) {
+  const { name = 'Page', index, switchTo = false } = params || {};
+
+  const page = figma.createPage();
+  page.name = name;
+
+  if (index !== undefined && index >= 0 && index < figma.root.children.length) {
+    figma.root.insertChild(index, page);
+  }
+
+  if (switchTo) {
+    await figma.setCurrentPageAsync(page);
+  }
+
+  return serializePage(page);
+}
+
+async function renamePage(params) {
+  const { pageId, name } = params || {};
+
+  if (!pageId) {
+    throw new Error('Missing pageId parameter');
+  }
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  const page = await getPageOrThrow(pageId);
+  page.name = name;
+
+  return serializePage(page);
+}
+
+async function reorderPage(params) {
+  const { pageId, index } = params || {};
+
+  if (!pageId) {
+    throw new Error('Missing pageId parameter');
+  }
+
+  if (index === undefined || index < 0 || index >= figma.root.children.length) {
+    throw new Error(
+      `Invalid index parameter. Must be between 0 and ${figma.root.children.length - 1}`
+    );
+  }
+
+  const page = await getPageOrThrow(pageId);
+  figma.root.insertChild(index, page);
+
+  return serializePage(page);
+}
+
+async function deletePage(params) {
+  const { pageId } = params || {};
+
+  if (!pageId) {
+    throw new Error('Missing pageId parameter');
+  }
+
+  const page = await getPageOrThrow(pageId);
+
+  if (figma.root.children.length <= 1) {
+    throw new Error('Cannot delete the only page in the document');
+  }
+
+  // The current page cannot be removed, so switch to a neighbouring page first
+  if (page.id === figma.currentPage.id) {
+    const index = figma.root.children.indexOf(page);
+    const fallback = figma.root.children[index === 0 ? 1 : index - 1];
+    await figma.setCurrentPageAsync(fallback);
+  }
+
+  // Save page info before deleting
+  const pageInfo = {
+    id: page.id,
+    name: page.name,
+    currentPageId: figma.currentPage.id,
   };
+
+  page.remove();
+
+  return pageInfo;
+}
+
+async function setCurrentPage(params) {
+  const { pageId } = params || {};
+
+  if (!pageId) {
+    throw new Error('Missing pageId parameter');
+  }
+
+  const page = await getPageOrThrow(pageId);
+  await figma.setCurrentPageAsync(page);
+
+  return serializePage(page);
 }
 
 async function getSelection() {
@@ -311,6 +595,8 @@ async function createRectangle(params) {
     height = 100,
     name = 'Rectangle',
     parentId,
+    pageId,
+    fills,
   } = params || {};
 
   const rect = figma.createRectangle();
@@ -319,7 +605,11 @@ async function createRectangle(params) {
   rect.resize(width, height);
   rect.name = name;
 
-  // If parentId is provided, append to that node, otherwise append to current page
+  if (fills) {
+    rect.fills = buildPaints(fills);
+  }
+
+  // If parentId is provided, append to that node, otherwise append to the target page
   if (parentId) {
     const parentNode = await figma.getNodeByIdAsync(parentId);
     if (!parentNode) {
@@ -330,7 +620,8 @@ async function createRectangle(params) {
     }
     parentNode.appendChild(rect);
   } else {
-    figma.currentPage.appendChild(rect);
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(rect);
   }
 
   return {
@@ -352,7 +643,9 @@ async function createFrame(params) {
     height = 100,
     name = 'Frame',
     parentId,
+    pageId,
     fillColor,
+    fills,
     strokeColor,
     strokeWeight,
   } = params || {};
@@ -377,6 +670,11 @@ async function createFrame(params) {
     frame.fills = [paintStyle];
   }
 
+  // Gradient, image or layered fills take precedence over fillColor
+  if (fills) {
+    frame.fills = buildPaints(fills);
+  }
+
   // Set stroke color and weight if provided
   if (strokeColor) {
     const strokeStyle = {
@@ -396,7 +694,7 @@ async function createFrame(params) {
     frame.strokeWeight = strokeWeight;
   }
 
-  // If parentId is provided, append to that node, otherwise append to current page
+  // If parentId is provided, append to that node, otherwise append to the target page
   if (parentId) {
     const parentNode = await figma.getNodeByIdAsync(parentId);
     if (!parentNode) {
@@ -407,7 +705,8 @@ async function createFrame(params) {
     }
     parentNode.appendChild(frame);
   } else {
-    figma.currentPage.appendChild(frame);
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(frame);
   }
 
   return {
@@ -434,6 +733,7 @@ async function createText(params) {
     fontColor = { r: 0, g: 0, b: 0, a: 1 }, // Default to black
     name = 'Text',
     parentId,
+    pageId,
   } = params || {};
 
   // Map common font weights to Figma font styles
@@ -490,7 +790,7 @@ async function createText(params) {
   };
   textNode.fills = [paintStyle];
 
-  // If parentId is provided, append to that node, otherwise append to current page
+  // If parentId is provided, append to that node, otherwise append to the target page
   if (parentId) {
     const parentNode = await figma.getNodeByIdAsync(parentId);
     if (!parentNode) {
@@ -501,7 +801,8 @@ async function createText(params) {
     }
     parentNode.appendChild(textNode);
   } else {
-    figma.currentPage.appendChild(textNode);
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(textNode);
   }
 
   return {
@@ -654,6 +955,250 @@ async function setStrokeColor(params) {
   };
 }
 
+// ===== PAINT FUNCTIONS =====
+
+const GRADIENT_PAINT_TYPES = [
+  'GRADIENT_LINEAR',
+  'GRADIENT_RADIAL',
+  'GRADIENT_ANGULAR',
+  'GRADIENT_DIAMOND',
+];
+
+function parseRgba(color, label) {
+  if (!color || typeof color !== 'object') {
+    throw new Error(`Missing ${label} color`);
+  }
+  const rgba = {
+    r: parseFloat(color.r),
+    g: parseFloat(color.g),
+    b: parseFloat(color.b),
+    a: color.a === undefined ? 1 : parseFloat(color.a),
+  };
+  if (isNaN(rgba.r) || isNaN(rgba.g) || isNaN(rgba.b) || isNaN(rgba.a)) {
+    throw new Error(`Invalid ${label} color values - all components must be valid numbers`);
+  }
+  return rgba;
+}
+
+// Rotate a linear gradient around the node center (0 = left to right, 90 = top to bottom)
+function gradientTransformFromAngle(angle) {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return [
+    [cos, sin, 0.5 - cos * 0.5 - sin * 0.5],
+    [-sin, cos, 0.5 + sin * 0.5 - cos * 0.5],
+  ];
+}
+
+// Translate an MCP paint description into a Figma Paint
+function buildPaint(paint) {
+  if (!paint || !paint.type) {
+    throw new Error('Each paint must have a type property');
+  }
+
+  const common = {};
+  if (paint.visible !== undefined) common.visible = paint.visible;
+  if (paint.blendMode !== undefined) common.blendMode = paint.blendMode;
+
+  if (paint.type === 'SOLID') {
+    const color = parseRgba(paint.color, 'paint');
+    const opacity = paint.opacity === undefined ? 1 : paint.opacity;
+    return Object.assign(
+      {
+        type: 'SOLID',
+        color: { r: color.r, g: color.g, b: color.b },
+        opacity: color.a * opacity,
+      },
+      common
+    );
+  }
+
+  if (GRADIENT_PAINT_TYPES.includes(paint.type)) {
+    if (!Array.isArray(paint.gradientStops) || paint.gradientStops.length < 2) {
+      throw new Error('Gradient paints require at least two gradientStops');
+    }
+    const gradientTransform =
+      paint.gradientTransform ||
+      gradientTransformFromAngle(paint.angle !== undefined ? paint.angle : 0);
+    return Object.assign(
+      {
+        type: paint.type,
+        gradientTransform,
+        gradientStops: paint.gradientStops.map((stop) => ({
+          position: parseFloat(stop.position),
+          color: parseRgba(stop.color, 'gradient stop'),
+        })),
+        opacity: paint.opacity === undefined ? 1 : paint.opacity,
+      },
+      common
+    );
+  }
+
+  if (paint.type === 'IMAGE') {
+    let imageHash = paint.imageHash;
+    if (paint.imageData) {
+      const image = figma.createImage(figma.base64Decode(paint.imageData));
+      imageHash = image.hash;
+    }
+    if (!imageHash) {
+      throw new Error('Image paints require imageData (base64) or imageHash');
+    }
+    const imagePaint = {
+      type: 'IMAGE',
+      imageHash,
+      scaleMode: paint.scaleMode || 'FILL',
+      opacity: paint.opacity === undefined ? 1 : paint.opacity,
+    };
+    if (paint.imageTransform) imagePaint.imageTransform = paint.imageTransform;
+    if (paint.scalingFactor !== undefined) imagePaint.scalingFactor = paint.scalingFactor;
+    if (paint.rotation !== undefined) imagePaint.rotation = paint.rotation;
+    return Object.assign(imagePaint, common);
+  }
+
+  throw new Error(`Unsupported paint type: ${paint.type}`);
+}
+
+function buildPaints(paints) {
+  if (!Array.isArray(paints)) {
+    throw new Error('Paints must be an array');
+  }
+  return paints.map(buildPaint);
+}
+
+async function setFills(params) {
+  const { nodeId, fills } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!fills || !Array.isArray(fills)) {
+    throw new Error('Missing or invalid fills parameter. Must be an array.');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!('fills' in node)) {
+    throw new Error(`Node does not support fills: ${nodeId}`);
+  }
+
+  try {
+    node.fills = buildPaints(fills);
+
+    return {
+      id: node.id,
+      name: node.name,
+      fills: node.fills,
+    };
+  } catch (error) {
+    throw new Error(`Error setting fills: ${error.message}`);
+  }
+}
+
+const STROKE_SIDE_WEIGHTS = ['strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight'];
+
+async function setStroke(params) {
+  const {
+    nodeId,
+    strokes,
+    strokeStyleId,
+    strokeWeight,
+    strokeAlign,
+    dashPattern,
+    strokeCap,
+    strokeJoin,
+    strokeMiterLimit,
+  } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!('strokes' in node)) {
+    throw new Error(`Node does not support strokes: ${nodeId}`);
+  }
+
+  if (strokes !== undefined && strokeStyleId !== undefined) {
+    throw new Error('Provide either strokes or strokeStyleId, not both');
+  }
+
+  // Validate every option against the node type before changing anything
+  const sideWeights = STROKE_SIDE_WEIGHTS.filter((field) => params[field] !== undefined);
+  if (sideWeights.length > 0 && !('strokeTopWeight' in node)) {
+    throw new Error(`Node does not support individual stroke weights: ${nodeId}`);
+  }
+  if ((strokeCap !== undefined || strokeMiterLimit !== undefined) && !('strokeCap' in node)) {
+    throw new Error(`Node does not support stroke caps: ${nodeId}`);
+  }
+
+  let style = null;
+  if (strokeStyleId !== undefined) {
+    style = await figma.getStyleByIdAsync(strokeStyleId);
+    if (!style || style.type !== 'PAINT') {
+      throw new Error(`Paint style not found with ID: ${strokeStyleId}`);
+    }
+  }
+
+  const paints = strokes !== undefined ? buildPaints(strokes) : undefined;
+
+  try {
+    if (paints !== undefined) {
+      node.strokes = paints;
+    }
+    if (style) {
+      if ('setStrokeStyleIdAsync' in node) {
+        await node.setStrokeStyleIdAsync(style.id);
+      } else {
+        node.strokeStyleId = style.id;
+      }
+    }
+
+    if (strokeWeight !== undefined) node.strokeWeight = strokeWeight;
+    // Side weights after the uniform weight so they override it
+    sideWeights.forEach((field) => {
+      node[field] = params[field];
+    });
+
+    if (strokeAlign !== undefined) node.strokeAlign = strokeAlign;
+    if (dashPattern !== undefined) node.dashPattern = dashPattern;
+    if (strokeCap !== undefined) node.strokeCap = strokeCap;
+    if (strokeJoin !== undefined) node.strokeJoin = strokeJoin;
+    if (strokeMiterLimit !== undefined) node.strokeMiterLimit = strokeMiterLimit;
+
+    const result = {
+      id: node.id,
+      name: node.name,
+      strokes: node.strokes,
+      strokeStyleId: node.strokeStyleId,
+      strokeWeight: node.strokeWeight,
+      strokeAlign: node.strokeAlign,
+      dashPattern: node.dashPattern,
+      strokeJoin: node.strokeJoin,
+    };
+    if ('strokeTopWeight' in node) {
+      STROKE_SIDE_WEIGHTS.forEach((field) => {
+        result[field] = node[field];
+      });
+    }
+    if ('strokeCap' in node) {
+      result.strokeCap = node.strokeCap;
+      result.strokeMiterLimit = node.strokeMiterLimit;
+    }
+    return result;
+  } catch (error) {
+    throw new Error(`Error setting stroke: ${error.message}`);
+  }
+}
+
 async function moveNode(params) {
   const { nodeId, x, y } = params || {};
 
@@ -770,6 +1315,7 @@ async function getStyles() {
       id: style.id,
       name: style.name,
       key: style.key,
+      layoutGrids: style.layoutGrids,
     })),
   };
 }
@@ -1482,417 +2028,554 @@ async function searchComponents(params) {
   }
 }
 
-async function exportNodeAsImage(params) {
-  const { nodeId, scale = 1 } = params || {};
+// ===== COMPONENT AUTHORING FUNCTIONS =====
 
-  const format = 'PNG';
+const COMPONENT_PROPERTY_TYPES = ['BOOLEAN', 'TEXT', 'INSTANCE_SWAP', 'VARIANT'];
 
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
+// Layer property each component property type is bound to through componentPropertyReferences
+const COMPONENT_PROPERTY_REFERENCE_FIELDS = {
+  BOOLEAN: 'visible',
+  TEXT: 'characters',
+  INSTANCE_SWAP: 'mainComponent',
+};
+
+function serializeComponentPropertyDefinitions(node) {
+  const definitions = node.componentPropertyDefinitions || {};
+  return Object.keys(definitions).map((key) => ({
+    key,
+    name: key.split('#')[0],
+    type: definitions[key].type,
+    defaultValue: definitions[key].defaultValue,
+    variantOptions: definitions[key].variantOptions,
+    preferredValues: definitions[key].preferredValues,
+  }));
+}
+
+function serializeComponentNode(node) {
+  const result = {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    key: node.key,
+    parentId: node.parent ? node.parent.id : undefined,
+  };
+  if (node.type === 'COMPONENT_SET') {
+    result.variants = node.children
+      .filter((child) => child.type === 'COMPONENT')
+      .map((child) => ({
+        id: child.id,
+        name: child.name,
+        variantProperties: child.variantProperties,
+      }));
+  }
+  // Variants inside a set expose their properties through the set
+  if (!(node.type === 'COMPONENT' && node.parent && node.parent.type === 'COMPONENT_SET')) {
+    result.propertyDefinitions = serializeComponentPropertyDefinitions(node);
   }
+  return result;
+}
 
-  const node = await figma.getNodeByIdAsync(nodeId);
+// Property definitions live on the component set for variants, on the component otherwise
+async function getComponentPropertyOwner(componentId) {
+  const node = await figma.getNodeByIdAsync(componentId);
   if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+    throw new Error(`Node not found with ID: ${componentId}`);
   }
-
-  if (!('exportAsync' in node)) {
-    throw new Error(`Node does not support exporting: ${nodeId}`);
+  if (node.type === 'COMPONENT_SET') {
+    return node;
   }
+  if (node.type === 'COMPONENT') {
+    return node.parent && node.parent.type === 'COMPONENT_SET' ? node.parent : node;
+  }
+  throw new Error(`Node is not a component or component set: ${componentId}`);
+}
 
-  try {
-    const settings = {
-      format: format,
-      constraint: { type: 'SCALE', value: scale },
-    };
+// Accept either the full property key ("Label#12:0") or its display name ("Label")
+function resolveComponentPropertyKey(owner, propertyName) {
+  const definitions = owner.componentPropertyDefinitions || {};
+  if (definitions[propertyName]) {
+    return propertyName;
+  }
+  const matches = Object.keys(definitions).filter((key) => key.split('#')[0] === propertyName);
+  if (matches.length === 0) {
+    throw new Error(`Component property not found: ${propertyName}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Component property name is ambiguous: ${propertyName}. Use one of: ${matches.join(', ')}`
+    );
+  }
+  return matches[0];
+}
 
-    const bytes = await node.exportAsync(settings);
+async function bindComponentPropertyToLayers(propertyKey, type, nodeIds) {
+  const field = COMPONENT_PROPERTY_REFERENCE_FIELDS[type];
+  if (!field) {
+    throw new Error(`Properties of type ${type} cannot be bound to layers`);
+  }
 
-    let mimeType;
-    switch (format) {
-      case 'PNG':
-        mimeType = 'image/png';
-        break;
-      case 'JPG':
-        mimeType = 'image/jpeg';
-        break;
-      case 'SVG':
-        mimeType = 'image/svg+xml';
-        break;
-      case 'PDF':
-        mimeType = 'application/pdf';
-        break;
-      default:
-        mimeType = 'application/octet-stream';
+  const bound = [];
+  for (const nodeId of nodeIds) {
+    const layer = await figma.getNodeByIdAsync(nodeId);
+    if (!layer) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
     }
-
-    // Proper way to convert Uint8Array to base64
-    const base64 = customBase64Encode(bytes);
-    // const imageData = `data:${mimeType};base64,${base64}`;
-
-    return {
-      nodeId,
-      format,
-      scale,
-      mimeType,
-      imageData: base64,
-    };
-  } catch (error) {
-    throw new Error(`Error exporting node as image: ${error.message}`);
+    if (field === 'characters' && layer.type !== 'TEXT') {
+      throw new Error(`TEXT properties can only be bound to text layers: ${nodeId}`);
+    }
+    if (field === 'mainComponent' && layer.type !== 'INSTANCE') {
+      throw new Error(`INSTANCE_SWAP properties can only be bound to instances: ${nodeId}`);
+    }
+    if (field === 'characters' && layer.fontName !== figma.mixed) {
+      await figma.loadFontAsync(layer.fontName);
+    }
+    layer.componentPropertyReferences = Object.assign({}, layer.componentPropertyReferences, {
+      [field]: propertyKey,
+    });
+    bound.push({ id: layer.id, name: layer.name, field });
   }
+  return bound;
 }
-function customBase64Encode(bytes) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-  let base64 = '';
 
-  const byteLength = bytes.byteLength;
-  const byteRemainder = byteLength % 3;
-  const mainLength = byteLength - byteRemainder;
+async function createComponent(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    name = 'Component',
+    description,
+    parentId,
+    pageId,
+    fills,
+  } = params || {};
 
-  let a, b, c, d;
-  let chunk;
-
-  // Main loop deals with bytes in chunks of 3
-  for (let i = 0; i < mainLength; i = i + 3) {
-    // Combine the three bytes into a single integer
-    chunk = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+  const component = figma.createComponent();
+  component.x = x;
+  component.y = y;
+  component.resize(width, height);
+  component.name = name;
 
-    // Use bitmasks to extract 6-bit segments from the triplet
-    a = (chunk & 16515072) >> 18; // 16515072 = (2^6 - 1) << 18
-    b = (chunk & 258048) >> 12; // 258048 = (2^6 - 1) << 12
-    c = (chunk & 4032) >> 6; // 4032 = (2^6 - 1) << 6
-    d = chunk & 63; // 63 = 2^6 - 1
+  if (description !== undefined) {
+    component.description = description;
+  }
 
-    // Convert the raw binary segments to the appropriate ASCII encoding
-    base64 += chars[a] + chars[b] + chars[c] + chars[d];
+  if (fills) {
+    component.fills = buildPaints(fills);
   }
 
-  // Deal with the remaining bytes and padding
-  if (byteRemainder === 1) {
-    chunk = bytes[mainLength];
+  // If parentId is provided, append to that node, otherwise append to the target page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(component);
+  } else {
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(component);
+  }
 
-    a = (chunk & 252) >> 2; // 252 = (2^6 - 1) << 2
+  return serializeComponentNode(component);
+}
 
-    // Set the 4 least significant bits to zero
-    b = (chunk & 3) << 4; // 3 = 2^2 - 1
+async function convertToComponent(params) {
+  const { nodeId, name, description } = params || {};
 
-    base64 += chars[a] + chars[b] + '==';
-  } else if (byteRemainder === 2) {
-    chunk = (bytes[mainLength] << 8) | bytes[mainLength + 1];
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
 
-    a = (chunk & 64512) >> 10; // 64512 = (2^6 - 1) << 10
-    b = (chunk & 1008) >> 4; // 1008 = (2^6 - 1) << 4
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
 
-    // Set the 2 least significant bits to zero
-    c = (chunk & 15) << 2; // 15 = 2^4 - 1
+  if (node.type === 'COMPONENT' || node.type === 'COMPONENT_SET') {
+    throw new Error(`Node is already a component: ${nodeId}`);
+  }
+  if (node.type === 'INSTANCE') {
+    throw new Error(`Instances must be detached before being converted to a component: ${nodeId}`);
+  }
+  if (node.type === 'PAGE' || node.type === 'DOCUMENT') {
+    throw new Error(`Cannot convert a ${node.type} to a component`);
+  }
 
-    base64 += chars[a] + chars[b] + chars[c] + '=';
+  // createComponentFromNode keeps position, children and parent of the original node
+  const component = figma.createComponentFromNode(node);
+  if (name !== undefined) {
+    component.name = name;
+  }
+  if (description !== undefined) {
+    component.description = description;
   }
 
-  return base64;
+  return Object.assign(serializeComponentNode(component), { sourceNodeId: nodeId });
 }
 
-async function setCornerRadius(params) {
-  const { nodeId, radius, corners } = params || {};
+// Turn a layer name such as "Button/Large/Hover" into "Size=Large, State=Hover"
+function variantNameFromLayerName(layerName, propertyNames) {
+  if (layerName.includes('=')) {
+    return layerName;
+  }
 
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
+  const segments = layerName
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+  if (!propertyNames || propertyNames.length === 0) {
+    return `Variant=${segments[segments.length - 1] || layerName}`;
   }
 
-  if (radius === undefined) {
-    throw new Error('Missing radius parameter');
+  if (segments.length < propertyNames.length) {
+    throw new Error(
+      `Layer name "${layerName}" does not have enough "/" separated segments for properties: ${propertyNames.join(', ')}`
+    );
   }
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+  const values = segments.slice(-propertyNames.length);
+  return propertyNames.map((propertyName, index) => `${propertyName}=${values[index]}`).join(', ');
+}
+
+async function combineAsVariants(params) {
+  const { componentIds, name, propertyNames, parentId } = params || {};
+
+  if (!componentIds || !Array.isArray(componentIds) || componentIds.length === 0) {
+    throw new Error('Missing or invalid componentIds parameter. Must be a non-empty array.');
   }
 
-  // Check if node supports corner radius
-  if (!('cornerRadius' in node)) {
-    throw new Error(`Node does not support corner radius: ${nodeId}`);
+  const components = [];
+  for (const componentId of componentIds) {
+    const node = await figma.getNodeByIdAsync(componentId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${componentId}`);
+    }
+    if (node.type !== 'COMPONENT') {
+      throw new Error(`Node is not a component: ${componentId}`);
+    }
+    if (node.parent && node.parent.type === 'COMPONENT_SET') {
+      throw new Error(`Component already belongs to a component set: ${componentId}`);
+    }
+    components.push(node);
   }
 
-  // If corners array is provided, set individual corner radii
-  if (corners && Array.isArray(corners) && corners.length === 4) {
-    if ('topLeftRadius' in node) {
-      // Node supports individual corner radii
-      if (corners[0]) node.topLeftRadius = radius;
-      if (corners[1]) node.topRightRadius = radius;
-      if (corners[2]) node.bottomRightRadius = radius;
-      if (corners[3]) node.bottomLeftRadius = radius;
-    } else {
-      // Node only supports uniform corner radius
-      node.cornerRadius = radius;
+  let parent = components[0].parent;
+  if (parentId) {
+    parent = await figma.getNodeByIdAsync(parentId);
+    if (!parent) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
     }
-  } else {
-    // Set uniform corner radius
-    node.cornerRadius = radius;
+    if (!('appendChild' in parent)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+  }
+
+  // Default set name: the shared first segment of "Button/Large/Hover" style names
+  const firstSegment = components[0].name.split('/')[0].trim();
+  const setName = name || (components[0].name.includes('/') ? firstSegment : 'Component Set');
+
+  for (const component of components) {
+    component.name = variantNameFromLayerName(component.name, propertyNames);
+  }
+
+  const componentSet = figma.combineAsVariants(components, parent);
+  componentSet.name = setName;
+
+  return serializeComponentNode(componentSet);
+}
+
+async function addComponentProperty(params) {
+  const { componentId, name, type, defaultValue, preferredValues, bindToNodeIds } = params || {};
+
+  if (!componentId) {
+    throw new Error('Missing componentId parameter');
+  }
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+  if (!COMPONENT_PROPERTY_TYPES.includes(type)) {
+    throw new Error(`Invalid type: ${type}. Must be one of: ${COMPONENT_PROPERTY_TYPES.join(', ')}`);
+  }
+  if (defaultValue === undefined) {
+    throw new Error('Missing defaultValue parameter');
+  }
+
+  const owner = await getComponentPropertyOwner(componentId);
+  if (type === 'VARIANT' && owner.type !== 'COMPONENT_SET') {
+    throw new Error('VARIANT properties can only be added to component sets');
+  }
+
+  const options = preferredValues ? { preferredValues } : undefined;
+  const propertyKey = owner.addComponentProperty(name, type, defaultValue, options);
+
+  let boundLayers = [];
+  if (bindToNodeIds && bindToNodeIds.length > 0) {
+    boundLayers = await bindComponentPropertyToLayers(propertyKey, type, bindToNodeIds);
   }
 
   return {
-    id: node.id,
-    name: node.name,
-    cornerRadius: 'cornerRadius' in node ? node.cornerRadius : undefined,
-    topLeftRadius: 'topLeftRadius' in node ? node.topLeftRadius : undefined,
-    topRightRadius: 'topRightRadius' in node ? node.topRightRadius : undefined,
-    bottomRightRadius: 'bottomRightRadius' in node ? node.bottomRightRadius : undefined,
-    bottomLeftRadius: 'bottomLeftRadius' in node ? node.bottomLeftRadius : undefined,
+    componentId: owner.id,
+    componentName: owner.name,
+    propertyKey,
+    boundLayers,
+    propertyDefinitions: serializeComponentPropertyDefinitions(owner),
   };
 }
 
-async function setTextContent(params) {
-  const { nodeId, text } = params || {};
+async function editComponentProperty(params) {
+  const { componentId, propertyName, name, defaultValue, preferredValues, bindToNodeIds } =
+    params || {};
 
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
+  if (!componentId) {
+    throw new Error('Missing componentId parameter');
+  }
+  if (!propertyName) {
+    throw new Error('Missing propertyName parameter');
   }
 
-  if (text === undefined) {
-    throw new Error('Missing text parameter');
+  const owner = await getComponentPropertyOwner(componentId);
+  let propertyKey = resolveComponentPropertyKey(owner, propertyName);
+  const type = owner.componentPropertyDefinitions[propertyKey].type;
+
+  const changes = {};
+  if (name !== undefined) changes.name = name;
+  if (defaultValue !== undefined) changes.defaultValue = defaultValue;
+  if (preferredValues !== undefined) changes.preferredValues = preferredValues;
+
+  if (Object.keys(changes).length > 0) {
+    propertyKey = owner.editComponentProperty(propertyKey, changes);
+  }
+
+  let boundLayers = [];
+  if (bindToNodeIds && bindToNodeIds.length > 0) {
+    boundLayers = await bindComponentPropertyToLayers(propertyKey, type, bindToNodeIds);
+  }
+
+  return {
+    componentId: owner.id,
+    componentName: owner.name,
+    propertyKey,
+    boundLayers,
+    propertyDefinitions: serializeComponentPropertyDefinitions(owner),
+  };
+}
+
+async function deleteComponentProperty(params) {
+  const { componentId, propertyName } = params || {};
+
+  if (!componentId) {
+    throw new Error('Missing componentId parameter');
+  }
+  if (!propertyName) {
+    throw new Error('Missing propertyName parameter');
+  }
+
+  const owner = await getComponentPropertyOwner(componentId);
+  const propertyKey = resolveComponentPropertyKey(owner, propertyName);
+  owner.deleteComponentProperty(propertyKey);
+
+  return {
+    componentId: owner.id,
+    componentName: owner.name,
+    deletedProperty: propertyKey,
+    propertyDefinitions: serializeComponentPropertyDefinitions(owner),
+  };
+}
+
+// ===== INSTANCE OVERRIDE FUNCTIONS =====
+
+// Find every instance under root (root included) together with its main component
+async function findInstancesWithMainComponent(root) {
+  const instances = root.type === 'INSTANCE' ? [root] : [];
+  if ('findAllWithCriteria' in root) {
+    instances.push(...root.findAllWithCriteria({ types: ['INSTANCE'] }));
+  }
+
+  return Promise.all(
+    instances.map(async (instance) => {
+      try {
+        const mainComponent = await instance.getMainComponentAsync();
+        return { instance, mainComponent };
+      } catch (error) {
+        console.log(`[INSTANCE_DISCOVERY] Could not resolve main component of ${instance.id}: ${error.message}`);
+        return { instance, mainComponent: null };
+      }
+    })
+  );
+}
+
+// A component key matches the variant itself or the component set it belongs to
+function mainComponentMatchesKey(mainComponent, componentKey) {
+  if (!mainComponent) {
+    return false;
+  }
+  if (mainComponent.key === componentKey) {
+    return true;
   }
+  const parent = mainComponent.parent;
+  return !!parent && parent.type === 'COMPONENT_SET' && parent.key === componentKey;
+}
 
+async function getInstanceOrThrow(nodeId) {
   const node = await figma.getNodeByIdAsync(nodeId);
   if (!node) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
-
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
+  if (node.type !== 'INSTANCE') {
+    throw new Error(`Node ${nodeId} is not a component instance`);
   }
+  return node;
+}
 
-  try {
-    await figma.loadFontAsync(node.fontName);
+// Resolve a swap target from a local component ID or a component key (local or published)
+async function getSwapTargetComponent(componentId, componentKey) {
+  if (componentId) {
+    const node = await figma.getNodeByIdAsync(componentId);
+    if (!node) {
+      throw new Error(`Component not found with ID: ${componentId}`);
+    }
+    if (node.type !== 'COMPONENT') {
+      throw new Error(`Node is not a component: ${componentId}`);
+    }
+    return node;
+  }
 
-    await setCharacters(node, text);
+  if (!componentKey) {
+    throw new Error('Missing componentId or componentKey parameter');
+  }
 
-    return {
-      id: node.id,
-      name: node.name,
-      characters: node.characters,
-      fontName: node.fontName,
-    };
-  } catch (error) {
-    throw new Error(`Error setting text content: ${error.message}`);
+  try {
+    return await figma.importComponentByKeyAsync(componentKey);
+  } catch (importError) {
+    await figma.loadAllPagesAsync();
+    const localComponent = figma.root.findOne(
+      (node) => node.type === 'COMPONENT' && node.key === componentKey
+    );
+    if (!localComponent) {
+      throw new Error(`Component not found with key: ${componentKey}. ${importError.message}`);
+    }
+    return localComponent;
   }
 }
 
-// Initialize settings on load
-(async function initializePlugin() {
-  try {
-    const savedSettings = await figma.clientStorage.getAsync('settings');
-    if (savedSettings) {
-      if (savedSettings.serverPort) {
-        state.serverPort = savedSettings.serverPort;
-      }
+// Map property display names ("Label") to the instance's property keys ("Label#12:0")
+function resolveInstanceProperties(instance, properties) {
+  const currentProps = instance.componentProperties || {};
+  const resolved = {};
+  Object.keys(properties).forEach((propertyName) => {
+    const propertyKey = Object.keys(currentProps).find(
+      (key) => key === propertyName || key.split('#')[0] === propertyName
+    );
+    if (!propertyKey) {
+      throw new Error(
+        `Property "${propertyName}" not found. Available properties: ${Object.keys(currentProps).join(', ')}`
+      );
     }
+    resolved[propertyKey] = properties[propertyName];
+  });
+  return resolved;
+}
 
-    // Send initial settings to UI
-    figma.ui.postMessage({
-      type: 'init-settings',
-      settings: {
-        serverPort: state.serverPort,
-      },
+async function serializeInstanceOverrides(instance) {
+  const mainComponent = await instance.getMainComponentAsync();
+  const overrides = [];
+
+  for (const override of instance.overrides || []) {
+    const overriddenNode = await figma.getNodeByIdAsync(override.id);
+    overrides.push({
+      id: override.id,
+      name: overriddenNode ? overriddenNode.name : null,
+      type: overriddenNode ? overriddenNode.type : null,
+      overriddenFields: override.overriddenFields || [],
     });
-  } catch (error) {
-    console.error('Error loading settings:', error);
   }
-})();
 
-function uniqBy(arr, predicate) {
-  const cb = typeof predicate === 'function' ? predicate : (o) => o[predicate];
-  return [
-    ...arr
-      .reduce((map, item) => {
-        const key = item === null || item === undefined ? item : cb(item);
+  return {
+    id: instance.id,
+    name: instance.name,
+    mainComponent: mainComponent
+      ? {
+          id: mainComponent.id,
+          key: mainComponent.key,
+          name: mainComponent.name,
+          remote: mainComponent.remote || false,
+        }
+      : null,
+    componentProperties: instance.componentProperties || {},
+    overrideCount: overrides.length,
+    overrides,
+  };
+}
 
-        map.has(key) || map.set(key, item);
+async function swapComponent(params) {
+  const { nodeId, componentId, componentKey } = params || {};
 
-        return map;
-      }, new Map())
-      .values(),
-  ];
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  const instance = await getInstanceOrThrow(nodeId);
+  const previousComponent = await instance.getMainComponentAsync();
+  const component = await getSwapTargetComponent(componentId, componentKey);
+
+  // swapComponent keeps overrides that still apply to the new component
+  instance.swapComponent(component);
+
+  return {
+    id: instance.id,
+    name: instance.name,
+    previousComponent: previousComponent
+      ? { id: previousComponent.id, key: previousComponent.key, name: previousComponent.name }
+      : null,
+    mainComponent: { id: component.id, key: component.key, name: component.name },
+  };
 }
-const setCharacters = async (node, characters, options) => {
-  const fallbackFont = (options && options.fallbackFont) || {
-    family: 'Inter',
-    style: 'Regular',
+
+async function resetOverrides(params) {
+  const { nodeId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  const instance = await getInstanceOrThrow(nodeId);
+  const overrideCount = (instance.overrides || []).length;
+  instance.resetOverrides();
+
+  return {
+    id: instance.id,
+    name: instance.name,
+    resetOverrideCount: overrideCount,
   };
-  try {
-    if (node.fontName === figma.mixed) {
-      if (options && options.smartStrategy === 'prevail') {
-        const fontHashTree = {};
-        for (let i = 1; i < node.characters.length; i++) {
-          const charFont = node.getRangeFontName(i - 1, i);
-          const key = `${charFont.family}::${charFont.style}`;
-          fontHashTree[key] = fontHashTree[key] ? fontHashTree[key] + 1 : 1;
-        }
-        const prevailedTreeItem = Object.entries(fontHashTree).sort((a, b) => b[1] - a[1])[0];
-        const [family, style] = prevailedTreeItem[0].split('::');
-        const prevailedFont = {
-          family,
-          style,
-        };
-        await figma.loadFontAsync(prevailedFont);
-        node.fontName = prevailedFont;
-      } else if (options && options.smartStrategy === 'strict') {
-        return setCharactersWithStrictMatchFont(node, characters, fallbackFont);
-      } else if (options && options.smartStrategy === 'experimental') {
-        return setCharactersWithSmartMatchFont(node, characters, fallbackFont);
-      } else {
-        const firstCharFont = node.getRangeFontName(0, 1);
-        await figma.loadFontAsync(firstCharFont);
-        node.fontName = firstCharFont;
-      }
-    } else {
-      await figma.loadFontAsync({
-        family: node.fontName.family,
-        style: node.fontName.style,
-      });
-    }
-  } catch (err) {
-    console.warn(
-      `Failed to load "${node.fontName['family']} ${node.fontName['style']}" font and replaced with fallback "${fallbackFont.family} ${fallbackFont.style}"`,
-      err
-    );
-    await figma.loadFontAsync(fallbackFont);
-    node.fontName = fallbackFont;
-  }
-  try {
-    node.characters = characters;
-    return true;
-  } catch (err) {
-    console.warn(`Failed to set characters. Skipped.`, err);
-    return false;
-  }
-};
+}
 
-const setCharactersWithStrictMatchFont = async (node, characters, fallbackFont) => {
-  const fontHashTree = {};
-  for (let i = 1; i < node.characters.length; i++) {
-    const startIdx = i - 1;
-    const startCharFont = node.getRangeFontName(startIdx, i);
-    const startCharFontVal = `${startCharFont.family}::${startCharFont.style}`;
-    while (i < node.characters.length) {
-      i++;
-      const charFont = node.getRangeFontName(i - 1, i);
-      if (startCharFontVal !== `${charFont.family}::${charFont.style}`) {
-        break;
-      }
-    }
-    fontHashTree[`${startIdx}_${i}`] = startCharFontVal;
-  }
-  await figma.loadFontAsync(fallbackFont);
-  node.fontName = fallbackFont;
-  node.characters = characters;
-  console.log(fontHashTree);
-  await Promise.all(
-    Object.keys(fontHashTree).map(async (range) => {
-      console.log(range, fontHashTree[range]);
-      const [start, end] = range.split('_');
-      const [family, style] = fontHashTree[range].split('::');
-      const matchedFont = {
-        family,
-        style,
-      };
-      await figma.loadFontAsync(matchedFont);
-      return node.setRangeFontName(Number(start), Number(end), matchedFont);
-    })
-  );
-  return true;
-};
+async function detachInstance(params) {
+  const { nodeId } = params || {};
 
-const getDelimiterPos = (str, delimiter, startIdx = 0, endIdx = str.length) => {
-  const indices = [];
-  let temp = startIdx;
-  for (let i = startIdx; i < endIdx; i++) {
-    if (str[i] === delimiter && i + startIdx !== endIdx && temp !== i + startIdx) {
-      indices.push([temp, i + startIdx]);
-      temp = i + startIdx + 1;
-    }
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
   }
-  temp !== endIdx && indices.push([temp, endIdx]);
-  return indices.filter(Boolean);
-};
-
-const buildLinearOrder = (node) => {
-  const fontTree = [];
-  const newLinesPos = getDelimiterPos(node.characters, '\n');
-  newLinesPos.forEach(([newLinesRangeStart, newLinesRangeEnd], n) => {
-    const newLinesRangeFont = node.getRangeFontName(newLinesRangeStart, newLinesRangeEnd);
-    if (newLinesRangeFont === figma.mixed) {
-      const spacesPos = getDelimiterPos(
-        node.characters,
-        ' ',
-        newLinesRangeStart,
-        newLinesRangeEnd
-      );
-      spacesPos.forEach(([spacesRangeStart, spacesRangeEnd], s) => {
-        const spacesRangeFont = node.getRangeFontName(spacesRangeStart, spacesRangeEnd);
-        if (spacesRangeFont === figma.mixed) {
-          const spacesRangeFont = node.getRangeFontName(spacesRangeStart, spacesRangeStart[0]);
-          fontTree.push({
-            start: spacesRangeStart,
-            delimiter: ' ',
-            family: spacesRangeFont.family,
-            style: spacesRangeFont.style,
-          });
-        } else {
-          fontTree.push({
-            start: spacesRangeStart,
-            delimiter: ' ',
-            family: spacesRangeFont.family,
-            style: spacesRangeFont.style,
-          });
-        }
-      });
-    } else {
-      fontTree.push({
-        start: newLinesRangeStart,
-        delimiter: '\n',
-        family: newLinesRangeFont.family,
-        style: newLinesRangeFont.style,
-      });
-    }
-  });
-  return fontTree
-    .sort((a, b) => +a.start - +b.start)
-    .map(({ family, style, delimiter }) => ({ family, style, delimiter }));
-};
-
-const setCharactersWithSmartMatchFont = async (node, characters, fallbackFont) => {
-  const rangeTree = buildLinearOrder(node);
-  const fontsToLoad = uniqBy(rangeTree, ({ family, style }) => `${family}::${style}`).map(
-    ({ family, style }) => ({
-      family,
-      style,
-    })
-  );
-
-  await Promise.all([...fontsToLoad, fallbackFont].map(figma.loadFontAsync));
 
-  node.fontName = fallbackFont;
-  node.characters = characters;
+  const instance = await getInstanceOrThrow(nodeId);
+  const mainComponent = await instance.getMainComponentAsync();
+  const frame = instance.detachInstance();
 
-  let prevPos = 0;
-  rangeTree.forEach(({ family, style, delimiter }) => {
-    if (prevPos < node.characters.length) {
-      const delimeterPos = node.characters.indexOf(delimiter, prevPos);
-      const endPos = delimeterPos > prevPos ? delimeterPos : node.characters.length;
-      const matchedFont = {
-        family,
-        style,
-      };
-      node.setRangeFontName(prevPos, endPos, matchedFont);
-      prevPos = endPos + 1;
-    }
-  });
-  return true;
-};
+  return {
+    id: frame.id,
+    name: frame.name,
+    type: frame.type,
+    detachedFromComponent: mainComponent
+      ? { id: mainComponent.id, key: mainComponent.key, name: mainComponent.name }
+      : null,
+  };
+}
 
-// Add the cloneNode function implementation
-async function cloneNode(params) {
-  const { nodeId, x, y } = params || {};
+async function getInstanceOverrides(params) {
+  const { nodeId } = params || {};
 
   if (!nodeId) {
     throw new Error('Missing nodeId parameter');
@@ -1903,1392 +2586,2340 @@ async function cloneNode(params) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
 
-  // Clone the node
-  const clone = node.clone();
-
-  // If x and y are provided, move the clone to that position
-  if (x !== undefined && y !== undefined) {
-    if (!('x' in clone) || !('y' in clone)) {
-      throw new Error(`Cloned node does not support position: ${nodeId}`);
-    }
-    clone.x = x;
-    clone.y = y;
+  // A single instance gets its own report, any other node reports every nested instance
+  if (node.type === 'INSTANCE') {
+    return serializeInstanceOverrides(node);
   }
 
-  // Add the clone to the same parent as the original node
-  if (node.parent) {
-    node.parent.appendChild(clone);
-  } else {
-    figma.currentPage.appendChild(clone);
+  const discovered = await findInstancesWithMainComponent(node);
+  const instances = [];
+  for (const { instance } of discovered) {
+    instances.push(await serializeInstanceOverrides(instance));
   }
 
   return {
-    id: clone.id,
-    name: clone.name,
-    x: 'x' in clone ? clone.x : undefined,
-    y: 'y' in clone ? clone.y : undefined,
-    width: 'width' in clone ? clone.width : undefined,
-    height: 'height' in clone ? clone.height : undefined,
+    nodeId: node.id,
+    nodeName: node.name,
+    instanceCount: instances.length,
+    instances,
   };
 }
 
-async function scanTextNodes(params) {
-  console.log(`Starting to scan text nodes from node ID: ${params.nodeId}`);
+async function bulkOverrideInstances(params) {
   const {
-    nodeId,
-    useChunking = true,
-    chunkSize = 10,
+    componentKey,
+    rootNodeId,
+    properties,
+    swapToComponentId,
+    swapToComponentKey,
+    resetOverrides: shouldReset = false,
     commandId = generateCommandId(),
   } = params || {};
 
-  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!componentKey) {
+    throw new Error('Missing componentKey parameter');
+  }
 
-  if (!node) {
-    console.error(`Node with ID ${nodeId} not found`);
-    // Send error progress update
-    sendProgressUpdate(
-      commandId,
-      'scan_text_nodes',
-      'error',
-      0,
-      0,
-      0,
-      `Node with ID ${nodeId} not found`,
-      { error: `Node not found: ${nodeId}` }
-    );
-    throw new Error(`Node with ID ${nodeId} not found`);
+  if (!properties && !swapToComponentId && !swapToComponentKey && !shouldReset) {
+    throw new Error('Nothing to apply: provide properties, swapToComponentId, swapToComponentKey or resetOverrides');
   }
 
-  // If chunking is not enabled, use the original implementation
-  if (!useChunking) {
-    const textNodes = [];
+  let root = figma.currentPage;
+  if (rootNodeId) {
+    root = await figma.getNodeByIdAsync(rootNodeId);
+    if (!root) {
+      throw new Error(`Node not found with ID: ${rootNodeId}`);
+    }
+    // Pages other than the current one are not loaded with dynamic-page document access
+    if (root.type === 'PAGE') {
+      await root.loadAsync();
+    }
+  } else {
+    await figma.currentPage.loadAsync();
+  }
+
+  const discovered = await findInstancesWithMainComponent(root);
+  const matches = discovered.filter(({ mainComponent }) =>
+    mainComponentMatchesKey(mainComponent, componentKey)
+  );
+
+  const swapTarget =
+    swapToComponentId || swapToComponentKey
+      ? await getSwapTargetComponent(swapToComponentId, swapToComponentKey)
+      : null;
+
+  sendProgressUpdate(
+    commandId,
+    'bulk_override_instances',
+    'started',
+    0,
+    matches.length,
+    0,
+    `Applying overrides to ${matches.length} instances of ${componentKey}`
+  );
+
+  const results = [];
+  for (let i = 0; i < matches.length; i++) {
+    const { instance } = matches[i];
     try {
-      // Send started progress update
+      if (shouldReset) {
+        instance.resetOverrides();
+      }
+      if (swapTarget) {
+        instance.swapComponent(swapTarget);
+      }
+      if (properties && Object.keys(properties).length > 0) {
+        instance.setProperties(resolveInstanceProperties(instance, properties));
+      }
+      results.push({ id: instance.id, name: instance.name, success: true });
+    } catch (error) {
+      results.push({ id: instance.id, name: instance.name, success: false, error: error.message });
+    }
+
+    if ((i + 1) % 25 === 0 || i === matches.length - 1) {
       sendProgressUpdate(
         commandId,
-        'scan_text_nodes',
-        'started',
-        0,
-        1, // Not known yet how many nodes there are
-        0,
-        `Starting scan of node "${node.name || nodeId}" without chunking`,
-        null
+        'bulk_override_instances',
+        'in_progress',
+        Math.round(((i + 1) / matches.length) * 100),
+        matches.length,
+        i + 1,
+        `Processed ${i + 1} of ${matches.length} instances`
       );
 
-      await findTextNodes(node, [], 0, textNodes);
+      // Yield so a cancel request can arrive, then stop if it did
+      await delay(0);
+      if (isCommandCancelled(commandId) && i < matches.length - 1) {
+        sendCancelledUpdate(commandId, 'bulk_override_instances', matches.length, i + 1);
+        break;
+      }
+    }
+  }
 
-      // Send completed progress update
-      sendProgressUpdate(
-        commandId,
-        'scan_text_nodes',
-        'completed',
-        100,
-        textNodes.length,
-        textNodes.length,
-        `Scan complete. Found ${textNodes.length} text nodes.`,
-        { textNodes }
-      );
+  const successCount = results.filter((result) => result.success).length;
+  const cancelled = results.length < matches.length;
 
-      return {
-        success: true,
-        message: `Scanned ${textNodes.length} text nodes.`,
-        count: textNodes.length,
-        textNodes: textNodes,
-        commandId,
-      };
-    } catch (error) {
-      console.error('Error scanning text nodes:', error);
+  if (!cancelled) {
+    sendProgressUpdate(
+      commandId,
+      'bulk_override_instances',
+      'completed',
+      100,
+      matches.length,
+      matches.length,
+      `Applied overrides to ${successCount} of ${matches.length} instances`
+    );
+  }
 
-      // Send error progress update
-      sendProgressUpdate(
-        commandId,
-        'scan_text_nodes',
-        'error',
-        0,
-        0,
-        0,
-        `Error scanning text nodes: ${error.message}`,
-        { error: error.message }
-      );
+  return {
+    componentKey,
+    rootNodeId: root.id,
+    cancelled,
+    matchedInstances: matches.length,
+    successCount,
+    failureCount: results.length - successCount,
+    results,
+    commandId,
+  };
+}
 
-      throw new Error(`Error scanning text nodes: ${error.message}`);
+// Build Figma export settings from the MCP export parameters
+function buildExportSettings(params) {
+  const {
+    format = 'PNG',
+    scale = 1,
+    width,
+    height,
+    contentsOnly,
+    useAbsoluteBounds,
+    svgOutlineText,
+    svgIdAttribute,
+    svgSimplifyStroke,
+  } = params || {};
+
+  if (!['PNG', 'JPG', 'SVG', 'PDF'].includes(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const settings = { format };
+
+  if (contentsOnly !== undefined) settings.contentsOnly = contentsOnly;
+  if (useAbsoluteBounds !== undefined) settings.useAbsoluteBounds = useAbsoluteBounds;
+
+  if (format === 'PNG' || format === 'JPG') {
+    // Size constraints take precedence over scale
+    if (width !== undefined) {
+      settings.constraint = { type: 'WIDTH', value: width };
+    } else if (height !== undefined) {
+      settings.constraint = { type: 'HEIGHT', value: height };
+    } else {
+      settings.constraint = { type: 'SCALE', value: scale };
     }
   }
 
-  // Chunked implementation
-  console.log(`Using chunked scanning with chunk size: ${chunkSize}`);
+  if (format === 'SVG') {
+    if (svgOutlineText !== undefined) settings.svgOutlineText = svgOutlineText;
+    if (svgIdAttribute !== undefined) settings.svgIdAttribute = svgIdAttribute;
+    if (svgSimplifyStroke !== undefined) settings.svgSimplifyStroke = svgSimplifyStroke;
+  }
 
-  // First, collect all nodes to process (without processing them yet)
-  const nodesToProcess = [];
+  return settings;
+}
 
-  // Send started progress update
-  sendProgressUpdate(
-    commandId,
-    'scan_text_nodes',
-    'started',
-    0,
-    0, // Not known yet how many nodes there are
-    0,
-    `Starting chunked scan of node "${node.name || nodeId}"`,
-    { chunkSize }
-  );
+function getExportMimeType(format) {
+  switch (format) {
+    case 'PNG':
+      return 'image/png';
+    case 'JPG':
+      return 'image/jpeg';
+    case 'SVG':
+      return 'image/svg+xml';
+    case 'PDF':
+      return 'application/pdf';
+    default:
+      return 'application/octet-stream';
+  }
+}
 
-  await collectNodesToProcess(node, [], 0, nodesToProcess);
+// Export a single node and return its bytes encoded as base64
+async function exportNode(nodeId, params) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
 
-  const totalNodes = nodesToProcess.length;
-  console.log(`Found ${totalNodes} total nodes to process`);
+  if (!('exportAsync' in node)) {
+    throw new Error(`Node does not support exporting: ${nodeId}`);
+  }
 
-  // Calculate number of chunks needed
-  const totalChunks = Math.ceil(totalNodes / chunkSize);
-  console.log(`Will process in ${totalChunks} chunks`);
+  const settings = buildExportSettings(params);
+  const bytes = await node.exportAsync(settings);
 
-  // Send update after node collection
-  sendProgressUpdate(
-    commandId,
-    'scan_text_nodes',
-    'in_progress',
-    5, // 5% progress for collection phase
-    totalNodes,
-    0,
-    `Found ${totalNodes} nodes to scan. Will process in ${totalChunks} chunks.`,
-    {
-      totalNodes,
-      totalChunks,
-      chunkSize,
-    }
-  );
+  return {
+    nodeId,
+    nodeName: node.name,
+    format: settings.format,
+    scale: settings.constraint && settings.constraint.type === 'SCALE' ? settings.constraint.value : undefined,
+    constraint: settings.constraint,
+    mimeType: getExportMimeType(settings.format),
+    byteLength: bytes.byteLength,
+    imageData: customBase64Encode(bytes),
+  };
+}
 
-  // Process nodes in chunks
-  const allTextNodes = [];
-  let processedNodes = 0;
-  let chunksProcessed = 0;
+async function exportNodeAsImage(params) {
+  const { nodeId } = params || {};
 
-  for (let i = 0; i < totalNodes; i += chunkSize) {
-    const chunkEnd = Math.min(i + chunkSize, totalNodes);
-    console.log(
-      `Processing chunk ${chunksProcessed + 1}/${totalChunks} (nodes ${i} to ${chunkEnd - 1})`
-    );
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
 
-    // Send update before processing chunk
-    sendProgressUpdate(
-      commandId,
-      'scan_text_nodes',
-      'in_progress',
-      Math.round(5 + (chunksProcessed / totalChunks) * 90), // 5-95% for processing
-      totalNodes,
-      processedNodes,
-      `Processing chunk ${chunksProcessed + 1}/${totalChunks}`,
-      {
-        currentChunk: chunksProcessed + 1,
-        totalChunks,
-        textNodesFound: allTextNodes.length,
-      }
-    );
+  try {
+    return await exportNode(nodeId, params);
+  } catch (error) {
+    throw new Error(`Error exporting node as image: ${error.message}`);
+  }
+}
 
-    const chunkNodes = nodesToProcess.slice(i, chunkEnd);
-    const chunkTextNodes = [];
+async function exportNodesBatch(params) {
+  const { nodeIds } = params || {};
+  const commandId = (params && params.commandId) || generateCommandId();
 
-    // Process each node in this chunk
-    for (const nodeInfo of chunkNodes) {
-      if (nodeInfo.node.type === 'TEXT') {
-        try {
-          const textNodeInfo = await processTextNode(
-            nodeInfo.node,
-            nodeInfo.parentPath,
-            nodeInfo.depth
-          );
-          if (textNodeInfo) {
-            chunkTextNodes.push(textNodeInfo);
-          }
-        } catch (error) {
-          console.error(`Error processing text node: ${error.message}`);
-          // Continue with other nodes
-        }
-      }
+  if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length === 0) {
+    throw new Error('Missing or invalid nodeIds parameter');
+  }
 
-      // Brief delay to allow UI updates and prevent freezing
-      await delay(5);
-    }
+  // Each entry in formats produces one export per node, e.g. ['SVG', 'PNG']
+  const formats =
+    params.formats && Array.isArray(params.formats) && params.formats.length > 0
+      ? params.formats
+      : [params.format || 'PNG'];
+  const totalItems = nodeIds.length * formats.length;
 
-    // Add results from this chunk
-    allTextNodes.push(...chunkTextNodes);
-    processedNodes += chunkNodes.length;
-    chunksProcessed++;
+  sendProgressUpdate(
+    commandId,
+    'export_nodes',
+    'started',
+    0,
+    totalItems,
+    0,
+    `Starting export of ${nodeIds.length} nodes in ${formats.join(', ')}`,
+    null
+  );
 
-    // Send update after processing chunk
-    sendProgressUpdate(
-      commandId,
-      'scan_text_nodes',
-      'in_progress',
-      Math.round(5 + (chunksProcessed / totalChunks) * 90), // 5-95% for processing
-      totalNodes,
-      processedNodes,
-      `Processed chunk ${chunksProcessed}/${totalChunks}. Found ${allTextNodes.length} text nodes so far.`,
-      {
-        currentChunk: chunksProcessed,
-        totalChunks,
-        processedNodes,
-        textNodesFound: allTextNodes.length,
-        chunkResult: chunkTextNodes,
+  const results = [];
+  let successCount = 0;
+  let failureCount = 0;
+
+  for (const nodeId of nodeIds) {
+    for (const format of formats) {
+      try {
+        const exported = await exportNode(nodeId, Object.assign({}, params, { format }));
+        results.push(Object.assign({ success: true }, exported));
+        successCount++;
+      } catch (error) {
+        results.push({ success: false, nodeId, format, error: error.message });
+        failureCount++;
       }
-    );
 
-    // Small delay between chunks to prevent UI freezing
-    if (i + chunkSize < totalNodes) {
-      await delay(50);
+      const processed = successCount + failureCount;
+      sendProgressUpdate(
+        commandId,
+        'export_nodes',
+        'in_progress',
+        Math.round((processed / totalItems) * 100),
+        totalItems,
+        processed,
+        `Exported ${processed}/${totalItems} (${failureCount} failed)`,
+        null
+      );
     }
   }
 
-  // Send completed progress update
   sendProgressUpdate(
     commandId,
-    'scan_text_nodes',
+    'export_nodes',
     'completed',
     100,
-    totalNodes,
-    processedNodes,
-    `Scan complete. Found ${allTextNodes.length} text nodes.`,
-    {
-      textNodes: allTextNodes,
-      processedNodes,
-      chunks: chunksProcessed,
-    }
+    totalItems,
+    totalItems,
+    `Export complete: ${successCount} successful, ${failureCount} failed`,
+    null
   );
 
   return {
-    success: true,
-    message: `Chunked scan complete. Found ${allTextNodes.length} text nodes.`,
-    totalNodes: allTextNodes.length,
-    processedNodes: processedNodes,
-    chunks: chunksProcessed,
-    textNodes: allTextNodes,
+    success: successCount > 0,
+    exported: successCount,
+    failed: failureCount,
+    results,
     commandId,
   };
 }
+function customBase64Encode(bytes) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let base64 = '';
 
-// Helper function to collect all nodes that need to be processed
-async function collectNodesToProcess(node, parentPath = [], depth = 0, nodesToProcess = []) {
-  // Skip invisible nodes
-  if (node.visible === false) return;
+  const byteLength = bytes.byteLength;
+  const byteRemainder = byteLength % 3;
+  const mainLength = byteLength - byteRemainder;
 
-  // Get the path to this node
-  const nodePath = [...parentPath, node.name || `Unnamed ${node.type}`];
+  let a, b, c, d;
+  let chunk;
 
-  // Add this node to the processing list
-  nodesToProcess.push({
-    node: node,
-    parentPath: nodePath,
-    depth: depth,
-  });
+  // Main loop deals with bytes in chunks of 3
+  for (let i = 0; i < mainLength; i = i + 3) {
+    // Combine the three bytes into a single integer
+    chunk = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
 
-  // Recursively add children
-  if ('children' in node) {
-    for (const child of node.children) {
-      await collectNodesToProcess(child, nodePath, depth + 1, nodesToProcess);
-    }
-  }
-}
+    // Use bitmasks to extract 6-bit segments from the triplet
+    a = (chunk & 16515072) >> 18; // 16515072 = (2^6 - 1) << 18
+    b = (chunk & 258048) >> 12; // 258048 = (2^6 - 1) << 12
+    c = (chunk & 4032) >> 6; // 4032 = (2^6 - 1) << 6
+    d = chunk & 63; // 63 = 2^6 - 1
 
-// Process a single text node
-async function processTextNode(node, parentPath, depth) {
-  if (node.type !== 'TEXT') return null;
+    // Convert the raw binary segments to the appropriate ASCII encoding
+    base64 += chars[a] + chars[b] + chars[c] + chars[d];
+  }
 
-  try {
-    // Safely extract font information
-    let fontFamily = '';
-    let fontStyle = '';
+  // Deal with the remaining bytes and padding
+  if (byteRemainder === 1) {
+    chunk = bytes[mainLength];
 
-    if (node.fontName) {
-      if (typeof node.fontName === 'object') {
-        if ('family' in node.fontName) fontFamily = node.fontName.family;
-        if ('style' in node.fontName) fontStyle = node.fontName.style;
-      }
-    }
+    a = (chunk & 252) >> 2; // 252 = (2^6 - 1) << 2
 
-    // Create a safe representation of the text node
-    const safeTextNode = {
-      id: node.id,
-      name: node.name || 'Text',
-      type: node.type,
-      characters: node.characters,
-      fontSize: typeof node.fontSize === 'number' ? node.fontSize : 0,
-      fontFamily: fontFamily,
-      fontStyle: fontStyle,
-      x: typeof node.x === 'number' ? node.x : 0,
-      y: typeof node.y === 'number' ? node.y : 0,
-      width: typeof node.width === 'number' ? node.width : 0,
-      height: typeof node.height === 'number' ? node.height : 0,
-      path: parentPath.join(' > '),
-      depth: depth,
-    };
+    // Set the 4 least significant bits to zero
+    b = (chunk & 3) << 4; // 3 = 2^2 - 1
 
-    // Highlight the node briefly (optional visual feedback)
-    try {
-      const originalFills = JSON.parse(JSON.stringify(node.fills));
-      node.fills = [
-        {
-          type: 'SOLID',
-          color: { r: 1, g: 0.5, b: 0 },
-          opacity: 0.3,
-        },
-      ];
+    base64 += chars[a] + chars[b] + '==';
+  } else if (byteRemainder === 2) {
+    chunk = (bytes[mainLength] << 8) | bytes[mainLength + 1];
 
-      // Brief delay for the highlight to be visible
-      await delay(100);
+    a = (chunk & 64512) >> 10; // 64512 = (2^6 - 1) << 10
+    b = (chunk & 1008) >> 4; // 1008 = (2^6 - 1) << 4
 
-      try {
-        node.fills = originalFills;
-      } catch (err) {
-        console.error('Error resetting fills:', err);
-      }
-    } catch (highlightErr) {
-      console.error('Error highlighting text node:', highlightErr);
-      // Continue anyway, highlighting is just visual feedback
-    }
+    // Set the 2 least significant bits to zero
+    c = (chunk & 15) << 2; // 15 = 2^4 - 1
 
-    return safeTextNode;
-  } catch (nodeErr) {
-    console.error('Error processing text node:', nodeErr);
-    return null;
+    base64 += chars[a] + chars[b] + chars[c] + '=';
   }
-}
 
-// A delay function that returns a promise
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  return base64;
 }
 
-// Keep the original findTextNodes for backward compatibility
-async function findTextNodes(node, parentPath = [], depth = 0, textNodes = []) {
-  // Skip invisible nodes
-  if (node.visible === false) return;
+async function setCornerRadius(params) {
+  const { nodeId, radius, corners } = params || {};
 
-  // Get the path to this node including its name
-  const nodePath = [...parentPath, node.name || `Unnamed ${node.type}`];
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
 
-  if (node.type === 'TEXT') {
-    try {
-      // Safely extract font information to avoid Symbol serialization issues
-      let fontFamily = '';
-      let fontStyle = '';
+  if (radius === undefined) {
+    throw new Error('Missing radius parameter');
+  }
 
-      if (node.fontName) {
-        if (typeof node.fontName === 'object') {
-          if ('family' in node.fontName) fontFamily = node.fontName.family;
-          if ('style' in node.fontName) fontStyle = node.fontName.style;
-        }
-      }
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
 
-      // Create a safe representation of the text node with only serializable properties
-      const safeTextNode = {
-        id: node.id,
-        name: node.name || 'Text',
-        type: node.type,
-        characters: node.characters,
-        fontSize: typeof node.fontSize === 'number' ? node.fontSize : 0,
-        fontFamily: fontFamily,
-        fontStyle: fontStyle,
-        x: typeof node.x === 'number' ? node.x : 0,
-        y: typeof node.y === 'number' ? node.y : 0,
-        width: typeof node.width === 'number' ? node.width : 0,
-        height: typeof node.height === 'number' ? node.height : 0,
-        path: nodePath.join(' > '),
-        depth: depth,
-      };
+  // Check if node supports corner radius
+  if (!('cornerRadius' in node)) {
+    throw new Error(`Node does not support corner radius: ${nodeId}`);
+  }
 
-      // Only highlight the node if it's not being done via API
-      try {
-        // Safe way to create a temporary highlight without causing serialization issues
-        const originalFills = JSON.parse(JSON.stringify(node.fills));
-        node.fills = [
-          {
-            type: 'SOLID',
-            color: { r: 1, g: 0.5, b: 0 },
-            opacity: 0.3,
-          },
-        ];
+  // If corners array is provided, set individual corner radii
+  if (corners && Array.isArray(corners) && corners.length === 4) {
+    if ('topLeftRadius' in node) {
+      // Node supports individual corner radii
+      if (corners[0]) node.topLeftRadius = radius;
+      if (corners[1]) node.topRightRadius = radius;
+      if (corners[2]) node.bottomRightRadius = radius;
+      if (corners[3]) node.bottomLeftRadius = radius;
+    } else {
+      // Node only supports uniform corner radius
+      node.cornerRadius = radius;
+    }
+  } else {
+    // Set uniform corner radius
+    node.cornerRadius = radius;
+  }
 
-        // Promise-based delay instead of setTimeout
-        await delay(500);
+  return {
+    id: node.id,
+    name: node.name,
+    cornerRadius: 'cornerRadius' in node ? node.cornerRadius : undefined,
+    topLeftRadius: 'topLeftRadius' in node ? node.topLeftRadius : undefined,
+    topRightRadius: 'topRightRadius' in node ? node.topRightRadius : undefined,
+    bottomRightRadius: 'bottomRightRadius' in node ? node.bottomRightRadius : undefined,
+    bottomLeftRadius: 'bottomLeftRadius' in node ? node.bottomLeftRadius : undefined,
+  };
+}
 
-        try {
-          node.fills = originalFills;
-        } catch (err) {
-          console.error('Error resetting fills:', err);
-        }
-      } catch (highlightErr) {
-        console.error('Error highlighting text node:', highlightErr);
-        // Continue anyway, highlighting is just visual feedback
-      }
+const NODE_BLEND_MODES = [
+  'PASS_THROUGH',
+  'NORMAL',
+  'DARKEN',
+  'MULTIPLY',
+  'LINEAR_BURN',
+  'COLOR_BURN',
+  'LIGHTEN',
+  'SCREEN',
+  'LINEAR_DODGE',
+  'COLOR_DODGE',
+  'OVERLAY',
+  'SOFT_LIGHT',
+  'HARD_LIGHT',
+  'DIFFERENCE',
+  'EXCLUSION',
+  'HUE',
+  'SATURATION',
+  'COLOR',
+  'LUMINOSITY',
+];
+
+const validateBoolean = (value) => typeof value === 'boolean' || 'must be a boolean';
+const validateNonNegative = (value) =>
+  (typeof value === 'number' && !isNaN(value) && value >= 0) || 'must be a number >= 0';
+const validateUnitInterval = (value) =>
+  (typeof value === 'number' && value >= 0 && value <= 1) || 'must be a number between 0 and 1';
+
+// Whitelisted properties for setNodeProperties; each property is supported when it exists on the node
+const NODE_PROPERTY_VALIDATORS = {
+  rotation: (value) =>
+    (typeof value === 'number' && value >= -180 && value <= 180) || 'must be a number between -180 and 180',
+  opacity: validateUnitInterval,
+  blendMode: (value) =>
+    NODE_BLEND_MODES.includes(value) || `must be one of: ${NODE_BLEND_MODES.join(', ')}`,
+  visible: validateBoolean,
+  locked: validateBoolean,
+  isMask: validateBoolean,
+  clipsContent: validateBoolean,
+  cornerRadius: validateNonNegative,
+  topLeftRadius: validateNonNegative,
+  topRightRadius: validateNonNegative,
+  bottomRightRadius: validateNonNegative,
+  bottomLeftRadius: validateNonNegative,
+  cornerSmoothing: validateUnitInterval,
+};
 
-      textNodes.push(safeTextNode);
-    } catch (nodeErr) {
-      console.error('Error processing text node:', nodeErr);
-      // Skip this node but continue with others
-    }
+async function setNodeProperties(params) {
+  const { nodeId, properties } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
   }
 
-  // Recursively process children of container nodes
-  if ('children' in node) {
-    for (const child of node.children) {
-      await findTextNodes(child, nodePath, depth + 1, textNodes);
-    }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new Error('Missing or invalid properties parameter. Must be an object.');
   }
-}
 
-// Replace text in a specific node
-async function setMultipleTextContents(params) {
-  const { nodeId, text } = params || {};
-  const commandId = params.commandId || generateCommandId();
+  // Reject unknown properties and invalid values before touching the node
+  Object.keys(properties).forEach((property) => {
+    const validate = NODE_PROPERTY_VALIDATORS[property];
+    if (!validate) {
+      throw new Error(
+        `Unknown property: ${property}. Allowed properties: ${Object.keys(NODE_PROPERTY_VALIDATORS).join(', ')}`
+      );
+    }
+    const valid = validate(properties[property]);
+    if (valid !== true) {
+      throw new Error(`Invalid value for ${property}: ${valid}`);
+    }
+  });
 
-  if (!nodeId || !text || !Array.isArray(text)) {
-    const errorMsg = 'Missing required parameters: nodeId and text array';
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
 
-    // Send error progress update
-    sendProgressUpdate(commandId, 'set_multiple_text_contents', 'error', 0, 0, 0, errorMsg, {
-      error: errorMsg,
-    });
+  const applied = {};
+  const unsupported = [];
 
-    throw new Error(errorMsg);
-  }
+  Object.keys(properties).forEach((property) => {
+    if (!(property in node)) {
+      unsupported.push({ property, reason: `not supported on ${node.type} nodes` });
+      return;
+    }
+    try {
+      node[property] = properties[property];
+      applied[property] = node[property];
+    } catch (error) {
+      unsupported.push({ property, reason: error.message });
+    }
+  });
 
-  console.log(
-    `Starting text replacement for node: ${nodeId} with ${text.length} text replacements`
-  );
+  return {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    applied,
+    unsupported,
+  };
+}
 
-  // Send started progress update
-  sendProgressUpdate(
-    commandId,
-    'set_multiple_text_contents',
-    'started',
-    0,
-    text.length,
-    0,
-    `Starting text replacement for ${text.length} nodes`,
-    { totalReplacements: text.length }
-  );
+async function setTextContent(params) {
+  const { nodeId, text } = params || {};
 
-  // Define the results array and counters
-  const results = [];
-  let successCount = 0;
-  let failureCount = 0;
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
 
-  // Split text replacements into chunks of 5
-  const CHUNK_SIZE = 5;
-  const chunks = [];
+  if (text === undefined) {
+    throw new Error('Missing text parameter');
+  }
 
-  for (let i = 0; i < text.length; i += CHUNK_SIZE) {
-    chunks.push(text.slice(i, i + CHUNK_SIZE));
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
   }
 
-  console.log(`Split ${text.length} replacements into ${chunks.length} chunks`);
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
 
-  // Send chunking info update
-  sendProgressUpdate(
-    commandId,
-    'set_multiple_text_contents',
-    'in_progress',
-    5, // 5% progress for planning phase
-    text.length,
-    0,
-    `Preparing to replace text in ${text.length} nodes using ${chunks.length} chunks`,
-    {
-      totalReplacements: text.length,
-      chunks: chunks.length,
-      chunkSize: CHUNK_SIZE,
-    }
-  );
+  try {
+    await figma.loadFontAsync(node.fontName);
 
-  // Process each chunk sequentially
-  for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-    const chunk = chunks[chunkIndex];
-    console.log(
-      `Processing chunk ${chunkIndex + 1}/${chunks.length} with ${chunk.length} replacements`
-    );
+    await setCharacters(node, text);
 
-    // Send chunk processing start update
-    sendProgressUpdate(
-      commandId,
-      'set_multiple_text_contents',
-      'in_progress',
-      Math.round(5 + (chunkIndex / chunks.length) * 90), // 5-95% for processing
-      text.length,
-      successCount + failureCount,
-      `Processing text replacements chunk ${chunkIndex + 1}/${chunks.length}`,
-      {
-        currentChunk: chunkIndex + 1,
-        totalChunks: chunks.length,
-        successCount,
-        failureCount,
-      }
-    );
+    return {
+      id: node.id,
+      name: node.name,
+      characters: node.characters,
+      fontName: node.fontName,
+    };
+  } catch (error) {
+    throw new Error(`Error setting text content: ${error.message}`);
+  }
+}
 
-    // Process replacements within a chunk in parallel
-    const chunkPromises = chunk.map(async (replacement) => {
-      if (!replacement.nodeId || replacement.text === undefined) {
-        console.error(`Missing nodeId or text for replacement`);
-        return {
-          success: false,
-          nodeId: replacement.nodeId || 'unknown',
-          error: 'Missing nodeId or text in replacement entry',
-        };
+// Initialize settings on load
+const settingsLoaded = (async function initializePlugin() {
+  try {
+    const savedSettings = await figma.clientStorage.getAsync('settings');
+    if (savedSettings) {
+      if (savedSettings.serverPort) {
+        state.serverPort = savedSettings.serverPort;
       }
+      if (savedSettings.channelToken) {
+        state.channelToken = savedSettings.channelToken;
+      }
+    }
 
-      try {
-        console.log(`Attempting to replace text in node: ${replacement.nodeId}`);
-
-        // Get the text node to update (just to check it exists and get original text)
-        const textNode = await figma.getNodeByIdAsync(replacement.nodeId);
-
-        if (!textNode) {
-          console.error(`Text node not found: ${replacement.nodeId}`);
-          return {
-            success: false,
-            nodeId: replacement.nodeId,
-            error: `Node not found: ${replacement.nodeId}`,
-          };
-        }
-
-        if (textNode.type !== 'TEXT') {
-          console.error(
-            `Node is not a text node: ${replacement.nodeId} (type: ${textNode.type})`
-          );
-          return {
-            success: false,
-            nodeId: replacement.nodeId,
-            error: `Node is not a text node: ${replacement.nodeId} (type: ${textNode.type})`,
-          };
-        }
-
-        // Save original text for the result
-        const originalText = textNode.characters;
-        console.log(`Original text: "${originalText}"`);
-        console.log(`Will translate to: "${replacement.text}"`);
+    // Send initial settings to UI
+    figma.ui.postMessage({
+      type: 'init-settings',
+      settings: {
+        serverPort: state.serverPort,
+        channelToken: state.channelToken,
+      },
+    });
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+})();
 
-        // Highlight the node before changing text
-        let originalFills;
-        try {
-          // Save original fills for restoration later
-          originalFills = JSON.parse(JSON.stringify(textNode.fills));
-          // Apply highlight color (orange with 30% opacity)
-          textNode.fills = [
-            {
-              type: 'SOLID',
-              color: { r: 1, g: 0.5, b: 0 },
-              opacity: 0.3,
-            },
-          ];
-        } catch (highlightErr) {
-          console.error(`Error highlighting text node: ${highlightErr.message}`);
-          // Continue anyway, highlighting is just visual feedback
-        }
+function uniqBy(arr, predicate) {
+  const cb = typeof predicate === 'function' ? predicate : (o) => o[predicate];
+  return [
+    ...arr
+      .reduce((map, item) => {
+        const key = item === null || item === undefined ? item : cb(item);
 
-        // Use the existing setTextContent function to handle font loading and text setting
-        await setTextContent({
-          nodeId: replacement.nodeId,
-          text: replacement.text,
-        });
+        map.has(key) || map.set(key, item);
 
-        // Keep highlight for a moment after text change, then restore original fills
-        if (originalFills) {
-          try {
-            // Use delay function for consistent timing
-            await delay(500);
-            textNode.fills = originalFills;
-          } catch (restoreErr) {
-            console.error(`Error restoring fills: ${restoreErr.message}`);
-          }
+        return map;
+      }, new Map())
+      .values(),
+  ];
+}
+const setCharacters = async (node, characters, options) => {
+  const fallbackFont = (options && options.fallbackFont) || {
+    family: 'Inter',
+    style: 'Regular',
+  };
+  try {
+    if (node.fontName === figma.mixed) {
+      if (options && options.smartStrategy === 'prevail') {
+        const fontHashTree = {};
+        for (let i = 1; i < node.characters.length; i++) {
+          const charFont = node.getRangeFontName(i - 1, i);
+          const key = `${charFont.family}::${charFont.style}`;
+          fontHashTree[key] = fontHashTree[key] ? fontHashTree[key] + 1 : 1;
         }
-
-        console.log(`Successfully replaced text in node: ${replacement.nodeId}`);
-        return {
-          success: true,
-          nodeId: replacement.nodeId,
-          originalText: originalText,
-          translatedText: replacement.text,
-        };
-      } catch (error) {
-        console.error(`Error replacing text in node ${replacement.nodeId}: ${error.message}`);
-        return {
-          success: false,
-          nodeId: replacement.nodeId,
-          error: `Error applying replacement: ${error.message}`,
+        const prevailedTreeItem = Object.entries(fontHashTree).sort((a, b) => b[1] - a[1])[0];
+        const [family, style] = prevailedTreeItem[0].split('::');
+        const prevailedFont = {
+          family,
+          style,
         };
-      }
-    });
-
-    // Wait for all replacements in this chunk to complete
-    const chunkResults = await Promise.all(chunkPromises);
-
-    // Process results for this chunk
-    chunkResults.forEach((result) => {
-      if (result.success) {
-        successCount++;
+        await figma.loadFontAsync(prevailedFont);
+        node.fontName = prevailedFont;
+      } else if (options && options.smartStrategy === 'strict') {
+        return setCharactersWithStrictMatchFont(node, characters, fallbackFont);
+      } else if (options && options.smartStrategy === 'experimental') {
+        return setCharactersWithSmartMatchFont(node, characters, fallbackFont);
       } else {
-        failureCount++;
-      }
-      results.push(result);
-    });
-
-    // Send chunk processing complete update with partial results
-    sendProgressUpdate(
-      commandId,
-      'set_multiple_text_contents',
-      'in_progress',
-      Math.round(5 + ((chunkIndex + 1) / chunks.length) * 90), // 5-95% for processing
-      text.length,
-      successCount + failureCount,
-      `Completed chunk ${chunkIndex + 1}/${
-        chunks.length
-      }. ${successCount} successful, ${failureCount} failed so far.`,
-      {
-        currentChunk: chunkIndex + 1,
-        totalChunks: chunks.length,
-        successCount,
-        failureCount,
-        chunkResults: chunkResults,
+        const firstCharFont = node.getRangeFontName(0, 1);
+        await figma.loadFontAsync(firstCharFont);
+        node.fontName = firstCharFont;
       }
-    );
-
-    // Add a small delay between chunks to avoid overloading Figma
-    if (chunkIndex < chunks.length - 1) {
-      console.log('Pausing between chunks to avoid overloading Figma...');
-      await delay(1000); // 1 second delay between chunks
+    } else {
+      await figma.loadFontAsync({
+        family: node.fontName.family,
+        style: node.fontName.style,
+      });
     }
+  } catch (err) {
+    console.warn(
+      `Failed to load "${node.fontName['family']} ${node.fontName['style']}" font and replaced with fallback "${fallbackFont.family} ${fallbackFont.style}"`,
+      err
+    );
+    await figma.loadFontAsync(fallbackFont);
+    node.fontName = fallbackFont;
   }
+  try {
+    node.characters = characters;
+    return true;
+  } catch (err) {
+    console.warn(`Failed to set characters. Skipped.`, err);
+    return false;
+  }
+};
 
-  console.log(`Replacement complete: ${successCount} successful, ${failureCount} failed`);
-
-  // Send completed progress update
-  sendProgressUpdate(
-    commandId,
-    'set_multiple_text_contents',
-    'completed',
-    100,
-    text.length,
-    successCount + failureCount,
-    `Text replacement complete: ${successCount} successful, ${failureCount} failed`,
-    {
-      totalReplacements: text.length,
-      replacementsApplied: successCount,
-      replacementsFailed: failureCount,
-      completedInChunks: chunks.length,
-      results: results,
+const setCharactersWithStrictMatchFont = async (node, characters, fallbackFont) => {
+  const fontHashTree = {};
+  for (let i = 1; i < node.characters.length; i++) {
+    const startIdx = i - 1;
+    const startCharFont = node.getRangeFontName(startIdx, i);
+    const startCharFontVal = `${startCharFont.family}::${startCharFont.style}`;
+    while (i < node.characters.length) {
+      i++;
+      const charFont = node.getRangeFontName(i - 1, i);
+      if (startCharFontVal !== `${charFont.family}::${charFont.style}`) {
+        break;
+      }
     }
+    fontHashTree[`${startIdx}_${i}`] = startCharFontVal;
+  }
+  await figma.loadFontAsync(fallbackFont);
+  node.fontName = fallbackFont;
+  node.characters = characters;
+  console.log(fontHashTree);
+  await Promise.all(
+    Object.keys(fontHashTree).map(async (range) => {
+      console.log(range, fontHashTree[range]);
+      const [start, end] = range.split('_');
+      const [family, style] = fontHashTree[range].split('::');
+      const matchedFont = {
+        family,
+        style,
+      };
+      await figma.loadFontAsync(matchedFont);
+      return node.setRangeFontName(Number(start), Number(end), matchedFont);
+    })
   );
+  return true;
+};
 
-  return {
-    success: successCount > 0,
-    nodeId: nodeId,
-    replacementsApplied: successCount,
-    replacementsFailed: failureCount,
-    totalReplacements: text.length,
-    results: results,
-    completedInChunks: chunks.length,
-    commandId,
-  };
-}
+const getDelimiterPos = (str, delimiter, startIdx = 0, endIdx = str.length) => {
+  const indices = [];
+  let temp = startIdx;
+  for (let i = startIdx; i < endIdx; i++) {
+    if (str[i] === delimiter && i + startIdx !== endIdx && temp !== i + startIdx) {
+      indices.push([temp, i + startIdx]);
+      temp = i + startIdx + 1;
+    }
+  }
+  temp !== endIdx && indices.push([temp, endIdx]);
+  return indices.filter(Boolean);
+};
 
-// Function to generate simple UUIDs for command IDs
-function generateCommandId() {
-  return (
-    'cmd_' +
-    Math.random().toString(36).substring(2, 15) +
-    Math.random().toString(36).substring(2, 15)
+const buildLinearOrder = (node) => {
+  const fontTree = [];
+  const newLinesPos = getDelimiterPos(node.characters, '\n');
+  newLinesPos.forEach(([newLinesRangeStart, newLinesRangeEnd], n) => {
+    const newLinesRangeFont = node.getRangeFontName(newLinesRangeStart, newLinesRangeEnd);
+    if (newLinesRangeFont === figma.mixed) {
+      const spacesPos = getDelimiterPos(
+        node.characters,
+        ' ',
+        newLinesRangeStart,
+        newLinesRangeEnd
+      );
+      spacesPos.forEach(([spacesRangeStart, spacesRangeEnd], s) => {
+        const spacesRangeFont = node.getRangeFontName(spacesRangeStart, spacesRangeEnd);
+        if (spacesRangeFont === figma.mixed) {
+          const spacesRangeFont = node.getRangeFontName(spacesRangeStart, spacesRangeStart[0]);
+          fontTree.push({
+            start: spacesRangeStart,
+            delimiter: ' ',
+            family: spacesRangeFont.family,
+            style: spacesRangeFont.style,
+          });
+        } else {
+          fontTree.push({
+            start: spacesRangeStart,
+            delimiter: ' ',
+            family: spacesRangeFont.family,
+            style: spacesRangeFont.style,
+          });
+        }
+      });
+    } else {
+      fontTree.push({
+        start: newLinesRangeStart,
+        delimiter: '\n',
+        family: newLinesRangeFont.family,
+        style: newLinesRangeFont.style,
+      });
+    }
+  });
+  return fontTree
+    .sort((a, b) => +a.start - +b.start)
+    .map(({ family, style, delimiter }) => ({ family, style, delimiter }));
+};
+
+const setCharactersWithSmartMatchFont = async (node, characters, fallbackFont) => {
+  const rangeTree = buildLinearOrder(node);
+  const fontsToLoad = uniqBy(rangeTree, ({ family, style }) => `${family}::${style}`).map(
+    ({ family, style }) => ({
+      family,
+      style,
+    })
   );
-}
 
-async function setAutoLayout(params) {
-  const {
-    nodeId,
-    layoutMode,
-    paddingTop,
-    paddingBottom,
-    paddingLeft,
-    paddingRight,
-    itemSpacing,
-    primaryAxisAlignItems,
-    counterAxisAlignItems,
-    layoutWrap,
-    strokesIncludedInLayout,
-  } = params || {};
+  await Promise.all([...fontsToLoad, fallbackFont].map(figma.loadFontAsync));
+
+  node.fontName = fallbackFont;
+  node.characters = characters;
+
+  let prevPos = 0;
+  rangeTree.forEach(({ family, style, delimiter }) => {
+    if (prevPos < node.characters.length) {
+      const delimeterPos = node.characters.indexOf(delimiter, prevPos);
+      const endPos = delimeterPos > prevPos ? delimeterPos : node.characters.length;
+      const matchedFont = {
+        family,
+        style,
+      };
+      node.setRangeFontName(prevPos, endPos, matchedFont);
+      prevPos = endPos + 1;
+    }
+  });
+  return true;
+};
+
+// Add the cloneNode function implementation
+async function cloneNode(params) {
+  const { nodeId, x, y } = params || {};
 
   if (!nodeId) {
     throw new Error('Missing nodeId parameter');
   }
 
-  if (!layoutMode) {
-    throw new Error('Missing layoutMode parameter');
-  }
-
   const node = await figma.getNodeByIdAsync(nodeId);
   if (!node) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
 
-  // Check if the node is a frame or group
-  if (!('layoutMode' in node)) {
-    throw new Error(`Node does not support auto layout: ${nodeId}`);
-  }
-
-  // Configure layout mode
-  if (layoutMode === 'NONE') {
-    node.layoutMode = 'NONE';
-  } else {
-    // Set auto layout properties
-    node.layoutMode = layoutMode;
-
-    // Configure padding if provided
-    if (paddingTop !== undefined) node.paddingTop = paddingTop;
-    if (paddingBottom !== undefined) node.paddingBottom = paddingBottom;
-    if (paddingLeft !== undefined) node.paddingLeft = paddingLeft;
-    if (paddingRight !== undefined) node.paddingRight = paddingRight;
-
-    // Configure item spacing
-    if (itemSpacing !== undefined) node.itemSpacing = itemSpacing;
-
-    // Configure alignment
-    if (primaryAxisAlignItems !== undefined) {
-      node.primaryAxisAlignItems = primaryAxisAlignItems;
-    }
-
-    if (counterAxisAlignItems !== undefined) {
-      node.counterAxisAlignItems = counterAxisAlignItems;
-    }
+  // Clone the node
+  const clone = node.clone();
 
-    // Configure wrap
-    if (layoutWrap !== undefined) {
-      node.layoutWrap = layoutWrap;
+  // If x and y are provided, move the clone to that position
+  if (x !== undefined && y !== undefined) {
+    if (!('x' in clone) || !('y' in clone)) {
+      throw new Error(`Cloned node does not support position: ${nodeId}`);
     }
+    clone.x = x;
+    clone.y = y;
+  }
 
-    // Configure stroke inclusion
-    if (strokesIncludedInLayout !== undefined) {
-      node.strokesIncludedInLayout = strokesIncludedInLayout;
-    }
+  // Add the clone to the same parent as the original node
+  if (node.parent) {
+    node.parent.appendChild(clone);
+  } else {
+    figma.currentPage.appendChild(clone);
   }
 
   return {
-    id: node.id,
-    name: node.name,
-    layoutMode: node.layoutMode,
-    paddingTop: node.paddingTop,
-    paddingBottom: node.paddingBottom,
-    paddingLeft: node.paddingLeft,
-    paddingRight: node.paddingRight,
-    itemSpacing: node.itemSpacing,
-    primaryAxisAlignItems: node.primaryAxisAlignItems,
-    counterAxisAlignItems: node.counterAxisAlignItems,
-    layoutWrap: node.layoutWrap,
-    strokesIncludedInLayout: node.strokesIncludedInLayout,
+    id: clone.id,
+    name: clone.name,
+    x: 'x' in clone ? clone.x : undefined,
+    y: 'y' in clone ? clone.y : undefined,
+    width: 'width' in clone ? clone.width : undefined,
+    height: 'height' in clone ? clone.height : undefined,
   };
 }
 
-// Nuevas funciones para propiedades de texto
-
-async function setFontName(params) {
-  const { nodeId, family, style } = params || {};
-  if (!nodeId || !family) {
-    throw new Error('Missing nodeId or font family');
-  }
+async function scanTextNodes(params) {
+  console.log(`Starting to scan text nodes from node ID: ${params.nodeId}`);
+  const {
+    nodeId,
+    useChunking = true,
+    chunkSize = 10,
+    commandId = generateCommandId(),
+  } = params || {};
 
   const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
-
-  try {
-    await figma.loadFontAsync({ family, style: style || 'Regular' });
-    node.fontName = { family, style: style || 'Regular' };
-    return {
-      id: node.id,
-      name: node.name,
-      fontName: node.fontName,
-    };
-  } catch (error) {
-    throw new Error(`Error setting font name: ${error.message}`);
-  }
-}
-
-async function setFontSize(params) {
-  const { nodeId, fontSize } = params || {};
-  if (!nodeId || fontSize === undefined) {
-    throw new Error('Missing nodeId or fontSize');
-  }
-
-  const node = await figma.getNodeByIdAsync(nodeId);
   if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
-
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
+    console.error(`Node with ID ${nodeId} not found`);
+    // Send error progress update
+    sendProgressUpdate(
+      commandId,
+      'scan_text_nodes',
+      'error',
+      0,
+      0,
+      0,
+      `Node with ID ${nodeId} not found`,
+      { error: `Node not found: ${nodeId}` }
+    );
+    throw new Error(`Node with ID ${nodeId} not found`);
   }
 
-  try {
-    await figma.loadFontAsync(node.fontName);
-    node.fontSize = fontSize;
-    return {
-      id: node.id,
-      name: node.name,
-      fontSize: node.fontSize,
-    };
-  } catch (error) {
-    throw new Error(`Error setting font size: ${error.message}`);
-  }
-}
+  // If chunking is not enabled, use the original implementation
+  if (!useChunking) {
+    const textNodes = [];
+    try {
+      // Send started progress update
+      sendProgressUpdate(
+        commandId,
+        'scan_text_nodes',
+        'started',
+        0,
+        1, // Not known yet how many nodes there are
+        0,
+        `Starting scan of node "${node.name || nodeId}" without chunking`,
+        null
+      );
 
-async function setFontWeight(params) {
-  const { nodeId, weight } = params || {};
-  if (!nodeId || weight === undefined) {
-    throw new Error('Missing nodeId or weight');
-  }
+      await findTextNodes(node, [], 0, textNodes);
 
-  // Map weight to font style
-  const getFontStyle = (weight) => {
-    switch (weight) {
-      case 100:
-        return 'Thin';
-      case 200:
-        return 'Extra Light';
-      case 300:
-        return 'Light';
-      case 400:
-        return 'Regular';
-      case 500:
-        return 'Medium';
-      case 600:
-        return 'Semi Bold';
-      case 700:
-        return 'Bold';
-      case 800:
-        return 'Extra Bold';
-      case 900:
-        return 'Black';
-      default:
-        return 'Regular';
-    }
-  };
+      // Send completed progress update
+      sendProgressUpdate(
+        commandId,
+        'scan_text_nodes',
+        'completed',
+        100,
+        textNodes.length,
+        textNodes.length,
+        `Scan complete. Found ${textNodes.length} text nodes.`,
+        { textNodes }
+      );
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
+      return {
+        success: true,
+        message: `Scanned ${textNodes.length} text nodes.`,
+        count: textNodes.length,
+        textNodes: textNodes,
+        commandId,
+      };
+    } catch (error) {
+      console.error('Error scanning text nodes:', error);
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
+      // Send error progress update
+      sendProgressUpdate(
+        commandId,
+        'scan_text_nodes',
+        'error',
+        0,
+        0,
+        0,
+        `Error scanning text nodes: ${error.message}`,
+        { error: error.message }
+      );
 
-  try {
-    const family = node.fontName.family;
-    const style = getFontStyle(weight);
-    await figma.loadFontAsync({ family, style });
-    node.fontName = { family, style };
-    return {
-      id: node.id,
-      name: node.name,
-      fontName: node.fontName,
-      weight: weight,
-    };
-  } catch (error) {
-    throw new Error(`Error setting font weight: ${error.message}`);
+      throw new Error(`Error scanning text nodes: ${error.message}`);
+    }
   }
-}
 
-async function setLetterSpacing(params) {
-  const { nodeId, letterSpacing, unit = 'PIXELS' } = params || {};
-  if (!nodeId || letterSpacing === undefined) {
-    throw new Error('Missing nodeId or letterSpacing');
-  }
+  // Chunked implementation
+  console.log(`Using chunked scanning with chunk size: ${chunkSize}`);
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
+  // First, collect all nodes to process (without processing them yet)
+  const nodesToProcess = [];
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
+  // Send started progress update
+  sendProgressUpdate(
+    commandId,
+    'scan_text_nodes',
+    'started',
+    0,
+    0, // Not known yet how many nodes there are
+    0,
+    `Starting chunked scan of node "${node.name || nodeId}"`,
+    { chunkSize }
+  );
 
-  try {
-    await figma.loadFontAsync(node.fontName);
-    node.letterSpacing = { value: letterSpacing, unit };
-    return {
-      id: node.id,
-      name: node.name,
-      letterSpacing: node.letterSpacing,
-    };
-  } catch (error) {
-    throw new Error(`Error setting letter spacing: ${error.message}`);
-  }
-}
+  await collectNodesToProcess(node, [], 0, nodesToProcess);
 
-async function setLineHeight(params) {
-  const { nodeId, lineHeight, unit = 'PIXELS' } = params || {};
-  if (!nodeId || lineHeight === undefined) {
-    throw new Error('Missing nodeId or lineHeight');
-  }
+  const totalNodes = nodesToProcess.length;
+  console.log(`Found ${totalNodes} total nodes to process`);
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
+  // Calculate number of chunks needed
+  const totalChunks = Math.ceil(totalNodes / chunkSize);
+  console.log(`Will process in ${totalChunks} chunks`);
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
+  // Send update after node collection
+  sendProgressUpdate(
+    commandId,
+    'scan_text_nodes',
+    'in_progress',
+    5, // 5% progress for collection phase
+    totalNodes,
+    0,
+    `Found ${totalNodes} nodes to scan. Will process in ${totalChunks} chunks.`,
+    {
+      totalNodes,
+      totalChunks,
+      chunkSize,
+    }
+  );
 
-  try {
-    await figma.loadFontAsync(node.fontName);
-    node.lineHeight = { value: lineHeight, unit };
-    return {
-      id: node.id,
-      name: node.name,
-      lineHeight: node.lineHeight,
-    };
-  } catch (error) {
-    throw new Error(`Error setting line height: ${error.message}`);
-  }
-}
+  // Process nodes in chunks
+  const allTextNodes = [];
+  let processedNodes = 0;
+  let chunksProcessed = 0;
 
-async function setParagraphSpacing(params) {
-  const { nodeId, paragraphSpacing } = params || {};
-  if (!nodeId || paragraphSpacing === undefined) {
-    throw new Error('Missing nodeId or paragraphSpacing');
-  }
+  for (let i = 0; i < totalNodes; i += chunkSize) {
+    if (isCommandCancelled(commandId)) {
+      sendCancelledUpdate(commandId, 'scan_text_nodes', totalNodes, processedNodes, {
+        textNodesFound: allTextNodes.length,
+      });
+      return {
+        success: false,
+        cancelled: true,
+        message: `Scan cancelled after ${processedNodes} of ${totalNodes} nodes. Found ${allTextNodes.length} text nodes.`,
+        totalNodes: allTextNodes.length,
+        processedNodes: processedNodes,
+        chunks: chunksProcessed,
+        textNodes: allTextNodes,
+        commandId,
+      };
+    }
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
+    const chunkEnd = Math.min(i + chunkSize, totalNodes);
+    console.log(
+      `Processing chunk ${chunksProcessed + 1}/${totalChunks} (nodes ${i} to ${chunkEnd - 1})`
+    );
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
-
-  try {
-    await figma.loadFontAsync(node.fontName);
-    node.paragraphSpacing = paragraphSpacing;
-    return {
-      id: node.id,
-      name: node.name,
-      paragraphSpacing: node.paragraphSpacing,
-    };
-  } catch (error) {
-    throw new Error(`Error setting paragraph spacing: ${error.message}`);
-  }
-}
-
-async function setTextCase(params) {
-  const { nodeId, textCase } = params || {};
-  if (!nodeId || textCase === undefined) {
-    throw new Error('Missing nodeId or textCase');
-  }
-
-  // Valid textCase values: "ORIGINAL", "UPPER", "LOWER", "TITLE"
-  if (!['ORIGINAL', 'UPPER', 'LOWER', 'TITLE'].includes(textCase)) {
-    throw new Error('Invalid textCase value. Must be one of: ORIGINAL, UPPER, LOWER, TITLE');
-  }
+    // Send update before processing chunk
+    sendProgressUpdate(
+      commandId,
+      'scan_text_nodes',
+      'in_progress',
+      Math.round(5 + (chunksProcessed / totalChunks) * 90), // 5-95% for processing
+      totalNodes,
+      processedNodes,
+      `Processing chunk ${chunksProcessed + 1}/${totalChunks}`,
+      {
+        currentChunk: chunksProcessed + 1,
+        totalChunks,
+        textNodesFound: allTextNodes.length,
+      }
+    );
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
-  }
+    const chunkNodes = nodesToProcess.slice(i, chunkEnd);
+    const chunkTextNodes = [];
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
+    // Process each node in this chunk
+    for (const nodeInfo of chunkNodes) {
+      if (nodeInfo.node.type === 'TEXT') {
+        try {
+          const textNodeInfo = await processTextNode(
+            nodeInfo.node,
+            nodeInfo.parentPath,
+            nodeInfo.depth
+          );
+          if (textNodeInfo) {
+            chunkTextNodes.push(textNodeInfo);
+          }
+        } catch (error) {
+          console.error(`Error processing text node: ${error.message}`);
+          // Continue with other nodes
+        }
+      }
 
-  try {
-    await figma.loadFontAsync(node.fontName);
-    node.textCase = textCase;
-    return {
-      id: node.id,
-      name: node.name,
-      textCase: node.textCase,
-    };
-  } catch (error) {
-    throw new Error(`Error setting text case: ${error.message}`);
-  }
-}
+      // Brief delay to allow UI updates and prevent freezing
+      await delay(5);
+    }
 
-async function setTextDecoration(params) {
-  const { nodeId, textDecoration } = params || {};
-  if (!nodeId || textDecoration === undefined) {
-    throw new Error('Missing nodeId or textDecoration');
-  }
+    // Add results from this chunk
+    allTextNodes.push(...chunkTextNodes);
+    processedNodes += chunkNodes.length;
+    chunksProcessed++;
 
-  // Valid textDecoration values: "NONE", "UNDERLINE", "STRIKETHROUGH"
-  if (!['NONE', 'UNDERLINE', 'STRIKETHROUGH'].includes(textDecoration)) {
-    throw new Error(
-      'Invalid textDecoration value. Must be one of: NONE, UNDERLINE, STRIKETHROUGH'
+    // Send update after processing chunk
+    sendProgressUpdate(
+      commandId,
+      'scan_text_nodes',
+      'in_progress',
+      Math.round(5 + (chunksProcessed / totalChunks) * 90), // 5-95% for processing
+      totalNodes,
+      processedNodes,
+      `Processed chunk ${chunksProcessed}/${totalChunks}. Found ${allTextNodes.length} text nodes so far.`,
+      {
+        currentChunk: chunksProcessed,
+        totalChunks,
+        processedNodes,
+        textNodesFound: allTextNodes.length,
+        chunkResult: chunkTextNodes,
+      }
     );
-  }
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+    // Small delay between chunks to prevent UI freezing
+    if (i + chunkSize < totalNodes) {
+      await delay(50);
+    }
   }
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
+  // Send completed progress update
+  sendProgressUpdate(
+    commandId,
+    'scan_text_nodes',
+    'completed',
+    100,
+    totalNodes,
+    processedNodes,
+    `Scan complete. Found ${allTextNodes.length} text nodes.`,
+    {
+      textNodes: allTextNodes,
+      processedNodes,
+      chunks: chunksProcessed,
+    }
+  );
 
-  try {
-    await figma.loadFontAsync(node.fontName);
-    node.textDecoration = textDecoration;
-    return {
-      id: node.id,
-      name: node.name,
-      textDecoration: node.textDecoration,
-    };
-  } catch (error) {
-    throw new Error(`Error setting text decoration: ${error.message}`);
-  }
+  return {
+    success: true,
+    message: `Chunked scan complete. Found ${allTextNodes.length} text nodes.`,
+    totalNodes: allTextNodes.length,
+    processedNodes: processedNodes,
+    chunks: chunksProcessed,
+    textNodes: allTextNodes,
+    commandId,
+  };
 }
 
-async function getStyledTextSegments(params) {
-  const { nodeId, property } = params || {};
-  if (!nodeId || !property) {
-    throw new Error('Missing nodeId or property');
-  }
+// Helper function to collect all nodes that need to be processed
+async function collectNodesToProcess(node, parentPath = [], depth = 0, nodesToProcess = []) {
+  // Skip invisible nodes
+  if (node.visible === false) return;
 
-  // Valid properties: "fillStyleId", "fontName", "fontSize", "textCase",
-  // "textDecoration", "textStyleId", "fills", "letterSpacing", "lineHeight", "fontWeight"
-  const validProperties = [
-    'fillStyleId',
-    'fontName',
-    'fontSize',
-    'textCase',
-    'textDecoration',
-    'textStyleId',
-    'fills',
-    'letterSpacing',
-    'lineHeight',
-    'fontWeight',
-  ];
+  // Get the path to this node
+  const nodePath = [...parentPath, node.name || `Unnamed ${node.type}`];
 
-  if (!validProperties.includes(property)) {
-    throw new Error(`Invalid property. Must be one of: ${validProperties.join(', ')}`);
-  }
+  // Add this node to the processing list
+  nodesToProcess.push({
+    node: node,
+    parentPath: nodePath,
+    depth: depth,
+  });
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+  // Recursively add children
+  if ('children' in node) {
+    for (const child of node.children) {
+      await collectNodesToProcess(child, nodePath, depth + 1, nodesToProcess);
+    }
   }
+}
 
-  if (node.type !== 'TEXT') {
-    throw new Error(`Node is not a text node: ${nodeId}`);
-  }
+// Process a single text node
+async function processTextNode(node, parentPath, depth) {
+  if (node.type !== 'TEXT') return null;
 
   try {
-    const segments = node.getStyledTextSegments([property]);
-
-    // Prepare segments data in a format safe for serialization
-    const safeSegments = segments.map((segment) => {
-      const safeSegment = {
-        characters: segment.characters,
-        start: segment.start,
-        end: segment.end,
-      };
+    // Safely extract font information
+    let fontFamily = '';
+    let fontStyle = '';
 
-      // Handle different property types for safe serialization
-      if (property === 'fontName') {
-        if (segment[property] && typeof segment[property] === 'object') {
-          safeSegment[property] = {
-            family: segment[property].family || '',
-            style: segment[property].style || '',
-          };
-        } else {
-          safeSegment[property] = { family: '', style: '' };
-        }
-      } else if (property === 'letterSpacing' || property === 'lineHeight') {
-        // Handle spacing properties which have a value and unit
-        if (segment[property] && typeof segment[property] === 'object') {
-          safeSegment[property] = {
-            value: segment[property].value || 0,
-            unit: segment[property].unit || 'PIXELS',
-          };
-        } else {
-          safeSegment[property] = { value: 0, unit: 'PIXELS' };
-        }
-      } else if (property === 'fills') {
-        // Handle fills which can be complex
-        safeSegment[property] = segment[property]
-          ? JSON.parse(JSON.stringify(segment[property]))
-          : [];
-      } else {
-        // Handle simple properties
-        safeSegment[property] = segment[property];
+    if (node.fontName) {
+      if (typeof node.fontName === 'object') {
+        if ('family' in node.fontName) fontFamily = node.fontName.family;
+        if ('style' in node.fontName) fontStyle = node.fontName.style;
       }
+    }
 
-      return safeSegment;
-    });
-
-    return {
+    // Create a safe representation of the text node
+    const safeTextNode = {
       id: node.id,
-      name: node.name,
-      property: property,
-      segments: safeSegments,
+      name: node.name || 'Text',
+      type: node.type,
+      characters: node.characters,
+      fontSize: typeof node.fontSize === 'number' ? node.fontSize : 0,
+      fontFamily: fontFamily,
+      fontStyle: fontStyle,
+      x: typeof node.x === 'number' ? node.x : 0,
+      y: typeof node.y === 'number' ? node.y : 0,
+      width: typeof node.width === 'number' ? node.width : 0,
+      height: typeof node.height === 'number' ? node.height : 0,
+      path: parentPath.join(' > '),
+      depth: depth,
     };
-  } catch (error) {
-    throw new Error(`Error getting styled text segments: ${error.message}`);
-  }
-}
 
-async function loadFontAsyncWrapper(params) {
-  const { family, style = 'Regular' } = params || {};
-  if (!family) {
-    throw new Error('Missing font family');
-  }
+    // Highlight the node briefly (optional visual feedback)
+    try {
+      const originalFills = JSON.parse(JSON.stringify(node.fills));
+      node.fills = [
+        {
+          type: 'SOLID',
+          color: { r: 1, g: 0.5, b: 0 },
+          opacity: 0.3,
+        },
+      ];
 
-  try {
-    await figma.loadFontAsync({ family, style });
-    return {
-      success: true,
-      family: family,
-      style: style,
-      message: `Successfully loaded ${family} ${style}`,
-    };
-  } catch (error) {
-    throw new Error(`Error loading font: ${error.message}`);
+      // Brief delay for the highlight to be visible
+      await delay(100);
+
+      try {
+        node.fills = originalFills;
+      } catch (err) {
+        console.error('Error resetting fills:', err);
+      }
+    } catch (highlightErr) {
+      console.error('Error highlighting text node:', highlightErr);
+      // Continue anyway, highlighting is just visual feedback
+    }
+
+    return safeTextNode;
+  } catch (nodeErr) {
+    console.error('Error processing text node:', nodeErr);
+    return null;
   }
 }
 
-async function getRemoteComponents() {
-  try {
-    console.log('[REMOTE_COMPONENTS] Starting comprehensive component discovery...');
-    
-    // Load all pages to ensure we can search the entire document
-    console.log('[REMOTE_COMPONENTS] Loading all pages...');
-    await figma.loadAllPagesAsync();
-    
-    console.log('[REMOTE_COMPONENTS] Searching using findAllWithCriteria for better performance...');
-    
-    // Use the more efficient findAllWithCriteria method
-    const localComponents = figma.root.findAllWithCriteria({
-      types: ['COMPONENT'],
-    });
-    
-    // Find all component instances
-    const instances = figma.root.findAllWithCriteria({
-      types: ['INSTANCE'],
-    });
-    
-    // Find component sets as well
-    const componentSets = figma.root.findAllWithCriteria({
-      types: ['COMPONENT_SET'],
-    });
-    
-    console.log(`[REMOTE_COMPONENTS] Found ${localComponents.length} components, ${instances.length} instances, ${componentSets.length} component sets`);
-    
-    // Create a comprehensive map to track unique components
-    const componentMap = new Map();
-    
-    // Add local components (including those in document)
-    localComponents.forEach(component => {
-      if (component.key) {
-        componentMap.set(component.key, {
-          key: component.key,
-          id: component.id,
-          name: component.name,
-          description: component.description || '',
-          remote: component.remote || false,
-          type: component.remote ? 'imported_component' : 'local_component',
-          parent: component.parent ? component.parent.name : null,
-          page: component.parent && component.parent.type === 'PAGE' ? component.parent.name : 'unknown'
-        });
-      }
-    });
-    
-    // Add components from component sets
-    componentSets.forEach(componentSet => {
-      componentSet.children.forEach(component => {
-        if (component.type === 'COMPONENT' && component.key) {
-          componentMap.set(component.key, {
-            key: component.key,
-            id: component.id,
-            name: component.name,
-            description: component.description || '',
-            remote: component.remote || false,
-            type: component.remote ? 'imported_variant' : 'local_variant',
-            parent: componentSet.name,
-            variantSet: componentSet.name
-          });
+// A delay function that returns a promise
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Keep the original findTextNodes for backward compatibility
+async function findTextNodes(node, parentPath = [], depth = 0, textNodes = []) {
+  // Skip invisible nodes
+  if (node.visible === false) return;
+
+  // Get the path to this node including its name
+  const nodePath = [...parentPath, node.name || `Unnamed ${node.type}`];
+
+  if (node.type === 'TEXT') {
+    try {
+      // Safely extract font information to avoid Symbol serialization issues
+      let fontFamily = '';
+      let fontStyle = '';
+
+      if (node.fontName) {
+        if (typeof node.fontName === 'object') {
+          if ('family' in node.fontName) fontFamily = node.fontName.family;
+          if ('style' in node.fontName) fontStyle = node.fontName.style;
         }
-      });
-    });
-    
-    // Add components discovered from instances (team library components in use)
-    console.log(`[REMOTE_COMPONENTS] Analyzing ${instances.length} instances for team library components...`);
-    
-    const instanceAnalysisPromises = instances.map(async (instance) => {
+      }
+
+      // Create a safe representation of the text node with only serializable properties
+      const safeTextNode = {
+        id: node.id,
+        name: node.name || 'Text',
+        type: node.type,
+        characters: node.characters,
+        fontSize: typeof node.fontSize === 'number' ? node.fontSize : 0,
+        fontFamily: fontFamily,
+        fontStyle: fontStyle,
+        x: typeof node.x === 'number' ? node.x : 0,
+        y: typeof node.y === 'number' ? node.y : 0,
+        width: typeof node.width === 'number' ? node.width : 0,
+        height: typeof node.height === 'number' ? node.height : 0,
+        path: nodePath.join(' > '),
+        depth: depth,
+      };
+
+      // Only highlight the node if it's not being done via API
       try {
-        // Use getMainComponentAsync for proper team library access
-        const mainComponent = await instance.getMainComponentAsync();
-        if (mainComponent && mainComponent.key) {
-          const instanceInfo = {
-            instanceId: instance.id,
-            instanceName: instance.name,
-            componentKey: mainComponent.key,
-            componentId: mainComponent.id,
-            componentName: mainComponent.name,
-            isRemote: mainComponent.remote || false,
-            description: mainComponent.description || ''
-          };
-          
-          console.log(`[REMOTE_COMPONENTS] Found component: ${mainComponent.name} (remote: ${mainComponent.remote})`);
-          return instanceInfo;
+        // Safe way to create a temporary highlight without causing serialization issues
+        const originalFills = JSON.parse(JSON.stringify(node.fills));
+        node.fills = [
+          {
+            type: 'SOLID',
+            color: { r: 1, g: 0.5, b: 0 },
+            opacity: 0.3,
+          },
+        ];
+
+        // Promise-based delay instead of setTimeout
+        await delay(500);
+
+        try {
+          node.fills = originalFills;
+        } catch (err) {
+          console.error('Error resetting fills:', err);
         }
-      } catch (error) {
-        console.log(`[REMOTE_COMPONENTS] Could not resolve component for instance ${instance.id}: ${error.message}`);
+      } catch (highlightErr) {
+        console.error('Error highlighting text node:', highlightErr);
+        // Continue anyway, highlighting is just visual feedback
       }
-      return null;
+
+      textNodes.push(safeTextNode);
+    } catch (nodeErr) {
+      console.error('Error processing text node:', nodeErr);
+      // Skip this node but continue with others
+    }
+  }
+
+  // Recursively process children of container nodes
+  if ('children' in node) {
+    for (const child of node.children) {
+      await findTextNodes(child, nodePath, depth + 1, textNodes);
+    }
+  }
+}
+
+// Replace text in a specific node
+async function setMultipleTextContents(params) {
+  const { nodeId, text } = params || {};
+  const commandId = params.commandId || generateCommandId();
+
+  if (!nodeId || !text || !Array.isArray(text)) {
+    const errorMsg = 'Missing required parameters: nodeId and text array';
+
+    // Send error progress update
+    sendProgressUpdate(commandId, 'set_multiple_text_contents', 'error', 0, 0, 0, errorMsg, {
+      error: errorMsg,
     });
-    
-    // Wait for all instance analysis to complete
-    const instanceResults = await Promise.all(instanceAnalysisPromises);
-    const validInstanceResults = instanceResults.filter(result => result !== null);
-    
-    console.log(`[REMOTE_COMPONENTS] Successfully analyzed ${validInstanceResults.length} instances`);
-    
-    // Group by component key to count instances and avoid duplicates
-    const componentFromInstancesMap = new Map();
-    validInstanceResults.forEach(instanceInfo => {
-      if (!componentFromInstancesMap.has(instanceInfo.componentKey)) {
-        componentFromInstancesMap.set(instanceInfo.componentKey, {
-          key: instanceInfo.componentKey,
-          id: instanceInfo.componentId,
-          name: instanceInfo.componentName,
-          description: instanceInfo.description,
-          remote: instanceInfo.isRemote,
-          type: instanceInfo.isRemote ? 'team_library_component' : 'local_component_from_instance',
-          instanceCount: 1,
-          instances: [{ id: instanceInfo.instanceId, name: instanceInfo.instanceName }]
-        });
-      } else {
-        const existing = componentFromInstancesMap.get(instanceInfo.componentKey);
-        existing.instanceCount++;
-        existing.instances.push({ id: instanceInfo.instanceId, name: instanceInfo.instanceName });
+
+    throw new Error(errorMsg);
+  }
+
+  console.log(
+    `Starting text replacement for node: ${nodeId} with ${text.length} text replacements`
+  );
+
+  // Send started progress update
+  sendProgressUpdate(
+    commandId,
+    'set_multiple_text_contents',
+    'started',
+    0,
+    text.length,
+    0,
+    `Starting text replacement for ${text.length} nodes`,
+    { totalReplacements: text.length }
+  );
+
+  // Define the results array and counters
+  const results = [];
+  let successCount = 0;
+  let failureCount = 0;
+
+  // Split text replacements into chunks of 5
+  const CHUNK_SIZE = 5;
+  const chunks = [];
+
+  for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+    chunks.push(text.slice(i, i + CHUNK_SIZE));
+  }
+
+  console.log(`Split ${text.length} replacements into ${chunks.length} chunks`);
+
+  // Send chunking info update
+  sendProgressUpdate(
+    commandId,
+    'set_multiple_text_contents',
+    'in_progress',
+    5, // 5% progress for planning phase
+    text.length,
+    0,
+    `Preparing to replace text in ${text.length} nodes using ${chunks.length} chunks`,
+    {
+      totalReplacements: text.length,
+      chunks: chunks.length,
+      chunkSize: CHUNK_SIZE,
+    }
+  );
+
+  // Process each chunk sequentially
+  for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+    if (isCommandCancelled(commandId)) {
+      sendCancelledUpdate(commandId, 'set_multiple_text_contents', text.length, successCount + failureCount, {
+        successCount,
+        failureCount,
+      });
+      return {
+        success: successCount > 0,
+        cancelled: true,
+        nodeId: nodeId,
+        replacementsApplied: successCount,
+        replacementsFailed: failureCount,
+        totalReplacements: text.length,
+        results: results,
+        completedInChunks: chunkIndex,
+        commandId,
+      };
+    }
+
+    const chunk = chunks[chunkIndex];
+    console.log(
+      `Processing chunk ${chunkIndex + 1}/${chunks.length} with ${chunk.length} replacements`
+    );
+
+    // Send chunk processing start update
+    sendProgressUpdate(
+      commandId,
+      'set_multiple_text_contents',
+      'in_progress',
+      Math.round(5 + (chunkIndex / chunks.length) * 90), // 5-95% for processing
+      text.length,
+      successCount + failureCount,
+      `Processing text replacements chunk ${chunkIndex + 1}/${chunks.length}`,
+      {
+        currentChunk: chunkIndex + 1,
+        totalChunks: chunks.length,
+        successCount,
+        failureCount,
       }
-    });
-    
-    // Add these components to the main map, but don't overwrite local components
-    componentFromInstancesMap.forEach((componentInfo, key) => {
-      if (!componentMap.has(key)) {
-        componentMap.set(key, componentInfo);
-      } else {
-        // Update instance count for existing components
-        const existing = componentMap.get(key);
-        existing.instanceCount = (existing.instanceCount || 0) + componentInfo.instanceCount;
-        existing.instances = componentInfo.instances;
+    );
+
+    // Process replacements within a chunk in parallel
+    const chunkPromises = chunk.map(async (replacement) => {
+      if (!replacement.nodeId || replacement.text === undefined) {
+        console.error(`Missing nodeId or text for replacement`);
+        return {
+          success: false,
+          nodeId: replacement.nodeId || 'unknown',
+          error: 'Missing nodeId or text in replacement entry',
+        };
       }
-    });
-    
-    const allComponents = Array.from(componentMap.values());
-    
-    // Organize by type for better reporting
-    const byType = {
-      local_component: allComponents.filter(c => c.type === 'local_component').length,
-      local_variant: allComponents.filter(c => c.type === 'local_variant').length,
-      imported_component: allComponents.filter(c => c.type === 'imported_component').length,
-      imported_variant: allComponents.filter(c => c.type === 'imported_variant').length,
-      team_library_component: allComponents.filter(c => c.type === 'team_library_component').length
-    };
-    
-    console.log(`[REMOTE_COMPONENTS] Component breakdown:`, byType);
-    console.log(`[REMOTE_COMPONENTS] Total unique components found: ${allComponents.length}`);
-    
-    return {
-      success: true,
-      source: 'comprehensive_scan',
-      count: allComponents.length,
-      breakdown: byType,
-      components: allComponents.sort((a, b) => a.name.localeCompare(b.name))
-    };
-    
-  } catch (error) {
-    console.error('[REMOTE_COMPONENTS] Error getting components:', error);
-    throw new Error(`Error getting components: ${error.message}`);
-  }
-}
 
-// Get Team Library Analysis
-async function getTeamLibraryAnalysis() {
-  try {
-    console.log('[TEAM_LIBRARY_ANALYSIS] Starting team library component analysis...');
-    
-    // Load all pages to ensure complete analysis
-    await figma.loadAllPagesAsync();
-    
-    // Find all instances to analyze their source components
-    const allInstances = figma.root.findAllWithCriteria({
-      types: ['INSTANCE'],
-    });
-    
-    console.log(`[TEAM_LIBRARY_ANALYSIS] Found ${allInstances.length} instances to analyze`);
-    
-    const libraryMap = new Map();
-    const analysisPromises = allInstances.map(async (instance) => {
       try {
-        const mainComponent = await instance.getMainComponentAsync();
-        if (mainComponent && mainComponent.key) {
-          const isRemote = mainComponent.remote || false;
-          const libraryKey = isRemote ? `team_library_${mainComponent.key.split(':')[0]}` : 'local_document';
-          
-          if (!libraryMap.has(libraryKey)) {
-            libraryMap.set(libraryKey, {
-              libraryType: isRemote ? 'team_library' : 'local_document',
-              components: new Map(),
-              totalInstances: 0
-            });
-          }
-          
-          const library = libraryMap.get(libraryKey);
-          library.totalInstances++;
-          
-          if (!library.components.has(mainComponent.key)) {
-            library.components.set(mainComponent.key, {
-              key: mainComponent.key,
-              id: mainComponent.id,
-              name: mainComponent.name,
-              description: mainComponent.description || '',
-              remote: isRemote,
-              instanceCount: 1,
-              sampleInstance: {
-                id: instance.id,
-                name: instance.name,
-                page: instance.parent && instance.parent.type === 'PAGE' ? instance.parent.name : 'unknown'
-              }
-            });
-          } else {
-            library.components.get(mainComponent.key).instanceCount++;
+        console.log(`Attempting to replace text in node: ${replacement.nodeId}`);
+
+        // Get the text node to update (just to check it exists and get original text)
+        const textNode = await figma.getNodeByIdAsync(replacement.nodeId);
+
+        if (!textNode) {
+          console.error(`Text node not found: ${replacement.nodeId}`);
+          return {
+            success: false,
+            nodeId: replacement.nodeId,
+            error: `Node not found: ${replacement.nodeId}`,
+          };
+        }
+
+        if (textNode.type !== 'TEXT') {
+          console.error(
+            `Node is not a text node: ${replacement.nodeId} (type: ${textNode.type})`
+          );
+          return {
+            success: false,
+            nodeId: replacement.nodeId,
+            error: `Node is not a text node: ${replacement.nodeId} (type: ${textNode.type})`,
+          };
+        }
+
+        // Save original text for the result
+        const originalText = textNode.characters;
+        console.log(`Original text: "${originalText}"`);
+        console.log(`Will translate to: "${replacement.text}"`);
+
+        // Highlight the node before changing text
+        let originalFills;
+        try {
+          // Save original fills for restoration later
+          originalFills = JSON.parse(JSON.stringify(textNode.fills));
+          // Apply highlight color (orange with 30% opacity)
+          textNode.fills = [
+            {
+              type: 'SOLID',
+              color: { r: 1, g: 0.5, b: 0 },
+              opacity: 0.3,
+            },
+          ];
+        } catch (highlightErr) {
+          console.error(`Error highlighting text node: ${highlightErr.message}`);
+          // Continue anyway, highlighting is just visual feedback
+        }
+
+        // Use the existing setTextContent function to handle font loading and text setting
+        await setTextContent({
+          nodeId: replacement.nodeId,
+          text: replacement.text,
+        });
+
+        // Keep highlight for a moment after text change, then restore original fills
+        if (originalFills) {
+          try {
+            // Use delay function for consistent timing
+            await delay(500);
+            textNode.fills = originalFills;
+          } catch (restoreErr) {
+            console.error(`Error restoring fills: ${restoreErr.message}`);
           }
         }
+
+        console.log(`Successfully replaced text in node: ${replacement.nodeId}`);
+        return {
+          success: true,
+          nodeId: replacement.nodeId,
+          originalText: originalText,
+          translatedText: replacement.text,
+        };
       } catch (error) {
-        console.log(`[TEAM_LIBRARY_ANALYSIS] Could not analyze instance ${instance.id}: ${error.message}`);
+        console.error(`Error replacing text in node ${replacement.nodeId}: ${error.message}`);
+        return {
+          success: false,
+          nodeId: replacement.nodeId,
+          error: `Error applying replacement: ${error.message}`,
+        };
       }
     });
-    
-    await Promise.all(analysisPromises);
-    
-    // Convert to result format
-    const libraries = [];
-    libraryMap.forEach((library, libraryKey) => {
-      libraries.push({
-        libraryId: libraryKey,
-        type: library.libraryType,
-        componentCount: library.components.size,
-        totalInstances: library.totalInstances,
-        components: Array.from(library.components.values()).sort((a, b) => a.name.localeCompare(b.name))
-      });
-    });
-    
-    // Sort libraries by component count
-    libraries.sort((a, b) => b.componentCount - a.componentCount);
+
+    // Wait for all replacements in this chunk to complete
+    const chunkResults = await Promise.all(chunkPromises);
+
+    // Process results for this chunk
+    chunkResults.forEach((result) => {
+      if (result.success) {
+        successCount++;
+      } else {
+        failureCount++;
+      }
+      results.push(result);
+    });
+
+    // Send chunk processing complete update with partial results
+    sendProgressUpdate(
+      commandId,
+      'set_multiple_text_contents',
+      'in_progress',
+      Math.round(5 + ((chunkIndex + 1) / chunks.length) * 90), // 5-95% for processing
+      text.length,
+      successCount + failureCount,
+      `Completed chunk ${chunkIndex + 1}/${
+        chunks.length
+      }. ${successCount} successful, ${failureCount} failed so far.`,
+      {
+        currentChunk: chunkIndex + 1,
+        totalChunks: chunks.length,
+        successCount,
+        failureCount,
+        chunkResults: chunkResults,
+      }
+    );
+
+    // Add a small delay between chunks to avoid overloading Figma
+    if (chunkIndex < chunks.length - 1) {
+      console.log('Pausing between chunks to avoid overloading Figma...');
+      await delay(1000); // 1 second delay between chunks
+    }
+  }
+
+  console.log(`Replacement complete: ${successCount} successful, ${failureCount} failed`);
+
+  // Send completed progress update
+  sendProgressUpdate(
+    commandId,
+    'set_multiple_text_contents',
+    'completed',
+    100,
+    text.length,
+    successCount + failureCount,
+    `Text replacement complete: ${successCount} successful, ${failureCount} failed`,
+    {
+      totalReplacements: text.length,
+      replacementsApplied: successCount,
+      replacementsFailed: failureCount,
+      completedInChunks: chunks.length,
+      results: results,
+    }
+  );
+
+  return {
+    success: successCount > 0,
+    nodeId: nodeId,
+    replacementsApplied: successCount,
+    replacementsFailed: failureCount,
+    totalReplacements: text.length,
+    results: results,
+    completedInChunks: chunks.length,
+    commandId,
+  };
+}
+
+// Ask a running command to stop at its next checkpoint
+function cancelCommand(params) {
+  const { targetCommandId } = params || {};
+
+  if (!targetCommandId) {
+    throw new Error('Missing targetCommandId parameter');
+  }
+
+  if (!state.activeCommands.has(targetCommandId)) {
+    return { commandId: targetCommandId, cancelled: false, reason: 'Command is not running' };
+  }
+
+  state.cancelledCommands.add(targetCommandId);
+  return { commandId: targetCommandId, cancelled: true };
+}
+
+// Function to generate simple UUIDs for command IDs
+function generateCommandId() {
+  return (
+    'cmd_' +
+    Math.random().toString(36).substring(2, 15) +
+    Math.random().toString(36).substring(2, 15)
+  );
+}
+
+async function setAutoLayout(params) {
+  const {
+    nodeId,
+    layoutMode,
+    paddingTop,
+    paddingBottom,
+    paddingLeft,
+    paddingRight,
+    itemSpacing,
+    primaryAxisAlignItems,
+    counterAxisAlignItems,
+    layoutWrap,
+    strokesIncludedInLayout,
+    counterAxisSpacing,
+    counterAxisAlignContent,
+    primaryAxisSizingMode,
+    counterAxisSizingMode,
+    itemReverseZIndex,
+  } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!layoutMode) {
+    throw new Error('Missing layoutMode parameter');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  // Check if the node is a frame or group
+  if (!('layoutMode' in node)) {
+    throw new Error(`Node does not support auto layout: ${nodeId}`);
+  }
+
+  // Spacing between wrapped rows only applies once wrap is enabled
+  const effectiveWrap = layoutWrap !== undefined ? layoutWrap : node.layoutWrap;
+  if ((counterAxisSpacing !== undefined || counterAxisAlignContent !== undefined) && effectiveWrap !== 'WRAP') {
+    throw new Error('counterAxisSpacing and counterAxisAlignContent require layoutWrap WRAP');
+  }
+
+  // Configure layout mode
+  if (layoutMode === 'NONE') {
+    node.layoutMode = 'NONE';
+  } else {
+    // Set auto layout properties
+    node.layoutMode = layoutMode;
+
+    // Configure padding if provided
+    if (paddingTop !== undefined) node.paddingTop = paddingTop;
+    if (paddingBottom !== undefined) node.paddingBottom = paddingBottom;
+    if (paddingLeft !== undefined) node.paddingLeft = paddingLeft;
+    if (paddingRight !== undefined) node.paddingRight = paddingRight;
+
+    // Configure item spacing
+    if (itemSpacing !== undefined) node.itemSpacing = itemSpacing;
+
+    // Configure alignment
+    if (primaryAxisAlignItems !== undefined) {
+      node.primaryAxisAlignItems = primaryAxisAlignItems;
+    }
+
+    if (counterAxisAlignItems !== undefined) {
+      node.counterAxisAlignItems = counterAxisAlignItems;
+    }
+
+    // Configure wrap
+    if (layoutWrap !== undefined) {
+      node.layoutWrap = layoutWrap;
+    }
+
+    // Configure spacing and distribution of wrapped rows
+    if (counterAxisSpacing !== undefined) node.counterAxisSpacing = counterAxisSpacing;
+    if (counterAxisAlignContent !== undefined) {
+      node.counterAxisAlignContent = counterAxisAlignContent;
+    }
+
+    // Configure container sizing (FIXED keeps the current size, AUTO hugs the content)
+    if (primaryAxisSizingMode !== undefined) {
+      node.primaryAxisSizingMode = primaryAxisSizingMode;
+    }
+
+    if (counterAxisSizingMode !== undefined) {
+      node.counterAxisSizingMode = counterAxisSizingMode;
+    }
+
+    // Configure stroke inclusion
+    if (strokesIncludedInLayout !== undefined) {
+      node.strokesIncludedInLayout = strokesIncludedInLayout;
+    }
+
+    // Configure canvas stacking (first item on top)
+    if (itemReverseZIndex !== undefined) {
+      node.itemReverseZIndex = itemReverseZIndex;
+    }
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    layoutMode: node.layoutMode,
+    paddingTop: node.paddingTop,
+    paddingBottom: node.paddingBottom,
+    paddingLeft: node.paddingLeft,
+    paddingRight: node.paddingRight,
+    itemSpacing: node.itemSpacing,
+    primaryAxisAlignItems: node.primaryAxisAlignItems,
+    counterAxisAlignItems: node.counterAxisAlignItems,
+    layoutWrap: node.layoutWrap,
+    counterAxisSpacing: node.counterAxisSpacing,
+    counterAxisAlignContent: node.counterAxisAlignContent,
+    primaryAxisSizingMode: node.primaryAxisSizingMode,
+    counterAxisSizingMode: node.counterAxisSizingMode,
+    strokesIncludedInLayout: node.strokesIncludedInLayout,
+    itemReverseZIndex: node.itemReverseZIndex,
+  };
+}
+
+async function setLayoutChild(params) {
+  const {
+    nodeId,
+    layoutSizingHorizontal,
+    layoutSizingVertical,
+    layoutAlign,
+    layoutGrow,
+    layoutPositioning,
+    minWidth,
+    maxWidth,
+    minHeight,
+    maxHeight,
+    constraints,
+  } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!('layoutAlign' in node)) {
+    throw new Error(`Node does not support layout properties: ${nodeId}`);
+  }
+
+  const parent = node.parent;
+  const inAutoLayout = !!parent && 'layoutMode' in parent && parent.layoutMode !== 'NONE';
+  const canHug = node.type === 'TEXT' || ('layoutMode' in node && node.layoutMode !== 'NONE');
+
+  const childOnlyProperties = { layoutAlign, layoutGrow, layoutPositioning };
+  Object.keys(childOnlyProperties).forEach((property) => {
+    if (childOnlyProperties[property] !== undefined && !inAutoLayout) {
+      throw new Error(`${property} requires the node to be inside an auto layout frame`);
+    }
+  });
+
+  [
+    ['layoutSizingHorizontal', layoutSizingHorizontal],
+    ['layoutSizingVertical', layoutSizingVertical],
+  ].forEach(([property, value]) => {
+    if (value === 'FILL' && !inAutoLayout) {
+      throw new Error(`${property} FILL requires the node to be inside an auto layout frame`);
+    }
+    if (value === 'HUG' && !canHug) {
+      throw new Error(`${property} HUG is only supported on auto layout frames and text nodes`);
+    }
+  });
+
+  // Absolute positioning first: it changes which of the other properties apply
+  if (layoutPositioning !== undefined) node.layoutPositioning = layoutPositioning;
+
+  if (layoutSizingHorizontal !== undefined) node.layoutSizingHorizontal = layoutSizingHorizontal;
+  if (layoutSizingVertical !== undefined) node.layoutSizingVertical = layoutSizingVertical;
+  if (layoutAlign !== undefined) node.layoutAlign = layoutAlign;
+  if (layoutGrow !== undefined) node.layoutGrow = layoutGrow;
+
+  // null removes a min/max constraint
+  if (minWidth !== undefined) node.minWidth = minWidth;
+  if (maxWidth !== undefined) node.maxWidth = maxWidth;
+  if (minHeight !== undefined) node.minHeight = minHeight;
+  if (maxHeight !== undefined) node.maxHeight = maxHeight;
+
+  if (constraints !== undefined) {
+    if (!('constraints' in node)) {
+      throw new Error(`Node does not support constraints: ${nodeId}`);
+    }
+    if (inAutoLayout && node.layoutPositioning !== 'ABSOLUTE') {
+      throw new Error('Constraints only apply outside auto layout or with layoutPositioning ABSOLUTE');
+    }
+    node.constraints = Object.assign({}, node.constraints, constraints);
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    parentLayoutMode: inAutoLayout ? parent.layoutMode : 'NONE',
+    layoutSizingHorizontal: node.layoutSizingHorizontal,
+    layoutSizingVertical: node.layoutSizingVertical,
+    layoutAlign: node.layoutAlign,
+    layoutGrow: node.layoutGrow,
+    layoutPositioning: node.layoutPositioning,
+    minWidth: node.minWidth,
+    maxWidth: node.maxWidth,
+    minHeight: node.minHeight,
+    maxHeight: node.maxHeight,
+    constraints: 'constraints' in node ? node.constraints : undefined,
+    width: node.width,
+    height: node.height,
+  };
+}
+
+// Nuevas funciones para propiedades de texto
+
+async function setFontName(params) {
+  const { nodeId, family, style } = params || {};
+  if (!nodeId || !family) {
+    throw new Error('Missing nodeId or font family');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync({ family, style: style || 'Regular' });
+    node.fontName = { family, style: style || 'Regular' };
+    return {
+      id: node.id,
+      name: node.name,
+      fontName: node.fontName,
+    };
+  } catch (error) {
+    throw new Error(`Error setting font name: ${error.message}`);
+  }
+}
+
+async function setFontSize(params) {
+  const { nodeId, fontSize } = params || {};
+  if (!nodeId || fontSize === undefined) {
+    throw new Error('Missing nodeId or fontSize');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync(node.fontName);
+    node.fontSize = fontSize;
+    return {
+      id: node.id,
+      name: node.name,
+      fontSize: node.fontSize,
+    };
+  } catch (error) {
+    throw new Error(`Error setting font size: ${error.message}`);
+  }
+}
+
+async function setFontWeight(params) {
+  const { nodeId, weight } = params || {};
+  if (!nodeId || weight === undefined) {
+    throw new Error('Missing nodeId or weight');
+  }
+
+  // Map weight to font style
+  const getFontStyle = (weight) => {
+    switch (weight) {
+      case 100:
+        return 'Thin';
+      case 200:
+        return 'Extra Light';
+      case 300:
+        return 'Light';
+      case 400:
+        return 'Regular';
+      case 500:
+        return 'Medium';
+      case 600:
+        return 'Semi Bold';
+      case 700:
+        return 'Bold';
+      case 800:
+        return 'Extra Bold';
+      case 900:
+        return 'Black';
+      default:
+        return 'Regular';
+    }
+  };
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    const family = node.fontName.family;
+    const style = getFontStyle(weight);
+    await figma.loadFontAsync({ family, style });
+    node.fontName = { family, style };
+    return {
+      id: node.id,
+      name: node.name,
+      fontName: node.fontName,
+      weight: weight,
+    };
+  } catch (error) {
+    throw new Error(`Error setting font weight: ${error.message}`);
+  }
+}
+
+async function setLetterSpacing(params) {
+  const { nodeId, letterSpacing, unit = 'PIXELS' } = params || {};
+  if (!nodeId || letterSpacing === undefined) {
+    throw new Error('Missing nodeId or letterSpacing');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync(node.fontName);
+    node.letterSpacing = { value: letterSpacing, unit };
+    return {
+      id: node.id,
+      name: node.name,
+      letterSpacing: node.letterSpacing,
+    };
+  } catch (error) {
+    throw new Error(`Error setting letter spacing: ${error.message}`);
+  }
+}
+
+async function setLineHeight(params) {
+  const { nodeId, lineHeight, unit = 'PIXELS' } = params || {};
+  if (!nodeId || lineHeight === undefined) {
+    throw new Error('Missing nodeId or lineHeight');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync(node.fontName);
+    node.lineHeight = { value: lineHeight, unit };
+    return {
+      id: node.id,
+      name: node.name,
+      lineHeight: node.lineHeight,
+    };
+  } catch (error) {
+    throw new Error(`Error setting line height: ${error.message}`);
+  }
+}
+
+async function setParagraphSpacing(params) {
+  const { nodeId, paragraphSpacing } = params || {};
+  if (!nodeId || paragraphSpacing === undefined) {
+    throw new Error('Missing nodeId or paragraphSpacing');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync(node.fontName);
+    node.paragraphSpacing = paragraphSpacing;
+    return {
+      id: node.id,
+      name: node.name,
+      paragraphSpacing: node.paragraphSpacing,
+    };
+  } catch (error) {
+    throw new Error(`Error setting paragraph spacing: ${error.message}`);
+  }
+}
+
+async function setTextCase(params) {
+  const { nodeId, textCase } = params || {};
+  if (!nodeId || textCase === undefined) {
+    throw new Error('Missing nodeId or textCase');
+  }
+
+  // Valid textCase values: "ORIGINAL", "UPPER", "LOWER", "TITLE"
+  if (!['ORIGINAL', 'UPPER', 'LOWER', 'TITLE'].includes(textCase)) {
+    throw new Error('Invalid textCase value. Must be one of: ORIGINAL, UPPER, LOWER, TITLE');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync(node.fontName);
+    node.textCase = textCase;
+    return {
+      id: node.id,
+      name: node.name,
+      textCase: node.textCase,
+    };
+  } catch (error) {
+    throw new Error(`Error setting text case: ${error.message}`);
+  }
+}
+
+async function setTextDecoration(params) {
+  const { nodeId, textDecoration } = params || {};
+  if (!nodeId || textDecoration === undefined) {
+    throw new Error('Missing nodeId or textDecoration');
+  }
+
+  // Valid textDecoration values: "NONE", "UNDERLINE", "STRIKETHROUGH"
+  if (!['NONE', 'UNDERLINE', 'STRIKETHROUGH'].includes(textDecoration)) {
+    throw new Error(
+      'Invalid textDecoration value. Must be one of: NONE, UNDERLINE, STRIKETHROUGH'
+    );
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    await figma.loadFontAsync(node.fontName);
+    node.textDecoration = textDecoration;
+    return {
+      id: node.id,
+      name: node.name,
+      textDecoration: node.textDecoration,
+    };
+  } catch (error) {
+    throw new Error(`Error setting text decoration: ${error.message}`);
+  }
+}
+
+async function getStyledTextSegments(params) {
+  const { nodeId, property } = params || {};
+  if (!nodeId || !property) {
+    throw new Error('Missing nodeId or property');
+  }
+
+  // Valid properties: "fillStyleId", "fontName", "fontSize", "textCase",
+  // "textDecoration", "textStyleId", "fills", "letterSpacing", "lineHeight", "fontWeight"
+  const validProperties = [
+    'fillStyleId',
+    'fontName',
+    'fontSize',
+    'textCase',
+    'textDecoration',
+    'textStyleId',
+    'fills',
+    'letterSpacing',
+    'lineHeight',
+    'fontWeight',
+  ];
+
+  if (!validProperties.includes(property)) {
+    throw new Error(`Invalid property. Must be one of: ${validProperties.join(', ')}`);
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (node.type !== 'TEXT') {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
+
+  try {
+    const segments = node.getStyledTextSegments([property]);
+
+    // Prepare segments data in a format safe for serialization
+    const safeSegments = segments.map((segment) => {
+      const safeSegment = {
+        characters: segment.characters,
+        start: segment.start,
+        end: segment.end,
+      };
+
+      // Handle different property types for safe serialization
+      if (property === 'fontName') {
+        if (segment[property] && typeof segment[property] === 'object') {
+          safeSegment[property] = {
+            family: segment[property].family || '',
+            style: segment[property].style || '',
+          };
+        } else {
+          safeSegment[property] = { family: '', style: '' };
+        }
+      } else if (property === 'letterSpacing' || property === 'lineHeight') {
+        // Handle spacing properties which have a value and unit
+        if (segment[property] && typeof segment[property] === 'object') {
+          safeSegment[property] = {
+            value: segment[property].value || 0,
+            unit: segment[property].unit || 'PIXELS',
+          };
+        } else {
+          safeSegment[property] = { value: 0, unit: 'PIXELS' };
+        }
+      } else if (property === 'fills') {
+        // Handle fills which can be complex
+        safeSegment[property] = segment[property]
+          ? JSON.parse(JSON.stringify(segment[property]))
+          : [];
+      } else {
+        // Handle simple properties
+        safeSegment[property] = segment[property];
+      }
+
+      return safeSegment;
+    });
+
+    return {
+      id: node.id,
+      name: node.name,
+      property: property,
+      segments: safeSegments,
+    };
+  } catch (error) {
+    throw new Error(`Error getting styled text segments: ${error.message}`);
+  }
+}
+
+async function loadFontAsyncWrapper(params) {
+  const { family, style = 'Regular' } = params || {};
+  if (!family) {
+    throw new Error('Missing font family');
+  }
+
+  try {
+    await figma.loadFontAsync({ family, style });
+    return {
+      success: true,
+      family: family,
+      style: style,
+      message: `Successfully loaded ${family} ${style}`,
+    };
+  } catch (error) {
+    throw new Error(`Error loading font: ${error.message}`);
+  }
+}
+
+async function getRemoteComponents() {
+  try {
+    console.log('[REMOTE_COMPONENTS] Starting comprehensive component discovery...');
+    
+    // Load all pages to ensure we can search the entire document
+    console.log('[REMOTE_COMPONENTS] Loading all pages...');
+    await figma.loadAllPagesAsync();
+    
+    console.log('[REMOTE_COMPONENTS] Searching using findAllWithCriteria for better performance...');
+    
+    // Use the more efficient findAllWithCriteria method
+    const localComponents = figma.root.findAllWithCriteria({
+      types: ['COMPONENT'],
+    });
+    
+    // Find all component instances
+    const instances = figma.root.findAllWithCriteria({
+      types: ['INSTANCE'],
+    });
+    
+    // Find component sets as well
+    const componentSets = figma.root.findAllWithCriteria({
+      types: ['COMPONENT_SET'],
+    });
+    
+    console.log(`[REMOTE_COMPONENTS] Found ${localComponents.length} components, ${instances.length} instances, ${componentSets.length} component sets`);
+    
+    // Create a comprehensive map to track unique components
+    const componentMap = new Map();
+    
+    // Add local components (including those in document)
+    localComponents.forEach(component => {
+      if (component.key) {
+        componentMap.set(component.key, {
+          key: component.key,
+          id: component.id,
+          name: component.name,
+          description: component.description || '',
+          remote: component.remote || false,
+          type: component.remote ? 'imported_component' : 'local_component',
+          parent: component.parent ? component.parent.name : null,
+          page: component.parent && component.parent.type === 'PAGE' ? component.parent.name : 'unknown'
+        });
+      }
+    });
+    
+    // Add components from component sets
+    componentSets.forEach(componentSet => {
+      componentSet.children.forEach(component => {
+        if (component.type === 'COMPONENT' && component.key) {
+          componentMap.set(component.key, {
+            key: component.key,
+            id: component.id,
+            name: component.name,
+            description: component.description || '',
+            remote: component.remote || false,
+            type: component.remote ? 'imported_variant' : 'local_variant',
+            parent: componentSet.name,
+            variantSet: componentSet.name
+          });
+        }
+      });
+    });
+    
+    // Add components discovered from instances (team library components in use)
+    console.log(`[REMOTE_COMPONENTS] Analyzing ${instances.length} instances for team library components...`);
+    
+    const instanceAnalysisPromises = instances.map(async (instance) => {
+      try {
+        // Use getMainComponentAsync for proper team library access
+        const mainComponent = await instance.getMainComponentAsync();
+        if (mainComponent && mainComponent.key) {
+          const instanceInfo = {
+            instanceId: instance.id,
+            instanceName: instance.name,
+            componentKey: mainComponent.key,
+            componentId: mainComponent.id,
+            componentName: mainComponent.name,
+            isRemote: mainComponent.remote || false,
+            description: mainComponent.description || ''
+          };
+          
+          console.log(`[REMOTE_COMPONENTS] Found component: ${mainComponent.name} (remote: ${mainComponent.remote})`);
+          return instanceInfo;
+        }
+      } catch (error) {
+        console.log(`[REMOTE_COMPONENTS] Could not resolve component for instance ${instance.id}: ${error.message}`);
+      }
+      return null;
+    });
+    
+    // Wait for all instance analysis to complete
+    const instanceResults = await Promise.all(instanceAnalysisPromises);
+    const validInstanceResults = instanceResults.filter(result => result !== null);
+    
+    console.log(`[REMOTE_COMPONENTS] Successfully analyzed ${validInstanceResults.length} instances`);
+    
+    // Group by component key to count instances and avoid duplicates
+    const componentFromInstancesMap = new Map();
+    validInstanceResults.forEach(instanceInfo => {
+      if (!componentFromInstancesMap.has(instanceInfo.componentKey)) {
+        componentFromInstancesMap.set(instanceInfo.componentKey, {
+          key: instanceInfo.componentKey,
+          id: instanceInfo.componentId,
+          name: instanceInfo.componentName,
+          description: instanceInfo.description,
+          remote: instanceInfo.isRemote,
+          type: instanceInfo.isRemote ? 'team_library_component' : 'local_component_from_instance',
+          instanceCount: 1,
+          instances: [{ id: instanceInfo.instanceId, name: instanceInfo.instanceName }]
+        });
+      } else {
+        const existing = componentFromInstancesMap.get(instanceInfo.componentKey);
+        existing.instanceCount++;
+        existing.instances.push({ id: instanceInfo.instanceId, name: instanceInfo.instanceName });
+      }
+    });
+    
+    // Add these components to the main map, but don't overwrite local components
+    componentFromInstancesMap.forEach((componentInfo, key) => {
+      if (!componentMap.has(key)) {
+        componentMap.set(key, componentInfo);
+      } else {
+        // Update instance count for existing components
+        const existing = componentMap.get(key);
+        existing.instanceCount = (existing.instanceCount || 0) + componentInfo.instanceCount;
+        existing.instances = componentInfo.instances;
+      }
+    });
+    
+    const allComponents = Array.from(componentMap.values());
+    
+    // Organize by type for better reporting
+    const byType = {
+      local_component: allComponents.filter(c => c.type === 'local_component').length,
+      local_variant: allComponents.filter(c => c.type === 'local_variant').length,
+      imported_component: allComponents.filter(c => c.type === 'imported_component').length,
+      imported_variant: allComponents.filter(c => c.type === 'imported_variant').length,
+      team_library_component: allComponents.filter(c => c.type === 'team_library_component').length
+    };
+    
+    console.log(`[REMOTE_COMPONENTS] Component breakdown:`, byType);
+    console.log(`[REMOTE_COMPONENTS] Total unique components found: ${allComponents.length}`);
+    
+    return {
+      success: true,
+      source: 'comprehensive_scan',
+      count: allComponents.length,
+      breakdown: byType,
+      components: allComponents.sort((a, b) => a.name.localeCompare(b.name))
+    };
+    
+  } catch (error) {
+    console.error('[REMOTE_COMPONENTS] Error getting components:', error);
+    throw new Error(`Error getting components: ${error.message}`);
+  }
+}
+
+// Get Team Library Analysis
+async function getTeamLibraryAnalysis() {
+  try {
+    console.log('[TEAM_LIBRARY_ANALYSIS] Starting team library component analysis...');
+    
+    // Load all pages to ensure complete analysis
+    await figma.loadAllPagesAsync();
+    
+    // Find all instances and resolve their source components
+    const discoveredInstances = await findInstancesWithMainComponent(figma.root);
+    
+    console.log(`[TEAM_LIBRARY_ANALYSIS] Found ${discoveredInstances.length} instances to analyze`);
+    
+    const libraryMap = new Map();
+    discoveredInstances.forEach(({ instance, mainComponent }) => {
+      if (mainComponent && mainComponent.key) {
+        const isRemote = mainComponent.remote || false;
+        const libraryKey = isRemote ? `team_library_${mainComponent.key.split(':')[0]}` : 'local_document';
+        
+        if (!libraryMap.has(libraryKey)) {
+          libraryMap.set(libraryKey, {
+            libraryType: isRemote ? 'team_library' : 'local_document',
+            components: new Map(),
+            totalInstances: 0
+          });
+        }
+        
+        const library = libraryMap.get(libraryKey);
+        library.totalInstances++;
+        
+        if (!library.components.has(mainComponent.key)) {
+          library.components.set(mainComponent.key, {
+            key: mainComponent.key,
+            id: mainComponent.id,
+            name: mainComponent.name,
+            description: mainComponent.description || '',
+            remote: isRemote,
+            instanceCount: 1,
+            sampleInstance: {
+              id: instance.id,
+              name: instance.name,
+              page: instance.parent && instance.parent.type === 'PAGE' ? instance.parent.name : 'unknown'
+            }
+          });
+        } else {
+          library.components.get(mainComponent.key).instanceCount++;
+        }
+      }
+    });
+    
+    // Convert to result format
+    const libraries = [];
+    libraryMap.forEach((library, libraryKey) => {
+      libraries.push({
+        libraryId: libraryKey,
+        type: library.libraryType,
+        componentCount: library.components.size,
+        totalInstances: library.totalInstances,
+        components: Array.from(library.components.values()).sort((a, b) => a.name.localeCompare(b.name))
+      });
+    });
+    
+    // Sort libraries by component count
+    libraries.sort((a, b) => b.componentCount - a.componentCount);
     
     const summary = {
       totalLibraries: libraries.length,
@@ -3297,970 +4928,3150 @@ async function getTeamLibraryAnalysis() {
       teamLibraries: libraries.filter(lib => lib.type === 'team_library').length,
       localComponents: libraries.filter(lib => lib.type === 'local_document').length
     };
-    
-    console.log(`[TEAM_LIBRARY_ANALYSIS] Analysis complete:`, summary);
-    
+    
+    console.log(`[TEAM_LIBRARY_ANALYSIS] Analysis complete:`, summary);
+    
+    return {
+      success: true,
+      summary,
+      libraries,
+      apiLimitations: {
+        note: 'Figma Plugin API cannot browse team library catalogs directly',
+        explanation: 'Components are discovered only through existing instances in the document',
+        recommendation: 'To access more components, create instances of desired components first'
+      }
+    };
+    
+  } catch (error) {
+    console.error('[TEAM_LIBRARY_ANALYSIS] Error analyzing team libraries:', error);
+    throw new Error(`Error analyzing team libraries: ${error.message}`);
+  }
+}
+
+// Translate an MCP effect description into a valid Figma Effect
+function buildEffect(effect) {
+  // Ensure all effects have the required properties
+  if (!effect.type) {
+    throw new Error('Each effect must have a type property');
+  }
+
+  // Create a clean effect object based on type
+  switch (effect.type) {
+    case 'DROP_SHADOW':
+    case 'INNER_SHADOW':
+      return {
+        type: effect.type,
+        color: effect.color || { r: 0, g: 0, b: 0, a: 0.5 },
+        offset: effect.offset || { x: 0, y: 0 },
+        radius: effect.radius || 5,
+        spread: effect.spread || 0,
+        visible: effect.visible !== undefined ? effect.visible : true,
+        blendMode: effect.blendMode || 'NORMAL',
+      };
+    case 'LAYER_BLUR':
+    case 'BACKGROUND_BLUR':
+      return {
+        type: effect.type,
+        radius: effect.radius || 5,
+        visible: effect.visible !== undefined ? effect.visible : true,
+      };
+    default:
+      throw new Error(`Unsupported effect type: ${effect.type}`);
+  }
+}
+
+// Set Effects Tool
+async function setEffects(params) {
+  const { nodeId, effects } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!effects || !Array.isArray(effects)) {
+    throw new Error('Missing or invalid effects parameter. Must be an array.');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!('effects' in node)) {
+    throw new Error(`Node does not support effects: ${nodeId}`);
+  }
+
+  try {
+    // Convert incoming effects to valid Figma effects
+    const validEffects = effects.map(buildEffect);
+
+    // Apply the effects to the node
+    node.effects = validEffects;
+
+    return {
+      id: node.id,
+      name: node.name,
+      effects: node.effects,
+    };
+  } catch (error) {
+    throw new Error(`Error setting effects: ${error.message}`);
+  }
+}
+
+// Set Effect Style ID Tool
+async function setEffectStyleId(params) {
+  const { nodeId, effectStyleId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!effectStyleId) {
+    throw new Error('Missing effectStyleId parameter');
+  }
+
+  try {
+    // Set up a manual timeout to detect long operations
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(
+          new Error(
+            'Timeout while setting effect style ID (8s). The operation took too long to complete.'
+          )
+        );
+      }, 8000); // 8 seconds timeout
+    });
+
+    console.log(`Starting to set effect style ID ${effectStyleId} on node ${nodeId}...`);
+
+    // Get node and validate in a promise
+    const nodePromise = (async () => {
+      const node = await figma.getNodeByIdAsync(nodeId);
+      if (!node) {
+        throw new Error(`Node not found with ID: ${nodeId}`);
+      }
+
+      if (!('effectStyleId' in node)) {
+        throw new Error(`Node with ID ${nodeId} does not support effect styles`);
+      }
+
+      // Try to validate the effect style exists before applying
+      console.log(`Fetching effect styles to validate style ID: ${effectStyleId}`);
+      const effectStyles = await figma.getLocalEffectStylesAsync();
+      const foundStyle = effectStyles.find((style) => style.id === effectStyleId);
+
+      if (!foundStyle) {
+        throw new Error(
+          `Effect style not found with ID: ${effectStyleId}. Available styles: ${effectStyles.length}`
+        );
+      }
+
+      console.log(`Effect style found, applying to node...`);
+
+      // Apply the effect style to the node
+      node.effectStyleId = effectStyleId;
+
+      return {
+        id: node.id,
+        name: node.name,
+        effectStyleId: node.effectStyleId,
+        appliedEffects: node.effects,
+      };
+    })();
+
+    // Race between the node operation and the timeout
+    const result = await Promise.race([nodePromise, timeoutPromise]).finally(() => {
+      // Clear the timeout to prevent memory leaks
+      clearTimeout(timeoutId);
+    });
+
+    console.log(`Successfully set effect style ID on node ${nodeId}`);
+    return result;
+  } catch (error) {
+    console.error(`Error setting effect style ID: ${error.message || 'Unknown error'}`);
+    console.error(`Stack trace: ${error.stack || 'Not available'}`);
+
+    // Proporcionar mensajes de error específicos para diferentes casos
+    if (error.message.includes('timeout') || error.message.includes('Timeout')) {
+      throw new Error(
+        `The operation timed out after 8 seconds. This could happen with complex nodes or effects. Try with a simpler node or effect style.`
+      );
+    } else if (error.message.includes('not found') && error.message.includes('Node')) {
+      throw new Error(
+        `Node with ID "${nodeId}" not found. Make sure the node exists in the current document.`
+      );
+    } else if (error.message.includes('not found') && error.message.includes('style')) {
+      throw new Error(
+        `Effect style with ID "${effectStyleId}" not found. Make sure the style exists in your local styles.`
+      );
+    } else if (error.message.includes('does not support')) {
+      throw new Error(
+        `The selected node type does not support effect styles. Only certain node types like frames, components, and instances can have effect styles.`
+      );
+    } else {
+      throw new Error(`Error setting effect style ID: ${error.message}`);
+    }
+  }
+}
+
+// Function to group nodes
+async function groupNodes(params) {
+  const { nodeIds, name } = params || {};
+
+  if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length < 2) {
+    throw new Error('Must provide at least two nodeIds to group');
+  }
+
+  try {
+    // Get all nodes to be grouped
+    const nodesToGroup = [];
+    for (const nodeId of nodeIds) {
+      const node = await figma.getNodeByIdAsync(nodeId);
+      if (!node) {
+        throw new Error(`Node not found with ID: ${nodeId}`);
+      }
+      nodesToGroup.push(node);
+    }
+
+    // Verify that all nodes have the same parent
+    const parent = nodesToGroup[0].parent;
+    for (const node of nodesToGroup) {
+      if (node.parent !== parent) {
+        throw new Error('All nodes must have the same parent to be grouped');
+      }
+    }
+
+    // Create a group and add the nodes to it
+    const group = figma.group(nodesToGroup, parent);
+
+    // Optionally set a name for the group
+    if (name) {
+      group.name = name;
+    }
+
+    return {
+      id: group.id,
+      name: group.name,
+      type: group.type,
+      children: group.children.map((child) => ({
+        id: child.id,
+        name: child.name,
+        type: child.type,
+      })),
+    };
+  } catch (error) {
+    throw new Error(`Error grouping nodes: ${error.message}`);
+  }
+}
+
+// Function to ungroup nodes
+async function ungroupNodes(params) {
+  const { nodeId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
+    }
+
+    // Verify that the node is a group or a frame
+    if (node.type !== 'GROUP' && node.type !== 'FRAME') {
+      throw new Error(`Node with ID ${nodeId} is not a GROUP or FRAME`);
+    }
+
+    // Get the parent and children before ungrouping
+    const parent = node.parent;
+    const children = [...node.children];
+
+    // Ungroup the node
+    const ungroupedItems = figma.ungroup(node);
+
+    return {
+      success: true,
+      ungroupedCount: ungroupedItems.length,
+      items: ungroupedItems.map((item) => ({ id: item.id, name: item.name, type: item.type })),
+    };
+  } catch (error) {
+    throw new Error(`Error ungrouping node: ${error.message}`);
+  }
+}
+
+// Function to flatten nodes (e.g., boolean operations, convert to path)
+async function flattenNode(params) {
+  const { nodeId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
+    }
+
+    // Check for specific node types that can be flattened
+    const flattenableTypes = [
+      'VECTOR',
+      'BOOLEAN_OPERATION',
+      'STAR',
+      'POLYGON',
+      'ELLIPSE',
+      'RECTANGLE',
+    ];
+
+    if (!flattenableTypes.includes(node.type)) {
+      throw new Error(
+        `Node with ID ${nodeId} and type ${node.type} cannot be flattened. Only vector-based nodes can be flattened.`
+      );
+    }
+
+    // Verify the node has the flatten method before calling it
+    if (typeof node.flatten !== 'function') {
+      throw new Error(`Node with ID ${nodeId} does not support the flatten operation.`);
+    }
+
+    // Implement a timeout mechanism
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(
+          new Error(
+            'Flatten operation timed out after 8 seconds. The node may be too complex.'
+          )
+        );
+      }, 8000); // 8 seconds timeout
+    });
+
+    // Execute the flatten operation in a promise
+    const flattenPromise = new Promise((resolve, reject) => {
+      // Execute in the next tick to allow UI updates
+      setTimeout(() => {
+        try {
+          console.log(`Starting flatten operation for node ID ${nodeId}...`);
+          const flattened = node.flatten();
+          console.log(`Flatten operation completed successfully for node ID ${nodeId}`);
+          resolve(flattened);
+        } catch (err) {
+          console.error(`Error during flatten operation: ${err.message}`);
+          reject(err);
+        }
+      }, 0);
+    });
+
+    // Race between the timeout and the operation
+    const flattened = await Promise.race([flattenPromise, timeoutPromise]).finally(() => {
+      // Clear the timeout to prevent memory leaks
+      clearTimeout(timeoutId);
+    });
+
+    return {
+      id: flattened.id,
+      name: flattened.name,
+      type: flattened.type,
+    };
+  } catch (error) {
+    console.error(`Error in flattenNode: ${error.message}`);
+    if (error.message.includes('timed out')) {
+      // Provide a more helpful message for timeout errors
+      throw new Error(
+        `The flatten operation timed out. This usually happens with complex nodes. Try simplifying the node first or breaking it into smaller parts.`
+      );
+    } else {
+      throw new Error(`Error flattening node: ${error.message}`);
+    }
+  }
+}
+
+// Function to insert a child into a parent node
+async function insertChild(params) {
+  const { parentId, childId, index } = params || {};
+
+  if (!parentId) {
+    throw new Error('Missing parentId parameter');
+  }
+
+  if (!childId) {
+    throw new Error('Missing childId parameter');
+  }
+
+  try {
+    // Get the parent and child nodes
+    const parent = await figma.getNodeByIdAsync(parentId);
+    if (!parent) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+
+    const child = await figma.getNodeByIdAsync(childId);
+    if (!child) {
+      throw new Error(`Child node not found with ID: ${childId}`);
+    }
+
+    // Check if the parent can have children
+    if (!('appendChild' in parent)) {
+      throw new Error(`Parent node with ID ${parentId} cannot have children`);
+    }
+
+    // Save child's current parent for proper handling
+    const originalParent = child.parent;
+
+    // Insert the child at the specified index or append it
+    if (index !== undefined && index >= 0 && index <= parent.children.length) {
+      parent.insertChild(index, child);
+    } else {
+      parent.appendChild(child);
+    }
+
+    // Verify that the insertion worked
+    const newIndex = parent.children.indexOf(child);
+
+    return {
+      parentId: parent.id,
+      childId: child.id,
+      index: newIndex,
+      success: newIndex !== -1,
+      previousParentId: originalParent ? originalParent.id : null,
+    };
+  } catch (error) {
+    console.error(`Error inserting child: ${error.message}`, error);
+    throw new Error(`Error inserting child: ${error.message}`);
+  }
+}
+
+async function createEllipse(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    name = 'Ellipse',
+    parentId,
+    pageId,
+    fillColor = { r: 0.8, g: 0.8, b: 0.8, a: 1 },
+    fills,
+    strokeColor,
+    strokeWeight,
+  } = params || {};
+
+  // Create a new ellipse node
+  const ellipse = figma.createEllipse();
+  ellipse.name = name;
+
+  // Position and size the ellipse
+  ellipse.x = x;
+  ellipse.y = y;
+  ellipse.resize(width, height);
+
+  // Set fill color if provided
+  if (fillColor) {
+    const fillStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(fillColor.r) || 0,
+        g: parseFloat(fillColor.g) || 0,
+        b: parseFloat(fillColor.b) || 0,
+      },
+      opacity: parseFloat(fillColor.a) || 1,
+    };
+    ellipse.fills = [fillStyle];
+  }
+
+  // Gradient, image or layered fills take precedence over fillColor
+  if (fills) {
+    ellipse.fills = buildPaints(fills);
+  }
+
+  // Set stroke color and weight if provided
+  if (strokeColor) {
+    const strokeStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(strokeColor.r) || 0,
+        g: parseFloat(strokeColor.g) || 0,
+        b: parseFloat(strokeColor.b) || 0,
+      },
+      opacity: parseFloat(strokeColor.a) || 1,
+    };
+    ellipse.strokes = [strokeStyle];
+
+    if (strokeWeight) {
+      ellipse.strokeWeight = strokeWeight;
+    }
+  }
+
+  // If parentId is provided, append to that node, otherwise append to the target page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(ellipse);
+  } else {
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(ellipse);
+  }
+
+  return {
+    id: ellipse.id,
+    name: ellipse.name,
+    type: ellipse.type,
+    x: ellipse.x,
+    y: ellipse.y,
+    width: ellipse.width,
+    height: ellipse.height,
+  };
+}
+
+async function createPolygon(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    sides = 6,
+    name = 'Polygon',
+    parentId,
+    pageId,
+    fillColor,
+    fills,
+    strokeColor,
+    strokeWeight,
+  } = params || {};
+
+  // Create the polygon
+  const polygon = figma.createPolygon();
+  polygon.x = x;
+  polygon.y = y;
+  polygon.resize(width, height);
+  polygon.name = name;
+
+  // Set the number of sides
+  if (sides >= 3) {
+    polygon.pointCount = sides;
+  }
+
+  // Set fill color if provided
+  if (fillColor) {
+    const paintStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(fillColor.r) || 0,
+        g: parseFloat(fillColor.g) || 0,
+        b: parseFloat(fillColor.b) || 0,
+      },
+      opacity: parseFloat(fillColor.a) || 1,
+    };
+    polygon.fills = [paintStyle];
+  }
+
+  // Gradient, image or layered fills take precedence over fillColor
+  if (fills) {
+    polygon.fills = buildPaints(fills);
+  }
+
+  // Set stroke color and weight if provided
+  if (strokeColor) {
+    const strokeStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(strokeColor.r) || 0,
+        g: parseFloat(strokeColor.g) || 0,
+        b: parseFloat(strokeColor.b) || 0,
+      },
+      opacity: parseFloat(strokeColor.a) || 1,
+    };
+    polygon.strokes = [strokeStyle];
+  }
+
+  // Set stroke weight if provided
+  if (strokeWeight !== undefined) {
+    polygon.strokeWeight = strokeWeight;
+  }
+
+  // If parentId is provided, append to that node, otherwise append to the target page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(polygon);
+  } else {
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(polygon);
+  }
+
+  return {
+    id: polygon.id,
+    name: polygon.name,
+    type: polygon.type,
+    x: polygon.x,
+    y: polygon.y,
+    width: polygon.width,
+    height: polygon.height,
+    pointCount: polygon.pointCount,
+    fills: polygon.fills,
+    strokes: polygon.strokes,
+    strokeWeight: polygon.strokeWeight,
+    parentId: polygon.parent ? polygon.parent.id : undefined,
+  };
+}
+
+async function createStar(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    points = 5,
+    innerRadius = 0.5, // As a proportion of the outer radius
+    name = 'Star',
+    parentId,
+    pageId,
+    fillColor,
+    fills,
+    strokeColor,
+    strokeWeight,
+  } = params || {};
+
+  // Create the star
+  const star = figma.createStar();
+  star.x = x;
+  star.y = y;
+  star.resize(width, height);
+  star.name = name;
+
+  // Set the number of points
+  if (points >= 3) {
+    star.pointCount = points;
+  }
+
+  // Set the inner radius ratio
+  if (innerRadius > 0 && innerRadius < 1) {
+    star.innerRadius = innerRadius;
+  }
+
+  // Set fill color if provided
+  if (fillColor) {
+    const paintStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(fillColor.r) || 0,
+        g: parseFloat(fillColor.g) || 0,
+        b: parseFloat(fillColor.b) || 0,
+      },
+      opacity: parseFloat(fillColor.a) || 1,
+    };
+    star.fills = [paintStyle];
+  }
+
+  // Gradient, image or layered fills take precedence over fillColor
+  if (fills) {
+    star.fills = buildPaints(fills);
+  }
+
+  // Set stroke color and weight if provided
+  if (strokeColor) {
+    const strokeStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(strokeColor.r) || 0,
+        g: parseFloat(strokeColor.g) || 0,
+        b: parseFloat(strokeColor.b) || 0,
+      },
+      opacity: parseFloat(strokeColor.a) || 1,
+    };
+    star.strokes = [strokeStyle];
+  }
+
+  // Set stroke weight if provided
+  if (strokeWeight !== undefined) {
+    star.strokeWeight = strokeWeight;
+  }
+
+  // If parentId is provided, append to that node, otherwise append to the target page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(star);
+  } else {
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(star);
+  }
+
+  return {
+    id: star.id,
+    name: star.name,
+    type: star.type,
+    x: star.x,
+    y: star.y,
+    width: star.width,
+    height: star.height,
+    pointCount: star.pointCount,
+    innerRadius: star.innerRadius,
+    fills: star.fills,
+    strokes: star.strokes,
+    strokeWeight: star.strokeWeight,
+    parentId: star.parent ? star.parent.id : undefined,
+  };
+}
+
+async function createVector(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    name = 'Vector',
+    parentId,
+    pageId,
+    vectorPaths = [],
+    fillColor,
+    strokeColor,
+    strokeWeight,
+  } = params || {};
+
+  // Validate paths before creating anything so a bad path leaves no empty vector behind
+  const validPaths = vectorPaths && vectorPaths.length > 0 ? validateVectorPaths(vectorPaths) : null;
+
+  // Create the vector
+  const vector = figma.createVector();
+  vector.x = x;
+  vector.y = y;
+  vector.resize(width, height);
+  vector.name = name;
+
+  // Set vector paths if provided
+  if (validPaths) {
+    vector.vectorPaths = validPaths;
+  }
+
+  // Set fill color if provided
+  if (fillColor) {
+    const paintStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(fillColor.r) || 0,
+        g: parseFloat(fillColor.g) || 0,
+        b: parseFloat(fillColor.b) || 0,
+      },
+      opacity: parseFloat(fillColor.a) || 1,
+    };
+    vector.fills = [paintStyle];
+  }
+
+  // Set stroke color and weight if provided
+  if (strokeColor) {
+    const strokeStyle = {
+      type: 'SOLID',
+      color: {
+        r: parseFloat(strokeColor.r) || 0,
+        g: parseFloat(strokeColor.g) || 0,
+        b: parseFloat(strokeColor.b) || 0,
+      },
+      opacity: parseFloat(strokeColor.a) || 1,
+    };
+    vector.strokes = [strokeStyle];
+  }
+
+  // Set stroke weight if provided
+  if (strokeWeight !== undefined) {
+    vector.strokeWeight = strokeWeight;
+  }
+
+  // If parentId is provided, append to that node, otherwise append to the target page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(vector);
+  } else {
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(vector);
+  }
+
+  return {
+    id: vector.id,
+    name: vector.name,
+    type: vector.type,
+    x: vector.x,
+    y: vector.y,
+    width: vector.width,
+    height: vector.height,
+    vectorNetwork: vector.vectorNetwork,
+    fills: vector.fills,
+    strokes: vector.strokes,
+    strokeWeight: vector.strokeWeight,
+    parentId: vector.parent ? vector.parent.id : undefined,
+  };
+}
+
+async function createLine(params) {
+  const {
+    x1 = 0,
+    y1 = 0,
+    x2 = 100,
+    y2 = 0,
+    name = 'Line',
+    parentId,
+    pageId,
+    strokeColor = { r: 0, g: 0, b: 0, a: 1 },
+    strokeWeight = 1,
+    strokeCap = 'NONE', // Can be "NONE", "ROUND", "SQUARE", "ARROW_LINES", or "ARROW_EQUILATERAL"
+  } = params || {};
+
+  // Create a vector node to represent the line
+  const line = figma.createVector();
+  line.name = name;
+
+  // Position the line at the starting point
+  line.x = x1;
+  line.y = y1;
+
+  // Calculate the vector size
+  const width = Math.abs(x2 - x1);
+  const height = Math.abs(y2 - y1);
+  line.resize(width > 0 ? width : 1, height > 0 ? height : 1);
+
+  // Create vector path data for a straight line
+  // SVG path data format: M (move to) starting point, L (line to) ending point
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+
+  // Calculate relative endpoint coordinates in the vector's local coordinate system
+  const endX = dx > 0 ? width : 0;
+  const endY = dy > 0 ? height : 0;
+  const startX = dx > 0 ? 0 : width;
+  const startY = dy > 0 ? 0 : height;
+
+  // Generate SVG path data for the line
+  const pathData = `M ${startX} ${startY} L ${endX} ${endY}`;
+
+  // Set vector paths
+  line.vectorPaths = [
+    {
+      windingRule: 'NONZERO',
+      data: pathData,
+    },
+  ];
+
+  // Set stroke color
+  const strokeStyle = {
+    type: 'SOLID',
+    color: {
+      r: parseFloat(strokeColor.r) || 0,
+      g: parseFloat(strokeColor.g) || 0,
+      b: parseFloat(strokeColor.b) || 0,
+    },
+    opacity: parseFloat(strokeColor.a) || 1,
+  };
+  line.strokes = [strokeStyle];
+
+  // Set stroke weight
+  line.strokeWeight = strokeWeight;
+
+  // Set stroke cap style if supported
+  if (['NONE', 'ROUND', 'SQUARE', 'ARROW_LINES', 'ARROW_EQUILATERAL'].includes(strokeCap)) {
+    line.strokeCap = strokeCap;
+  }
+
+  // Set fill to none (transparent) as lines typically don't have fills
+  line.fills = [];
+
+  // If parentId is provided, append to that node, otherwise append to the target page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(line);
+  } else {
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(line);
+  }
+
+  return {
+    id: line.id,
+    name: line.name,
+    type: line.type,
+    x: line.x,
+    y: line.y,
+    width: line.width,
+    height: line.height,
+    strokeWeight: line.strokeWeight,
+    strokeCap: line.strokeCap,
+    strokes: line.strokes,
+    vectorPaths: line.vectorPaths,
+    parentId: line.parent ? line.parent.id : undefined,
+  };
+}
+
+// Move these functions to the global scope, OUTSIDE of createLine
+async function setTextStyleId(params) {
+  const { nodeId, textStyleId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!textStyleId) {
+    throw new Error('Missing textStyleId parameter');
+  }
+
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
+    }
+
+    if (node.type !== 'TEXT') {
+      throw new Error(`Node with ID ${nodeId} is not a text node`);
+    }
+
+    // Validate that the text style exists
+    const textStyles = await figma.getLocalTextStylesAsync();
+    const foundStyle = textStyles.find((style) => style.id === textStyleId);
+
+    if (!foundStyle) {
+      throw new Error(`Text style not found with ID: ${textStyleId}`);
+    }
+
+    console.log(`Applying text style ${textStyleId} to node ${nodeId}...`);
+
+    // Apply the text style using the async method
+    await node.setTextStyleIdAsync(textStyleId);
+
+    console.log(`Successfully applied text style to node ${nodeId}`);
+
+    return {
+      id: node.id,
+      name: node.name,
+      textStyleId: node.textStyleId,
+      appliedStyle: foundStyle.name,
+    };
+  } catch (error) {
+    console.error(`Error setting text style ID: ${error.message}`);
+    throw new Error(`Error setting text style ID: ${error.message}`);
+  }
+}
+
+async function setFillStyleId(params) {
+  const { nodeId, fillStyleId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!fillStyleId) {
+    throw new Error('Missing fillStyleId parameter');
+  }
+
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
+    }
+
+    if (!('setFillStyleIdAsync' in node)) {
+      throw new Error(`Node with ID ${nodeId} does not support fill styles`);
+    }
+
+    // Validate that the fill style exists
+    const fillStyles = await figma.getLocalPaintStylesAsync();
+    const foundStyle = fillStyles.find((style) => style.id === fillStyleId);
+
+    if (!foundStyle) {
+      throw new Error(`Fill style not found with ID: ${fillStyleId}`);
+    }
+
+    console.log(`Applying fill style ${fillStyleId} to node ${nodeId}...`);
+
+    // Apply the fill style using the async method
+    await node.setFillStyleIdAsync(fillStyleId);
+
+    console.log(`Successfully applied fill style to node ${nodeId}`);
+
     return {
-      success: true,
-      summary,
-      libraries,
-      apiLimitations: {
-        note: 'Figma Plugin API cannot browse team library catalogs directly',
-        explanation: 'Components are discovered only through existing instances in the document',
-        recommendation: 'To access more components, create instances of desired components first'
-      }
+      id: node.id,
+      name: node.name,
+      fillStyleId: node.fillStyleId,
+      appliedStyle: foundStyle.name,
     };
-    
   } catch (error) {
-    console.error('[TEAM_LIBRARY_ANALYSIS] Error analyzing team libraries:', error);
-    throw new Error(`Error analyzing team libraries: ${error.message}`);
+    console.error(`Error setting fill style ID: ${error.message}`);
+    throw new Error(`Error setting fill style ID: ${error.message}`);
+  }
+}
+
+
+// ===== LAYOUT GRID FUNCTIONS =====
+
+const DEFAULT_LAYOUT_GRID_COLOR = { r: 1, g: 0, b: 0, a: 0.1 };
+
+// Translate an MCP layout grid description into a Figma LayoutGrid
+function buildLayoutGrid(grid) {
+  if (!grid || !grid.pattern) {
+    throw new Error('Each layout grid must have a pattern property');
+  }
+
+  const color = grid.color ? parseRgba(grid.color, 'layout grid') : DEFAULT_LAYOUT_GRID_COLOR;
+  const visible = grid.visible !== undefined ? grid.visible : true;
+
+  if (grid.pattern === 'GRID') {
+    return {
+      pattern: 'GRID',
+      sectionSize: grid.sectionSize !== undefined ? grid.sectionSize : 8,
+      visible,
+      color,
+    };
+  }
+
+  if (grid.pattern !== 'COLUMNS' && grid.pattern !== 'ROWS') {
+    throw new Error(`Invalid layout grid pattern: ${grid.pattern}. Must be COLUMNS, ROWS or GRID`);
+  }
+
+  const alignment = grid.alignment || 'STRETCH';
+  const layoutGrid = {
+    pattern: grid.pattern,
+    alignment,
+    gutterSize: grid.gutterSize !== undefined ? grid.gutterSize : 20,
+    count: grid.count !== undefined ? grid.count : 12,
+    visible,
+    color,
+  };
+
+  // Stretched grids derive their section size from the frame, centered grids have no offset
+  if (alignment !== 'STRETCH') {
+    layoutGrid.sectionSize = grid.sectionSize !== undefined ? grid.sectionSize : 60;
+  }
+  if (alignment !== 'CENTER') {
+    layoutGrid.offset = grid.offset !== undefined ? grid.offset : 0;
+  }
+
+  return layoutGrid;
+}
+
+async function setLayoutGrids(params) {
+  const { nodeId, layoutGrids } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!layoutGrids || !Array.isArray(layoutGrids)) {
+    throw new Error('Missing or invalid layoutGrids parameter. Must be an array.');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!('layoutGrids' in node)) {
+    throw new Error(`Node does not support layout grids: ${nodeId}`);
+  }
+
+  try {
+    node.layoutGrids = layoutGrids.map(buildLayoutGrid);
+
+    return {
+      id: node.id,
+      name: node.name,
+      layoutGrids: node.layoutGrids,
+    };
+  } catch (error) {
+    throw new Error(`Error setting layout grids: ${error.message}`);
+  }
+}
+
+async function setGridStyleId(params) {
+  const { nodeId, gridStyleId } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!gridStyleId) {
+    throw new Error('Missing gridStyleId parameter');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!('gridStyleId' in node)) {
+    throw new Error(`Node with ID ${nodeId} does not support grid styles`);
+  }
+
+  const style = await figma.getStyleByIdAsync(gridStyleId);
+  if (!style || style.type !== 'GRID') {
+    throw new Error(`Grid style not found with ID: ${gridStyleId}`);
+  }
+
+  if ('setGridStyleIdAsync' in node) {
+    await node.setGridStyleIdAsync(gridStyleId);
+  } else {
+    node.gridStyleId = gridStyleId;
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    gridStyleId: node.gridStyleId,
+    appliedStyle: style.name,
+    layoutGrids: node.layoutGrids,
+  };
+}
+
+async function createGridStyle(params) {
+  const { name, layoutGrids, description } = params || {};
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  if (!layoutGrids || !Array.isArray(layoutGrids)) {
+    throw new Error('Missing or invalid layoutGrids parameter. Must be an array.');
+  }
+
+  const grids = layoutGrids.map(buildLayoutGrid);
+  const style = figma.createGridStyle();
+  style.name = name;
+  style.layoutGrids = grids;
+  if (description !== undefined) {
+    style.description = description;
+  }
+
+  return serializeStyle(style);
+}
+
+// ===== STYLE FUNCTIONS =====
+
+const TEXT_STYLE_FIELDS = [
+  'fontFamily',
+  'fontStyle',
+  'fontSize',
+  'lineHeight',
+  'lineHeightUnit',
+  'letterSpacing',
+  'letterSpacingUnit',
+  'paragraphSpacing',
+  'textCase',
+  'textDecoration',
+];
+
+function serializeStyle(style) {
+  const result = {
+    id: style.id,
+    key: style.key,
+    name: style.name,
+    type: style.type,
+    description: style.description,
+  };
+
+  switch (style.type) {
+    case 'PAINT':
+      result.paints = style.paints;
+      break;
+    case 'TEXT':
+      result.fontName = style.fontName;
+      result.fontSize = style.fontSize;
+      result.lineHeight = style.lineHeight;
+      result.letterSpacing = style.letterSpacing;
+      result.paragraphSpacing = style.paragraphSpacing;
+      result.textCase = style.textCase;
+      result.textDecoration = style.textDecoration;
+      break;
+    case 'EFFECT':
+      result.effects = style.effects;
+      break;
+    case 'GRID':
+      result.layoutGrids = style.layoutGrids;
+      break;
+  }
+
+  return result;
+}
+
+async function getStyleOrThrow(styleId) {
+  const style = await figma.getStyleByIdAsync(styleId);
+  if (!style) {
+    throw new Error(`Style not found with ID: ${styleId}`);
+  }
+  return style;
+}
+
+// Apply font and typography settings to a text style; the font must be loaded first
+async function applyTextStyleProperties(style, params) {
+  const {
+    fontFamily,
+    fontStyle,
+    fontSize,
+    lineHeight,
+    lineHeightUnit = 'PIXELS',
+    letterSpacing,
+    letterSpacingUnit = 'PIXELS',
+    paragraphSpacing,
+    textCase,
+    textDecoration,
+  } = params;
+
+  const fontName = {
+    family: fontFamily || style.fontName.family,
+    style: fontStyle || (fontFamily ? 'Regular' : style.fontName.style),
+  };
+  await figma.loadFontAsync(fontName);
+  style.fontName = fontName;
+
+  if (fontSize !== undefined) style.fontSize = fontSize;
+  if (lineHeightUnit === 'AUTO') {
+    style.lineHeight = { unit: 'AUTO' };
+  } else if (lineHeight !== undefined) {
+    style.lineHeight = { value: lineHeight, unit: lineHeightUnit };
+  }
+  if (letterSpacing !== undefined) {
+    style.letterSpacing = { value: letterSpacing, unit: letterSpacingUnit };
+  }
+  if (paragraphSpacing !== undefined) style.paragraphSpacing = paragraphSpacing;
+  if (textCase !== undefined) style.textCase = textCase;
+  if (textDecoration !== undefined) style.textDecoration = textDecoration;
+}
+
+async function createPaintStyle(params) {
+  const { name, paints, description } = params || {};
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  if (!paints || !Array.isArray(paints)) {
+    throw new Error('Missing or invalid paints parameter. Must be an array.');
+  }
+
+  const builtPaints = buildPaints(paints);
+  const style = figma.createPaintStyle();
+  style.name = name;
+  style.paints = builtPaints;
+  if (description !== undefined) {
+    style.description = description;
+  }
+
+  return serializeStyle(style);
+}
+
+async function createTextStyle(params) {
+  const { name, fontFamily, description } = params || {};
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  if (!fontFamily) {
+    throw new Error('Missing fontFamily parameter');
+  }
+
+  const style = figma.createTextStyle();
+  try {
+    await applyTextStyleProperties(style, params);
+  } catch (error) {
+    // Do not leave a half-configured style behind when the font cannot be loaded
+    style.remove();
+    throw new Error(`Error creating text style: ${error.message}`);
+  }
+  style.name = name;
+  if (description !== undefined) {
+    style.description = description;
+  }
+
+  return serializeStyle(style);
+}
+
+async function createEffectStyle(params) {
+  const { name, effects, description } = params || {};
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  if (!effects || !Array.isArray(effects)) {
+    throw new Error('Missing or invalid effects parameter. Must be an array.');
+  }
+
+  const validEffects = effects.map(buildEffect);
+  const style = figma.createEffectStyle();
+  style.name = name;
+  style.effects = validEffects;
+  if (description !== undefined) {
+    style.description = description;
+  }
+
+  return serializeStyle(style);
+}
+
+async function updateStyle(params) {
+  const { styleId, name, description, paints, effects, layoutGrids } = params || {};
+
+  if (!styleId) {
+    throw new Error('Missing styleId parameter');
+  }
+
+  const style = await getStyleOrThrow(styleId);
+  const hasTextFields = TEXT_STYLE_FIELDS.some((field) => params[field] !== undefined);
+
+  // Reject values that do not belong to this kind of style before changing anything
+  const typedFields = [
+    ['paints', paints, 'PAINT'],
+    ['effects', effects, 'EFFECT'],
+    ['layoutGrids', layoutGrids, 'GRID'],
+  ];
+  typedFields.forEach(([field, value, type]) => {
+    if (value !== undefined && style.type !== type) {
+      throw new Error(`${field} can only be set on ${type} styles, ${styleId} is a ${style.type} style`);
+    }
+  });
+  if (hasTextFields && style.type !== 'TEXT') {
+    throw new Error(`Font settings can only be set on TEXT styles, ${styleId} is a ${style.type} style`);
+  }
+
+  if (paints !== undefined) style.paints = buildPaints(paints);
+  if (effects !== undefined) style.effects = effects.map(buildEffect);
+  if (layoutGrids !== undefined) style.layoutGrids = layoutGrids.map(buildLayoutGrid);
+  if (hasTextFields) await applyTextStyleProperties(style, params);
+
+  if (name !== undefined) style.name = name;
+  if (description !== undefined) style.description = description;
+
+  return serializeStyle(style);
+}
+
+async function moveStylesToFolder(params) {
+  const { styleIds, folder = '' } = params || {};
+
+  if (!styleIds || !Array.isArray(styleIds) || styleIds.length === 0) {
+    throw new Error('Missing or invalid styleIds parameter. Must be a non-empty array.');
+  }
+
+  // Folders are the "/" separated prefix of the style name
+  const prefix = folder
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join('/');
+
+  const styles = [];
+  for (const styleId of styleIds) {
+    styles.push(await getStyleOrThrow(styleId));
+  }
+
+  return {
+    folder: prefix,
+    styles: styles.map((style) => {
+      const previousName = style.name;
+      const baseName = previousName.split('/').pop().trim();
+      style.name = prefix ? `${prefix}/${baseName}` : baseName;
+      return { id: style.id, type: style.type, previousName, name: style.name };
+    }),
+  };
+}
+
+async function deleteStyle(params) {
+  const { styleId, force = false } = params || {};
+
+  if (!styleId) {
+    throw new Error('Missing styleId parameter');
+  }
+
+  const style = await getStyleOrThrow(styleId);
+
+  let consumerCount = 0;
+  if ('getStyleConsumersAsync' in style) {
+    const consumers = await style.getStyleConsumersAsync();
+    consumerCount = consumers.length;
+  }
+
+  if (consumerCount > 0 && !force) {
+    throw new Error(
+      `Style "${style.name}" is used by ${consumerCount} node(s). Pass force: true to delete it anyway`
+    );
+  }
+
+  const deleted = { id: style.id, name: style.name, type: style.type, consumerCount };
+  style.remove();
+
+  return deleted;
+}
+
+
+// ===== VARIABLE FUNCTIONS =====
+
+// Fields that can be bound to a variable through node.setBoundVariable()
+const BINDABLE_NODE_FIELDS = [
+  'width',
+  'height',
+  'minWidth',
+  'maxWidth',
+  'minHeight',
+  'maxHeight',
+  'cornerRadius',
+  'topLeftRadius',
+  'topRightRadius',
+  'bottomLeftRadius',
+  'bottomRightRadius',
+  'itemSpacing',
+  'counterAxisSpacing',
+  'paddingLeft',
+  'paddingRight',
+  'paddingTop',
+  'paddingBottom',
+  'strokeWeight',
+  'strokeTopWeight',
+  'strokeRightWeight',
+  'strokeBottomWeight',
+  'strokeLeftWeight',
+  'opacity',
+  'visible',
+  'characters',
+];
+
+// Text fields are bound through the same API but require the font to be loaded
+const BINDABLE_TEXT_FIELDS = [
+  'fontFamily',
+  'fontSize',
+  'fontStyle',
+  'fontWeight',
+  'letterSpacing',
+  'lineHeight',
+  'paragraphSpacing',
+  'paragraphIndent',
+];
+
+function serializeVariableValue(value) {
+  if (value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
+    return { type: 'VARIABLE_ALIAS', id: value.id };
+  }
+  return value;
+}
+
+function serializeVariable(variable) {
+  const valuesByMode = {};
+  Object.keys(variable.valuesByMode).forEach((modeId) => {
+    valuesByMode[modeId] = serializeVariableValue(variable.valuesByMode[modeId]);
+  });
+
+  return {
+    id: variable.id,
+    name: variable.name,
+    key: variable.key,
+    resolvedType: variable.resolvedType,
+    description: variable.description,
+    variableCollectionId: variable.variableCollectionId,
+    scopes: variable.scopes,
+    valuesByMode,
+  };
+}
+
+function serializeVariableCollection(collection) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    key: collection.key,
+    defaultModeId: collection.defaultModeId,
+    modes: collection.modes.map((mode) => ({ modeId: mode.modeId, name: mode.name })),
+    variableIds: collection.variableIds,
+  };
+}
+
+async function getVariableOrThrow(variableId) {
+  const variable = await figma.variables.getVariableByIdAsync(variableId);
+  if (!variable) {
+    throw new Error(`Variable not found with ID: ${variableId}`);
+  }
+  return variable;
+}
+
+async function getVariableCollectionOrThrow(collectionId) {
+  const collection = await figma.variables.getVariableCollectionByIdAsync(collectionId);
+  if (!collection) {
+    throw new Error(`Variable collection not found with ID: ${collectionId}`);
+  }
+  return collection;
+}
+
+// Resolve a mode reference that may be either a mode ID or a mode name (e.g. "Dark")
+function resolveModeId(collection, mode) {
+  if (mode === undefined || mode === null || mode === '') {
+    return collection.defaultModeId;
+  }
+
+  const match = collection.modes.find(
+    (candidate) => candidate.modeId === mode || candidate.name === mode
+  );
+
+  if (!match) {
+    const available = collection.modes.map((candidate) => candidate.name).join(', ');
+    throw new Error(
+      `Mode "${mode}" not found in collection "${collection.name}". Available modes: ${available}`
+    );
+  }
+
+  return match.modeId;
+}
+
+async function getVariableCollections(params) {
+  const { includeVariables = false } = params || {};
+
+  const collections = await figma.variables.getLocalVariableCollectionsAsync();
+  const variables = includeVariables ? await figma.variables.getLocalVariablesAsync() : [];
+
+  return {
+    count: collections.length,
+    collections: collections.map((collection) => {
+      const result = serializeVariableCollection(collection);
+      if (includeVariables) {
+        result.variables = variables
+          .filter((variable) => variable.variableCollectionId === collection.id)
+          .map(serializeVariable);
+      }
+      return result;
+    }),
+  };
+}
+
+async function getVariables(params) {
+  const { collectionId, resolvedType } = params || {};
+
+  const variables = await figma.variables.getLocalVariablesAsync(resolvedType);
+  const filtered = collectionId
+    ? variables.filter((variable) => variable.variableCollectionId === collectionId)
+    : variables;
+
+  return {
+    count: filtered.length,
+    variables: filtered.map(serializeVariable),
+  };
+}
+
+async function createVariableCollection(params) {
+  const { name, modes } = params || {};
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  const collection = figma.variables.createVariableCollection(name);
+
+  // A new collection always has one mode; rename it and add any extra modes
+  if (modes && Array.isArray(modes) && modes.length > 0) {
+    collection.renameMode(collection.defaultModeId, modes[0]);
+    for (const modeName of modes.slice(1)) {
+      collection.addMode(modeName);
+    }
+  }
+
+  return serializeVariableCollection(collection);
+}
+
+async function createVariable(params) {
+  const { name, collectionId, resolvedType, description, scopes, values } = params || {};
+
+  if (!name) {
+    throw new Error('Missing name parameter');
+  }
+
+  if (!collectionId) {
+    throw new Error('Missing collectionId parameter');
+  }
+
+  if (!resolvedType) {
+    throw new Error('Missing resolvedType parameter');
+  }
+
+  const collection = await getVariableCollectionOrThrow(collectionId);
+  const variable = figma.variables.createVariable(name, collection, resolvedType);
+
+  if (description !== undefined) {
+    variable.description = description;
+  }
+
+  if (scopes && Array.isArray(scopes)) {
+    variable.scopes = scopes;
+  }
+
+  // Optional initial values keyed by mode ID or mode name
+  if (values && typeof values === 'object') {
+    for (const mode of Object.keys(values)) {
+      const modeId = resolveModeId(collection, mode);
+      variable.setValueForMode(modeId, await toVariableValue(resolvedType, values[mode]));
+    }
+  }
+
+  return serializeVariable(variable);
+}
+
+async function updateVariable(params) {
+  const { variableId, name, description, scopes } = params || {};
+
+  if (!variableId) {
+    throw new Error('Missing variableId parameter');
+  }
+
+  const variable = await getVariableOrThrow(variableId);
+
+  if (name !== undefined) {
+    variable.name = name;
+  }
+
+  if (description !== undefined) {
+    variable.description = description;
+  }
+
+  if (scopes && Array.isArray(scopes)) {
+    variable.scopes = scopes;
+  }
+
+  return serializeVariable(variable);
+}
+
+async function deleteVariable(params) {
+  const { variableId } = params || {};
+
+  if (!variableId) {
+    throw new Error('Missing variableId parameter');
+  }
+
+  const variable = await getVariableOrThrow(variableId);
+
+  // Save variable info before deleting
+  const variableInfo = {
+    id: variable.id,
+    name: variable.name,
+    resolvedType: variable.resolvedType,
+    variableCollectionId: variable.variableCollectionId,
+  };
+
+  variable.remove();
+
+  return variableInfo;
+}
+
+// Convert an incoming value to the shape expected by Variable.setValueForMode()
+async function toVariableValue(resolvedType, value) {
+  if (value && typeof value === 'object' && value.aliasOf) {
+    const target = await getVariableOrThrow(value.aliasOf);
+    return figma.variables.createVariableAlias(target);
+  }
+
+  switch (resolvedType) {
+    case 'COLOR': {
+      if (!value || typeof value !== 'object') {
+        throw new Error('COLOR variables require an { r, g, b, a } value');
+      }
+      const color = {
+        r: parseFloat(value.r),
+        g: parseFloat(value.g),
+        b: parseFloat(value.b),
+        a: value.a === undefined ? 1 : parseFloat(value.a),
+      };
+      if (isNaN(color.r) || isNaN(color.g) || isNaN(color.b) || isNaN(color.a)) {
+        throw new Error('Invalid color values received - all components must be valid numbers');
+      }
+      return color;
+    }
+    case 'FLOAT':
+      if (typeof value !== 'number') {
+        throw new Error('FLOAT variables require a numeric value');
+      }
+      return value;
+    case 'STRING':
+      if (typeof value !== 'string') {
+        throw new Error('STRING variables require a string value');
+      }
+      return value;
+    case 'BOOLEAN':
+      if (typeof value !== 'boolean') {
+        throw new Error('BOOLEAN variables require a boolean value');
+      }
+      return value;
+    default:
+      throw new Error(`Unsupported variable type: ${resolvedType}`);
+  }
+}
+
+async function setVariableValue(params) {
+  const { variableId, mode, value } = params || {};
+
+  if (!variableId) {
+    throw new Error('Missing variableId parameter');
+  }
+
+  if (value === undefined) {
+    throw new Error('Missing value parameter');
+  }
+
+  const variable = await getVariableOrThrow(variableId);
+  const collection = await getVariableCollectionOrThrow(variable.variableCollectionId);
+  const modeId = resolveModeId(collection, mode);
+
+  variable.setValueForMode(modeId, await toVariableValue(variable.resolvedType, value));
+
+  return {
+    id: variable.id,
+    name: variable.name,
+    modeId,
+    modeName: collection.modes.find((candidate) => candidate.modeId === modeId).name,
+    value: serializeVariableValue(variable.valuesByMode[modeId]),
+  };
+}
+
+// Text with mixed styles needs every font used in it loaded before it can be changed
+async function loadTextNodeFonts(node) {
+  const fonts =
+    node.fontName === figma.mixed
+      ? node.getRangeAllFontNames(0, node.characters.length)
+      : [node.fontName];
+  await Promise.all(fonts.map((font) => figma.loadFontAsync(font)));
+}
+
+async function bindVariable(params) {
+  const { nodeId, variableId, field, paintIndex = 0 } = params || {};
+
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
+
+  if (!field) {
+    throw new Error('Missing field parameter');
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  // A null/undefined variableId unbinds the field
+  const variable = variableId ? await getVariableOrThrow(variableId) : null;
+
+  if (field === 'fills' || field === 'strokes') {
+    if (!(field in node)) {
+      throw new Error(`Node does not support ${field}: ${nodeId}`);
+    }
+    if (variable && variable.resolvedType !== 'COLOR') {
+      throw new Error(`Only COLOR variables can be bound to ${field}`);
+    }
+
+    if (node[field] === figma.mixed) {
+      throw new Error(
+        `Node ${nodeId} has mixed ${field}; set a single ${field} paint before binding a variable`
+      );
+    }
+
+    const paints = [...node[field]];
+    // Unbinding a node without paints leaves it as it is
+    if (paints.length > 0 || variable) {
+      if (paints.length === 0) {
+        paints.push({ type: 'SOLID', color: { r: 0, g: 0, b: 0 } });
+      }
+      if (paintIndex < 0 || paintIndex >= paints.length) {
+        throw new Error(`Paint index ${paintIndex} is out of range for ${field} of node ${nodeId}`);
+      }
+      if (paints[paintIndex].type !== 'SOLID') {
+        throw new Error(`Only SOLID paints can be bound to a color variable`);
+      }
+
+      paints[paintIndex] = figma.variables.setBoundVariableForPaint(
+        paints[paintIndex],
+        'color',
+        variable
+      );
+      node[field] = paints;
+    }
+  } else if (BINDABLE_TEXT_FIELDS.includes(field)) {
+    if (node.type !== 'TEXT') {
+      throw new Error(`Field ${field} can only be bound on text nodes`);
+    }
+    await loadTextNodeFonts(node);
+    node.setBoundVariable(field, variable);
+  } else if (BINDABLE_NODE_FIELDS.includes(field)) {
+    if (!('setBoundVariable' in node) || !(field in node)) {
+      throw new Error(`Node does not support binding ${field}: ${nodeId}`);
+    }
+    if (field === 'characters' && node.type === 'TEXT') {
+      await loadTextNodeFonts(node);
+    }
+    node.setBoundVariable(field, variable);
+  } else {
+    throw new Error(
+      `Unsupported field: ${field}. Supported fields: fills, strokes, ${BINDABLE_NODE_FIELDS.concat(
+        BINDABLE_TEXT_FIELDS
+      ).join(', ')}`
+    );
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    field,
+    variableId: variable ? variable.id : null,
+    variableName: variable ? variable.name : null,
+    boundVariables: node.boundVariables,
+  };
+}
+
+// ===== PROTOTYPE FUNCTIONS =====
+
+const REACTION_TRIGGER_TYPES = [
+  'ON_CLICK',
+  'ON_HOVER',
+  'ON_PRESS',
+  'ON_DRAG',
+  'AFTER_TIMEOUT',
+  'MOUSE_ENTER',
+  'MOUSE_LEAVE',
+  'MOUSE_UP',
+  'MOUSE_DOWN',
+];
+
+const NODE_NAVIGATION_TYPES = ['NAVIGATE', 'OVERLAY', 'SWAP', 'SCROLL_TO', 'CHANGE_TO'];
+
+const DIRECTIONAL_TRANSITION_TYPES = ['MOVE_IN', 'MOVE_OUT', 'PUSH', 'SLIDE_IN', 'SLIDE_OUT'];
+
+// Older files expose a single `action`, newer ones an `actions` array
+function getReactionActions(reaction) {
+  if (reaction.actions) {
+    return reaction.actions;
   }
+  return reaction.action ? [reaction.action] : [];
 }
 
-// Set Effects Tool
-async function setEffects(params) {
-  const { nodeId, effects } = params || {};
-
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
+// Top-level frame (child of the page) that contains a node
+function getScreenNode(node) {
+  let current = node;
+  while (current && current.parent && current.parent.type !== 'PAGE') {
+    current = current.parent;
   }
+  return current && current.parent && current.parent.type === 'PAGE' ? current : null;
+}
 
-  if (!effects || !Array.isArray(effects)) {
-    throw new Error('Missing or invalid effects parameter. Must be an array.');
+function buildReactionTrigger(trigger) {
+  if (!trigger || !REACTION_TRIGGER_TYPES.includes(trigger.type)) {
+    throw new Error(`Invalid trigger type. Must be one of: ${REACTION_TRIGGER_TYPES.join(', ')}`);
   }
+  if (trigger.type === 'AFTER_TIMEOUT') {
+    return { type: 'AFTER_TIMEOUT', timeout: trigger.timeout !== undefined ? trigger.timeout : 0.8 };
+  }
+  if (['MOUSE_ENTER', 'MOUSE_LEAVE', 'MOUSE_UP', 'MOUSE_DOWN'].includes(trigger.type)) {
+    return { type: trigger.type, delay: trigger.delay !== undefined ? trigger.delay : 0 };
+  }
+  return { type: trigger.type };
+}
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+function buildReactionTransition(transition) {
+  if (!transition || transition.type === 'INSTANT') {
+    return null;
   }
 
-  if (!('effects' in node)) {
-    throw new Error(`Node does not support effects: ${nodeId}`);
+  const result = {
+    type: transition.type,
+    easing: { type: transition.easing || 'EASE_OUT' },
+    duration: transition.duration !== undefined ? transition.duration : 0.3,
+  };
+
+  if (DIRECTIONAL_TRANSITION_TYPES.includes(transition.type)) {
+    result.direction = transition.direction || 'LEFT';
+    result.matchLayers = transition.matchLayers || false;
   }
 
-  try {
-    // Convert incoming effects to valid Figma effects
-    const validEffects = effects.map((effect) => {
-      // Ensure all effects have the required properties
-      if (!effect.type) {
-        throw new Error('Each effect must have a type property');
-      }
+  return result;
+}
 
-      // Create a clean effect object based on type
-      switch (effect.type) {
-        case 'DROP_SHADOW':
-        case 'INNER_SHADOW':
-          return {
-            type: effect.type,
-            color: effect.color || { r: 0, g: 0, b: 0, a: 0.5 },
-            offset: effect.offset || { x: 0, y: 0 },
-            radius: effect.radius || 5,
-            spread: effect.spread || 0,
-            visible: effect.visible !== undefined ? effect.visible : true,
-            blendMode: effect.blendMode || 'NORMAL',
-          };
-        case 'LAYER_BLUR':
-        case 'BACKGROUND_BLUR':
-          return {
-            type: effect.type,
-            radius: effect.radius || 5,
-            visible: effect.visible !== undefined ? effect.visible : true,
-          };
-        default:
-          throw new Error(`Unsupported effect type: ${effect.type}`);
-      }
-    });
+async function buildReactionAction(action, transition) {
+  if (!action || !action.type) {
+    throw new Error('Missing action type');
+  }
 
-    // Apply the effects to the node
-    node.effects = validEffects;
+  if (action.type === 'BACK' || action.type === 'CLOSE') {
+    return { type: action.type };
+  }
 
-    return {
-      id: node.id,
-      name: node.name,
-      effects: node.effects,
-    };
-  } catch (error) {
-    throw new Error(`Error setting effects: ${error.message}`);
+  if (action.type === 'URL') {
+    if (!action.url) {
+      throw new Error('URL actions require a url');
+    }
+    return { type: 'URL', url: action.url };
   }
-}
 
-// Set Effect Style ID Tool
-async function setEffectStyleId(params) {
-  const { nodeId, effectStyleId } = params || {};
+  if (!NODE_NAVIGATION_TYPES.includes(action.type)) {
+    throw new Error(
+      `Invalid action type: ${action.type}. Must be one of: BACK, CLOSE, URL, ${NODE_NAVIGATION_TYPES.join(', ')}`
+    );
+  }
 
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
+  if (!action.destinationId) {
+    throw new Error(`${action.type} actions require a destinationId`);
   }
 
-  if (!effectStyleId) {
-    throw new Error('Missing effectStyleId parameter');
+  const destination = await figma.getNodeByIdAsync(action.destinationId);
+  if (!destination) {
+    throw new Error(`Destination node not found with ID: ${action.destinationId}`);
   }
 
-  try {
-    // Set up a manual timeout to detect long operations
-    let timeoutId;
-    const timeoutPromise = new Promise((_, reject) => {
-      timeoutId = setTimeout(() => {
-        reject(
-          new Error(
-            'Timeout while setting effect style ID (8s). The operation took too long to complete.'
-          )
-        );
-      }, 8000); // 8 seconds timeout
-    });
+  const result = {
+    type: 'NODE',
+    destinationId: destination.id,
+    navigation: action.type,
+    transition: buildReactionTransition(transition),
+  };
 
-    console.log(`Starting to set effect style ID ${effectStyleId} on node ${nodeId}...`);
+  if (action.preserveScrollPosition !== undefined) {
+    result.preserveScrollPosition = action.preserveScrollPosition;
+  }
+  if (action.type === 'OVERLAY' && action.overlayRelativePosition) {
+    result.overlayRelativePosition = action.overlayRelativePosition;
+  }
 
-    // Get node and validate in a promise
-    const nodePromise = (async () => {
-      const node = await figma.getNodeByIdAsync(nodeId);
-      if (!node) {
-        throw new Error(`Node not found with ID: ${nodeId}`);
-      }
+  return result;
+}
 
-      if (!('effectStyleId' in node)) {
-        throw new Error(`Node with ID ${nodeId} does not support effect styles`);
+async function serializeReactions(node) {
+  const reactions = [];
+  for (let i = 0; i < node.reactions.length; i++) {
+    const reaction = node.reactions[i];
+    const actions = [];
+    for (const action of getReactionActions(reaction)) {
+      const serialized = Object.assign({}, action);
+      if (action.type === 'NODE' && action.destinationId) {
+        const destination = await figma.getNodeByIdAsync(action.destinationId);
+        serialized.destinationName = destination ? destination.name : null;
       }
+      actions.push(serialized);
+    }
+    reactions.push({ index: i, trigger: reaction.trigger, actions });
+  }
+  return reactions;
+}
 
-      // Try to validate the effect style exists before applying
-      console.log(`Fetching effect styles to validate style ID: ${effectStyleId}`);
-      const effectStyles = await figma.getLocalEffectStylesAsync();
-      const foundStyle = effectStyles.find((style) => style.id === effectStyleId);
+async function applyReactions(node, reactions) {
+  // setReactionsAsync is required when the plugin uses dynamic page loading
+  if ('setReactionsAsync' in node) {
+    await node.setReactionsAsync(reactions);
+  } else {
+    node.reactions = reactions;
+  }
+}
 
-      if (!foundStyle) {
-        throw new Error(
-          `Effect style not found with ID: ${effectStyleId}. Available styles: ${effectStyles.length}`
-        );
-      }
+async function getReactionNodeOrThrow(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (!('reactions' in node)) {
+    throw new Error(`Node does not support prototype reactions: ${nodeId}`);
+  }
+  return node;
+}
 
-      console.log(`Effect style found, applying to node...`);
+async function getReactions(params) {
+  const { nodeId } = params || {};
 
-      // Apply the effect style to the node
-      node.effectStyleId = effectStyleId;
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
 
-      return {
-        id: node.id,
-        name: node.name,
-        effectStyleId: node.effectStyleId,
-        appliedEffects: node.effects,
-      };
-    })();
+  const node = await getReactionNodeOrThrow(nodeId);
 
-    // Race between the node operation and the timeout
-    const result = await Promise.race([nodePromise, timeoutPromise]).finally(() => {
-      // Clear the timeout to prevent memory leaks
-      clearTimeout(timeoutId);
-    });
+  return {
+    id: node.id,
+    name: node.name,
+    reactions: await serializeReactions(node),
+  };
+}
 
-    console.log(`Successfully set effect style ID on node ${nodeId}`);
-    return result;
-  } catch (error) {
-    console.error(`Error setting effect style ID: ${error.message || 'Unknown error'}`);
-    console.error(`Stack trace: ${error.stack || 'Not available'}`);
+async function addReaction(params) {
+  const { nodeId, trigger, action, transition } = params || {};
 
-    // Proporcionar mensajes de error específicos para diferentes casos
-    if (error.message.includes('timeout') || error.message.includes('Timeout')) {
-      throw new Error(
-        `The operation timed out after 8 seconds. This could happen with complex nodes or effects. Try with a simpler node or effect style.`
-      );
-    } else if (error.message.includes('not found') && error.message.includes('Node')) {
-      throw new Error(
-        `Node with ID "${nodeId}" not found. Make sure the node exists in the current document.`
-      );
-    } else if (error.message.includes('not found') && error.message.includes('style')) {
-      throw new Error(
-        `Effect style with ID "${effectStyleId}" not found. Make sure the style exists in your local styles.`
-      );
-    } else if (error.message.includes('does not support')) {
-      throw new Error(
-        `The selected node type does not support effect styles. Only certain node types like frames, components, and instances can have effect styles.`
-      );
-    } else {
-      throw new Error(`Error setting effect style ID: ${error.message}`);
-    }
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
   }
+
+  const node = await getReactionNodeOrThrow(nodeId);
+  const reaction = {
+    trigger: buildReactionTrigger(trigger),
+    actions: [await buildReactionAction(action, transition)],
+  };
+
+  await applyReactions(node, node.reactions.concat([reaction]));
+
+  return {
+    id: node.id,
+    name: node.name,
+    reactionCount: node.reactions.length,
+    reactions: await serializeReactions(node),
+  };
 }
 
-// Function to group nodes
-async function groupNodes(params) {
-  const { nodeIds, name } = params || {};
+async function removeReactions(params) {
+  const { nodeId, index, triggerType } = params || {};
 
-  if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length < 2) {
-    throw new Error('Must provide at least two nodeIds to group');
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
   }
 
-  try {
-    // Get all nodes to be grouped
-    const nodesToGroup = [];
-    for (const nodeId of nodeIds) {
-      const node = await figma.getNodeByIdAsync(nodeId);
-      if (!node) {
-        throw new Error(`Node not found with ID: ${nodeId}`);
-      }
-      nodesToGroup.push(node);
-    }
-
-    // Verify that all nodes have the same parent
-    const parent = nodesToGroup[0].parent;
-    for (const node of nodesToGroup) {
-      if (node.parent !== parent) {
-        throw new Error('All nodes must have the same parent to be grouped');
-      }
-    }
+  const node = await getReactionNodeOrThrow(nodeId);
+  const before = node.reactions.length;
 
-    // Create a group and add the nodes to it
-    const group = figma.group(nodesToGroup, parent);
+  if (index !== undefined && (index < 0 || index >= before)) {
+    throw new Error(`Reaction index out of range: ${index}. Node has ${before} reactions`);
+  }
 
-    // Optionally set a name for the group
-    if (name) {
-      group.name = name;
+  // Without index or triggerType every reaction is removed
+  const remaining = node.reactions.filter((reaction, i) => {
+    if (index !== undefined) {
+      return i !== index;
     }
+    if (triggerType) {
+      return !reaction.trigger || reaction.trigger.type !== triggerType;
+    }
+    return false;
+  });
 
-    return {
-      id: group.id,
-      name: group.name,
-      type: group.type,
-      children: group.children.map((child) => ({
-        id: child.id,
-        name: child.name,
-        type: child.type,
-      })),
-    };
-  } catch (error) {
-    throw new Error(`Error grouping nodes: ${error.message}`);
-  }
+  await applyReactions(node, remaining);
+
+  return {
+    id: node.id,
+    name: node.name,
+    removedCount: before - remaining.length,
+    reactions: await serializeReactions(node),
+  };
 }
 
-// Function to ungroup nodes
-async function ungroupNodes(params) {
-  const { nodeId } = params || {};
+async function addFlowStartingPoint(params) {
+  const { nodeId, name } = params || {};
 
   if (!nodeId) {
     throw new Error('Missing nodeId parameter');
   }
 
-  try {
-    const node = await figma.getNodeByIdAsync(nodeId);
-    if (!node) {
-      throw new Error(`Node not found with ID: ${nodeId}`);
-    }
-
-    // Verify that the node is a group or a frame
-    if (node.type !== 'GROUP' && node.type !== 'FRAME') {
-      throw new Error(`Node with ID ${nodeId} is not a GROUP or FRAME`);
-    }
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
 
-    // Get the parent and children before ungrouping
-    const parent = node.parent;
-    const children = [...node.children];
+  const page = node.parent;
+  if (!page || page.type !== 'PAGE') {
+    throw new Error(`Flow starting points must be top-level frames: ${nodeId}`);
+  }
 
-    // Ungroup the node
-    const ungroupedItems = figma.ungroup(node);
+  // Re-adding an existing starting point renames it
+  const flowName = name || node.name;
+  const others = page.flowStartingPoints.filter((flow) => flow.nodeId !== nodeId);
+  page.flowStartingPoints = others.concat([{ nodeId, name: flowName }]);
 
-    return {
-      success: true,
-      ungroupedCount: ungroupedItems.length,
-      items: ungroupedItems.map((item) => ({ id: item.id, name: item.name, type: item.type })),
-    };
-  } catch (error) {
-    throw new Error(`Error ungrouping node: ${error.message}`);
-  }
+  return {
+    pageId: page.id,
+    pageName: page.name,
+    flowStartingPoints: page.flowStartingPoints,
+  };
 }
 
-// Function to flatten nodes (e.g., boolean operations, convert to path)
-async function flattenNode(params) {
-  const { nodeId } = params || {};
+async function removeFlowStartingPoint(params) {
+  const { nodeId, pageId } = params || {};
 
   if (!nodeId) {
     throw new Error('Missing nodeId parameter');
   }
 
-  try {
-    const node = await figma.getNodeByIdAsync(nodeId);
-    if (!node) {
-      throw new Error(`Node not found with ID: ${nodeId}`);
-    }
+  const page = await getPageOrCurrent(pageId);
+  const before = page.flowStartingPoints.length;
+  page.flowStartingPoints = page.flowStartingPoints.filter((flow) => flow.nodeId !== nodeId);
+
+  if (page.flowStartingPoints.length === before) {
+    throw new Error(`No flow starting point found for node: ${nodeId}`);
+  }
+
+  return {
+    pageId: page.id,
+    pageName: page.name,
+    flowStartingPoints: page.flowStartingPoints,
+  };
+}
+
+async function getPrototypeSummary(params) {
+  const { pageId } = params || {};
 
-    // Check for specific node types that can be flattened
-    const flattenableTypes = [
-      'VECTOR',
-      'BOOLEAN_OPERATION',
-      'STAR',
-      'POLYGON',
-      'ELLIPSE',
-      'RECTANGLE',
-    ];
+  const page = await getPageOrCurrent(pageId);
+  await page.loadAsync();
 
-    if (!flattenableTypes.includes(node.type)) {
-      throw new Error(
-        `Node with ID ${nodeId} and type ${node.type} cannot be flattened. Only vector-based nodes can be flattened.`
-      );
-    }
+  const screens = page.children.filter((child) => 'reactions' in child);
 
-    // Verify the node has the flatten method before calling it
-    if (typeof node.flatten !== 'function') {
-      throw new Error(`Node with ID ${nodeId} does not support the flatten operation.`);
-    }
+  const edges = [];
+  const brokenLinks = [];
+  const nodesWithReactions = page.findAll((node) => 'reactions' in node && node.reactions.length > 0);
 
-    // Implement a timeout mechanism
-    let timeoutId;
-    const timeoutPromise = new Promise((_, reject) => {
-      timeoutId = setTimeout(() => {
-        reject(
-          new Error(
-            'Flatten operation timed out after 8 seconds. The node may be too complex.'
-          )
-        );
-      }, 8000); // 8 seconds timeout
-    });
+  for (const node of nodesWithReactions) {
+    const fromScreen = getScreenNode(node);
+    for (const reaction of node.reactions) {
+      for (const action of getReactionActions(reaction)) {
+        const edge = {
+          nodeId: node.id,
+          nodeName: node.name,
+          fromScreenId: fromScreen ? fromScreen.id : null,
+          trigger: reaction.trigger ? reaction.trigger.type : null,
+          action: action.type === 'NODE' ? action.navigation : action.type,
+        };
 
-    // Execute the flatten operation in a promise
-    const flattenPromise = new Promise((resolve, reject) => {
-      // Execute in the next tick to allow UI updates
-      setTimeout(() => {
-        try {
-          console.log(`Starting flatten operation for node ID ${nodeId}...`);
-          const flattened = node.flatten();
-          console.log(`Flatten operation completed successfully for node ID ${nodeId}`);
-          resolve(flattened);
-        } catch (err) {
-          console.error(`Error during flatten operation: ${err.message}`);
-          reject(err);
+        if (action.type === 'NODE') {
+          const destination = action.destinationId
+            ? await figma.getNodeByIdAsync(action.destinationId)
+            : null;
+          if (!destination) {
+            brokenLinks.push(Object.assign({ destinationId: action.destinationId }, edge));
+            continue;
+          }
+          const toScreen = getScreenNode(destination);
+          edge.destinationId = destination.id;
+          edge.destinationName = destination.name;
+          edge.toScreenId = toScreen ? toScreen.id : null;
+        } else if (action.type === 'URL') {
+          edge.url = action.url;
         }
-      }, 0);
-    });
 
-    // Race between the timeout and the operation
-    const flattened = await Promise.race([flattenPromise, timeoutPromise]).finally(() => {
-      // Clear the timeout to prevent memory leaks
-      clearTimeout(timeoutId);
-    });
+        edges.push(edge);
+      }
+    }
+  }
 
-    return {
-      id: flattened.id,
-      name: flattened.name,
-      type: flattened.type,
-    };
-  } catch (error) {
-    console.error(`Error in flattenNode: ${error.message}`);
-    if (error.message.includes('timed out')) {
-      // Provide a more helpful message for timeout errors
-      throw new Error(
-        `The flatten operation timed out. This usually happens with complex nodes. Try simplifying the node first or breaking it into smaller parts.`
-      );
-    } else {
-      throw new Error(`Error flattening node: ${error.message}`);
+  // Walk the graph from every flow starting point to find screens that cannot be reached
+  const reachable = new Set();
+  const queue = page.flowStartingPoints.map((flow) => flow.nodeId);
+  while (queue.length > 0) {
+    const screenId = queue.shift();
+    if (reachable.has(screenId)) {
+      continue;
     }
+    reachable.add(screenId);
+    edges
+      .filter((edge) => edge.fromScreenId === screenId && edge.toScreenId && edge.toScreenId !== screenId)
+      .forEach((edge) => queue.push(edge.toScreenId));
   }
-}
 
-// Function to insert a child into a parent node
-async function insertChild(params) {
-  const { parentId, childId, index } = params || {};
+  const outgoing = new Set(
+    edges
+      .filter((edge) => edge.toScreenId && edge.toScreenId !== edge.fromScreenId)
+      .map((edge) => edge.fromScreenId)
+  );
+  const incoming = new Set(edges.map((edge) => edge.toScreenId).filter(Boolean));
+  const hasFlows = page.flowStartingPoints.length > 0;
+  const serializeScreen = (screen) => ({ id: screen.id, name: screen.name });
 
-  if (!parentId) {
-    throw new Error('Missing parentId parameter');
+  const warnings = [];
+  if (!hasFlows) {
+    warnings.push('Page has no flow starting points, so reachability was not checked');
   }
 
-  if (!childId) {
-    throw new Error('Missing childId parameter');
-  }
+  return {
+    pageId: page.id,
+    pageName: page.name,
+    flowStartingPoints: page.flowStartingPoints,
+    screenCount: screens.length,
+    edgeCount: edges.length,
+    edges,
+    brokenLinks,
+    unreachableScreens: hasFlows
+      ? screens.filter((screen) => !reachable.has(screen.id)).map(serializeScreen)
+      : [],
+    // Screens a user can land on but never leave; BACK and CLOSE count as a way out
+    deadEndScreens: screens
+      .filter((screen) => (hasFlows ? reachable.has(screen.id) : incoming.has(screen.id)))
+      .filter((screen) => !outgoing.has(screen.id))
+      .filter(
+        (screen) =>
+          !edges.some(
+            (edge) => edge.fromScreenId === screen.id && (edge.action === 'BACK' || edge.action === 'CLOSE')
+          )
+      )
+      .map(serializeScreen),
+    warnings,
+  };
+}
 
-  try {
-    // Get the parent and child nodes
-    const parent = await figma.getNodeByIdAsync(parentId);
-    if (!parent) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
-    }
+// ===== VECTOR FUNCTIONS =====
 
-    const child = await figma.getNodeByIdAsync(childId);
-    if (!child) {
-      throw new Error(`Child node not found with ID: ${childId}`);
-    }
+const VECTOR_WINDING_RULES = ['NONZERO', 'EVENODD', 'NONE'];
 
-    // Check if the parent can have children
-    if (!('appendChild' in parent)) {
-      throw new Error(`Parent node with ID ${parentId} cannot have children`);
-    }
+// Number of coordinates each command of Figma's path syntax takes
+const VECTOR_PATH_COMMAND_ARITY = { M: 2, L: 2, Q: 4, C: 6, Z: 0 };
 
-    // Save child's current parent for proper handling
-    const originalParent = child.parent;
+// Figma only accepts absolute M, L, Q, C and Z commands, so check the data before handing it over
+function validateVectorPaths(vectorPaths) {
+  if (!Array.isArray(vectorPaths)) {
+    throw new Error('vectorPaths must be an array');
+  }
 
-    // Insert the child at the specified index or append it
-    if (index !== undefined && index >= 0 && index <= parent.children.length) {
-      parent.insertChild(index, child);
-    } else {
-      parent.appendChild(child);
+  return vectorPaths.map((path, index) => {
+    const label = `vectorPaths[${index}]`;
+    if (!path || typeof path.data !== 'string' || path.data.trim() === '') {
+      throw new Error(`${label} must have non-empty path data`);
     }
 
-    // Verify that the insertion worked
-    const newIndex = parent.children.indexOf(child);
+    const windingRule = path.windingRule || 'EVENODD';
+    if (!VECTOR_WINDING_RULES.includes(windingRule)) {
+      throw new Error(`${label} has invalid windingRule ${windingRule}. Must be one of: ${VECTOR_WINDING_RULES.join(', ')}`);
+    }
 
-    return {
-      parentId: parent.id,
-      childId: child.id,
-      index: newIndex,
-      success: newIndex !== -1,
-      previousParentId: originalParent ? originalParent.id : null,
+    const tokens = path.data.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const leftover = path.data.replace(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g, '').replace(/[\s,]/g, '');
+    if (leftover) {
+      throw new Error(`${label} contains unexpected characters: ${leftover}`);
+    }
+
+    let command = null;
+    let numbers = 0;
+    const checkCommand = () => {
+      if (command && numbers !== VECTOR_PATH_COMMAND_ARITY[command]) {
+        throw new Error(
+          `${label}: command ${command} expects ${VECTOR_PATH_COMMAND_ARITY[command]} numbers, got ${numbers}`
+        );
+      }
     };
-  } catch (error) {
-    console.error(`Error inserting child: ${error.message}`, error);
-    throw new Error(`Error inserting child: ${error.message}`);
-  }
-}
 
-async function createEllipse(params) {
-  const {
-    x = 0,
-    y = 0,
-    width = 100,
-    height = 100,
-    name = 'Ellipse',
-    parentId,
-    fillColor = { r: 0.8, g: 0.8, b: 0.8, a: 1 },
-    strokeColor,
-    strokeWeight,
-  } = params || {};
+    tokens.forEach((token, tokenIndex) => {
+      if (/^[a-zA-Z]$/.test(token)) {
+        checkCommand();
+        if (!(token in VECTOR_PATH_COMMAND_ARITY)) {
+          throw new Error(
+            `${label}: unsupported command "${token}". Figma vector paths only accept absolute M, L, Q, C and Z commands; use create_from_svg for other SVG path data`
+          );
+        }
+        if (tokenIndex === 0 && token !== 'M') {
+          throw new Error(`${label} must start with an M command`);
+        }
+        command = token;
+        numbers = 0;
+      } else {
+        if (!command) {
+          throw new Error(`${label} must start with an M command`);
+        }
+        numbers++;
+      }
+    });
+    checkCommand();
 
-  // Create a new ellipse node
-  const ellipse = figma.createEllipse();
-  ellipse.name = name;
+    return { windingRule, data: path.data.trim() };
+  });
+}
 
-  // Position and size the ellipse
-  ellipse.x = x;
-  ellipse.y = y;
-  ellipse.resize(width, height);
+async function booleanOperation(params) {
+  const { nodeIds, operation, name, flatten = false } = params || {};
 
-  // Set fill color if provided
-  if (fillColor) {
-    const fillStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(fillColor.r) || 0,
-        g: parseFloat(fillColor.g) || 0,
-        b: parseFloat(fillColor.b) || 0,
-      },
-      opacity: parseFloat(fillColor.a) || 1,
-    };
-    ellipse.fills = [fillStyle];
+  if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length < 2) {
+    throw new Error('Missing or invalid nodeIds parameter. Provide at least two node IDs.');
   }
 
-  // Set stroke color and weight if provided
-  if (strokeColor) {
-    const strokeStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(strokeColor.r) || 0,
-        g: parseFloat(strokeColor.g) || 0,
-        b: parseFloat(strokeColor.b) || 0,
-      },
-      opacity: parseFloat(strokeColor.a) || 1,
-    };
-    ellipse.strokes = [strokeStyle];
-
-    if (strokeWeight) {
-      ellipse.strokeWeight = strokeWeight;
-    }
+  const operations = {
+    UNION: (nodes, parent, index) => figma.union(nodes, parent, index),
+    SUBTRACT: (nodes, parent, index) => figma.subtract(nodes, parent, index),
+    INTERSECT: (nodes, parent, index) => figma.intersect(nodes, parent, index),
+    EXCLUDE: (nodes, parent, index) => figma.exclude(nodes, parent, index),
+  };
+  if (!operations[operation]) {
+    throw new Error(`Invalid operation: ${operation}. Must be one of: ${Object.keys(operations).join(', ')}`);
   }
 
-  // If parentId is provided, append to that node, otherwise append to current page
-  if (parentId) {
-    const parentNode = await figma.getNodeByIdAsync(parentId);
-    if (!parentNode) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
+  const nodes = [];
+  for (const nodeId of nodeIds) {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
     }
-    if (!('appendChild' in parentNode)) {
-      throw new Error(`Parent node does not support children: ${parentId}`);
+    if (node.type === 'PAGE' || node.type === 'DOCUMENT') {
+      throw new Error(`Cannot use a ${node.type} in a boolean operation: ${nodeId}`);
     }
-    parentNode.appendChild(ellipse);
-  } else {
-    figma.currentPage.appendChild(ellipse);
+    nodes.push(node);
+  }
+
+  // The result takes the place of the first node in its parent
+  const parent = nodes[0].parent;
+  const index = parent.children.indexOf(nodes[0]);
+
+  let result = operations[operation](nodes, parent, index);
+  if (name) {
+    result.name = name;
+  }
+  if (flatten) {
+    result = figma.flatten([result], parent, index);
   }
 
   return {
-    id: ellipse.id,
-    name: ellipse.name,
-    type: ellipse.type,
-    x: ellipse.x,
-    y: ellipse.y,
-    width: ellipse.width,
-    height: ellipse.height,
+    id: result.id,
+    name: result.name,
+    type: result.type,
+    booleanOperation: result.type === 'BOOLEAN_OPERATION' ? result.booleanOperation : operation,
+    x: result.x,
+    y: result.y,
+    width: result.width,
+    height: result.height,
+    parentId: result.parent ? result.parent.id : undefined,
   };
 }
 
-async function createPolygon(params) {
-  const {
-    x = 0,
-    y = 0,
-    width = 100,
-    height = 100,
-    sides = 6,
-    name = 'Polygon',
-    parentId,
-    fillColor,
-    strokeColor,
-    strokeWeight,
-  } = params || {};
-
-  // Create the polygon
-  const polygon = figma.createPolygon();
-  polygon.x = x;
-  polygon.y = y;
-  polygon.resize(width, height);
-  polygon.name = name;
+async function createFromSvg(params) {
+  const { svg, x = 0, y = 0, width, height, name, parentId, pageId } = params || {};
 
-  // Set the number of sides
-  if (sides >= 3) {
-    polygon.pointCount = sides;
+  if (!svg || typeof svg !== 'string') {
+    throw new Error('Missing svg parameter');
   }
 
-  // Set fill color if provided
-  if (fillColor) {
-    const paintStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(fillColor.r) || 0,
-        g: parseFloat(fillColor.g) || 0,
-        b: parseFloat(fillColor.b) || 0,
-      },
-      opacity: parseFloat(fillColor.a) || 1,
-    };
-    polygon.fills = [paintStyle];
+  if (!/<svg[\s>]/i.test(svg)) {
+    throw new Error('Invalid svg parameter: expected SVG markup with an <svg> root element');
   }
-
-  // Set stroke color and weight if provided
-  if (strokeColor) {
-    const strokeStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(strokeColor.r) || 0,
-        g: parseFloat(strokeColor.g) || 0,
-        b: parseFloat(strokeColor.b) || 0,
-      },
-      opacity: parseFloat(strokeColor.a) || 1,
-    };
-    polygon.strokes = [strokeStyle];
+
+  let node;
+  try {
+    node = figma.createNodeFromSvg(svg);
+  } catch (error) {
+    throw new Error(`Error parsing SVG: ${error.message}`);
   }
 
-  // Set stroke weight if provided
-  if (strokeWeight !== undefined) {
-    polygon.strokeWeight = strokeWeight;
+  // Scale proportionally so strokes and children keep their relative sizes
+  if (width !== undefined && node.width > 0) {
+    node.rescale(width / node.width);
+  } else if (height !== undefined && node.height > 0) {
+    node.rescale(height / node.height);
+  }
+
+  node.x = x;
+  node.y = y;
+  if (name) {
+    node.name = name;
   }
 
-  // If parentId is provided, append to that node, otherwise append to current page
+  // If parentId is provided, append to that node, otherwise append to the target page
   if (parentId) {
     const parentNode = await figma.getNodeByIdAsync(parentId);
     if (!parentNode) {
+      node.remove();
       throw new Error(`Parent node not found with ID: ${parentId}`);
     }
     if (!('appendChild' in parentNode)) {
+      node.remove();
       throw new Error(`Parent node does not support children: ${parentId}`);
     }
-    parentNode.appendChild(polygon);
+    parentNode.appendChild(node);
   } else {
-    figma.currentPage.appendChild(polygon);
+    const page = await getPageOrCurrent(pageId);
+    page.appendChild(node);
   }
 
   return {
-    id: polygon.id,
-    name: polygon.name,
-    type: polygon.type,
-    x: polygon.x,
-    y: polygon.y,
-    width: polygon.width,
-    height: polygon.height,
-    pointCount: polygon.pointCount,
-    fills: polygon.fills,
-    strokes: polygon.strokes,
-    strokeWeight: polygon.strokeWeight,
-    parentId: polygon.parent ? polygon.parent.id : undefined,
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    x: node.x,
+    y: node.y,
+    width: node.width,
+    height: node.height,
+    childCount: node.children.length,
+    parentId: node.parent ? node.parent.id : undefined,
   };
 }
 
-async function createStar(params) {
-  const {
-    x = 0,
-    y = 0,
-    width = 100,
-    height = 100,
-    points = 5,
-    innerRadius = 0.5, // As a proportion of the outer radius
-    name = 'Star',
-    parentId,
-    fillColor,
-    strokeColor,
-    strokeWeight,
-  } = params || {};
+async function outlineStroke(params) {
+  const { nodeId, keepOriginal = false } = params || {};
 
-  // Create the star
-  const star = figma.createStar();
-  star.x = x;
-  star.y = y;
-  star.resize(width, height);
-  star.name = name;
+  if (!nodeId) {
+    throw new Error('Missing nodeId parameter');
+  }
 
-  // Set the number of points
-  if (points >= 3) {
-    star.pointCount = points;
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
   }
 
-  // Set the inner radius ratio
-  if (innerRadius > 0 && innerRadius < 1) {
-    star.innerRadius = innerRadius;
+  if (typeof node.outlineStroke !== 'function') {
+    throw new Error(`Node does not support outlining strokes: ${nodeId}`);
   }
 
-  // Set fill color if provided
-  if (fillColor) {
-    const paintStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(fillColor.r) || 0,
-        g: parseFloat(fillColor.g) || 0,
-        b: parseFloat(fillColor.b) || 0,
-      },
-      opacity: parseFloat(fillColor.a) || 1,
-    };
-    star.fills = [paintStyle];
+  const outline = node.outlineStroke();
+  if (!outline) {
+    throw new Error(`Node has no visible stroke to outline: ${nodeId}`);
   }
 
-  // Set stroke color and weight if provided
-  if (strokeColor) {
-    const strokeStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(strokeColor.r) || 0,
-        g: parseFloat(strokeColor.g) || 0,
-        b: parseFloat(strokeColor.b) || 0,
-      },
-      opacity: parseFloat(strokeColor.a) || 1,
-    };
-    star.strokes = [strokeStyle];
+  // Place the outline right above the original node
+  const parent = node.parent;
+  parent.insertChild(parent.children.indexOf(node) + 1, outline);
+  outline.name = `${node.name} (outline)`;
+
+  // Like Figma's "Outline stroke": the stroke is replaced, a filled shape keeps its fill
+  let originalRemoved = false;
+  if (!keepOriginal) {
+    const hasVisibleFill =
+      'fills' in node &&
+      node.fills !== figma.mixed &&
+      node.fills.some((paint) => paint.visible !== false);
+    if (hasVisibleFill) {
+      node.strokes = [];
+    } else {
+      node.remove();
+      originalRemoved = true;
+    }
   }
 
-  // Set stroke weight if provided
-  if (strokeWeight !== undefined) {
-    star.strokeWeight = strokeWeight;
+  return {
+    id: outline.id,
+    name: outline.name,
+    type: outline.type,
+    x: outline.x,
+    y: outline.y,
+    width: outline.width,
+    height: outline.height,
+    originalNodeId: nodeId,
+    originalRemoved,
+  };
+}
+
+// ===== NODE QUERY FUNCTIONS =====
+
+const STYLE_ID_FIELDS = ['fillStyleId', 'strokeStyleId', 'effectStyleId', 'gridStyleId', 'textStyleId'];
+
+function compileQueryPattern(pattern, label, caseSensitive) {
+  if (pattern === undefined || pattern === null || pattern === '') {
+    return null;
+  }
+  try {
+    return new RegExp(pattern, caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${label} regular expression: ${error.message}`);
   }
+}
 
-  // If parentId is provided, append to that node, otherwise append to current page
-  if (parentId) {
-    const parentNode = await figma.getNodeByIdAsync(parentId);
-    if (!parentNode) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
+// Walk the query roots depth first, one node at a time, so a search can stop between
+// chunks without first collecting every node of the file. Subtrees below maxDepth are
+// skipped; walk.topLevelVisited counts the direct children of the roots reached so far.
+function* walkQueryRoots(roots, types, maxDepth, walk) {
+  for (const root of roots) {
+    let page = root;
+    while (page && page.type !== 'PAGE') {
+      page = page.parent;
     }
-    if (!('appendChild' in parentNode)) {
-      throw new Error(`Parent node does not support children: ${parentId}`);
+    page = page || figma.currentPage;
+
+    // Direct children are depth 1
+    const stack = [...root.children].reverse().map((node) => ({ node, depth: 1 }));
+    while (stack.length > 0) {
+      const { node, depth } = stack.pop();
+      if (depth === 1) {
+        walk.topLevelVisited++;
+      }
+      if (!types || types.includes(node.type)) {
+        yield { node, page, depth };
+      }
+      if ('children' in node && (maxDepth === undefined || depth < maxDepth)) {
+        for (let i = node.children.length - 1; i >= 0; i--) {
+          stack.push({ node: node.children[i], depth: depth + 1 });
+        }
+      }
     }
-    parentNode.appendChild(star);
-  } else {
-    figma.currentPage.appendChild(star);
   }
+}
 
-  return {
-    id: star.id,
-    name: star.name,
-    type: star.type,
-    x: star.x,
-    y: star.y,
-    width: star.width,
-    height: star.height,
-    pointCount: star.pointCount,
-    innerRadius: star.innerRadius,
-    fills: star.fills,
-    strokes: star.strokes,
-    strokeWeight: star.strokeWeight,
-    parentId: star.parent ? star.parent.id : undefined,
+// A node is only really visible when none of its ancestors is hidden
+function isEffectivelyVisible(node) {
+  let current = node;
+  while (current && current.type !== 'PAGE') {
+    if (current.visible === false) {
+      return false;
+    }
+    current = current.parent;
+  }
+  return true;
+}
+
+function hasSolidFill(node, color, tolerance) {
+  if (!('fills' in node) || node.fills === figma.mixed || !Array.isArray(node.fills)) {
+    return false;
+  }
+  return node.fills.some((paint) => {
+    if (paint.type !== 'SOLID' || paint.visible === false) {
+      return false;
+    }
+    const opacity = paint.opacity === undefined ? 1 : paint.opacity;
+    return (
+      Math.abs(paint.color.r - color.r) <= tolerance &&
+      Math.abs(paint.color.g - color.g) <= tolerance &&
+      Math.abs(paint.color.b - color.b) <= tolerance &&
+      Math.abs(opacity - color.a) <= tolerance
+    );
+  });
+}
+
+function usesStyle(node, styleId) {
+  return STYLE_ID_FIELDS.some((field) => field in node && node[field] === styleId);
+}
+
+function inRange(value, min, max) {
+  if (min !== undefined && value < min) {
+    return false;
+  }
+  if (max !== undefined && value > max) {
+    return false;
+  }
+  return true;
+}
+
+function summarizeFoundNode(node, page, depth) {
+  const summary = {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    pageId: page.id,
+    pageName: page.name,
+    parentId: node.parent ? node.parent.id : null,
+    depth,
+    visible: node.visible,
   };
+  if ('x' in node) {
+    summary.x = node.x;
+    summary.y = node.y;
+    summary.width = node.width;
+    summary.height = node.height;
+  }
+  if (node.type === 'TEXT') {
+    summary.characters = node.characters;
+  }
+  return summary;
 }
 
-async function createVector(params) {
+async function findNodes(params) {
   const {
-    x = 0,
-    y = 0,
-    width = 100,
-    height = 100,
-    name = 'Vector',
-    parentId,
-    vectorPaths = [],
+    nodeId,
+    allPages = false,
+    types,
+    namePattern,
+    textPattern,
+    caseSensitive = false,
+    visible,
     fillColor,
-    strokeColor,
-    strokeWeight,
+    colorTolerance = 0.01,
+    styleId,
+    componentKey,
+    minWidth,
+    maxWidth,
+    minHeight,
+    maxHeight,
+    maxDepth,
+    offset = 0,
+    limit = 100,
+    chunkSize = 200,
+    commandId = generateCommandId(),
   } = params || {};
 
-  // Create the vector
-  const vector = figma.createVector();
-  vector.x = x;
-  vector.y = y;
-  vector.resize(width, height);
-  vector.name = name;
-
-  // Set vector paths if provided
-  if (vectorPaths && vectorPaths.length > 0) {
-    vector.vectorPaths = vectorPaths.map((path) => {
-      return {
-        windingRule: path.windingRule || 'EVENODD',
-        data: path.data || '',
-      };
-    });
+  if (nodeId && allPages) {
+    throw new Error('Provide either nodeId or allPages, not both');
   }
-
-  // Set fill color if provided
-  if (fillColor) {
-    const paintStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(fillColor.r) || 0,
-        g: parseFloat(fillColor.g) || 0,
-        b: parseFloat(fillColor.b) || 0,
-      },
-      opacity: parseFloat(fillColor.a) || 1,
-    };
-    vector.fills = [paintStyle];
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('chunkSize must be a positive integer');
   }
-
-  // Set stroke color and weight if provided
-  if (strokeColor) {
-    const strokeStyle = {
-      type: 'SOLID',
-      color: {
-        r: parseFloat(strokeColor.r) || 0,
-        g: parseFloat(strokeColor.g) || 0,
-        b: parseFloat(strokeColor.b) || 0,
-      },
-      opacity: parseFloat(strokeColor.a) || 1,
-    };
-    vector.strokes = [strokeStyle];
+  if (types !== undefined && (!Array.isArray(types) || types.length === 0)) {
+    throw new Error('types must be a non-empty array of node types');
   }
+  const nameRegex = compileQueryPattern(namePattern, 'namePattern', caseSensitive);
+  const textRegex = compileQueryPattern(textPattern, 'textPattern', caseSensitive);
+  const color = fillColor ? parseRgba(fillColor, 'fill') : null;
 
-  // Set stroke weight if provided
-  if (strokeWeight !== undefined) {
-    vector.strokeWeight = strokeWeight;
+  // Resolve the roots to search under, loading pages as needed
+  const roots = [];
+  if (nodeId) {
+    const root = await figma.getNodeByIdAsync(nodeId);
+    if (!root) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
+    }
+    if (!('findAll' in root)) {
+      throw new Error(`Node ${nodeId} (${root.type}) has no children to search`);
+    }
+    if (root.type === 'PAGE') {
+      await root.loadAsync();
+    }
+    roots.push(root);
+  } else if (allPages) {
+    for (const page of figma.root.children) {
+      await page.loadAsync();
+      roots.push(page);
+    }
+  } else {
+    await figma.currentPage.loadAsync();
+    roots.push(figma.currentPage);
   }
 
-  // If parentId is provided, append to that node, otherwise append to current page
-  if (parentId) {
-    const parentNode = await figma.getNodeByIdAsync(parentId);
-    if (!parentNode) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
+  sendProgressUpdate(
+    commandId,
+    'find_nodes',
+    'started',
+    0,
+    0,
+    0,
+    `Searching under ${roots.length === 1 ? `"${roots[0].name}"` : `${roots.length} pages`}`,
+    null
+  );
+
+  // Progress is estimated from how many direct children of the roots were reached
+  const walk = { topLevelVisited: 0 };
+  const topLevelTotal = roots.reduce((total, root) => total + root.children.length, 0);
+  const nodes = walkQueryRoots(roots, types, maxDepth, walk);
+
+  const matches = [];
+  let processedNodes = 0;
+  let chunksProcessed = 0;
+  let cancelled = false;
+  let done = false;
+
+  while (!done) {
+    if (isCommandCancelled(commandId)) {
+      sendCancelledUpdate(commandId, 'find_nodes', processedNodes, processedNodes, {
+        matchesFound: matches.length,
+      });
+      cancelled = true;
+      break;
     }
-    if (!('appendChild' in parentNode)) {
-      throw new Error(`Parent node does not support children: ${parentId}`);
+
+    let chunkLength = 0;
+    while (chunkLength < chunkSize) {
+      const next = nodes.next();
+      if (next.done) {
+        done = true;
+        break;
+      }
+      chunkLength++;
+
+      const { node, page, depth } = next.value;
+      if (nameRegex && !nameRegex.test(node.name)) continue;
+      if (textRegex && (node.type !== 'TEXT' || !textRegex.test(node.characters))) continue;
+      if (visible !== undefined && isEffectivelyVisible(node) !== visible) continue;
+      if (styleId && !usesStyle(node, styleId)) continue;
+      if (color && !hasSolidFill(node, color, colorTolerance)) continue;
+      if (
+        minWidth !== undefined || maxWidth !== undefined ||
+        minHeight !== undefined || maxHeight !== undefined
+      ) {
+        if (!('width' in node)) continue;
+        if (!inRange(node.width, minWidth, maxWidth) || !inRange(node.height, minHeight, maxHeight)) continue;
+      }
+      if (componentKey) {
+        if (node.type !== 'INSTANCE') continue;
+        const mainComponent = await node.getMainComponentAsync();
+        if (!mainComponentMatchesKey(mainComponent, componentKey)) continue;
+      }
+      matches.push(summarizeFoundNode(node, page, depth));
     }
-    parentNode.appendChild(vector);
-  } else {
-    figma.currentPage.appendChild(vector);
+
+    processedNodes += chunkLength;
+    chunksProcessed++;
+
+    sendProgressUpdate(
+      commandId,
+      'find_nodes',
+      'in_progress',
+      topLevelTotal > 0 ? Math.round(5 + (walk.topLevelVisited / topLevelTotal) * 90) : 95,
+      0,
+      processedNodes,
+      `Processed chunk ${chunksProcessed} (${processedNodes} nodes). Found ${matches.length} matching nodes so far.`,
+      { currentChunk: chunksProcessed, processedNodes, matchesFound: matches.length }
+    );
+
+    // Small delay between chunks to prevent UI freezing
+    if (!done) {
+      await delay(10);
+    }
+  }
+
+  const results = matches.slice(offset, offset + limit);
+  const nextOffset = offset + results.length < matches.length ? offset + results.length : null;
+
+  if (!cancelled) {
+    sendProgressUpdate(
+      commandId,
+      'find_nodes',
+      'completed',
+      100,
+      processedNodes,
+      processedNodes,
+      `Search complete. Found ${matches.length} matching nodes.`,
+      { totalMatches: matches.length }
+    );
   }
 
   return {
-    id: vector.id,
-    name: vector.name,
-    type: vector.type,
-    x: vector.x,
-    y: vector.y,
-    width: vector.width,
-    height: vector.height,
-    vectorNetwork: vector.vectorNetwork,
-    fills: vector.fills,
-    strokes: vector.strokes,
-    strokeWeight: vector.strokeWeight,
-    parentId: vector.parent ? vector.parent.id : undefined,
+    cancelled,
+    totalMatches: matches.length,
+    scannedNodes: processedNodes,
+    offset,
+    limit,
+    nextOffset,
+    nodes: results,
+    commandId,
   };
 }
 
-async function createLine(params) {
-  const {
-    x1 = 0,
-    y1 = 0,
-    x2 = 100,
-    y2 = 0,
-    name = 'Line',
-    parentId,
-    strokeColor = { r: 0, g: 0, b: 0, a: 1 },
-    strokeWeight = 1,
-    strokeCap = 'NONE', // Can be "NONE", "ROUND", "SQUARE", "ARROW_LINES", or "ARROW_EQUILATERAL"
-  } = params || {};
+// ===== BATCH FUNCTIONS =====
 
-  // Create a vector node to represent the line
-  const line = figma.createVector();
-  line.name = name;
+// "$2" is the whole result of step 2, "$2.id" or "$3.nodes.0.id" a field inside it.
+// A leading "$$" escapes a literal string such as "$$1.99"
+const BATCH_REFERENCE_PATTERN = /^\$(\d+)((?:\.[A-Za-z0-9_]+)*)$/;
 
-  // Position the line at the starting point
-  line.x = x1;
-  line.y = y1;
+function resolveBatchReferences(value, results, stepNumber) {
+  if (typeof value === 'string') {
+    if (value.startsWith('$$')) {
+      return value.slice(1);
+    }
+    const match = value.match(BATCH_REFERENCE_PATTERN);
+    if (!match) {
+      return value;
+    }
+    const referenced = parseInt(match[1], 10);
+    if (referenced < 1 || referenced >= stepNumber) {
+      throw new Error(`Reference ${value} must point to an earlier step`);
+    }
+    const source = results[referenced - 1];
+    if (!source.success) {
+      throw new Error(`Reference ${value} points to step ${referenced}, which failed`);
+    }
+    let resolved = source.result;
+    for (const key of match[2].split('.').slice(1)) {
+      if (resolved === null || resolved === undefined || !(key in Object(resolved))) {
+        throw new Error(`Reference ${value} could not be resolved: step ${referenced} has no "${key}"`);
+      }
+      resolved = resolved[key];
+    }
+    return resolved;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveBatchReferences(item, results, stepNumber));
+  }
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const key of Object.keys(value)) {
+      resolved[key] = resolveBatchReferences(value[key], results, stepNumber);
+    }
+    return resolved;
+  }
+  return value;
+}
 
-  // Calculate the vector size
-  const width = Math.abs(x2 - x1);
-  const height = Math.abs(y2 - y1);
-  line.resize(width > 0 ? width : 1, height > 0 ? height : 1);
+async function executeBatch(params) {
+  const { commands, stopOnError = true, commandId = generateCommandId() } = params || {};
 
-  // Create vector path data for a straight line
-  // SVG path data format: M (move to) starting point, L (line to) ending point
-  const dx = x2 - x1;
-  const dy = y2 - y1;
+  if (!Array.isArray(commands) || commands.length === 0) {
+    throw new Error('Missing commands parameter: provide a non-empty array of { command, params }');
+  }
+  commands.forEach((step, index) => {
+    if (!step || typeof step.command !== 'string') {
+      throw new Error(`Step ${index + 1} is missing its command name`);
+    }
+    if (step.command === 'execute_batch') {
+      throw new Error(`Step ${index + 1}: execute_batch cannot be nested`);
+    }
+  });
 
-  // Calculate relative endpoint coordinates in the vector's local coordinate system
-  const endX = dx > 0 ? width : 0;
-  const endY = dy > 0 ? height : 0;
-  const startX = dx > 0 ? 0 : width;
-  const startY = dy > 0 ? 0 : height;
+  // Close the undo step of anything done before, so the batch gets its own
+  figma.commitUndo();
 
-  // Generate SVG path data for the line
-  const pathData = `M ${startX} ${startY} L ${endX} ${endY}`;
+  sendProgressUpdate(
+    commandId,
+    'execute_batch',
+    'started',
+    0,
+    commands.length,
+    0,
+    `Starting batch of ${commands.length} commands`,
+    null
+  );
 
-  // Set vector paths
-  line.vectorPaths = [
-    {
-      windingRule: 'NONZERO',
-      data: pathData,
-    },
-  ];
+  const results = [];
+  let stopped = false;
+  let cancelled = false;
 
-  // Set stroke color
-  const strokeStyle = {
-    type: 'SOLID',
-    color: {
-      r: parseFloat(strokeColor.r) || 0,
-      g: parseFloat(strokeColor.g) || 0,
-      b: parseFloat(strokeColor.b) || 0,
-    },
-    opacity: parseFloat(strokeColor.a) || 1,
-  };
-  line.strokes = [strokeStyle];
+  for (let i = 0; i < commands.length; i++) {
+    const { command, params: stepParams } = commands[i];
+    const stepNumber = i + 1;
 
-  // Set stroke weight
-  line.strokeWeight = strokeWeight;
+    if (!stopped && isCommandCancelled(commandId)) {
+      sendCancelledUpdate(commandId, 'execute_batch', commands.length, i);
+      stopped = true;
+      cancelled = true;
+    }
 
-  // Set stroke cap style if supported
-  if (['NONE', 'ROUND', 'SQUARE', 'ARROW_LINES', 'ARROW_EQUILATERAL'].includes(strokeCap)) {
-    line.strokeCap = strokeCap;
+    if (stopped) {
+      results.push({ step: stepNumber, command, success: false, skipped: true });
+      continue;
+    }
+
+    try {
+      const resolvedParams = resolveBatchReferences(stepParams || {}, results, stepNumber);
+      const result = await handleCommand(command, resolvedParams);
+      results.push({ step: stepNumber, command, success: true, result });
+    } catch (error) {
+      results.push({ step: stepNumber, command, success: false, error: error.message || String(error) });
+      if (stopOnError) {
+        stopped = true;
+      }
+    }
+
+    sendProgressUpdate(
+      commandId,
+      'execute_batch',
+      'in_progress',
+      Math.round((stepNumber / commands.length) * 100),
+      commands.length,
+      stepNumber,
+      `Step ${stepNumber}/${commands.length} (${command}) ${results[i].success ? 'succeeded' : 'failed'}`,
+      null
+    );
   }
 
-  // Set fill to none (transparent) as lines typically don't have fills
-  line.fills = [];
+  figma.commitUndo();
 
-  // If parentId is provided, append to that node, otherwise append to current page
-  if (parentId) {
-    const parentNode = await figma.getNodeByIdAsync(parentId);
-    if (!parentNode) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
-    }
-    if (!('appendChild' in parentNode)) {
-      throw new Error(`Parent node does not support children: ${parentId}`);
-    }
-    parentNode.appendChild(line);
-  } else {
-    figma.currentPage.appendChild(line);
+  const failed = results.filter((result) => !result.success && !result.skipped).length;
+  const skipped = results.filter((result) => result.skipped).length;
+
+  if (!cancelled) {
+    sendProgressUpdate(
+      commandId,
+      'execute_batch',
+      'completed',
+      100,
+      commands.length,
+      commands.length - skipped,
+      `Batch complete: ${commands.length - failed - skipped} succeeded, ${failed} failed, ${skipped} skipped`,
+      null
+    );
   }
 
   return {
-    id: line.id,
-    name: line.name,
-    type: line.type,
-    x: line.x,
-    y: line.y,
-    width: line.width,
-    height: line.height,
-    strokeWeight: line.strokeWeight,
-    strokeCap: line.strokeCap,
-    strokes: line.strokes,
-    vectorPaths: line.vectorPaths,
-    parentId: line.parent ? line.parent.id : undefined,
+    success: failed === 0 && !cancelled,
+    cancelled,
+    succeeded: commands.length - failed - skipped,
+    failed,
+    skipped,
+    results,
+    commandId,
   };
 }
 
-// Move these functions to the global scope, OUTSIDE of createLine
-async function setTextStyleId(params) {
-  const { nodeId, textStyleId } = params || {};
+// ===== TREE BUILDER FUNCTIONS =====
 
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
+// Segment of a spec node in the id map: its name, or its type when unnamed,
+// suffixed with the child index when a sibling already uses the same segment
+function treeSpecSegment(spec, index, usedSegments) {
+  const base = spec.name || spec.type;
+  const segment = usedSegments.has(base) ? `${base}[${index}]` : base;
+  usedSegments.add(segment);
+  return segment;
+}
+
+async function createTreeSceneNode(spec) {
+  switch (spec.type) {
+    case 'FRAME':
+      return figma.createFrame();
+    case 'RECTANGLE':
+      return figma.createRectangle();
+    case 'ELLIPSE':
+      return figma.createEllipse();
+    case 'TEXT':
+      return figma.createText();
+    case 'INSTANCE': {
+      const component = await getSwapTargetComponent(spec.componentId, spec.componentKey);
+      return component.createInstance();
+    }
+    default:
+      throw new Error(`Unsupported node type: ${spec.type}`);
   }
+}
 
-  if (!textStyleId) {
-    throw new Error('Missing textStyleId parameter');
+async function applyTreeTextSpec(node, spec) {
+  const fontName = { family: spec.fontFamily || 'Inter', style: spec.fontStyle || 'Regular' };
+  await figma.loadFontAsync(fontName);
+  node.fontName = fontName;
+  if (spec.fontSize !== undefined) node.fontSize = spec.fontSize;
+  node.characters = spec.text;
+
+  if (spec.textStyleId) {
+    const style = await figma.getStyleByIdAsync(spec.textStyleId);
+    if (!style || style.type !== 'TEXT') {
+      throw new Error(`Text style not found with ID: ${spec.textStyleId}`);
+    }
+    await figma.loadFontAsync(style.fontName);
+    await node.setTextStyleIdAsync(style.id);
+  }
+  if (spec.textAlignHorizontal) node.textAlignHorizontal = spec.textAlignHorizontal;
+}
+
+function applyTreeAutoLayout(frame, autoLayout) {
+  frame.layoutMode = autoLayout.mode;
+  if (autoLayout.wrap) frame.layoutWrap = 'WRAP';
+  if (autoLayout.itemSpacing !== undefined) frame.itemSpacing = autoLayout.itemSpacing;
+  if (autoLayout.counterAxisSpacing !== undefined) frame.counterAxisSpacing = autoLayout.counterAxisSpacing;
+  if (autoLayout.primaryAxisAlignItems) frame.primaryAxisAlignItems = autoLayout.primaryAxisAlignItems;
+  if (autoLayout.counterAxisAlignItems) frame.counterAxisAlignItems = autoLayout.counterAxisAlignItems;
+
+  const padding = autoLayout.padding;
+  if (typeof padding === 'number') {
+    frame.paddingTop = frame.paddingRight = frame.paddingBottom = frame.paddingLeft = padding;
+  } else if (padding) {
+    if (padding.top !== undefined) frame.paddingTop = padding.top;
+    if (padding.right !== undefined) frame.paddingRight = padding.right;
+    if (padding.bottom !== undefined) frame.paddingBottom = padding.bottom;
+    if (padding.left !== undefined) frame.paddingLeft = padding.left;
   }
+}
+
+async function applyTreePaintsAndStyles(node, spec) {
+  if (spec.fills) node.fills = buildPaints(spec.fills);
+  if (spec.fillStyleId) await node.setFillStyleIdAsync(spec.fillStyleId);
+  if (spec.strokes) node.strokes = buildPaints(spec.strokes);
+  if (spec.strokeWeight !== undefined) node.strokeWeight = spec.strokeWeight;
+  if (spec.strokeStyleId) await node.setStrokeStyleIdAsync(spec.strokeStyleId);
+  if (spec.effects) node.effects = spec.effects.map(buildEffect);
+  if (spec.effectStyleId) await node.setEffectStyleIdAsync(spec.effectStyleId);
+}
 
+// Create one spec node under parent, then its children. Layout sizing is applied once the
+// node sits in its parent, because FILL and HUG depend on the parent's auto layout
+async function buildTreeNode(spec, parent, path, ids, created) {
+  let node;
   try {
-    const node = await figma.getNodeByIdAsync(nodeId);
-    if (!node) {
-      throw new Error(`Node not found with ID: ${nodeId}`);
+    node = await createTreeSceneNode(spec);
+    parent.appendChild(node);
+    created.count++;
+    ids[path] = node.id;
+
+    if (spec.name) node.name = spec.name;
+    if (spec.type === 'TEXT') await applyTreeTextSpec(node, spec);
+    if (spec.type === 'FRAME' && spec.autoLayout) applyTreeAutoLayout(node, spec.autoLayout);
+    if (spec.type === 'INSTANCE' && spec.properties) {
+      node.setProperties(resolveInstanceProperties(node, spec.properties));
     }
 
-    if (node.type !== 'TEXT') {
-      throw new Error(`Node with ID ${nodeId} is not a text node`);
+    if (spec.width !== undefined || spec.height !== undefined) {
+      node.resize(
+        spec.width !== undefined ? spec.width : node.width,
+        spec.height !== undefined ? spec.height : node.height
+      );
     }
+    // After resize, which would otherwise switch text back to a fixed size
+    if (spec.textAutoResize) node.textAutoResize = spec.textAutoResize;
+    if (spec.cornerRadius !== undefined) node.cornerRadius = spec.cornerRadius;
+    if (spec.clipsContent !== undefined) node.clipsContent = spec.clipsContent;
+    if (spec.visible !== undefined) node.visible = spec.visible;
+    if (spec.opacity !== undefined) node.opacity = spec.opacity;
+    await applyTreePaintsAndStyles(node, spec);
+
+    if (spec.layoutPositioning) node.layoutPositioning = spec.layoutPositioning;
+    if (spec.layoutSizingHorizontal) node.layoutSizingHorizontal = spec.layoutSizingHorizontal;
+    if (spec.layoutSizingVertical) node.layoutSizingVertical = spec.layoutSizingVertical;
+    if (spec.x !== undefined) node.x = spec.x;
+    if (spec.y !== undefined) node.y = spec.y;
+  } catch (error) {
+    throw new Error(`${path}: ${error.message || String(error)}`);
+  }
 
-    // Validate that the text style exists
-    const textStyles = await figma.getLocalTextStylesAsync();
-    const foundStyle = textStyles.find((style) => style.id === textStyleId);
-
-    if (!foundStyle) {
-      throw new Error(`Text style not found with ID: ${textStyleId}`);
+  if (spec.type === 'FRAME' && Array.isArray(spec.children)) {
+    const usedSegments = new Set();
+    for (let i = 0; i < spec.children.length; i++) {
+      const child = spec.children[i];
+      await buildTreeNode(child, node, `${path} > ${treeSpecSegment(child, i, usedSegments)}`, ids, created);
     }
+  }
 
-    console.log(`Applying text style ${textStyleId} to node ${nodeId}...`);
+  return node;
+}
 
-    // Apply the text style using the async method
-    await node.setTextStyleIdAsync(textStyleId);
+async function createTree(params) {
+  const { spec, parentId, pageId } = params || {};
 
-    console.log(`Successfully applied text style to node ${nodeId}`);
+  if (!spec || typeof spec !== 'object' || !spec.type) {
+    throw new Error('Missing spec parameter');
+  }
+
+  let parent;
+  if (parentId) {
+    parent = await figma.getNodeByIdAsync(parentId);
+    if (!parent) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!('appendChild' in parent)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+  } else {
+    parent = await getPageOrCurrent(pageId);
+  }
 
+  const ids = {};
+  const created = { count: 0 };
+  const rootPath = treeSpecSegment(spec, 0, new Set());
+  const rootIndex = parent.children.length;
+
+  try {
+    const root = await buildTreeNode(spec, parent, rootPath, ids, created);
     return {
-      id: node.id,
-      name: node.name,
-      textStyleId: node.textStyleId,
-      appliedStyle: foundStyle.name,
+      id: root.id,
+      name: root.name,
+      type: root.type,
+      width: root.width,
+      height: root.height,
+      parentId: parent.id,
+      nodeCount: created.count,
+      ids,
     };
   } catch (error) {
-    console.error(`Error setting text style ID: ${error.message}`);
-    throw new Error(`Error setting text style ID: ${error.message}`);
+    // Leave nothing half-built behind: the root carries every node created so far
+    const partialRoot = parent.children[rootIndex];
+    if (partialRoot && ids[rootPath] === partialRoot.id) {
+      partialRoot.remove();
+    }
+    throw error;
   }
 }
 
-async function setFillStyleId(params) {
-  const { nodeId, fillStyleId } = params || {};
+// ===== DOCUMENT EVENT FUNCTIONS =====
 
-  if (!nodeId) {
-    throw new Error('Missing nodeId parameter');
-  }
+// The UI forwards these to the MCP server, which keeps them for get_recent_changes.
+// With dynamic page loading, documentchange would require loading every page first,
+// so node changes are observed on the current page and re-attached when it changes.
 
-  if (!fillStyleId) {
-    throw new Error('Missing fillStyleId parameter');
-  }
+const EVENT_FLUSH_DELAY = 500;
+const MAX_EVENT_NODES = 50;
+const MAX_EVENT_CHANGES = 100;
 
-  try {
-    const node = await figma.getNodeByIdAsync(nodeId);
-    if (!node) {
-      throw new Error(`Node not found with ID: ${nodeId}`);
-    }
+const pendingNodeChanges = [];
+let nodeChangeFlushTimer = null;
+let observedPage = null;
 
-    if (!('setFillStyleIdAsync' in node)) {
-      throw new Error(`Node with ID ${nodeId} does not support fill styles`);
-    }
+function postDocumentEvent(event, data) {
+  figma.ui.postMessage({
+    type: 'document-event',
+    event,
+    data,
+    timestamp: Date.now(),
+  });
+}
 
-    // Validate that the fill style exists
-    const fillStyles = await figma.getLocalPaintStylesAsync();
-    const foundStyle = fillStyles.find((style) => style.id === fillStyleId);
+function onSelectionChange() {
+  const selection = figma.currentPage.selection;
+  postDocumentEvent('selection_change', {
+    pageId: figma.currentPage.id,
+    pageName: figma.currentPage.name,
+    count: selection.length,
+    nodes: selection.slice(0, MAX_EVENT_NODES).map((node) => ({
+      id: node.id,
+      name: node.name,
+      type: node.type,
+    })),
+  });
+}
 
-    if (!foundStyle) {
-      throw new Error(`Fill style not found with ID: ${fillStyleId}`);
+// Node changes arrive one keystroke or drag step at a time, so they are merged
+// per node and sent at most every EVENT_FLUSH_DELAY ms
+function flushNodeChanges() {
+  nodeChangeFlushTimer = null;
+  if (pendingNodeChanges.length === 0) {
+    return;
+  }
+
+  const merged = new Map();
+  for (const change of pendingNodeChanges) {
+    const existing = merged.get(change.id);
+    if (!existing) {
+      merged.set(change.id, change);
+    } else if (change.type !== 'PROPERTY_CHANGE') {
+      merged.set(change.id, change);
+    } else if (existing.properties) {
+      existing.properties = Array.from(new Set(existing.properties.concat(change.properties)));
+      existing.byPlugin = existing.byPlugin && change.byPlugin;
     }
+  }
+  pendingNodeChanges.length = 0;
 
-    console.log(`Applying fill style ${fillStyleId} to node ${nodeId}...`);
-
-    // Apply the fill style using the async method
-    await node.setFillStyleIdAsync(fillStyleId);
+  const changes = Array.from(merged.values());
+  postDocumentEvent('node_change', {
+    pageId: observedPage ? observedPage.id : figma.currentPage.id,
+    count: changes.length,
+    changes: changes.slice(0, MAX_EVENT_CHANGES),
+  });
+}
 
-    console.log(`Successfully applied fill style to node ${nodeId}`);
+function onNodeChange(event) {
+  for (const change of event.nodeChanges) {
+    const node = change.node;
+    const removed = change.type === 'DELETE' || !node || node.removed;
+    pendingNodeChanges.push({
+      type: change.type,
+      id: change.id,
+      name: removed ? undefined : node.name,
+      nodeType: removed ? undefined : node.type,
+      properties: change.type === 'PROPERTY_CHANGE' ? change.properties : undefined,
+      origin: change.origin,
+      byPlugin: state.activeCommands.size > 0,
+    });
+  }
+  if (!nodeChangeFlushTimer) {
+    nodeChangeFlushTimer = setTimeout(flushNodeChanges, EVENT_FLUSH_DELAY);
+  }
+}
 
-    return {
-      id: node.id,
-      name: node.name,
-      fillStyleId: node.fillStyleId,
-      appliedStyle: foundStyle.name,
-    };
-  } catch (error) {
-    console.error(`Error setting fill style ID: ${error.message}`);
-    throw new Error(`Error setting fill style ID: ${error.message}`);
+function observeCurrentPage() {
+  if (observedPage) {
+    observedPage.off('nodechange', onNodeChange);
   }
+  observedPage = figma.currentPage;
+  observedPage.on('nodechange', onNodeChange);
+}
+
+function onCurrentPageChange() {
+  flushNodeChanges();
+  observeCurrentPage();
+  postDocumentEvent('page_change', {
+    pageId: figma.currentPage.id,
+    pageName: figma.currentPage.name,
+  });
+  onSelectionChange();
 }
+
+function onStyleChange(event) {
+  const changes = event.styleChanges.map((change) => ({
+    type: change.type,
+    id: change.id,
+    name: change.style && change.type !== 'STYLE_DELETE' ? change.style.name : undefined,
+    properties: change.type === 'STYLE_PROPERTY_CHANGE' ? change.properties : undefined,
+  }));
+  postDocumentEvent('style_change', {
+    count: changes.length,
+    changes: changes.slice(0, MAX_EVENT_CHANGES),
+  });
+}
+
+figma.on('selectionchange', onSelectionChange);
+figma.on('currentpagechange', onCurrentPageChange);
+figma.on('stylechange', onStyleChange);
+observeCurrentPage();
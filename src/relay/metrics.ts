@@ -0,0 +1,345 @@
+/**
+ * Traffic, error and latency metrics of the WebSocket server, globally, per channel
+ * and per Figma command. Read by the /status endpoint and rendered in Prometheus
+ * text format for /metrics.
+ */
+
+import { createHmac, randomBytes } from "crypto";
+import { FIGMA_COMMANDS } from "../talk_to_figma_mcp/types";
+
+export interface RelayStats {
+  totalConnections: number;
+  activeConnections: number;
+  messagesSent: number;
+  messagesReceived: number;
+  bytesSent: number;
+  bytesReceived: number;
+  errors: number;
+  authFailures: number;
+}
+
+export interface ChannelTraffic {
+  messagesIn: number;
+  messagesOut: number;
+  bytesIn: number;
+  bytesOut: number;
+  errors: number;
+}
+
+interface CommandLatency {
+  count: number;
+  errors: number;
+  sumSeconds: number;
+  maxSeconds: number;
+  /** Observations per LATENCY_BUCKETS bucket plus a last one for slower commands, not cumulative */
+  buckets: number[];
+}
+
+/** A channel as seen by the server when metrics are read */
+export interface ChannelInfo {
+  name: string;
+  plugins: number;
+  mcpServers: number;
+  protected: boolean;
+}
+
+/** Upper bounds, in seconds, of the command latency histogram buckets */
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+export const stats: RelayStats = {
+  totalConnections: 0,
+  activeConnections: 0,
+  messagesSent: 0,
+  messagesReceived: 0,
+  bytesSent: 0,
+  bytesReceived: 0,
+  errors: 0,
+  authFailures: 0,
+};
+
+// The name of a channel without a token is all it takes to join it, so metrics label
+// channels with a keyed hash of the name that cannot be turned back into it
+const channelLabelKey = randomBytes(32);
+
+/**
+ * Label a channel in /status and /metrics without revealing its name.
+ * @param channel - The channel name
+ * @returns 12 hex digits, stable while the server runs
+ */
+export function channelLabel(channel: string): string {
+  return createHmac("sha256", channelLabelKey).update(channel).digest("hex").slice(0, 12);
+}
+
+const channelTraffic = new Map<string, ChannelTraffic>();
+const commandLatency = new Map<string, CommandLatency>();
+
+function trafficFor(channel: string): ChannelTraffic {
+  let traffic = channelTraffic.get(channel);
+  if (!traffic) {
+    traffic = { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0, errors: 0 };
+    channelTraffic.set(channel, traffic);
+  }
+  return traffic;
+}
+
+// Command names come from clients; unknown ones share one series so made-up names
+// cannot grow the metrics without limit
+const KNOWN_COMMANDS = new Set<string>(FIGMA_COMMANDS);
+
+function latencyFor(command: string): CommandLatency {
+  const label = KNOWN_COMMANDS.has(command) ? command : "other";
+  let latency = commandLatency.get(label);
+  if (!latency) {
+    latency = { count: 0, errors: 0, sumSeconds: 0, maxSeconds: 0, buckets: new Array(LATENCY_BUCKETS.length + 1).fill(0) };
+    commandLatency.set(label, latency);
+  }
+  return latency;
+}
+
+// Commands can fail after their channel closed; do not bring its traffic back
+function countChannelFailure(channel: string): void {
+  const traffic = channelTraffic.get(channel);
+  if (traffic) {
+    traffic.errors++;
+  }
+}
+
+/**
+ * Count a message received from a client.
+ * @param channel - The client's channel, if it joined one
+ * @param bytes - Size of the message
+ */
+export function recordMessageIn(channel: string | undefined, bytes: number): void {
+  stats.messagesReceived++;
+  stats.bytesReceived += bytes;
+  if (channel) {
+    const traffic = trafficFor(channel);
+    traffic.messagesIn++;
+    traffic.bytesIn += bytes;
+  }
+}
+
+/**
+ * Count a message sent to a client.
+ * @param channel - The client's channel, if it joined one
+ * @param bytes - Size of the message
+ */
+export function recordMessageOut(channel: string | undefined, bytes: number): void {
+  stats.messagesSent++;
+  stats.bytesSent += bytes;
+  if (channel) {
+    const traffic = trafficFor(channel);
+    traffic.messagesOut++;
+    traffic.bytesOut += bytes;
+  }
+}
+
+/**
+ * Count an error, against a channel when it is known.
+ * @param channel - The channel the error happened in
+ */
+export function recordError(channel?: string): void {
+  stats.errors++;
+  if (channel) {
+    trafficFor(channel).errors++;
+  }
+}
+
+/**
+ * Record how long the plugin took to answer a command.
+ * @param channel - The channel the command was sent in
+ * @param command - The Figma command name
+ * @param seconds - Time from routing the command to routing its response
+ * @param failed - The plugin answered with an error
+ */
+export function recordCommandLatency(channel: string, command: string, seconds: number, failed: boolean): void {
+  const latency = latencyFor(command);
+  latency.count++;
+  latency.sumSeconds += seconds;
+  latency.maxSeconds = Math.max(latency.maxSeconds, seconds);
+  const bucket = LATENCY_BUCKETS.findIndex((bound) => seconds <= bound);
+  latency.buckets[bucket === -1 ? LATENCY_BUCKETS.length : bucket]++;
+  if (failed) {
+    latency.errors++;
+    countChannelFailure(channel);
+  }
+}
+
+/**
+ * Count a command the plugin never answered, e.g. because no plugin was connected.
+ * @param channel - The channel the command was sent in
+ * @param command - The Figma command name
+ */
+export function recordCommandFailure(channel: string, command: string): void {
+  latencyFor(command).errors++;
+  countChannelFailure(channel);
+}
+
+/**
+ * Drop the traffic of a closed channel, so random channel names do not pile up.
+ * @param channel - The channel name
+ */
+export function forgetChannel(channel: string): void {
+  channelTraffic.delete(channel);
+}
+
+/**
+ * Read the traffic of a channel.
+ * @param channel - The channel name
+ * @returns Message, byte and error counts, zero for an unknown channel
+ */
+export function getChannelTraffic(channel: string): ChannelTraffic {
+  return { ...(channelTraffic.get(channel) || { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0, errors: 0 }) };
+}
+
+// Cumulative bucket counts as [upper bound, count], ending with +Inf
+function cumulativeBuckets(latency: CommandLatency): Array<[string, number]> {
+  let total = 0;
+  return latency.buckets.map((count, index) => {
+    total += count;
+    return [index < LATENCY_BUCKETS.length ? String(LATENCY_BUCKETS[index]) : "+Inf", total];
+  });
+}
+
+/**
+ * Summarize command latencies for the /status endpoint.
+ * @returns Count, errors, average and maximum latency and cumulative buckets by command name
+ */
+export function getCommandSummaries(): Record<string, {
+  count: number;
+  errors: number;
+  averageMs: number;
+  maxMs: number;
+  latencyBuckets: Array<{ le: string; count: number }>;
+}> {
+  const summaries: ReturnType<typeof getCommandSummaries> = {};
+  commandLatency.forEach((latency, command) => {
+    summaries[command] = {
+      count: latency.count,
+      errors: latency.errors,
+      averageMs: latency.count > 0 ? Math.round((latency.sumSeconds / latency.count) * 1000) : 0,
+      maxMs: Math.round(latency.maxSeconds * 1000),
+      latencyBuckets: cumulativeBuckets(latency).map(([le, count]) => ({ le, count })),
+    };
+  });
+  return summaries;
+}
+
+/**
+ * Build the /status response body.
+ * @param uptimeSeconds - Process uptime
+ * @param channels - The open channels and their clients
+ * @param pendingCommands - Commands waiting for the plugin
+ * @returns Global stats, channels by label and command latency summaries
+ */
+export function getStatus(uptimeSeconds: number, channels: ChannelInfo[], pendingCommands: number) {
+  return {
+    status: "running",
+    uptime: uptimeSeconds,
+    stats,
+    pendingCommands,
+    channels: Object.fromEntries(channels.map((channel) => [channelLabel(channel.name), {
+      plugins: channel.plugins,
+      mcpServers: channel.mcpServers,
+      protected: channel.protected,
+      ...getChannelTraffic(channel.name),
+    }])),
+    commands: getCommandSummaries(),
+  };
+}
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labels(values: Record<string, string>): string {
+  return `{${Object.entries(values).map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+const STAT_METRICS: Array<[keyof RelayStats, string, "counter" | "gauge", string]> = [
+  ["totalConnections", "figma_relay_connections_total", "counter", "WebSocket connections accepted"],
+  ["activeConnections", "figma_relay_active_connections", "gauge", "WebSocket connections currently open"],
+  ["messagesReceived", "figma_relay_messages_received_total", "counter", "Messages received from clients"],
+  ["messagesSent", "figma_relay_messages_sent_total", "counter", "Messages sent to clients"],
+  ["bytesReceived", "figma_relay_received_bytes_total", "counter", "Bytes received from clients"],
+  ["bytesSent", "figma_relay_sent_bytes_total", "counter", "Bytes sent to clients"],
+  ["errors", "figma_relay_errors_total", "counter", "Errors handling messages"],
+  ["authFailures", "figma_relay_auth_failures_total", "counter", "Channel joins refused for a missing or invalid token"],
+];
+
+const CHANNEL_METRICS: Array<[keyof ChannelTraffic, string, string]> = [
+  ["messagesIn", "figma_relay_channel_messages_received_total", "Messages received from clients of the channel"],
+  ["messagesOut", "figma_relay_channel_messages_sent_total", "Messages sent to clients of the channel"],
+  ["bytesIn", "figma_relay_channel_received_bytes_total", "Bytes received from clients of the channel"],
+  ["bytesOut", "figma_relay_channel_sent_bytes_total", "Bytes sent to clients of the channel"],
+  ["errors", "figma_relay_channel_errors_total", "Errors and failed commands in the channel"],
+];
+
+/**
+ * Render all metrics in the Prometheus text exposition format.
+ * @param uptimeSeconds - Process uptime
+ * @param channels - The open channels and their clients
+ * @param pendingCommands - Commands waiting for the plugin
+ * @returns The /metrics response body
+ */
+export function renderPrometheusMetrics(uptimeSeconds: number, channels: ChannelInfo[], pendingCommands: number): string {
+  const lines: string[] = [];
+  const header = (name: string, type: string, help: string) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  };
+
+  header("figma_relay_uptime_seconds", "gauge", "Seconds since the server started");
+  lines.push(`figma_relay_uptime_seconds ${uptimeSeconds}`);
+
+  for (const [key, name, type, help] of STAT_METRICS) {
+    header(name, type, help);
+    lines.push(`${name} ${stats[key]}`);
+  }
+
+  header("figma_relay_pending_commands", "gauge", "Commands waiting for a response from the plugin");
+  lines.push(`figma_relay_pending_commands ${pendingCommands}`);
+
+  header("figma_relay_channels", "gauge", "Open channels");
+  lines.push(`figma_relay_channels ${channels.length}`);
+
+  header("figma_relay_channel_clients", "gauge", "Clients in the channel by role");
+  for (const channel of channels) {
+    const channelLabels = { channel: channelLabel(channel.name) };
+    lines.push(`figma_relay_channel_clients${labels({ ...channelLabels, role: "plugin" })} ${channel.plugins}`);
+    lines.push(`figma_relay_channel_clients${labels({ ...channelLabels, role: "mcp" })} ${channel.mcpServers}`);
+  }
+
+  for (const [key, name, help] of CHANNEL_METRICS) {
+    header(name, "counter", help);
+    for (const channel of channels) {
+      lines.push(`${name}${labels({ channel: channelLabel(channel.name) })} ${getChannelTraffic(channel.name)[key]}`);
+    }
+  }
+
+  header("figma_relay_command_duration_seconds", "histogram", "Time from routing a command to the plugin to routing its response");
+  commandLatency.forEach((latency, command) => {
+    for (const [bound, count] of cumulativeBuckets(latency)) {
+      lines.push(`figma_relay_command_duration_seconds_bucket${labels({ command, le: bound })} ${count}`);
+    }
+    lines.push(`figma_relay_command_duration_seconds_sum${labels({ command })} ${latency.sumSeconds}`);
+    lines.push(`figma_relay_command_duration_seconds_count${labels({ command })} ${latency.count}`);
+  });
+
+  header("figma_relay_command_errors_total", "counter", "Commands answered with an error or never answered");
+  commandLatency.forEach((latency, command) => {
+    lines.push(`figma_relay_command_errors_total${labels({ command })} ${latency.errors}`);
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Reset every metric, for tests.
+ */
+export function resetMetrics(): void {
+  for (const key of Object.keys(stats) as Array<keyof RelayStats>) {
+    stats[key] = 0;
+  }
+  channelTraffic.clear();
+  commandLatency.clear();
+}
@@ -0,0 +1,96 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { z } from "zod";
+
+/**
+ * Settings shared by the WebSocket server and the MCP server, read from the JSON file
+ * given with `--config=` or the `FIGMA_MCP_CONFIG` environment variable.
+ * Command line flags and environment variables take precedence over the file.
+ */
+export const configFileSchema = z
+  .object({
+    // WebSocket server
+    host: z.string().min(1).optional(),
+    port: z.number().int().min(1).max(65535).optional(),
+    tlsCert: z.string().min(1).optional(),
+    tlsKey: z.string().min(1).optional(),
+    // MCP server
+    server: z.string().min(1).optional(),
+    token: z.string().min(1).optional(),
+    reconnectInterval: z.number().int().positive().optional(),
+    exportDir: z.string().min(1).optional(),
+    maxResponseMb: z.number().positive().optional(),
+  })
+  .strict();
+
+export type ConfigFile = z.infer<typeof configFileSchema>;
+
+// Paths in the file are relative to the file, not to where the process was started
+const PATH_KEYS = ["tlsCert", "tlsKey", "exportDir"] as const;
+
+/**
+ * Read a `--name=value` command line flag.
+ * @param args - Command line arguments
+ * @param name - Flag name without the leading dashes
+ * @returns The value, or undefined when the flag is not given
+ */
+export function getArgValue(args: string[], name: string): string | undefined {
+  const prefix = `--${name}=`;
+  const arg = args.find((candidate) => candidate.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+}
+
+/**
+ * Parse a port number from a flag or environment variable.
+ * @param value - The raw value, if any
+ * @param source - Where the value came from, for the error message
+ * @returns The port, or undefined when no value is given
+ */
+export function parsePort(value: string | undefined, source: string): number | undefined {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port in ${source}: ${value}`);
+  }
+  return port;
+}
+
+/**
+ * Load the shared config file, if one is given.
+ * @param args - Command line arguments, searched for `--config=`
+ * @param env - Environment, searched for `FIGMA_MCP_CONFIG`
+ * @returns The validated settings, empty when no file is given
+ */
+export function loadConfigFile(
+  args: string[] = process.argv.slice(2),
+  env: NodeJS.ProcessEnv = process.env
+): ConfigFile {
+  const configPath = getArgValue(args, "config") || env.FIGMA_MCP_CONFIG;
+  if (!configPath) {
+    return {};
+  }
+
+  let raw: unknown;
+  try {
+    raw = JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read config file ${configPath}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  const parsed = configFileSchema.safeParse(raw);
+  if (!parsed.success) {
+    const problems = parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`);
+    throw new Error(`Invalid config file ${configPath}: ${problems.join("; ")}`);
+  }
+
+  const config = parsed.data;
+  for (const key of PATH_KEYS) {
+    const value = config[key];
+    if (value) {
+      config[key] = path.resolve(path.dirname(configPath), value);
+    }
+  }
+  return config;
+}
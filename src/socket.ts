@@ -1,4 +1,19 @@
 import { Server, ServerWebSocket } from "bun";
+import { timingSafeEqual } from "crypto";
+import { existsSync } from "fs";
+import { loadConfigFile, getArgValue, parsePort } from "./shared/config-file";
+import {
+  stats,
+  recordMessageIn,
+  recordMessageOut,
+  recordError,
+  recordCommandLatency,
+  recordCommandFailure,
+  forgetChannel,
+  getStatus,
+  renderPrometheusMetrics,
+  ChannelInfo
+} from "./relay/metrics";
 
 // Enhanced logging system
 const logger = {
@@ -16,17 +31,172 @@ const logger = {
   }
 };
 
+// Server settings: command line flags, then environment variables, then the --config file
+const args = process.argv.slice(2);
+const configFile = loadConfigFile(args);
+const port =
+  parsePort(getArgValue(args, "port"), "--port") ??
+  parsePort(process.env.FIGMA_SOCKET_PORT, "FIGMA_SOCKET_PORT") ??
+  configFile.port ??
+  3055;
+// Without a host Bun picks its default; use 0.0.0.0 to accept connections from WSL or the LAN
+const host = getArgValue(args, "host") || process.env.FIGMA_SOCKET_HOST || configFile.host;
+const tlsCert = getArgValue(args, "tls-cert") || process.env.FIGMA_SOCKET_TLS_CERT || configFile.tlsCert;
+const tlsKey = getArgValue(args, "tls-key") || process.env.FIGMA_SOCKET_TLS_KEY || configFile.tlsKey;
+
+if (!tlsCert !== !tlsKey) {
+  throw new Error("TLS needs both a certificate (--tls-cert) and a key (--tls-key)");
+}
+for (const file of [tlsCert, tlsKey]) {
+  if (file && !existsSync(file)) {
+    throw new Error(`TLS file not found: ${file}`);
+  }
+}
+const protocol = tlsCert ? "wss" : "ws";
+
+// Clients declare a role when joining: the Figma plugin runs commands, MCP servers send them
+type ClientRole = "plugin" | "mcp";
+
 // Store clients by channel
 const channels = new Map<string, Set<ServerWebSocket<any>>>();
 
-// Keep track of channel statistics
-const stats = {
-  totalConnections: 0,
-  activeConnections: 0,
-  messagesSent: 0,
-  messagesReceived: 0,
-  errors: 0
-};
+// Shared-secret tokens of protected channels, set by the client that creates the channel
+const channelTokens = new Map<string, string>();
+
+// Commands waiting for the plugin's response, keyed by message id, so the response
+// (and its progress updates) only go back to the client that sent the command
+const pendingCommands = new Map<string, {
+  requester: ServerWebSocket<any>;
+  channel: string;
+  command: string;
+  sentAt: number;
+}>();
+
+// Commands without a response after this long are forgotten
+const PENDING_COMMAND_TTL = 10 * 60 * 1000;
+
+// A join is accepted when it presents the channel's token, or none for an open channel
+function tokenMatches(expected: string | undefined, given: string | undefined): boolean {
+  if (expected === undefined || given === undefined) {
+    return expected === given;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const givenBuffer = Buffer.from(given);
+  return expectedBuffer.length === givenBuffer.length && timingSafeEqual(expectedBuffer, givenBuffer);
+}
+
+// Keep tokens out of the logs
+function redactToken(key: string, value: unknown) {
+  return key === "token" ? "***" : value;
+}
+
+// Strings are sent as they are, so chunk frames are forwarded without serializing them again
+function sendToClient(ws: ServerWebSocket<any>, payload: unknown): boolean {
+  if (ws.readyState !== WebSocket.OPEN) {
+    return false;
+  }
+  const text = typeof payload === "string" ? payload : JSON.stringify(payload);
+  ws.send(text);
+  recordMessageOut(ws.data?.channel, Buffer.byteLength(text));
+  return true;
+}
+
+// The plugin puts the data of a chunk frame last, so the routing fields can be read
+// without parsing the chunk itself
+const CHUNK_PREFIX = '{"type":"chunk",';
+
+function parseChunkHeader(message: string): { channel?: unknown; id?: unknown; index?: unknown; total?: unknown } | null {
+  if (!message.startsWith(CHUNK_PREFIX)) {
+    return null;
+  }
+  const dataAt = message.indexOf(',"data":');
+  if (dataAt === -1) {
+    return null;
+  }
+  return JSON.parse(message.slice(0, dataAt) + "}");
+}
+
+function handleChunk(ws: ServerWebSocket<any>, message: string, header: NonNullable<ReturnType<typeof parseChunkHeader>>) {
+  const clientId = ws.data?.clientId || "unknown";
+  const channelName = header.channel;
+  const channelClients = typeof channelName === "string" ? channels.get(channelName) : undefined;
+  if (typeof channelName !== "string" || !channelClients || !channelClients.has(ws)) {
+    logger.warn(`Client ${clientId} sent a response chunk without joining channel ${channelName}`);
+    return;
+  }
+
+  const id = typeof header.id === "string" ? header.id : "";
+  const pending = pendingCommandFrom(ws, channelName, id);
+  if (!pending) {
+    logger.debug(`No pending command ${id} for response chunk, dropping it`);
+    return;
+  }
+
+  logger.debug(`Response chunk ${Number(header.index) + 1}/${header.total} for command ${id} in channel ${channelName}`);
+
+  // The command is answered once its last chunk is forwarded
+  if (Number(header.index) === Number(header.total) - 1) {
+    pendingCommands.delete(id);
+    recordCommandLatency(channelName, pending.command, (Date.now() - pending.sentAt) / 1000, false);
+  }
+
+  try {
+    sendToClient(pending.requester, message);
+  } catch (error) {
+    logger.error(`Error forwarding response chunk:`, error);
+    recordError(channelName);
+  }
+}
+
+function describeChannels(): ChannelInfo[] {
+  return Array.from(channels, ([name, clients]) => {
+    const plugins = Array.from(clients).filter((client) => client.data?.role === "plugin").length;
+    return { name, plugins, mcpServers: clients.size - plugins, protected: channelTokens.has(name) };
+  });
+}
+
+function findPlugin(channelClients: Set<ServerWebSocket<any>>): ServerWebSocket<any> | undefined {
+  for (const client of channelClients) {
+    if (client.data?.role === "plugin" && client.readyState === WebSocket.OPEN) {
+      return client;
+    }
+  }
+  return undefined;
+}
+
+// Only the plugin of the channel a command was sent to may answer it or report its progress
+function pendingCommandFrom(ws: ServerWebSocket<any>, channelName: string, id: unknown) {
+  const pending = typeof id === "string" ? pendingCommands.get(id) : undefined;
+  if (!pending) {
+    return undefined;
+  }
+  if (ws.data?.role !== "plugin" || pending.channel !== channelName) {
+    logger.warn(`Client ${ws.data?.clientId || "unknown"} is not the plugin of channel ${pending.channel}, ignoring its message for command ${id}`);
+    return undefined;
+  }
+  return pending;
+}
+
+// Forget the commands a departing client was waiting on, and fail the ones
+// its channel can no longer answer once the last plugin has left
+function dropPendingCommands(ws: ServerWebSocket<any>, channelName: string) {
+  const channelClients = channels.get(channelName);
+  const pluginGone = ws.data?.role === "plugin" && (!channelClients || !findPlugin(channelClients));
+
+  pendingCommands.forEach((pending, id) => {
+    if (pending.requester === ws) {
+      pendingCommands.delete(id);
+    } else if (pluginGone && pending.channel === channelName) {
+      pendingCommands.delete(id);
+      recordCommandFailure(channelName, pending.command);
+      sendToClient(pending.requester, {
+        type: "message",
+        message: { id, error: "Figma plugin disconnected before responding" },
+        channel: channelName
+      });
+    }
+  });
+}
 
 function handleConnection(ws: ServerWebSocket<any>) {
   // Track connection statistics
@@ -42,13 +212,13 @@ function handleConnection(ws: ServerWebSocket<any>) {
 
   // Send welcome message to the new client
   try {
-    ws.send(JSON.stringify({
+    sendToClient(ws, {
       type: "system",
       message: "Please join a channel to start communicating with Figma",
-    }));
+    });
   } catch (error) {
     logger.error(`Failed to send welcome message to client ${clientId}:`, error);
-    stats.errors++;
+    recordError();
   }
 
   ws.close = () => {
@@ -64,18 +234,15 @@ function handleConnection(ws: ServerWebSocket<any>) {
         // Notify other clients in same channel
         try {
           clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-              client.send(JSON.stringify({
-                type: "system",
-                message: "A client has left the channel",
-                channel: channelName
-              }));
-              stats.messagesSent++;
-            }
+            sendToClient(client, {
+              type: "system",
+              message: "A client has left the channel",
+              channel: channelName
+            });
           });
         } catch (error) {
           logger.error(`Error notifying channel ${channelName} about client disconnect:`, error);
-          stats.errors++;
+          recordError(channelName);
         }
       }
     });
@@ -83,9 +250,9 @@ function handleConnection(ws: ServerWebSocket<any>) {
 }
 
 const server = Bun.serve({
-  port: 3055,
-  // uncomment this to allow connections in windows wsl
-  // hostname: "0.0.0.0",
+  port,
+  ...(host ? { hostname: host } : {}),
+  ...(tlsCert && tlsKey ? { tls: { cert: Bun.file(tlsCert), key: Bun.file(tlsKey) } } : {}),
   fetch(req: Request, server: Server) {
     const url = new URL(req.url);
     
@@ -105,14 +272,19 @@ const server = Bun.serve({
 
     // Handle status endpoint
     if (url.pathname === "/status") {
-      return new Response(JSON.stringify({
-        status: "running",
-        uptime: process.uptime(),
-        stats
-      }), {
+      // No CORS header: web pages in the user's browser must not read the server's state
+      return new Response(JSON.stringify(getStatus(process.uptime(), describeChannels(), pendingCommands.size)), {
         headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*"
+          "Content-Type": "application/json"
+        }
+      });
+    }
+
+    // Handle Prometheus metrics endpoint
+    if (url.pathname === "/metrics") {
+      return new Response(renderPrometheusMetrics(process.uptime(), describeChannels(), pendingCommands.size), {
+        headers: {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8"
         }
       });
     }
@@ -130,7 +302,7 @@ const server = Bun.serve({
       }
     } catch (error) {
       logger.error("Failed to upgrade WebSocket connection:", error);
-      stats.errors++;
+      recordError();
       return new Response("Failed to upgrade to WebSocket", { status: 500 });
     }
 
@@ -146,71 +318,95 @@ const server = Bun.serve({
     open: handleConnection,
     message(ws: ServerWebSocket<any>, message: string | Buffer) {
       try {
-        stats.messagesReceived++;
+        recordMessageIn(ws.data?.channel, typeof message === "string" ? Buffer.byteLength(message) : message.byteLength);
         const clientId = ws.data?.clientId || "unknown";
-        
-        logger.debug(`Received message from client ${clientId}:`, typeof message === 'string' ? message : '<binary>');
-        const data = JSON.parse(message as string);
+
+        // Large responses arrive in chunks, which are forwarded as they are
+        const text = typeof message === "string" ? message : message.toString();
+        const chunkHeader = parseChunkHeader(text);
+        if (chunkHeader) {
+          handleChunk(ws, text, chunkHeader);
+          return;
+        }
+
+        const data = JSON.parse(text);
+        logger.debug(`Received message from client ${clientId}:`, JSON.stringify(data, redactToken));
 
         if (data.type === "join") {
           const channelName = data.channel;
           if (!channelName || typeof channelName !== "string") {
             logger.warn(`Client ${clientId} attempted to join without a valid channel name`);
-            ws.send(JSON.stringify({
+            sendToClient(ws, {
               type: "error",
               message: "Channel name is required"
-            }));
-            stats.messagesSent++;
+            });
             return;
           }
 
-          // Create channel if it doesn't exist
+          const token = typeof data.token === "string" && data.token ? data.token : undefined;
+
+          // Create channel if it doesn't exist, protected by the creator's token if it has one
           if (!channels.has(channelName)) {
-            logger.info(`Creating new channel: ${channelName}`);
+            logger.info(`Creating new ${token ? "token-protected " : ""}channel: ${channelName}`);
             channels.set(channelName, new Set());
+            if (token) {
+              channelTokens.set(channelName, token);
+            }
+          } else if (!tokenMatches(channelTokens.get(channelName), token)) {
+            stats.authFailures++;
+            logger.warn(`Client ${clientId} was refused channel ${channelName}: ${token ? "invalid" : "missing"} token`);
+            sendToClient(ws, {
+              type: "error",
+              id: data.id,
+              message: `Invalid or missing token for channel ${channelName}`,
+              channel: channelName
+            });
+            return;
           }
 
           // Add client to channel
+          const role: ClientRole = data.role === "plugin" ? "plugin" : "mcp";
           const channelClients = channels.get(channelName)!;
+          if (role === "plugin" && findPlugin(channelClients)) {
+            logger.warn(`Channel ${channelName} already has a plugin, commands go to the first one`);
+          }
+          ws.data.role = role;
+          ws.data.channel = channelName;
           channelClients.add(ws);
-          logger.info(`Client ${clientId} joined channel: ${channelName}`);
+          logger.info(`Client ${clientId} joined channel: ${channelName} as ${role}`);
 
           // Notify client they joined successfully
           try {
-            ws.send(JSON.stringify({
+            sendToClient(ws, {
               type: "system",
               message: `Joined channel: ${channelName}`,
               channel: channelName
-            }));
-            stats.messagesSent++;
+            });
 
-            ws.send(JSON.stringify({
+            sendToClient(ws, {
               type: "system",
               message: {
                 id: data.id,
                 result: "Connected to channel: " + channelName,
               },
               channel: channelName
-            }));
-            stats.messagesSent++;
-            
+            });
+
             logger.debug(`Connection confirmation sent to client ${clientId} for channel ${channelName}`);
           } catch (error) {
             logger.error(`Failed to send join confirmation to client ${clientId}:`, error);
-            stats.errors++;
+            recordError(channelName);
           }
 
           // Notify other clients in channel
           try {
             let notificationCount = 0;
             channelClients.forEach((client) => {
-              if (client !== ws && client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({
-                  type: "system",
-                  message: "A new client has joined the channel",
-                  channel: channelName
-                }));
-                stats.messagesSent++;
+              if (client !== ws && sendToClient(client, {
+                type: "system",
+                message: "A new client has joined the channel",
+                channel: channelName
+              })) {
                 notificationCount++;
               }
             });
@@ -219,7 +415,7 @@ const server = Bun.serve({
             }
           } catch (error) {
             logger.error(`Error notifying channel about new client:`, error);
-            stats.errors++;
+            recordError(channelName);
           }
           
           return;
@@ -230,45 +426,83 @@ const server = Bun.serve({
           const channelName = data.channel;
           if (!channelName || typeof channelName !== "string") {
             logger.warn(`Client ${clientId} sent message without a valid channel name`);
-            ws.send(JSON.stringify({
+            sendToClient(ws, {
               type: "error",
               message: "Channel name is required"
-            }));
-            stats.messagesSent++;
+            });
             return;
           }
 
           const channelClients = channels.get(channelName);
           if (!channelClients || !channelClients.has(ws)) {
             logger.warn(`Client ${clientId} attempted to send to channel ${channelName} without joining first`);
-            ws.send(JSON.stringify({
+            sendToClient(ws, {
               type: "error",
               message: "You must join the channel first"
-            }));
-            stats.messagesSent++;
+            });
             return;
           }
 
-          // Broadcast to all clients in the channel
+          const message = data.message || {};
+          const envelope = {
+            type: "message",
+            message,
+            sender: ws.data.role,
+            channel: channelName
+          };
+
           try {
-            let broadcastCount = 0;
-            channelClients.forEach((client) => {
-              if (client.readyState === WebSocket.OPEN) {
-                logger.debug(`Broadcasting message to client in channel ${channelName}`);
-                client.send(JSON.stringify({
-                  type: "broadcast",
-                  message: data.message,
-                  sender: client === ws ? "You" : "User",
+            if (message.command) {
+              if (typeof message.id !== "string" || !message.id) {
+                logger.warn(`Client ${clientId} sent command ${message.command} without an id`);
+                sendToClient(ws, {
+                  type: "error",
+                  message: "Commands need a string id",
                   channel: channelName
-                }));
-                stats.messagesSent++;
-                broadcastCount++;
+                });
+                return;
               }
-            });
-            logger.info(`Broadcasted message to ${broadcastCount} clients in channel ${channelName}`);
+
+              // Commands only go to the channel's plugin, remembering who asked
+              const plugin = findPlugin(channelClients);
+              if (!plugin) {
+                logger.warn(`No plugin in channel ${channelName} for command ${message.command}`);
+                recordCommandFailure(channelName, message.command);
+                sendToClient(ws, {
+                  type: "message",
+                  message: { id: message.id, error: `No Figma plugin connected to channel ${channelName}` },
+                  channel: channelName
+                });
+                return;
+              }
+
+              pendingCommands.set(message.id, {
+                requester: ws,
+                channel: channelName,
+                command: message.command,
+                sentAt: Date.now()
+              });
+              sendToClient(plugin, envelope);
+              logger.info(`Routed command ${message.command} (${message.id}) from client ${clientId} to the plugin in channel ${channelName}`);
+            } else if (pendingCommands.has(message.id)) {
+              // Responses only go back to the client that sent the command
+              const pending = pendingCommandFrom(ws, channelName, message.id);
+              if (!pending) {
+                return;
+              }
+              pendingCommands.delete(message.id);
+              recordCommandLatency(channelName, pending.command, (Date.now() - pending.sentAt) / 1000, Boolean(message.error));
+              if (sendToClient(pending.requester, envelope)) {
+                logger.info(`Routed response for ${pending.command} (${message.id}) in channel ${channelName}`);
+              } else {
+                logger.warn(`Client that sent ${pending.command} (${message.id}) is gone, dropping the response`);
+              }
+            } else {
+              logger.warn(`Client ${clientId} sent a message that is neither a command nor a pending response, dropping it`);
+            }
           } catch (error) {
-            logger.error(`Error broadcasting message to channel ${channelName}:`, error);
-            stats.errors++;
+            logger.error(`Error routing message in channel ${channelName}:`, error);
+            recordError(channelName);
           }
         }
         
@@ -288,30 +522,54 @@ const server = Bun.serve({
 
           logger.debug(`Progress update for command ${data.id} in channel ${channelName}: ${data.message?.data?.status || 'unknown'} - ${data.message?.data?.progress || 0}%`);
           
-          // Broadcast progress update to all clients in the channel
+          // Progress updates carry the command id, send them to whoever is waiting on it
+          const pending = pendingCommandFrom(ws, channelName, data.id);
+          if (!pending) {
+            logger.debug(`No pending command ${data.id} for progress update, dropping it`);
+            return;
+          }
+
+          try {
+            sendToClient(pending.requester, data);
+          } catch (error) {
+            logger.error(`Error forwarding progress update:`, error);
+            recordError(channelName);
+          }
+        }
+
+        // Handle selection and document change events from the plugin
+        if (data.type === "event") {
+          const channelName = data.channel;
+          const channelClients = typeof channelName === "string" ? channels.get(channelName) : undefined;
+          if (!channelClients || !channelClients.has(ws)) {
+            logger.warn(`Client ${clientId} sent an event without joining channel ${channelName}`);
+            return;
+          }
+
+          logger.debug(`Event ${data.message?.event || 'unknown'} in channel ${channelName}`);
+
+          // Forward to every MCP server in the channel, the plugin does not need its own events back
           try {
             channelClients.forEach((client) => {
-              if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify(data));
-                stats.messagesSent++;
+              if (client !== ws && client.data?.role !== "plugin") {
+                sendToClient(client, data);
               }
             });
           } catch (error) {
-            logger.error(`Error broadcasting progress update:`, error);
-            stats.errors++;
+            logger.error(`Error forwarding event:`, error);
+            recordError(channelName);
           }
         }
-        
+
       } catch (err) {
-        stats.errors++;
+        recordError(ws.data?.channel);
         logger.error("Error handling message:", err);
         try {
           // Send error back to client
-          ws.send(JSON.stringify({
+          sendToClient(ws, {
             type: "error",
             message: "Error processing your message: " + (err instanceof Error ? err.message : String(err))
-          }));
-          stats.messagesSent++;
+          });
         } catch (sendError) {
           logger.error("Failed to send error message to client:", sendError);
         }
@@ -325,6 +583,15 @@ const server = Bun.serve({
       channels.forEach((clients, channelName) => {
         if (clients.delete(ws)) {
           logger.debug(`Removed client ${clientId} from channel ${channelName} due to connection close`);
+          dropPendingCommands(ws, channelName);
+
+          // An empty channel is forgotten along with its token, so its name can be reused
+          if (clients.size === 0) {
+            channels.delete(channelName);
+            channelTokens.delete(channelName);
+            forgetChannel(channelName);
+            logger.debug(`Closed empty channel ${channelName}`);
+          }
         }
       });
       
@@ -337,13 +604,23 @@ const server = Bun.serve({
   }
 });
 
-logger.info(`Claude to Figma WebSocket server running on port ${server.port}`);
-logger.info(`Status endpoint available at http://localhost:${server.port}/status`);
+logger.info(`Claude to Figma WebSocket server running at ${protocol}://${host || "localhost"}:${server.port}`);
+logger.info(`Status endpoint available at ${tlsCert ? "https" : "http"}://${host || "localhost"}:${server.port}/status`);
 
-// Print server stats every 5 minutes
+// Print server stats and forget unanswered commands every 5 minutes
 setInterval(() => {
+  const now = Date.now();
+  pendingCommands.forEach((pending, id) => {
+    if (now - pending.sentAt > PENDING_COMMAND_TTL) {
+      logger.warn(`Forgetting command ${pending.command} (${id}), no response after ${PENDING_COMMAND_TTL / 60000} minutes`);
+      pendingCommands.delete(id);
+      recordCommandFailure(pending.channel, pending.command);
+    }
+  });
+
   logger.info("Server stats:", {
     channels: channels.size,
+    pendingCommands: pendingCommands.size,
     ...stats
   });
 }, 5 * 60 * 1000);
@@ -1,15 +1,41 @@
 import { z } from "zod";
+import os from "os";
+import path from "path";
+import { loadConfigFile } from "../../shared/config-file";
 
 // Argumentos de línea de comandos
 const args = process.argv.slice(2);
 const serverArg = args.find(arg => arg.startsWith('--server='));
 const portArg = args.find(arg => arg.startsWith('--port='));
 const reconnectArg = args.find(arg => arg.startsWith('--reconnect-interval='));
+const exportDirArg = args.find(arg => arg.startsWith('--export-dir='));
+const tokenArg = args.find(arg => arg.startsWith('--token='));
+const maxResponseArg = args.find(arg => arg.startsWith('--max-response-mb='));
+
+// Archivo de configuración compartido con el servidor WebSocket (--config= o FIGMA_MCP_CONFIG); los argumentos tienen prioridad
+const configFile = loadConfigFile(args);
 
 // Configuración de conexión extraída de argumentos CLI
-export const serverUrl = serverArg ? serverArg.split('=')[1] : 'localhost';
-export const defaultPort = portArg ? parseInt(portArg.split('=')[1], 10) : 3055;
-export const reconnectInterval = reconnectArg ? parseInt(reconnectArg.split('=')[1], 10) : 2000;
+export const serverUrl = serverArg ? serverArg.split('=')[1] : configFile.server || 'localhost';
+const configuredPort = portArg ? parseInt(portArg.split('=')[1], 10) : configFile.port;
+export const defaultPort = configuredPort ?? 3055;
+export const reconnectInterval = reconnectArg ? parseInt(reconnectArg.split('=')[1], 10) : configFile.reconnectInterval ?? 2000;
+
+// Con un servidor remoto el puerto solo se añade a la URL si se configuró, si no se usa el de wss:// (443)
+export const portConfigured = configuredPort !== undefined;
+
+// Directorio donde se guardan las exportaciones cuando se piden en disco (CLI > variable de entorno > archivo de configuración > temporal)
+export const exportDir = exportDirArg
+  ? exportDirArg.split('=')[1]
+  : process.env.FIGMA_EXPORT_DIR || configFile.exportDir || path.join(os.tmpdir(), 'figma-exports');
+
+// Token del canal, necesario si el plugin protege el canal con uno (CLI > variable de entorno > archivo de configuración)
+export const channelToken: string | undefined = (tokenArg ? tokenArg.slice('--token='.length) : process.env.FIGMA_CHANNEL_TOKEN || configFile.token) || undefined;
+
+// Tamaño máximo de una respuesta de Figma enviada por partes (CLI > variable de entorno > archivo de configuración > 64 MB)
+export const maxResponseMb = (maxResponseArg
+  ? parseFloat(maxResponseArg.split('=')[1])
+  : parseFloat(process.env.FIGMA_MAX_RESPONSE_MB || '') || configFile.maxResponseMb) || 64;
 
 // URL de WebSocket basada en el servidor (WS para localhost, WSS para remoto)
 export const WS_URL = serverUrl === 'localhost' ? `ws://${serverUrl}` : `wss://${serverUrl}`;
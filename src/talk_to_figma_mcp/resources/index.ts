@@ -0,0 +1,187 @@
+/**
+ * This module contains the MCP resources exposed by the Figma MCP server.
+ * Resources give clients read-only, cacheable context (document, pages, nodes,
+ * selection and styles) without spending tool calls, and notify subscribers when
+ * the plugin reports a change.
+ */
+
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { sendCommandToFigma } from "../utils/websocket";
+import { filterFigmaNode } from "../utils/figma-helpers";
+import { onFigmaEvent, RecordedFigmaEvent } from "../utils/events";
+import { logger } from "../utils/logger";
+
+export const DOCUMENT_URI = "figma://document";
+export const SELECTION_URI = "figma://selection";
+export const STYLES_URI = "figma://styles";
+
+/**
+ * Build the URI of a page resource.
+ * @param pageId - The page ID
+ * @returns The page URI
+ */
+export function pageUri(pageId: string): string {
+  return `figma://page/${pageId}`;
+}
+
+/**
+ * Build the URI of a node resource.
+ * @param nodeId - The node ID
+ * @returns The node URI
+ */
+export function nodeUri(nodeId: string): string {
+  return `figma://node/${nodeId}`;
+}
+
+/**
+ * Work out which resources a plugin event makes stale.
+ * Node resources are only matched on the changed node itself, not its ancestors.
+ * @param event - The event recorded from the plugin
+ * @returns The URIs of the affected resources
+ */
+export function urisAffectedByEvent(event: RecordedFigmaEvent): string[] {
+  switch (event.event) {
+    case "selection_change":
+      return [SELECTION_URI];
+    case "page_change":
+      return [DOCUMENT_URI, SELECTION_URI];
+    case "style_change":
+      return [STYLES_URI];
+    case "node_change": {
+      const changes: Array<{ id: string }> = event.data?.changes || [];
+      return [
+        DOCUMENT_URI,
+        ...(event.data?.pageId ? [pageUri(event.data.pageId)] : []),
+        ...changes.map((change) => nodeUri(change.id)),
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+// A single `{id}` template variable, decoded since clients may percent-encode "1:2"
+function templateId(variables: Record<string, string | string[]>): string {
+  const value = variables.id;
+  return decodeURIComponent(Array.isArray(value) ? value[0] : value);
+}
+
+function jsonContents(uri: URL, value: unknown) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(value),
+      },
+    ],
+  };
+}
+
+/**
+ * Register all resources with the MCP server, with subscription support.
+ * Must be called before the server connects to its transport.
+ * @param server - The MCP server instance
+ */
+export function registerResources(server: McpServer): void {
+  // Document Resource
+  server.resource(
+    "document",
+    DOCUMENT_URI,
+    { description: "The current Figma document: its pages and the top-level layers of the current page", mimeType: "application/json" },
+    async (uri) => jsonContents(uri, await sendCommandToFigma("get_document_info"))
+  );
+
+  // Selection Resource
+  server.resource(
+    "selection",
+    SELECTION_URI,
+    { description: "The layers currently selected in Figma", mimeType: "application/json" },
+    async (uri) => jsonContents(uri, await sendCommandToFigma("get_selection"))
+  );
+
+  // Styles Resource
+  server.resource(
+    "styles",
+    STYLES_URI,
+    { description: "Local paint, text, effect and grid styles of the document", mimeType: "application/json" },
+    async (uri) => jsonContents(uri, await sendCommandToFigma("get_styles"))
+  );
+
+  // Page Resource
+  server.resource(
+    "page",
+    new ResourceTemplate("figma://page/{id}", {
+      // Listing needs the plugin; without a connection there is simply nothing to list
+      list: async () => {
+        try {
+          const result = (await sendCommandToFigma("get_document_info")) as {
+            pages: Array<{ id: string; name: string }>;
+          };
+          return {
+            resources: result.pages.map((page) => ({
+              uri: pageUri(page.id),
+              name: page.name,
+              mimeType: "application/json",
+            })),
+          };
+        } catch (error) {
+          logger.debug(`Could not list pages: ${error instanceof Error ? error.message : String(error)}`);
+          return { resources: [] };
+        }
+      },
+    }),
+    { description: "A page of the document and its top-level layers", mimeType: "application/json" },
+    async (uri, variables) => {
+      const pageId = templateId(variables);
+      const result = (await sendCommandToFigma(
+        "find_nodes",
+        { nodeId: pageId, maxDepth: 1, limit: 1000 },
+        60000
+      )) as { totalMatches: number; nodes: Array<any> };
+      return jsonContents(uri, {
+        id: pageId,
+        childCount: result.totalMatches,
+        children: result.nodes,
+      });
+    }
+  );
+
+  // Node Resource
+  server.resource(
+    "node",
+    new ResourceTemplate("figma://node/{id}", { list: undefined }),
+    { description: "Detailed information about a node and its children", mimeType: "application/json" },
+    async (uri, variables) =>
+      jsonContents(uri, filterFigmaNode(await sendCommandToFigma("get_node_info", { nodeId: templateId(variables) })))
+  );
+
+  // Subscriptions, keyed by decoded URI so "figma://node/1%3A2" and "figma://node/1:2" match,
+  // keeping the URI as the client sent it for the resources/updated notification
+  const subscriptions = new Map<string, string>();
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.set(decodeURIComponent(request.params.uri), request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(decodeURIComponent(request.params.uri));
+    return {};
+  });
+
+  onFigmaEvent((event) => {
+    const affected = urisAffectedByEvent(event).filter((uri, index, all) => all.indexOf(uri) === index);
+    for (const affectedUri of affected) {
+      const uri = subscriptions.get(affectedUri);
+      if (uri) {
+        server.server.sendResourceUpdated({ uri }).catch((error) => {
+          logger.error(`Failed to notify resource update for ${uri}: ${error instanceof Error ? error.message : String(error)}`);
+        });
+      }
+    }
+  });
+}
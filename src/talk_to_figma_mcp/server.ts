@@ -3,7 +3,7 @@
 /**
  * Main entry point for the Figma MCP Server
  * This file initializes the server, connects to Figma,
- * and registers all tools and prompts.
+ * and registers all tools, prompts and resources.
  */
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
@@ -22,6 +22,9 @@ import { registerTools } from "./tools";
 // Import prompts registration function from prompts/index.ts
 import { registerPrompts } from "./prompts";
 
+// Import resources registration function from resources/index.ts
+import { registerResources } from "./resources";
+
 /**
  * Initialize and start the MCP server
  */
@@ -35,6 +38,9 @@ async function main() {
     
     // Register all prompts with the server
     registerPrompts(server);
+
+    // Register all resources with the server
+    registerResources(server);
     
     // Try to connect to Figma socket server
     try {
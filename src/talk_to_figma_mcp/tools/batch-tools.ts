@@ -0,0 +1,93 @@
+import { z } from "zod";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { sendCommandToFigma } from "../utils/websocket";
+import { validateBatch, BATCHABLE_COMMANDS } from "../utils/batch";
+
+interface BatchStepResult {
+  step: number;
+  command: string;
+  success: boolean;
+  skipped?: boolean;
+  result?: unknown;
+  error?: string;
+}
+
+/**
+ * Register batch tools to the MCP server
+ * This module contains tools that run several plugin commands in one round trip
+ * @param server - The MCP server instance
+ */
+export function registerBatchTools(server: McpServer): void {
+  // Execute Batch Tool
+  server.tool(
+    "execute_batch",
+    "Run an ordered list of commands in Figma in one round trip and as a single undo step. A parameter value like \"$1.id\" is replaced with the id returned by step 1 (\"$3.nodes.0.id\" reaches into nested results, \"$2\" is the whole result). Write \"$$1.99\" to pass the literal text \"$1.99\". Parameters go to the plugin as they are, without the defaults and checks of the individual tools. Exports, find_nodes, scan_text_nodes, set_multiple_text_contents, bulk_override_instances and create_tree cannot be batched. Edits made in Figma while the batch runs, by the user or another client, end up in the same undo step",
+    {
+      commands: z
+        .array(
+          z.object({
+            command: z.enum(BATCHABLE_COMMANDS).describe("Command name, as used by the individual tools (e.g. create_frame, set_fills)"),
+            params: z.record(z.any()).optional().describe("Command parameters, may contain $N references to earlier steps"),
+          })
+        )
+        .min(1)
+        .max(200)
+        .describe("Commands to run in order"),
+      stopOnError: z
+        .boolean()
+        .optional()
+        .describe("Stop at the first failing step and skip the rest (default: true). When false, later steps still run unless they reference a failed step"),
+    },
+    async ({ commands, stopOnError }, extra) => {
+      try {
+        const problems = validateBatch(commands);
+        if (problems.length > 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error executing batch: ${problems.join("; ")}`,
+              },
+            ],
+          };
+        }
+
+        const result = await sendCommandToFigma(
+          "execute_batch",
+          { commands, stopOnError: stopOnError ?? true },
+          60000,
+          extra.signal
+        );
+        const typedResult = result as {
+          success: boolean;
+          succeeded: number;
+          failed: number;
+          skipped: number;
+          results: BatchStepResult[];
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Batch ${typedResult.success ? "completed" : "finished with errors"}: ${typedResult.succeeded} succeeded, ${typedResult.failed} failed, ${typedResult.skipped} skipped`,
+            },
+            {
+              type: "text",
+              text: JSON.stringify(typedResult.results, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error executing batch: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+}
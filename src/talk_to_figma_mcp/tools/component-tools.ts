@@ -1,6 +1,7 @@
 import { z } from "zod";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { sendCommandToFigma } from "../utils/websocket";
+import { paintSchema } from "../utils/paint-schema";
 
 /**
  * Register component-related tools to the MCP server
@@ -288,4 +289,465 @@ export function registerComponentTools(server: McpServer): void {
       }
     }
   );
-}
\ No newline at end of file
+
+  // Create Component Tool
+  server.tool(
+    "create_component",
+    "Create a new, empty main component in Figma. Add children with parentId set to the component ID",
+    {
+      x: z.number().describe("X position"),
+      y: z.number().describe("Y position"),
+      width: z.number().describe("Width of the component"),
+      height: z.number().describe("Height of the component"),
+      name: z.string().optional().describe("Optional name for the component"),
+      description: z.string().optional().describe("Optional component description"),
+      parentId: z.string().optional().describe("Optional parent node ID to append the component to"),
+      pageId: z.string().optional().describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
+      fills: z.array(paintSchema).optional().describe("Optional paint stack (solid, gradient or image paints)"),
+    },
+    async ({ x, y, width, height, name, description, parentId, pageId, fills }) => {
+      try {
+        const result = await sendCommandToFigma("create_component", {
+          x,
+          y,
+          width,
+          height,
+          name: name || "Component",
+          description,
+          parentId,
+          pageId,
+          fills,
+        });
+        const typedResult = result as { id: string; name: string; key: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created component "${typedResult.name}" with ID: ${typedResult.id} and key: ${typedResult.key}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating component: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Convert To Component Tool
+  server.tool(
+    "convert_to_component",
+    "Convert an existing frame, group or shape into a main component, keeping its position, children and parent",
+    {
+      nodeId: z.string().describe("ID of the node to convert"),
+      name: z.string().optional().describe("Optional new name for the component"),
+      description: z.string().optional().describe("Optional component description"),
+    },
+    async ({ nodeId, name, description }) => {
+      try {
+        const result = await sendCommandToFigma("convert_to_component", {
+          nodeId,
+          name,
+          description,
+        });
+        const typedResult = result as { id: string; name: string; key: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Converted node ${nodeId} into component "${typedResult.name}" with ID: ${typedResult.id} and key: ${typedResult.key}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error converting node to component: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Combine As Variants Tool
+  server.tool(
+    "combine_as_variants",
+    "Combine several components into a component set (variants). Variant properties are derived from layer names: names already in 'Size=Large, State=Hover' form are kept, 'Button/Large/Hover' style names are mapped onto propertyNames, and other names become values of a 'Variant' property",
+    {
+      componentIds: z.array(z.string()).min(1).describe("IDs of the components to combine"),
+      name: z.string().optional().describe("Name of the component set (default: first segment of the layer names)"),
+      propertyNames: z
+        .array(z.string())
+        .optional()
+        .describe("Variant property names mapped onto the last '/' separated segments of each layer name (e.g. ['Size', 'State'])"),
+      parentId: z.string().optional().describe("Optional parent for the component set (default: parent of the first component)"),
+    },
+    async ({ componentIds, name, propertyNames, parentId }) => {
+      try {
+        const result = await sendCommandToFigma("combine_as_variants", {
+          componentIds,
+          name,
+          propertyNames,
+          parentId,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error combining components as variants: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Add Component Property Tool
+  server.tool(
+    "add_component_property",
+    "Add a property definition (BOOLEAN, TEXT, INSTANCE_SWAP or VARIANT) to a component or component set, optionally binding it to layers inside the component",
+    {
+      componentId: z.string().describe("ID of the component or component set (a variant ID targets its set)"),
+      name: z.string().describe("Property name"),
+      type: z.enum(["BOOLEAN", "TEXT", "INSTANCE_SWAP", "VARIANT"]).describe("Property type. VARIANT requires a component set"),
+      defaultValue: z
+        .union([z.string(), z.boolean()])
+        .describe("Default value: boolean for BOOLEAN, text for TEXT, component ID for INSTANCE_SWAP, option name for VARIANT"),
+      preferredValues: z
+        .array(
+          z.object({
+            type: z.enum(["COMPONENT", "COMPONENT_SET"]),
+            key: z.string().describe("Key of the preferred component or component set"),
+          })
+        )
+        .optional()
+        .describe("Preferred values for INSTANCE_SWAP properties"),
+      bindToNodeIds: z
+        .array(z.string())
+        .optional()
+        .describe("Layers to bind: visibility for BOOLEAN, text content for TEXT, main component for INSTANCE_SWAP"),
+    },
+    async ({ componentId, name, type, defaultValue, preferredValues, bindToNodeIds }) => {
+      try {
+        const result = await sendCommandToFigma("add_component_property", {
+          componentId,
+          name,
+          type,
+          defaultValue,
+          preferredValues,
+          bindToNodeIds,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error adding component property: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Edit Component Property Tool
+  server.tool(
+    "edit_component_property",
+    "Rename a component property, change its default or preferred values, or bind it to more layers",
+    {
+      componentId: z.string().describe("ID of the component or component set (a variant ID targets its set)"),
+      propertyName: z.string().describe("Property to edit, by full key (e.g. 'Label#12:0') or display name"),
+      name: z.string().optional().describe("New property name"),
+      defaultValue: z.union([z.string(), z.boolean()]).optional().describe("New default value"),
+      preferredValues: z
+        .array(
+          z.object({
+            type: z.enum(["COMPONENT", "COMPONENT_SET"]),
+            key: z.string().describe("Key of the preferred component or component set"),
+          })
+        )
+        .optional()
+        .describe("New preferred values for INSTANCE_SWAP properties"),
+      bindToNodeIds: z.array(z.string()).optional().describe("Additional layers to bind to the property"),
+    },
+    async ({ componentId, propertyName, name, defaultValue, preferredValues, bindToNodeIds }) => {
+      try {
+        const result = await sendCommandToFigma("edit_component_property", {
+          componentId,
+          propertyName,
+          name,
+          defaultValue,
+          preferredValues,
+          bindToNodeIds,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error editing component property: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Delete Component Property Tool
+  server.tool(
+    "delete_component_property",
+    "Remove a property definition from a component or component set",
+    {
+      componentId: z.string().describe("ID of the component or component set (a variant ID targets its set)"),
+      propertyName: z.string().describe("Property to delete, by full key (e.g. 'Label#12:0') or display name"),
+    },
+    async ({ componentId, propertyName }) => {
+      try {
+        const result = await sendCommandToFigma("delete_component_property", {
+          componentId,
+          propertyName,
+        });
+        const typedResult = result as { componentName: string; deletedProperty: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted property "${typedResult.deletedProperty}" from "${typedResult.componentName}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error deleting component property: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Swap Component Tool
+  server.tool(
+    "swap_component",
+    "Swap the main component of an instance, keeping overrides that still apply. Use componentId for a local component or componentKey for a published one",
+    {
+      nodeId: z.string().describe("ID of the instance to swap"),
+      componentId: z.string().optional().describe("ID of a local component to swap to"),
+      componentKey: z.string().optional().describe("Key of a (published) component to swap to"),
+    },
+    async ({ nodeId, componentId, componentKey }) => {
+      try {
+        const result = await sendCommandToFigma("swap_component", {
+          nodeId,
+          componentId,
+          componentKey,
+        }, 20000);
+        const typedResult = result as { name: string; mainComponent: { name: string } };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Swapped instance "${typedResult.name}" to component "${typedResult.mainComponent.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error swapping component: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Reset Overrides Tool
+  server.tool(
+    "reset_overrides",
+    "Reset all overrides of an instance back to its main component",
+    {
+      nodeId: z.string().describe("ID of the instance"),
+    },
+    async ({ nodeId }) => {
+      try {
+        const result = await sendCommandToFigma("reset_overrides", { nodeId });
+        const typedResult = result as { name: string; resetOverrideCount: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Reset ${typedResult.resetOverrideCount} override(s) on instance "${typedResult.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error resetting overrides: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Detach Instance Tool
+  server.tool(
+    "detach_instance",
+    "Detach an instance from its main component, turning it into a regular frame",
+    {
+      nodeId: z.string().describe("ID of the instance to detach"),
+    },
+    async ({ nodeId }) => {
+      try {
+        const result = await sendCommandToFigma("detach_instance", { nodeId });
+        const typedResult = result as { id: string; name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Detached instance into frame "${typedResult.name}" with ID: ${typedResult.id}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error detaching instance: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Get Instance Overrides Tool
+  server.tool(
+    "get_instance_overrides",
+    "Report the overrides currently applied to an instance (overridden layers and fields, component properties). For a non-instance node, reports every instance inside it",
+    {
+      nodeId: z.string().describe("ID of an instance, or of a container to report all nested instances"),
+    },
+    async ({ nodeId }) => {
+      try {
+        const result = await sendCommandToFigma("get_instance_overrides", { nodeId }, 30000);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error getting instance overrides: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Bulk Override Instances Tool
+  server.tool(
+    "bulk_override_instances",
+    "Apply the same override to every instance of a component found under a node: reset overrides, swap the main component and/or set component properties. The component key may be a variant key or a component set key",
+    {
+      componentKey: z.string().describe("Key of the component (or component set) whose instances are updated"),
+      rootNodeId: z.string().optional().describe("Only update instances under this node (default: current page)"),
+      properties: z
+        .record(z.union([z.string(), z.boolean()]))
+        .optional()
+        .describe("Component properties to set, by display name or full key (e.g. { Label: 'Buy now', State: 'Hover' })"),
+      swapToComponentId: z.string().optional().describe("ID of a local component to swap every instance to"),
+      swapToComponentKey: z.string().optional().describe("Key of a (published) component to swap every instance to"),
+      resetOverrides: z.boolean().optional().describe("Reset existing overrides first (default: false)"),
+    },
+    async ({ componentKey, rootNodeId, properties, swapToComponentId, swapToComponentKey, resetOverrides }, extra) => {
+      try {
+        const result = await sendCommandToFigma("bulk_override_instances", {
+          componentKey,
+          rootNodeId,
+          properties,
+          swapToComponentId,
+          swapToComponentKey,
+          resetOverrides,
+        }, 60000, extra.signal);
+        const typedResult = result as {
+          matchedInstances: number;
+          successCount: number;
+          failureCount: number;
+          results: Array<{ id: string; name: string; success: boolean; error?: string }>;
+        };
+        const failures = typedResult.results.filter((item) => !item.success);
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                `Updated ${typedResult.successCount} of ${typedResult.matchedInstances} instances of ${componentKey}` +
+                (failures.length > 0 ? `\nFailures:\n${JSON.stringify(failures, null, 2)}` : ""),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error applying bulk overrides: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+}
@@ -1,6 +1,8 @@
 import { z } from "zod";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { sendCommandToFigma } from "../utils/websocket";
+import { paintSchema } from "../utils/paint-schema";
+import { treeNodeSchema, countTreeNodes, MAX_TREE_NODES } from "../utils/tree-schema";
 
 /**
  * Register creation tools to the MCP server
@@ -22,8 +24,16 @@ export function registerCreationTools(server: McpServer): void {
         .string()
         .optional()
         .describe("Optional parent node ID to append the rectangle to"),
+      pageId: z
+        .string()
+        .optional()
+        .describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
+      fills: z
+        .array(paintSchema)
+        .optional()
+        .describe("Optional paint stack (solid, gradient or image paints)"),
     },
-    async ({ x, y, width, height, name, parentId }) => {
+    async ({ x, y, width, height, name, parentId, pageId, fills }) => {
       try {
         const result = await sendCommandToFigma("create_rectangle", {
           x,
@@ -32,6 +42,8 @@ export function registerCreationTools(server: McpServer): void {
           height,
           name: name || "Rectangle",
           parentId,
+          pageId,
+          fills,
         });
         return {
           content: [
@@ -68,6 +80,10 @@ export function registerCreationTools(server: McpServer): void {
         .string()
         .optional()
         .describe("Optional parent node ID to append the frame to"),
+      pageId: z
+        .string()
+        .optional()
+        .describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
       fillColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -82,6 +98,10 @@ export function registerCreationTools(server: McpServer): void {
         })
         .optional()
         .describe("Fill color in RGBA format"),
+      fills: z
+        .array(paintSchema)
+        .optional()
+        .describe("Optional paint stack (solid, gradient or image paints). Takes precedence over fillColor"),
       strokeColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -105,7 +125,9 @@ export function registerCreationTools(server: McpServer): void {
       height,
       name,
       parentId,
+      pageId,
       fillColor,
+      fills,
       strokeColor,
       strokeWeight,
     }) => {
@@ -117,7 +139,9 @@ export function registerCreationTools(server: McpServer): void {
           height,
           name: name || "Frame",
           parentId,
+          pageId,
           fillColor: fillColor || { r: 1, g: 1, b: 1, a: 1 },
+          fills,
           strokeColor: strokeColor,
           strokeWeight: strokeWeight,
         });
@@ -178,8 +202,12 @@ export function registerCreationTools(server: McpServer): void {
         .string()
         .optional()
         .describe("Optional parent node ID to append the text to"),
+      pageId: z
+        .string()
+        .optional()
+        .describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
     },
-    async ({ x, y, text, fontSize, fontWeight, fontColor, name, parentId }) => {
+    async ({ x, y, text, fontSize, fontWeight, fontColor, name, parentId, pageId }) => {
       try {
         const result = await sendCommandToFigma("create_text", {
           x,
@@ -190,6 +218,7 @@ export function registerCreationTools(server: McpServer): void {
           fontColor: fontColor || { r: 0, g: 0, b: 0, a: 1 },
           name: name || "Text",
           parentId,
+          pageId,
         });
         const typedResult = result as { name: string; id: string };
         return {
@@ -224,6 +253,7 @@ export function registerCreationTools(server: McpServer): void {
       height: z.number().describe("Height of the ellipse"),
       name: z.string().optional().describe("Optional name for the ellipse"),
       parentId: z.string().optional().describe("Optional parent node ID to append the ellipse to"),
+      pageId: z.string().optional().describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
       fillColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -233,6 +263,10 @@ export function registerCreationTools(server: McpServer): void {
         })
         .optional()
         .describe("Fill color in RGBA format"),
+      fills: z
+        .array(paintSchema)
+        .optional()
+        .describe("Optional paint stack (solid, gradient or image paints). Takes precedence over fillColor"),
       strokeColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -244,7 +278,7 @@ export function registerCreationTools(server: McpServer): void {
         .describe("Stroke color in RGBA format"),
       strokeWeight: z.number().positive().optional().describe("Stroke weight"),
     },
-    async ({ x, y, width, height, name, parentId, fillColor, strokeColor, strokeWeight }) => {
+    async ({ x, y, width, height, name, parentId, pageId, fillColor, fills, strokeColor, strokeWeight }) => {
       try {
         const result = await sendCommandToFigma("create_ellipse", {
           x,
@@ -253,7 +287,9 @@ export function registerCreationTools(server: McpServer): void {
           height,
           name: name || "Ellipse",
           parentId,
+          pageId,
           fillColor,
+          fills,
           strokeColor,
           strokeWeight,
         });
@@ -292,6 +328,7 @@ export function registerCreationTools(server: McpServer): void {
       sides: z.number().min(3).optional().describe("Number of sides (default: 6)"),
       name: z.string().optional().describe("Optional name for the polygon"),
       parentId: z.string().optional().describe("Optional parent node ID to append the polygon to"),
+      pageId: z.string().optional().describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
       fillColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -301,6 +338,10 @@ export function registerCreationTools(server: McpServer): void {
         })
         .optional()
         .describe("Fill color in RGBA format"),
+      fills: z
+        .array(paintSchema)
+        .optional()
+        .describe("Optional paint stack (solid, gradient or image paints). Takes precedence over fillColor"),
       strokeColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -312,7 +353,7 @@ export function registerCreationTools(server: McpServer): void {
         .describe("Stroke color in RGBA format"),
       strokeWeight: z.number().positive().optional().describe("Stroke weight"),
     },
-    async ({ x, y, width, height, sides, name, parentId, fillColor, strokeColor, strokeWeight }) => {
+    async ({ x, y, width, height, sides, name, parentId, pageId, fillColor, fills, strokeColor, strokeWeight }) => {
       try {
         const result = await sendCommandToFigma("create_polygon", {
           x,
@@ -322,7 +363,9 @@ export function registerCreationTools(server: McpServer): void {
           sides: sides || 6,
           name: name || "Polygon",
           parentId,
+          pageId,
           fillColor,
+          fills,
           strokeColor,
           strokeWeight,
         });
@@ -362,6 +405,7 @@ export function registerCreationTools(server: McpServer): void {
       innerRadius: z.number().min(0.01).max(0.99).optional().describe("Inner radius ratio (0.01-0.99, default: 0.5)"),
       name: z.string().optional().describe("Optional name for the star"),
       parentId: z.string().optional().describe("Optional parent node ID to append the star to"),
+      pageId: z.string().optional().describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
       fillColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -371,6 +415,10 @@ export function registerCreationTools(server: McpServer): void {
         })
         .optional()
         .describe("Fill color in RGBA format"),
+      fills: z
+        .array(paintSchema)
+        .optional()
+        .describe("Optional paint stack (solid, gradient or image paints). Takes precedence over fillColor"),
       strokeColor: z
         .object({
           r: z.number().min(0).max(1).describe("Red component (0-1)"),
@@ -382,7 +430,7 @@ export function registerCreationTools(server: McpServer): void {
         .describe("Stroke color in RGBA format"),
       strokeWeight: z.number().positive().optional().describe("Stroke weight"),
     },
-    async ({ x, y, width, height, points, innerRadius, name, parentId, fillColor, strokeColor, strokeWeight }) => {
+    async ({ x, y, width, height, points, innerRadius, name, parentId, pageId, fillColor, fills, strokeColor, strokeWeight }) => {
       try {
         const result = await sendCommandToFigma("create_star", {
           x,
@@ -393,7 +441,9 @@ export function registerCreationTools(server: McpServer): void {
           innerRadius: innerRadius || 0.5,
           name: name || "Star",
           parentId,
+          pageId,
           fillColor,
+          fills,
           strokeColor,
           strokeWeight,
         });
@@ -617,4 +667,257 @@ export function registerCreationTools(server: McpServer): void {
       }
     }
   );
-}
\ No newline at end of file
+
+  // Create Vector Tool
+  server.tool(
+    "create_vector",
+    "Create a vector from path data in Figma. Paths only accept absolute M, L, Q, C and Z commands (e.g. 'M 0 0 L 24 12 L 0 24 Z'); use create_from_svg for arbitrary SVG",
+    {
+      x: z.number().describe("X position"),
+      y: z.number().describe("Y position"),
+      width: z.number().describe("Width of the vector"),
+      height: z.number().describe("Height of the vector"),
+      name: z.string().optional().describe("Optional name for the vector"),
+      parentId: z.string().optional().describe("Optional parent node ID to append the vector to"),
+      pageId: z.string().optional().describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
+      vectorPaths: z
+        .array(
+          z.object({
+            windingRule: z.enum(["NONZERO", "EVENODD", "NONE"]).optional().describe("Fill rule (default: EVENODD)"),
+            data: z
+              .string()
+              .min(1)
+              .regex(/^[\sMLQCZ0-9.,eE+-]+$/, "Only absolute M, L, Q, C and Z commands are supported")
+              .describe("Path data using absolute M, L, Q, C and Z commands"),
+          })
+        )
+        .min(1)
+        .describe("Vector paths"),
+      fillColor: z
+        .object({
+          r: z.number().min(0).max(1).describe("Red component (0-1)"),
+          g: z.number().min(0).max(1).describe("Green component (0-1)"),
+          b: z.number().min(0).max(1).describe("Blue component (0-1)"),
+          a: z.number().min(0).max(1).optional().describe("Alpha component (0-1)"),
+        })
+        .optional()
+        .describe("Fill color in RGBA format"),
+      strokeColor: z
+        .object({
+          r: z.number().min(0).max(1).describe("Red component (0-1)"),
+          g: z.number().min(0).max(1).describe("Green component (0-1)"),
+          b: z.number().min(0).max(1).describe("Blue component (0-1)"),
+          a: z.number().min(0).max(1).optional().describe("Alpha component (0-1)"),
+        })
+        .optional()
+        .describe("Stroke color in RGBA format"),
+      strokeWeight: z.number().positive().optional().describe("Stroke weight"),
+    },
+    async ({ x, y, width, height, name, parentId, pageId, vectorPaths, fillColor, strokeColor, strokeWeight }) => {
+      try {
+        const result = await sendCommandToFigma("create_vector", {
+          x,
+          y,
+          width,
+          height,
+          name: name || "Vector",
+          parentId,
+          pageId,
+          vectorPaths,
+          fillColor,
+          strokeColor,
+          strokeWeight,
+        });
+
+        const typedResult = result as { id: string, name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created vector "${typedResult.name}" with ID: ${typedResult.id}`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating vector: ${error instanceof Error ? error.message : String(error)}`
+            }
+          ]
+        };
+      }
+    }
+  );
+
+  // Boolean Operation Tool
+  server.tool(
+    "boolean_operation",
+    "Combine shapes with a boolean operation (union, subtract, intersect or exclude). For SUBTRACT the bottom-most layer is the base shape. The result replaces the first node in its parent",
+    {
+      nodeIds: z.array(z.string()).min(2).describe("IDs of the nodes to combine (at least two)"),
+      operation: z.enum(["UNION", "SUBTRACT", "INTERSECT", "EXCLUDE"]).describe("Boolean operation"),
+      name: z.string().optional().describe("Optional name for the resulting node"),
+      flatten: z.boolean().optional().describe("Flatten the result into a single vector (default: false)"),
+    },
+    async ({ nodeIds, operation, name, flatten }) => {
+      try {
+        const result = await sendCommandToFigma("boolean_operation", {
+          nodeIds,
+          operation,
+          name,
+          flatten: flatten || false,
+        });
+
+        const typedResult = result as { id: string, name: string, type: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Applied ${operation} to ${nodeIds.length} nodes. Result "${typedResult.name}" has ID: ${typedResult.id} and type ${typedResult.type}`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error applying boolean operation: ${error instanceof Error ? error.message : String(error)}`
+            }
+          ]
+        };
+      }
+    }
+  );
+
+  // Create From SVG Tool
+  server.tool(
+    "create_from_svg",
+    "Create nodes from SVG markup (e.g. an icon). The SVG becomes a frame containing vectors",
+    {
+      svg: z.string().describe("SVG markup with an <svg> root element"),
+      x: z.number().optional().describe("X position (default: 0)"),
+      y: z.number().optional().describe("Y position (default: 0)"),
+      width: z.number().positive().optional().describe("Scale proportionally to this width"),
+      height: z.number().positive().optional().describe("Scale proportionally to this height (ignored when width is given)"),
+      name: z.string().optional().describe("Optional name for the created frame"),
+      parentId: z.string().optional().describe("Optional parent node ID to append the SVG to"),
+      pageId: z.string().optional().describe("Optional page ID to create the element on when no parentId is given (defaults to the current page)"),
+    },
+    async ({ svg, x, y, width, height, name, parentId, pageId }) => {
+      try {
+        const result = await sendCommandToFigma("create_from_svg", {
+          svg,
+          x,
+          y,
+          width,
+          height,
+          name,
+          parentId,
+          pageId,
+        });
+
+        const typedResult = result as { id: string, name: string, width: number, height: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created "${typedResult.name}" from SVG with ID: ${typedResult.id} (${typedResult.width}x${typedResult.height})`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating node from SVG: ${error instanceof Error ? error.message : String(error)}`
+            }
+          ]
+        };
+      }
+    }
+  );
+
+  // Outline Stroke Tool
+  server.tool(
+    "outline_stroke",
+    "Convert the stroke of a node into a filled vector placed above it. Like Figma's 'Outline stroke', the original stroke is removed (and the node deleted if it has no fill) unless keepOriginal is true",
+    {
+      nodeId: z.string().describe("ID of the node whose stroke is outlined"),
+      keepOriginal: z.boolean().optional().describe("Keep the original node unchanged (default: false)"),
+    },
+    async ({ nodeId, keepOriginal }) => {
+      try {
+        const result = await sendCommandToFigma("outline_stroke", {
+          nodeId,
+          keepOriginal: keepOriginal || false,
+        });
+
+        const typedResult = result as { id: string, name: string, originalRemoved: boolean };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Outlined stroke into vector "${typedResult.name}" with ID: ${typedResult.id}${typedResult.originalRemoved ? " (original node removed)" : ""}`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error outlining stroke: ${error instanceof Error ? error.message : String(error)}`
+            }
+          ]
+        };
+      }
+    }
+  );
+
+  // Create Tree Tool
+  server.tool(
+    "create_tree",
+    "Create a whole layer tree (frames, text, rectangles, ellipses and component instances with auto layout, fills, strokes, effects and styles) from one nested JSON spec in a single call. Returns the ID of every created node keyed by its path of layer names, e.g. \"Card > Header > Title\". Nothing is left behind if any node fails",
+    {
+      spec: treeNodeSchema.describe("Root node spec. FRAME nodes nest further specs in children"),
+      parentId: z.string().optional().describe("Optional parent node ID to create the tree in"),
+      pageId: z.string().optional().describe("Optional page ID to create the tree on when no parentId is given (defaults to the current page)"),
+    },
+    async ({ spec, parentId, pageId }) => {
+      try {
+        const nodeCount = countTreeNodes(spec);
+        if (nodeCount > MAX_TREE_NODES) {
+          throw new Error(`Spec describes ${nodeCount} nodes, the limit is ${MAX_TREE_NODES}. Split it into several calls`);
+        }
+
+        const result = await sendCommandToFigma("create_tree", { spec, parentId, pageId }, 60000);
+        const typedResult = result as { id: string, name: string, nodeCount: number, ids: Record<string, string> };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created "${typedResult.name}" with ID: ${typedResult.id} (${typedResult.nodeCount} nodes)`
+            },
+            {
+              type: "text",
+              text: JSON.stringify(typedResult.ids, null, 2)
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating tree: ${error instanceof Error ? error.message : String(error)}`
+            }
+          ]
+        };
+      }
+    }
+  );
+}
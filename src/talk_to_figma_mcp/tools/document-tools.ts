@@ -2,6 +2,67 @@ import { z } from "zod";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { sendCommandToFigma, joinChannel } from "../utils/websocket.js";
 import { filterFigmaNode } from "../utils/figma-helpers.js";
+import { saveExportToDisk, ExportedAsset } from "../utils/export-files.js";
+import { exportDir } from "../config/config.js";
+import { rgbaSchema } from "../utils/paint-schema.js";
+import { getRecentChanges } from "../utils/events.js";
+
+// Export options shared by the single and batch export tools
+const exportSettingsShape = {
+  format: z
+    .enum(["PNG", "JPG", "SVG", "PDF"])
+    .optional()
+    .describe("Export format (default: PNG). JPG quality cannot be set: Figma's image export settings have no quality option"),
+  scale: z.number().positive().optional().describe("Export scale for PNG/JPG (default: 1)"),
+  width: z.number().positive().optional().describe("Export at a fixed width in pixels for PNG/JPG (overrides scale)"),
+  height: z.number().positive().optional().describe("Export at a fixed height in pixels for PNG/JPG (overrides scale, ignored if width is set)"),
+  contentsOnly: z.boolean().optional().describe("Export only the node contents, without overlapping layers (default: true)"),
+  useAbsoluteBounds: z.boolean().optional().describe("Use the full node dimensions instead of the rendered bounds"),
+  svgOutlineText: z.boolean().optional().describe("SVG only: render text as outlined paths (default: true)"),
+  svgIdAttribute: z.boolean().optional().describe("SVG only: include layer names as id attributes (default: false)"),
+  svgSimplifyStroke: z.boolean().optional().describe("SVG only: simplify inside/outside strokes (default: true)"),
+  saveToDisk: z
+    .boolean()
+    .optional()
+    .describe("Write the export to the server's export directory and return only its path, size and hash instead of the data (default: false)"),
+};
+
+interface ExportResult extends ExportedAsset {
+  mimeType: string;
+  byteLength: number;
+}
+
+/**
+ * Convert an export result from the plugin into an MCP content block.
+ * SVG is returned as text, PDF as an embedded resource and PNG/JPG as an image.
+ * @param result - The export result returned by the plugin
+ * @returns The matching MCP content block
+ */
+function exportResultToContent(result: ExportResult): any {
+  if (result.format === "SVG") {
+    return {
+      type: "text",
+      text: Buffer.from(result.imageData, "base64").toString("utf8"),
+    };
+  }
+
+  if (result.format === "PDF") {
+    return {
+      type: "resource",
+      resource: {
+        uri: `figma://node/${result.nodeId}/export.pdf`,
+        mimeType: result.mimeType,
+        blob: result.imageData,
+      },
+    };
+  }
+
+  return {
+    type: "image",
+    data: result.imageData,
+    mimeType: result.mimeType || "image/png",
+  };
+}
 
 /**
  * Register document-related tools to the MCP server
@@ -11,11 +72,13 @@ export function registerDocumentTools(server: McpServer): void {
   // Document Info Tool
   server.tool(
     "get_document_info",
-    "Get detailed information about the current Figma document",
-    {},
-    async () => {
+    "Get detailed information about the current Figma document, including every page",
+    {
+      includePageChildCounts: z.boolean().optional().describe("Whether to load every page to count its top-level layers; slow on large files (default: false, only the current page is counted)"),
+    },
+    async ({ includePageChildCounts }) => {
       try {
-        const result = await sendCommandToFigma("get_document_info");
+        const result = await sendCommandToFigma("get_document_info", { includePageChildCounts });
         return {
           content: [
             {
@@ -37,6 +100,173 @@ export function registerDocumentTools(server: McpServer): void {
     }
   );
 
+  // Create Page Tool
+  server.tool(
+    "create_page",
+    "Create a new page in the Figma document",
+    {
+      name: z.string().optional().describe("Optional name for the page"),
+      index: z.number().int().min(0).optional().describe("Optional position of the page in the page list (defaults to the end)"),
+      switchTo: z.boolean().optional().describe("Whether to make the new page the current page (default: false)"),
+    },
+    async ({ name, index, switchTo }) => {
+      try {
+        const result = await sendCommandToFigma("create_page", {
+          name: name || "Page",
+          index,
+          switchTo: switchTo || false,
+        });
+        const typedResult = result as { id: string; name: string; index: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created page "${typedResult.name}" with ID: ${typedResult.id} at position ${typedResult.index}. Use the ID as the pageId when creating elements on this page.`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating page: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Rename Page Tool
+  server.tool(
+    "rename_page",
+    "Rename a page in the Figma document",
+    {
+      pageId: z.string().describe("The ID of the page to rename"),
+      name: z.string().describe("New name for the page"),
+    },
+    async ({ pageId, name }) => {
+      try {
+        await sendCommandToFigma("rename_page", { pageId, name });
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Renamed page ${pageId} to "${name}"`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error renaming page: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Reorder Page Tool
+  server.tool(
+    "reorder_page",
+    "Move a page to a new position in the page list",
+    {
+      pageId: z.string().describe("The ID of the page to move"),
+      index: z.number().int().min(0).describe("New position of the page (0 is the first page)"),
+    },
+    async ({ pageId, index }) => {
+      try {
+        const result = await sendCommandToFigma("reorder_page", { pageId, index });
+        const typedResult = result as { name: string; index: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Moved page "${typedResult.name}" to position ${typedResult.index}`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error reordering page: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Delete Page Tool
+  server.tool(
+    "delete_page",
+    "Delete a page from the Figma document. If it is the current page, a neighbouring page becomes current",
+    {
+      pageId: z.string().describe("The ID of the page to delete"),
+    },
+    async ({ pageId }) => {
+      try {
+        const result = await sendCommandToFigma("delete_page", { pageId });
+        const typedResult = result as { name: string; currentPageId: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted page "${typedResult.name}" with ID: ${pageId}. Current page is now ${typedResult.currentPageId}`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error deleting page: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Set Current Page Tool
+  server.tool(
+    "set_current_page",
+    "Switch the current page in Figma",
+    {
+      pageId: z.string().describe("The ID of the page to switch to"),
+    },
+    async ({ pageId }) => {
+      try {
+        const result = await sendCommandToFigma("set_current_page", { pageId });
+        const typedResult = result as { name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Switched to page "${typedResult.name}"`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error switching page: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Selection Tool
   server.tool(
     "get_selection",
@@ -66,6 +296,52 @@ export function registerDocumentTools(server: McpServer): void {
     }
   );
 
+  // Recent Changes Tool
+  server.tool(
+    "get_recent_changes",
+    "Get selection, page, node and style changes made in Figma since the plugin connected, e.g. to find what the user just selected or edited. Pass the returned cursor on the next call to only get newer changes",
+    {
+      cursor: z.number().int().min(0).optional().describe("Cursor returned by a previous call; omit to get the most recent changes"),
+      limit: z.number().int().min(1).max(500).optional().describe("Maximum number of events to return (default: 100)"),
+      types: z
+        .array(z.enum(["selection_change", "node_change", "page_change", "style_change"]))
+        .optional()
+        .describe("Only return these event types"),
+    },
+    async ({ cursor, limit, types }) => {
+      try {
+        const changes = getRecentChanges({ cursor, limit, types });
+        const notes = [
+          `${changes.events.length} event(s), next cursor: ${changes.cursor}`,
+          changes.hasMore ? "more events are waiting, call again with the cursor" : "",
+          changes.missed ? "some events after the given cursor were dropped before they were read" : "",
+        ].filter(Boolean);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: notes.join("; "),
+            },
+            {
+              type: "text",
+              text: JSON.stringify(changes.events, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error getting recent changes: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Node Info Tool
   server.tool(
     "get_node_info",
@@ -227,7 +503,7 @@ export function registerDocumentTools(server: McpServer): void {
     {
       nodeId: z.string().describe("ID of the node to scan"),
     },
-    async ({ nodeId }) => {
+    async ({ nodeId }, extra) => {
       try {
         // Initial response to indicate we're starting the process
         const initialStatus = {
@@ -240,7 +516,7 @@ export function registerDocumentTools(server: McpServer): void {
           nodeId,
           useChunking: true,  // Enable chunking on the plugin side
           chunkSize: 10       // Process 10 nodes at a time
-        });
+        }, 30000, extra.signal);
 
         // If the result indicates chunking was used, format the response accordingly
         if (result && typeof result === 'object' && 'chunks' in result) {
@@ -296,6 +572,91 @@ export function registerDocumentTools(server: McpServer): void {
     }
   );
 
+  // Find Nodes Tool
+  server.tool(
+    "find_nodes",
+    "Find nodes matching a query under a node, the current page or every page: by type, name or text regex, visibility, solid fill color, applied style, main component and size. Returns a compact, paginated list instead of the full node tree",
+    {
+      nodeId: z.string().optional().describe("ID of the node or page to search under (defaults to the current page)"),
+      allPages: z.boolean().optional().describe("Search every page of the document instead (default: false)"),
+      types: z
+        .array(z.string())
+        .min(1)
+        .optional()
+        .describe("Node types to match, e.g. [\"TEXT\"] or [\"FRAME\", \"INSTANCE\"]"),
+      namePattern: z.string().optional().describe("Regular expression the layer name must match"),
+      textPattern: z.string().optional().describe("Regular expression the text content must match (only TEXT nodes match)"),
+      caseSensitive: z.boolean().optional().describe("Match namePattern and textPattern case-sensitively (default: false)"),
+      visible: z
+        .boolean()
+        .optional()
+        .describe("Only visible (true) or only hidden (false) nodes. A node inside a hidden parent counts as hidden"),
+      fillColor: rgbaSchema.optional().describe("Only nodes with a visible solid fill of this color"),
+      colorTolerance: z
+        .number()
+        .min(0)
+        .max(1)
+        .optional()
+        .describe("Allowed difference per color channel when matching fillColor (default: 0.01)"),
+      styleId: z.string().optional().describe("Only nodes using this fill, stroke, effect, grid or text style"),
+      componentKey: z
+        .string()
+        .optional()
+        .describe("Only instances of the component (or component set) with this key"),
+      minWidth: z.number().min(0).optional().describe("Minimum width"),
+      maxWidth: z.number().min(0).optional().describe("Maximum width"),
+      minHeight: z.number().min(0).optional().describe("Minimum height"),
+      maxHeight: z.number().min(0).optional().describe("Maximum height"),
+      maxDepth: z
+        .number()
+        .int()
+        .min(1)
+        .optional()
+        .describe("Maximum depth below the search root (1 = direct children only)"),
+      offset: z.number().int().min(0).optional().describe("Number of matches to skip (default: 0)"),
+      limit: z.number().int().min(1).max(1000).optional().describe("Maximum number of matches to return (default: 100)"),
+    },
+    async (query, extra) => {
+      try {
+        const result = await sendCommandToFigma("find_nodes", { ...query, chunkSize: 200 }, 60000, extra.signal);
+        const typedResult = result as {
+          totalMatches: number;
+          scannedNodes: number;
+          offset: number;
+          nextOffset: number | null;
+          nodes: Array<any>;
+        };
+
+        const pagination =
+          typedResult.nextOffset === null
+            ? "No more matches."
+            : `More matches available, call again with offset ${typedResult.nextOffset}.`;
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Found ${typedResult.totalMatches} matching nodes (scanned ${typedResult.scannedNodes}). Showing ${typedResult.nodes.length} from offset ${typedResult.offset}. ${pagination}`,
+            },
+            {
+              type: "text",
+              text: JSON.stringify(typedResult.nodes, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error finding nodes: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Join Channel Tool
   server.tool(
     "join_channel",
@@ -348,39 +709,142 @@ export function registerDocumentTools(server: McpServer): void {
   // Export Node as Image Tool
   server.tool(
     "export_node_as_image",
-    "Export a node as an image from Figma",
+    "Export a node as an image from Figma (PNG, JPG, SVG or PDF). JPG quality is chosen by Figma and cannot be set",
     {
       nodeId: z.string().describe("The ID of the node to export"),
-      format: z
-        .enum(["PNG", "JPG", "SVG", "PDF"])
-        .optional()
-        .describe("Export format"),
-      scale: z.number().positive().optional().describe("Export scale"),
+      ...exportSettingsShape,
     },
-    async ({ nodeId, format, scale }) => {
+    async ({ nodeId, format, scale, width, height, contentsOnly, useAbsoluteBounds, svgOutlineText, svgIdAttribute, svgSimplifyStroke, saveToDisk }) => {
       try {
         const result = await sendCommandToFigma("export_node_as_image", {
           nodeId,
           format: format || "PNG",
           scale: scale || 1,
-        });
-        const typedResult = result as { imageData: string; mimeType: string };
+          width,
+          height,
+          contentsOnly,
+          useAbsoluteBounds,
+          svgOutlineText,
+          svgIdAttribute,
+          svgSimplifyStroke,
+        }, 60000);
+        const typedResult = result as ExportResult;
+
+        if (saveToDisk) {
+          const saved = await saveExportToDisk(typedResult, exportDir);
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(saved, null, 2),
+              },
+            ],
+          };
+        }
 
+        return {
+          content: [exportResultToContent(typedResult)],
+        };
+      } catch (error) {
         return {
           content: [
             {
-              type: "image",
-              data: typedResult.imageData,
-              mimeType: typedResult.mimeType || "image/png",
+              type: "text",
+              text: `Error exporting node as image: ${error instanceof Error ? error.message : String(error)}`,
             },
           ],
         };
+      }
+    }
+  );
+
+  // Export Nodes (batch) Tool
+  server.tool(
+    "export_nodes",
+    "Export many nodes in one round trip, optionally in several formats each, with a result per node",
+    {
+      nodeIds: z.array(z.string()).min(1).describe("Array of node IDs to export"),
+      formats: z
+        .array(z.enum(["PNG", "JPG", "SVG", "PDF"]))
+        .optional()
+        .describe("Formats to export every node in (e.g. ['SVG', 'PNG']). Defaults to [format]"),
+      ...exportSettingsShape,
+    },
+    async ({ nodeIds, formats, format, scale, width, height, contentsOnly, useAbsoluteBounds, svgOutlineText, svgIdAttribute, svgSimplifyStroke, saveToDisk }) => {
+      try {
+        const result = await sendCommandToFigma("export_nodes", {
+          nodeIds,
+          formats,
+          format: format || "PNG",
+          scale: scale || 1,
+          width,
+          height,
+          contentsOnly,
+          useAbsoluteBounds,
+          svgOutlineText,
+          svgIdAttribute,
+          svgSimplifyStroke,
+        }, 60000);
+        const typedResult = result as {
+          exported: number,
+          failed: number,
+          results: Array<ExportResult & { success: boolean, error?: string }>
+        };
+
+        const summaryText = `Exported ${typedResult.exported} of ${typedResult.results.length} items (${typedResult.failed} failed)`;
+
+        if (saveToDisk) {
+          const files = [];
+          for (const item of typedResult.results) {
+            if (!item.success) {
+              files.push({ nodeId: item.nodeId, format: item.format, error: item.error });
+              continue;
+            }
+            files.push(await saveExportToDisk(item, exportDir));
+          }
+          return {
+            content: [
+              {
+                type: "text",
+                text: `${summaryText}. Files written to ${exportDir}`,
+              },
+              {
+                type: "text",
+                text: JSON.stringify(files, null, 2),
+              },
+            ],
+          };
+        }
+
+        const content: any[] = [
+          {
+            type: "text",
+            text: summaryText,
+          },
+        ];
+
+        for (const item of typedResult.results) {
+          if (!item.success) {
+            content.push({
+              type: "text",
+              text: `Failed to export node ${item.nodeId} as ${item.format}: ${item.error}`,
+            });
+            continue;
+          }
+          content.push({
+            type: "text",
+            text: `Node "${item.nodeName}" (${item.nodeId}) as ${item.format}, ${item.byteLength} bytes:`,
+          });
+          content.push(exportResultToContent(item));
+        }
+
+        return { content };
       } catch (error) {
         return {
           content: [
             {
               type: "text",
-              text: `Error exporting node as image: ${error instanceof Error ? error.message : String(error)}`,
+              text: `Error exporting nodes: ${error instanceof Error ? error.message : String(error)}`,
             },
           ],
         };
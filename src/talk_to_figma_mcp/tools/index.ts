@@ -4,6 +4,10 @@ import { registerCreationTools } from "./creation-tools";
 import { registerModificationTools } from "./modification-tools";
 import { registerTextTools } from "./text-tools";
 import { registerComponentTools } from "./component-tools";
+import { registerVariableTools } from "./variable-tools";
+import { registerPrototypeTools } from "./prototype-tools";
+import { registerStyleTools } from "./style-tools";
+import { registerBatchTools } from "./batch-tools";
 
 /**
  * Register all Figma tools to the MCP server
@@ -16,6 +20,10 @@ export function registerTools(server: McpServer): void {
   registerModificationTools(server);
   registerTextTools(server);
   registerComponentTools(server);
+  registerVariableTools(server);
+  registerPrototypeTools(server);
+  registerStyleTools(server);
+  registerBatchTools(server);
 }
 
 // Export all tool registration functions for individual usage if needed
@@ -24,5 +32,9 @@ export {
   registerCreationTools,
   registerModificationTools,
   registerTextTools,
-  registerComponentTools
+  registerComponentTools,
+  registerVariableTools,
+  registerPrototypeTools,
+  registerStyleTools,
+  registerBatchTools
 };
\ No newline at end of file
@@ -7,6 +7,9 @@ import {
   FIGMA_DEFAULTS,
 } from "../utils/defaults";
 import { Color } from "../types/color";
+import { blendModeSchema, paintSchema } from "../utils/paint-schema";
+import { layoutGridSchema } from "../utils/layout-grid-schema";
+import { effectSchema } from "../utils/effect-schema";
 
 /**
  * Register modification tools to the MCP server
@@ -72,6 +75,46 @@ export function registerModificationTools(server: McpServer): void {
     }
   );
 
+  // Set Fills Tool
+  server.tool(
+    "set_fills",
+    "Replace the fills of a node with a paint stack. Supports solid, linear/radial/angular/diamond gradient and image paints (base64 image data or an existing image hash). Paints are listed bottom to top; an empty array removes all fills.",
+    {
+      nodeId: z.string().describe("The ID of the node to modify"),
+      fills: z.array(paintSchema).describe("Paints to apply, bottom to top"),
+    },
+    async ({ nodeId, fills }) => {
+      try {
+        const result = await sendCommandToFigma("set_fills", {
+          nodeId,
+          fills,
+        });
+        const typedResult = result as { name: string; fills: Array<{ type: string }> };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Set ${typedResult.fills.length} fill(s) on node "${typedResult.name}": ${typedResult.fills
+                .map((fill) => fill.type)
+                .join(", ") || "none"}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting fills: ${
+                error instanceof Error ? error.message : String(error)
+              }`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Set Stroke Color Tool
   server.tool(
     "set_stroke_color",
@@ -129,6 +172,64 @@ export function registerModificationTools(server: McpServer): void {
     }
   );
 
+  // Set Stroke Tool
+  server.tool(
+    "set_stroke",
+    "Configure the stroke of a node: paints or a paint style, uniform or per-side weights, alignment (inside/center/outside), dashes, caps and joins. Only the given options change",
+    {
+      nodeId: z.string().describe("The ID of the node to modify"),
+      strokes: z.array(paintSchema).optional().describe("Stroke paints (solid, gradient or image). An empty array removes the stroke"),
+      strokeStyleId: z.string().optional().describe("ID of a paint style to apply to the stroke (instead of strokes)"),
+      strokeWeight: z.number().min(0).optional().describe("Uniform stroke weight"),
+      strokeTopWeight: z.number().min(0).optional().describe("Top stroke weight (frames, rectangles, components)"),
+      strokeRightWeight: z.number().min(0).optional().describe("Right stroke weight (frames, rectangles, components)"),
+      strokeBottomWeight: z.number().min(0).optional().describe("Bottom stroke weight (frames, rectangles, components)"),
+      strokeLeftWeight: z.number().min(0).optional().describe("Left stroke weight (frames, rectangles, components)"),
+      strokeAlign: z.enum(["INSIDE", "CENTER", "OUTSIDE"]).optional().describe("Stroke position relative to the outline"),
+      dashPattern: z
+        .array(z.number().min(0))
+        .optional()
+        .describe("Alternating dash and gap lengths (e.g. [4, 4]). An empty array makes the stroke solid"),
+      strokeCap: z
+        .enum(["NONE", "ROUND", "SQUARE", "ARROW_LINES", "ARROW_EQUILATERAL", "DIAMOND_FILLED", "TRIANGLE_FILLED", "CIRCLE_FILLED"])
+        .optional()
+        .describe("End cap for open paths such as lines and vectors"),
+      strokeJoin: z.enum(["MITER", "BEVEL", "ROUND"]).optional().describe("Corner join"),
+      strokeMiterLimit: z.number().min(0).optional().describe("Miter limit for MITER joins"),
+    },
+    async ({ nodeId, ...strokeOptions }) => {
+      try {
+        const result = await sendCommandToFigma("set_stroke", {
+          nodeId,
+          ...strokeOptions,
+        });
+        const typedResult = result as { name: string };
+        const applied = Object.keys(strokeOptions).filter(
+          (key) => strokeOptions[key as keyof typeof strokeOptions] !== undefined
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Updated stroke of node "${typedResult.name}" (${applied.join(", ") || "no changes"}): ${JSON.stringify(result)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting stroke: ${
+                error instanceof Error ? error.message : String(error)
+              }`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Move Node Tool
   server.tool(
     "move_node",
@@ -284,6 +385,80 @@ export function registerModificationTools(server: McpServer): void {
     }
   );
 
+  // Set Node Properties Tool
+  server.tool(
+    "set_node_properties",
+    "Set several basic properties of a node at once (rotation, opacity, blend mode, visibility, lock, mask, clipping, corner radii). Reports which properties were applied and which are not supported by the node type",
+    {
+      nodeId: z.string().describe("The ID of the node to modify"),
+      properties: z
+        .object({
+          rotation: z.number().min(-180).max(180).optional().describe("Rotation in degrees (-180 to 180)"),
+          opacity: z.number().min(0).max(1).optional().describe("Layer opacity (0-1)"),
+          blendMode: z
+            .union([z.literal("PASS_THROUGH"), blendModeSchema])
+            .optional()
+            .describe("Layer blend mode"),
+          visible: z.boolean().optional().describe("Whether the node is visible"),
+          locked: z.boolean().optional().describe("Whether the node is locked on the canvas"),
+          isMask: z.boolean().optional().describe("Whether the node masks the layers above it"),
+          clipsContent: z.boolean().optional().describe("Whether a frame clips its content"),
+          cornerRadius: z.number().min(0).optional().describe("Uniform corner radius"),
+          topLeftRadius: z.number().min(0).optional().describe("Top left corner radius"),
+          topRightRadius: z.number().min(0).optional().describe("Top right corner radius"),
+          bottomRightRadius: z.number().min(0).optional().describe("Bottom right corner radius"),
+          bottomLeftRadius: z.number().min(0).optional().describe("Bottom left corner radius"),
+          cornerSmoothing: z.number().min(0).max(1).optional().describe("iOS-style corner smoothing (0-1)"),
+        })
+        .strict()
+        .describe("Properties to set. Unknown properties are rejected"),
+    },
+    async ({ nodeId, properties }) => {
+      try {
+        const result = await sendCommandToFigma("set_node_properties", {
+          nodeId,
+          properties,
+        });
+
+        const typedResult = result as {
+          name: string;
+          type: string;
+          applied: Record<string, unknown>;
+          unsupported: Array<{ property: string; reason: string }>;
+        };
+        const appliedNames = Object.keys(typedResult.applied);
+        const lines = [
+          `Applied ${appliedNames.length} propert${appliedNames.length === 1 ? "y" : "ies"} to ${typedResult.type} node "${typedResult.name}": ${JSON.stringify(typedResult.applied)}`,
+        ];
+        if (typedResult.unsupported.length > 0) {
+          lines.push(
+            `Unsupported: ${typedResult.unsupported.map((item) => `${item.property} (${item.reason})`).join(", ")}`
+          );
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting node properties: ${
+                error instanceof Error ? error.message : String(error)
+              }`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Auto Layout Tool
   server.tool(
     "set_auto_layout",
@@ -308,9 +483,9 @@ export function registerModificationTools(server: McpServer): void {
         .optional()
         .describe("Alignment along primary axis"),
       counterAxisAlignItems: z
-        .enum(["MIN", "CENTER", "MAX"])
+        .enum(["MIN", "CENTER", "MAX", "BASELINE"])
         .optional()
-        .describe("Alignment along counter axis"),
+        .describe("Alignment along counter axis (BASELINE only for horizontal layouts)"),
       layoutWrap: z
         .enum(["WRAP", "NO_WRAP"])
         .optional()
@@ -319,6 +494,26 @@ export function registerModificationTools(server: McpServer): void {
         .boolean()
         .optional()
         .describe("Whether strokes are included in layout calculations"),
+      counterAxisSpacing: z
+        .number()
+        .optional()
+        .describe("Spacing between wrapped rows or columns in pixels (requires layoutWrap WRAP)"),
+      counterAxisAlignContent: z
+        .enum(["AUTO", "SPACE_BETWEEN"])
+        .optional()
+        .describe("Distribution of wrapped rows or columns (requires layoutWrap WRAP)"),
+      primaryAxisSizingMode: z
+        .enum(["FIXED", "AUTO"])
+        .optional()
+        .describe("Container size along the layout direction: FIXED or AUTO (hug contents)"),
+      counterAxisSizingMode: z
+        .enum(["FIXED", "AUTO"])
+        .optional()
+        .describe("Container size across the layout direction: FIXED or AUTO (hug contents)"),
+      itemReverseZIndex: z
+        .boolean()
+        .optional()
+        .describe("Whether the first item is drawn on top"),
     },
     async ({
       nodeId,
@@ -332,6 +527,11 @@ export function registerModificationTools(server: McpServer): void {
       counterAxisAlignItems,
       layoutWrap,
       strokesIncludedInLayout,
+      counterAxisSpacing,
+      counterAxisAlignContent,
+      primaryAxisSizingMode,
+      counterAxisSizingMode,
+      itemReverseZIndex,
     }) => {
       try {
         const result = await sendCommandToFigma("set_auto_layout", {
@@ -346,6 +546,11 @@ export function registerModificationTools(server: McpServer): void {
           counterAxisAlignItems,
           layoutWrap,
           strokesIncludedInLayout,
+          counterAxisSpacing,
+          counterAxisAlignContent,
+          primaryAxisSizingMode,
+          counterAxisSizingMode,
+          itemReverseZIndex,
         });
 
         const typedResult = result as { name: string };
@@ -372,6 +577,96 @@ export function registerModificationTools(server: McpServer): void {
     }
   );
 
+  // Set Layout Child Tool
+  server.tool(
+    "set_layout_child",
+    "Configure how a node is sized and positioned by its parent: auto layout sizing (FIXED/HUG/FILL), alignment, grow, absolute positioning, min/max size, or constraints for frames without auto layout",
+    {
+      nodeId: z.string().describe("The ID of the node to configure"),
+      layoutSizingHorizontal: z
+        .enum(["FIXED", "HUG", "FILL"])
+        .optional()
+        .describe("Horizontal sizing. FILL needs an auto layout parent; HUG needs an auto layout frame or text node"),
+      layoutSizingVertical: z
+        .enum(["FIXED", "HUG", "FILL"])
+        .optional()
+        .describe("Vertical sizing. FILL needs an auto layout parent; HUG needs an auto layout frame or text node"),
+      layoutAlign: z
+        .enum(["INHERIT", "STRETCH", "MIN", "CENTER", "MAX"])
+        .optional()
+        .describe("Alignment across the parent's layout direction (STRETCH fills it)"),
+      layoutGrow: z
+        .number()
+        .min(0)
+        .max(1)
+        .optional()
+        .describe("1 to fill the remaining space along the parent's layout direction, 0 for fixed"),
+      layoutPositioning: z
+        .enum(["AUTO", "ABSOLUTE"])
+        .optional()
+        .describe("ABSOLUTE takes the node out of the auto layout flow"),
+      minWidth: z.number().min(0).nullable().optional().describe("Minimum width in pixels (null removes it)"),
+      maxWidth: z.number().min(0).nullable().optional().describe("Maximum width in pixels (null removes it)"),
+      minHeight: z.number().min(0).nullable().optional().describe("Minimum height in pixels (null removes it)"),
+      maxHeight: z.number().min(0).nullable().optional().describe("Maximum height in pixels (null removes it)"),
+      constraints: z
+        .object({
+          horizontal: z.enum(["MIN", "CENTER", "MAX", "STRETCH", "SCALE"]).optional().describe("Horizontal constraint (MIN = left, MAX = right)"),
+          vertical: z.enum(["MIN", "CENTER", "MAX", "STRETCH", "SCALE"]).optional().describe("Vertical constraint (MIN = top, MAX = bottom)"),
+        })
+        .optional()
+        .describe("Resizing constraints, used outside auto layout or with layoutPositioning ABSOLUTE"),
+    },
+    async ({
+      nodeId,
+      layoutSizingHorizontal,
+      layoutSizingVertical,
+      layoutAlign,
+      layoutGrow,
+      layoutPositioning,
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+      constraints,
+    }) => {
+      try {
+        const result = await sendCommandToFigma("set_layout_child", {
+          nodeId,
+          layoutSizingHorizontal,
+          layoutSizingVertical,
+          layoutAlign,
+          layoutGrow,
+          layoutPositioning,
+          minWidth,
+          maxWidth,
+          minHeight,
+          maxHeight,
+          constraints,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting layout child properties: ${
+                error instanceof Error ? error.message : String(error)
+              }`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
   // Set Effects Tool
   server.tool(
     "set_effects",
@@ -379,44 +674,7 @@ export function registerModificationTools(server: McpServer): void {
     {
       nodeId: z.string().describe("The ID of the node to modify"),
       effects: z
-        .array(
-          z.object({
-            type: z
-              .enum([
-                "DROP_SHADOW",
-                "INNER_SHADOW",
-                "LAYER_BLUR",
-                "BACKGROUND_BLUR",
-              ])
-              .describe("Effect type"),
-            color: z
-              .object({
-                r: z.number().min(0).max(1).describe("Red (0-1)"),
-                g: z.number().min(0).max(1).describe("Green (0-1)"),
-                b: z.number().min(0).max(1).describe("Blue (0-1)"),
-                a: z.number().min(0).max(1).describe("Alpha (0-1)"),
-              })
-              .optional()
-              .describe("Effect color (for shadows)"),
-            offset: z
-              .object({
-                x: z.number().describe("X offset"),
-                y: z.number().describe("Y offset"),
-              })
-              .optional()
-              .describe("Offset (for shadows)"),
-            radius: z.number().optional().describe("Effect radius"),
-            spread: z
-              .number()
-              .optional()
-              .describe("Shadow spread (for shadows)"),
-            visible: z
-              .boolean()
-              .optional()
-              .describe("Whether the effect is visible"),
-            blendMode: z.string().optional().describe("Blend mode"),
-          })
-        )
+        .array(effectSchema)
         .describe("Array of effects to apply"),
     },
     async ({ nodeId, effects }) => {
@@ -570,4 +828,84 @@ export function registerModificationTools(server: McpServer): void {
       }
     }
   );
+
+  // Set Layout Grids Tool
+  server.tool(
+    "set_layout_grids",
+    "Set the layout grids of a frame (columns, rows or square grid). Replaces existing grids; an empty array removes them",
+    {
+      nodeId: z.string().describe("The ID of the frame to modify"),
+      layoutGrids: z.array(layoutGridSchema).describe("Layout grids to apply"),
+    },
+    async ({ nodeId, layoutGrids }) => {
+      try {
+        const result = await sendCommandToFigma("set_layout_grids", {
+          nodeId,
+          layoutGrids,
+        });
+
+        const typedResult = result as { name: string; layoutGrids: unknown[] };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Set ${typedResult.layoutGrids.length} layout grid(s) on node "${typedResult.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting layout grids: ${
+                error instanceof Error ? error.message : String(error)
+              }`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Set Grid Style ID Tool
+  server.tool(
+    "set_grid_style_id",
+    "Apply a grid style to a frame in Figma",
+    {
+      nodeId: z.string().describe("The ID of the frame to modify"),
+      gridStyleId: z.string().describe("The ID of the grid style to apply"),
+    },
+    async ({ nodeId, gridStyleId }) => {
+      try {
+        const result = await sendCommandToFigma("set_grid_style_id", {
+          nodeId,
+          gridStyleId,
+        });
+
+        const typedResult = result as { name: string; appliedStyle: string };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Successfully applied grid style "${typedResult.appliedStyle}" to node "${typedResult.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting grid style: ${
+                error instanceof Error ? error.message : String(error)
+              }`,
+            },
+          ],
+        };
+      }
+    }
+  );
 }
@@ -0,0 +1,266 @@
+import { z } from "zod";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { sendCommandToFigma } from "../utils/websocket";
+
+const triggerSchema = z.object({
+  type: z
+    .enum([
+      "ON_CLICK",
+      "ON_HOVER",
+      "ON_PRESS",
+      "ON_DRAG",
+      "AFTER_TIMEOUT",
+      "MOUSE_ENTER",
+      "MOUSE_LEAVE",
+      "MOUSE_UP",
+      "MOUSE_DOWN",
+    ])
+    .describe("What starts the interaction"),
+  timeout: z.number().min(0).optional().describe("Delay in seconds for AFTER_TIMEOUT (default: 0.8)"),
+  delay: z.number().min(0).optional().describe("Delay in seconds for MOUSE_* triggers (default: 0)"),
+});
+
+const actionSchema = z.object({
+  type: z
+    .enum(["NAVIGATE", "OVERLAY", "SWAP", "SCROLL_TO", "CHANGE_TO", "BACK", "CLOSE", "URL"])
+    .describe("NAVIGATE to a frame, open an OVERLAY, SWAP the overlay, SCROLL_TO a layer, CHANGE_TO a variant, go BACK, CLOSE the overlay or open a URL"),
+  destinationId: z
+    .string()
+    .optional()
+    .describe("Target node ID, required for NAVIGATE, OVERLAY, SWAP, SCROLL_TO and CHANGE_TO"),
+  url: z.string().optional().describe("URL to open, required for URL"),
+  preserveScrollPosition: z.boolean().optional().describe("Keep the scroll position when navigating"),
+  overlayRelativePosition: z
+    .object({ x: z.number(), y: z.number() })
+    .optional()
+    .describe("Overlay position relative to the trigger node, for manually positioned overlays"),
+});
+
+const transitionSchema = z.object({
+  type: z
+    .enum(["INSTANT", "DISSOLVE", "SMART_ANIMATE", "SCROLL_ANIMATE", "MOVE_IN", "MOVE_OUT", "PUSH", "SLIDE_IN", "SLIDE_OUT"])
+    .describe("Transition animation"),
+  direction: z
+    .enum(["LEFT", "RIGHT", "TOP", "BOTTOM"])
+    .optional()
+    .describe("Direction for MOVE_IN, MOVE_OUT, PUSH, SLIDE_IN and SLIDE_OUT (default: LEFT)"),
+  matchLayers: z.boolean().optional().describe("Smart-animate matching layers during directional transitions"),
+  easing: z
+    .enum(["EASE_IN", "EASE_OUT", "EASE_IN_AND_OUT", "LINEAR", "EASE_IN_BACK", "EASE_OUT_BACK", "EASE_IN_AND_OUT_BACK", "GENTLE", "QUICK", "BOUNCY", "SLOW"])
+    .optional()
+    .describe("Easing curve (default: EASE_OUT)"),
+  duration: z.number().min(0).optional().describe("Duration in seconds (default: 0.3)"),
+});
+
+/**
+ * Register prototype-related tools to the MCP server
+ * This module contains tools for wiring prototype interactions, flows and overlays
+ * @param server - The MCP server instance
+ */
+export function registerPrototypeTools(server: McpServer): void {
+  // Get Reactions Tool
+  server.tool(
+    "get_reactions",
+    "List the prototype interactions (trigger and actions) defined on a node",
+    {
+      nodeId: z.string().describe("The ID of the node"),
+    },
+    async ({ nodeId }) => {
+      try {
+        const result = await sendCommandToFigma("get_reactions", { nodeId });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error getting reactions: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Add Reaction Tool
+  server.tool(
+    "add_reaction",
+    "Add a prototype interaction to a node, e.g. on click navigate to a frame with a smart animate transition, or after a delay open an overlay",
+    {
+      nodeId: z.string().describe("The ID of the node that triggers the interaction"),
+      trigger: triggerSchema,
+      action: actionSchema,
+      transition: transitionSchema.optional().describe("Transition for node actions (default: instant)"),
+    },
+    async ({ nodeId, trigger, action, transition }) => {
+      try {
+        const result = await sendCommandToFigma("add_reaction", {
+          nodeId,
+          trigger,
+          action,
+          transition,
+        });
+        const typedResult = result as { name: string; reactionCount: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Added ${trigger.type} → ${action.type} interaction to node "${typedResult.name}" (${typedResult.reactionCount} interaction(s) in total)`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error adding reaction: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Remove Reactions Tool
+  server.tool(
+    "remove_reactions",
+    "Remove prototype interactions from a node: one by index, all with a given trigger type, or all of them",
+    {
+      nodeId: z.string().describe("The ID of the node"),
+      index: z.number().int().min(0).optional().describe("Index of the interaction to remove (as listed by get_reactions)"),
+      triggerType: z.string().optional().describe("Remove every interaction with this trigger type (e.g. ON_HOVER)"),
+    },
+    async ({ nodeId, index, triggerType }) => {
+      try {
+        const result = await sendCommandToFigma("remove_reactions", {
+          nodeId,
+          index,
+          triggerType,
+        });
+        const typedResult = result as { name: string; removedCount: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Removed ${typedResult.removedCount} interaction(s) from node "${typedResult.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error removing reactions: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Add Flow Starting Point Tool
+  server.tool(
+    "add_flow_starting_point",
+    "Mark a top-level frame as the starting point of a prototype flow. Re-adding an existing starting point renames the flow",
+    {
+      nodeId: z.string().describe("ID of the top-level frame where the flow starts"),
+      name: z.string().optional().describe("Flow name (default: frame name)"),
+    },
+    async ({ nodeId, name }) => {
+      try {
+        const result = await sendCommandToFigma("add_flow_starting_point", { nodeId, name });
+        const typedResult = result as { pageName: string; flowStartingPoints: Array<{ nodeId: string; name: string }> };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Page "${typedResult.pageName}" flows: ${JSON.stringify(typedResult.flowStartingPoints)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error adding flow starting point: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Remove Flow Starting Point Tool
+  server.tool(
+    "remove_flow_starting_point",
+    "Remove a prototype flow starting point from a page",
+    {
+      nodeId: z.string().describe("ID of the frame the flow starts from"),
+      pageId: z.string().optional().describe("Page of the flow (defaults to the current page)"),
+    },
+    async ({ nodeId, pageId }) => {
+      try {
+        const result = await sendCommandToFigma("remove_flow_starting_point", { nodeId, pageId });
+        const typedResult = result as { pageName: string; flowStartingPoints: Array<{ nodeId: string; name: string }> };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Page "${typedResult.pageName}" flows: ${JSON.stringify(typedResult.flowStartingPoints)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error removing flow starting point: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Get Prototype Summary Tool
+  server.tool(
+    "get_prototype_summary",
+    "Summarize the prototype graph of a page: flow starting points, every interaction as an edge between screens, broken links, screens unreachable from any flow and dead-end screens",
+    {
+      pageId: z.string().optional().describe("Page to analyze (defaults to the current page)"),
+    },
+    async ({ pageId }) => {
+      try {
+        const result = await sendCommandToFigma("get_prototype_summary", { pageId }, 60000);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error getting prototype summary: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+}
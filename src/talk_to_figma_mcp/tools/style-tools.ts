@@ -0,0 +1,297 @@
+import { z } from "zod";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { sendCommandToFigma } from "../utils/websocket";
+import { layoutGridSchema } from "../utils/layout-grid-schema";
+import { paintSchema } from "../utils/paint-schema";
+import { effectSchema } from "../utils/effect-schema";
+
+// Typography settings shared by text style creation and updates
+const textStyleShape = {
+  fontStyle: z.string().optional().describe("Font style (e.g. 'Bold', default: 'Regular')"),
+  fontSize: z.number().positive().optional().describe("Font size in pixels"),
+  lineHeight: z.number().optional().describe("Line height value"),
+  lineHeightUnit: z.enum(["PIXELS", "PERCENT", "AUTO"]).optional().describe("Line height unit (default: PIXELS)"),
+  letterSpacing: z.number().optional().describe("Letter spacing value"),
+  letterSpacingUnit: z.enum(["PIXELS", "PERCENT"]).optional().describe("Letter spacing unit (default: PIXELS)"),
+  paragraphSpacing: z.number().optional().describe("Space between paragraphs in pixels"),
+  textCase: z.enum(["ORIGINAL", "UPPER", "LOWER", "TITLE"]).optional().describe("Text case"),
+  textDecoration: z.enum(["NONE", "UNDERLINE", "STRIKETHROUGH"]).optional().describe("Text decoration"),
+};
+
+/**
+ * Register style-related tools to the MCP server
+ * This module contains tools for creating, updating, organizing and deleting local styles
+ * @param server - The MCP server instance
+ */
+export function registerStyleTools(server: McpServer): void {
+  // Create Grid Style Tool
+  server.tool(
+    "create_grid_style",
+    "Create a local grid style from one or more layout grids (e.g. a 12-column grid)",
+    {
+      name: z.string().describe("Style name (use '/' to group, e.g. 'Grids/Desktop 12 col')"),
+      layoutGrids: z.array(layoutGridSchema).min(1).describe("Layout grids of the style"),
+      description: z.string().optional().describe("Optional style description"),
+    },
+    async ({ name, layoutGrids, description }) => {
+      try {
+        const result = await sendCommandToFigma("create_grid_style", {
+          name,
+          layoutGrids,
+          description,
+        });
+        const typedResult = result as { id: string; name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created grid style "${typedResult.name}" with ID: ${typedResult.id}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating grid style: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Create Paint Style Tool
+  server.tool(
+    "create_paint_style",
+    "Create a local color/paint style from a paint stack (solid, gradient or image paints)",
+    {
+      name: z.string().describe("Style name (use '/' to group, e.g. 'Brand/Primary')"),
+      paints: z.array(paintSchema).min(1).describe("Paints of the style, bottom to top"),
+      description: z.string().optional().describe("Optional style description"),
+    },
+    async ({ name, paints, description }) => {
+      try {
+        const result = await sendCommandToFigma("create_paint_style", {
+          name,
+          paints,
+          description,
+        });
+        const typedResult = result as { id: string; name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created paint style "${typedResult.name}" with ID: ${typedResult.id}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating paint style: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Create Text Style Tool
+  server.tool(
+    "create_text_style",
+    "Create a local text style from font family, style, size, line height and letter spacing",
+    {
+      name: z.string().describe("Style name (use '/' to group, e.g. 'Heading/H1')"),
+      ...textStyleShape,
+      fontFamily: z.string().describe("Font family (e.g. 'Inter')"),
+      description: z.string().optional().describe("Optional style description"),
+    },
+    async ({ name, description, ...textProperties }) => {
+      try {
+        const result = await sendCommandToFigma("create_text_style", {
+          name,
+          description,
+          ...textProperties,
+        });
+        const typedResult = result as { id: string; name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created text style "${typedResult.name}" with ID: ${typedResult.id}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating text style: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Create Effect Style Tool
+  server.tool(
+    "create_effect_style",
+    "Create a local effect style from shadows and blurs",
+    {
+      name: z.string().describe("Style name (use '/' to group, e.g. 'Elevation/2')"),
+      effects: z.array(effectSchema).min(1).describe("Effects of the style"),
+      description: z.string().optional().describe("Optional style description"),
+    },
+    async ({ name, effects, description }) => {
+      try {
+        const result = await sendCommandToFigma("create_effect_style", {
+          name,
+          effects,
+          description,
+        });
+        const typedResult = result as { id: string; name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created effect style "${typedResult.name}" with ID: ${typedResult.id}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating effect style: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Update Style Tool
+  server.tool(
+    "update_style",
+    "Update a local style in place: rename it, change its description, or replace its paints, font settings, effects or layout grids. Values must match the style type",
+    {
+      styleId: z.string().describe("The ID of the style to update"),
+      name: z.string().optional().describe("New name. A '/' separated prefix places the style in a folder"),
+      description: z.string().optional().describe("New description"),
+      paints: z.array(paintSchema).optional().describe("New paints (paint styles only)"),
+      effects: z.array(effectSchema).optional().describe("New effects (effect styles only)"),
+      layoutGrids: z.array(layoutGridSchema).optional().describe("New layout grids (grid styles only)"),
+      ...textStyleShape,
+      fontFamily: z.string().optional().describe("New font family (text styles only)"),
+    },
+    async ({ styleId, ...changes }) => {
+      try {
+        const result = await sendCommandToFigma("update_style", {
+          styleId,
+          ...changes,
+        });
+        const typedResult = result as { name: string; type: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Updated ${typedResult.type.toLowerCase()} style "${typedResult.name}": ${JSON.stringify(result)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error updating style: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Move Styles To Folder Tool
+  server.tool(
+    "move_styles_to_folder",
+    "Organize styles into a folder by rewriting the '/' separated prefix of their names. An empty folder moves them to the top level",
+    {
+      styleIds: z.array(z.string()).min(1).describe("IDs of the styles to move"),
+      folder: z.string().describe("Target folder path (e.g. 'Brand/Colors'), or '' for the top level"),
+    },
+    async ({ styleIds, folder }) => {
+      try {
+        const result = await sendCommandToFigma("move_styles_to_folder", {
+          styleIds,
+          folder,
+        });
+        const typedResult = result as { styles: Array<{ previousName: string; name: string }> };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Moved ${typedResult.styles.length} style(s):\n${typedResult.styles
+                .map((style) => `${style.previousName} → ${style.name}`)
+                .join("\n")}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error moving styles: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Delete Style Tool
+  server.tool(
+    "delete_style",
+    "Delete a local style. Styles still used by nodes are kept unless force is true",
+    {
+      styleId: z.string().describe("The ID of the style to delete"),
+      force: z.boolean().optional().describe("Delete even if nodes still use the style (default: false)"),
+    },
+    async ({ styleId, force }) => {
+      try {
+        const result = await sendCommandToFigma("delete_style", {
+          styleId,
+          force: force || false,
+        });
+        const typedResult = result as { name: string; type: string; consumerCount: number };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted ${typedResult.type.toLowerCase()} style "${typedResult.name}"${
+                typedResult.consumerCount > 0 ? ` (detached from ${typedResult.consumerCount} node(s))` : ""
+              }`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error deleting style: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+}
@@ -88,7 +88,7 @@ export function registerTextTools(server: McpServer): void {
         const result = await sendCommandToFigma("set_multiple_text_contents", {
           nodeId,
           text,
-        });
+        }, 30000, extra.signal);
 
         // Cast the result to a specific type to work with it safely
         interface TextReplaceResult {
@@ -0,0 +1,390 @@
+import { z } from "zod";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { sendCommandToFigma } from "../utils/websocket";
+
+// A variable value can be a raw value for the variable type or an alias to another variable
+const variableValueSchema = z.union([
+  z.number(),
+  z.string(),
+  z.boolean(),
+  z.object({
+    r: z.number().min(0).max(1).describe("Red component (0-1)"),
+    g: z.number().min(0).max(1).describe("Green component (0-1)"),
+    b: z.number().min(0).max(1).describe("Blue component (0-1)"),
+    a: z.number().min(0).max(1).optional().describe("Alpha component (0-1, defaults to 1)"),
+  }),
+  z.object({
+    aliasOf: z.string().describe("ID of the variable to alias"),
+  }),
+]);
+
+// Node and text properties the plugin can bind a variable to (BINDABLE_NODE_FIELDS and BINDABLE_TEXT_FIELDS in the plugin)
+const bindableFieldSchema = z.enum([
+  "fills",
+  "strokes",
+  "width",
+  "height",
+  "minWidth",
+  "maxWidth",
+  "minHeight",
+  "maxHeight",
+  "cornerRadius",
+  "topLeftRadius",
+  "topRightRadius",
+  "bottomLeftRadius",
+  "bottomRightRadius",
+  "itemSpacing",
+  "counterAxisSpacing",
+  "paddingLeft",
+  "paddingRight",
+  "paddingTop",
+  "paddingBottom",
+  "strokeWeight",
+  "strokeTopWeight",
+  "strokeRightWeight",
+  "strokeBottomWeight",
+  "strokeLeftWeight",
+  "opacity",
+  "visible",
+  "characters",
+  "fontFamily",
+  "fontSize",
+  "fontStyle",
+  "fontWeight",
+  "letterSpacing",
+  "lineHeight",
+  "paragraphSpacing",
+  "paragraphIndent",
+]);
+
+/**
+ * Register variable-related tools to the MCP server
+ * This module contains tools for working with Figma Variables (collections, modes and bindings)
+ * @param server - The MCP server instance
+ */
+export function registerVariableTools(server: McpServer): void {
+  // Get Variable Collections Tool
+  server.tool(
+    "get_variable_collections",
+    "Get all local variable collections with their modes (e.g. Light/Dark)",
+    {
+      includeVariables: z
+        .boolean()
+        .optional()
+        .describe("Whether to include the variables of each collection (default: false)"),
+    },
+    async ({ includeVariables }) => {
+      try {
+        const result = await sendCommandToFigma("get_variable_collections", {
+          includeVariables: includeVariables || false,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error getting variable collections: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Get Variables Tool
+  server.tool(
+    "get_variables",
+    "Get local variables, optionally filtered by collection and type",
+    {
+      collectionId: z.string().optional().describe("Only return variables from this collection"),
+      resolvedType: z
+        .enum(["COLOR", "FLOAT", "STRING", "BOOLEAN"])
+        .optional()
+        .describe("Only return variables of this type"),
+    },
+    async ({ collectionId, resolvedType }) => {
+      try {
+        const result = await sendCommandToFigma("get_variables", {
+          collectionId,
+          resolvedType,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error getting variables: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Create Variable Collection Tool
+  server.tool(
+    "create_variable_collection",
+    "Create a new variable collection, optionally with named modes",
+    {
+      name: z.string().describe("Name of the collection"),
+      modes: z
+        .array(z.string())
+        .optional()
+        .describe("Mode names (e.g. ['Light', 'Dark']). The first one renames the default mode"),
+    },
+    async ({ name, modes }) => {
+      try {
+        const result = await sendCommandToFigma("create_variable_collection", {
+          name,
+          modes,
+        });
+        const typedResult = result as { id: string; name: string; modes: Array<{ modeId: string; name: string }> };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created variable collection "${typedResult.name}" with ID: ${typedResult.id} and modes: ${JSON.stringify(typedResult.modes)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating variable collection: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Create Variable Tool
+  server.tool(
+    "create_variable",
+    "Create a new variable in a collection, optionally with initial values per mode",
+    {
+      name: z.string().describe("Name of the variable (use '/' to group, e.g. 'color/primary')"),
+      collectionId: z.string().describe("ID of the collection the variable belongs to"),
+      resolvedType: z.enum(["COLOR", "FLOAT", "STRING", "BOOLEAN"]).describe("Variable type"),
+      description: z.string().optional().describe("Optional description"),
+      scopes: z
+        .array(z.string())
+        .optional()
+        .describe("Optional variable scopes (e.g. ['FRAME_FILL', 'SHAPE_FILL'])"),
+      values: z
+        .record(variableValueSchema)
+        .optional()
+        .describe("Initial values keyed by mode ID or mode name (e.g. { Light: {...}, Dark: {...} })"),
+    },
+    async ({ name, collectionId, resolvedType, description, scopes, values }) => {
+      try {
+        const result = await sendCommandToFigma("create_variable", {
+          name,
+          collectionId,
+          resolvedType,
+          description,
+          scopes,
+          values,
+        });
+        const typedResult = result as { id: string; name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created ${resolvedType} variable "${typedResult.name}" with ID: ${typedResult.id}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error creating variable: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Update Variable Tool
+  server.tool(
+    "update_variable",
+    "Rename a variable or update its description and scopes",
+    {
+      variableId: z.string().describe("ID of the variable to update"),
+      name: z.string().optional().describe("New name"),
+      description: z.string().optional().describe("New description"),
+      scopes: z.array(z.string()).optional().describe("New variable scopes"),
+    },
+    async ({ variableId, name, description, scopes }) => {
+      try {
+        const result = await sendCommandToFigma("update_variable", {
+          variableId,
+          name,
+          description,
+          scopes,
+        });
+        const typedResult = result as { name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Updated variable "${typedResult.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error updating variable: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Delete Variable Tool
+  server.tool(
+    "delete_variable",
+    "Delete a variable",
+    {
+      variableId: z.string().describe("ID of the variable to delete"),
+    },
+    async ({ variableId }) => {
+      try {
+        const result = await sendCommandToFigma("delete_variable", { variableId });
+        const typedResult = result as { name: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted variable "${typedResult.name}" with ID: ${variableId}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error deleting variable: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Set Variable Value Tool
+  server.tool(
+    "set_variable_value",
+    "Set the value of a variable for a given mode. Colors use RGBA (0-1); use { aliasOf: variableId } to reference another variable",
+    {
+      variableId: z.string().describe("ID of the variable"),
+      mode: z
+        .string()
+        .optional()
+        .describe("Mode ID or mode name (e.g. 'Dark'). Defaults to the collection's default mode"),
+      value: variableValueSchema.describe("Value for the mode, matching the variable type"),
+    },
+    async ({ variableId, mode, value }) => {
+      try {
+        const result = await sendCommandToFigma("set_variable_value", {
+          variableId,
+          mode,
+          value,
+        });
+        const typedResult = result as { name: string; modeName: string };
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Set value of variable "${typedResult.name}" for mode "${typedResult.modeName}" to ${JSON.stringify(value)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error setting variable value: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Bind Variable Tool
+  server.tool(
+    "bind_variable",
+    "Bind a variable to a node property (fills, strokes, corner radius, spacing, padding, size, text properties...). Omit variableId to unbind",
+    {
+      nodeId: z.string().describe("The ID of the node to modify"),
+      field: bindableFieldSchema.describe(
+        "Property to bind: 'fills' and 'strokes' (COLOR variables), size, corner radius, spacing, padding, stroke weight, 'opacity', 'visible', 'characters' or a text property such as 'fontSize' or 'lineHeight'"
+      ),
+      variableId: z.string().optional().describe("ID of the variable to bind. Omit to remove the binding"),
+      paintIndex: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("Index of the paint to bind when field is 'fills' or 'strokes' (default: 0)"),
+    },
+    async ({ nodeId, field, variableId, paintIndex }) => {
+      try {
+        const result = await sendCommandToFigma("bind_variable", {
+          nodeId,
+          field,
+          variableId,
+          paintIndex,
+        });
+        const typedResult = result as { name: string; variableName: string | null };
+        return {
+          content: [
+            {
+              type: "text",
+              text: typedResult.variableName
+                ? `Bound variable "${typedResult.variableName}" to ${field} of node "${typedResult.name}"`
+                : `Removed variable binding from ${field} of node "${typedResult.name}"`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error binding variable: ${error instanceof Error ? error.message : String(error)}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+}
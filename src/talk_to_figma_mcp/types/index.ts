@@ -10,7 +10,7 @@ export interface CommandProgressUpdate {
   type: 'command_progress';
   commandId: string;
   commandType: string;
-  status: 'started' | 'in_progress' | 'completed' | 'error';
+  status: 'started' | 'in_progress' | 'completed' | 'error' | 'cancelled';
   progress: number;
   totalItems: number;
   processedItems: number;
@@ -22,6 +22,13 @@ export interface CommandProgressUpdate {
   timestamp: number;
 }
 
+// Define interface for selection and document change events forwarded by the plugin
+export interface FigmaEvent {
+  event: 'selection_change' | 'node_change' | 'page_change' | 'style_change';
+  data: any;
+  timestamp: number;
+}
+
 // Define TypeScript interfaces for tracking WebSocket requests
 export interface PendingRequest {
   resolve: (value: unknown) => void;
@@ -39,51 +46,105 @@ export interface ProgressMessage {
 }
 
 // Define possible command types for Figma
-export type FigmaCommand =
-  | 'get_document_info'
-  | 'get_selection'
-  | 'get_node_info'
-  | 'create_rectangle'
-  | 'create_frame'
-  | 'create_text'
-  | 'create_ellipse'
-  | 'create_polygon'
-  | 'create_star'
-  | 'create_vector'
-  | 'create_line'
-  | 'set_fill_color'
-  | 'set_stroke_color'
-  | 'move_node'
-  | 'resize_node'
-  | 'delete_node'
-  | 'get_styles'
-  | 'get_local_components'
-  | 'get_team_components'
-  | 'create_component_instance'
-  | 'export_node_as_image'
-  | 'join'
-  | 'set_corner_radius'
-  | 'clone_node'
-  | 'set_text_content'
-  | 'scan_text_nodes'
-  | 'set_multiple_text_contents'
-  | 'set_auto_layout'
-  | 'set_font_name'
-  | 'set_font_size'
-  | 'set_font_weight'
-  | 'set_letter_spacing'
-  | 'set_line_height'
-  | 'set_paragraph_spacing'
-  | 'set_text_case'
-  | 'set_text_decoration'
-  | 'get_styled_text_segments'
-  | 'load_font_async'
-  | 'get_remote_components'
-  | 'set_effects'
-  | 'set_effect_style_id'
-  | 'group_nodes'
-  | 'ungroup_nodes'
-  | 'flatten_node'
-  | 'set_text_style_id'
-  | 'set_fill_style_id'
-  | 'insert_child';
+export const FIGMA_COMMANDS = [
+  'get_document_info',
+  'create_page',
+  'rename_page',
+  'reorder_page',
+  'delete_page',
+  'set_current_page',
+  'get_selection',
+  'get_node_info',
+  'create_rectangle',
+  'create_frame',
+  'create_text',
+  'create_ellipse',
+  'create_polygon',
+  'create_star',
+  'create_vector',
+  'create_line',
+  'boolean_operation',
+  'create_from_svg',
+  'outline_stroke',
+  'create_tree',
+  'set_fill_color',
+  'set_fills',
+  'set_stroke_color',
+  'set_stroke',
+  'move_node',
+  'resize_node',
+  'delete_node',
+  'get_styles',
+  'get_local_components',
+  'get_team_components',
+  'create_component_instance',
+  'create_component',
+  'convert_to_component',
+  'combine_as_variants',
+  'add_component_property',
+  'edit_component_property',
+  'delete_component_property',
+  'swap_component',
+  'reset_overrides',
+  'detach_instance',
+  'get_instance_overrides',
+  'bulk_override_instances',
+  'export_node_as_image',
+  'export_nodes',
+  'join',
+  'set_corner_radius',
+  'set_node_properties',
+  'clone_node',
+  'set_text_content',
+  'scan_text_nodes',
+  'find_nodes',
+  'cancel_command',
+  'set_multiple_text_contents',
+  'set_auto_layout',
+  'set_layout_child',
+  'set_font_name',
+  'set_font_size',
+  'set_font_weight',
+  'set_letter_spacing',
+  'set_line_height',
+  'set_paragraph_spacing',
+  'set_text_case',
+  'set_text_decoration',
+  'get_styled_text_segments',
+  'load_font_async',
+  'get_remote_components',
+  'set_effects',
+  'set_effect_style_id',
+  'group_nodes',
+  'ungroup_nodes',
+  'flatten_node',
+  'set_text_style_id',
+  'set_fill_style_id',
+  'set_layout_grids',
+  'set_grid_style_id',
+  'create_grid_style',
+  'create_paint_style',
+  'create_text_style',
+  'create_effect_style',
+  'update_style',
+  'move_styles_to_folder',
+  'delete_style',
+  'insert_child',
+  'get_variable_collections',
+  'get_variables',
+  'create_variable_collection',
+  'create_variable',
+  'update_variable',
+  'delete_variable',
+  'set_variable_value',
+  'bind_variable',
+  'get_reactions',
+  'add_reaction',
+  'remove_reactions',
+  'add_flow_starting_point',
+  'remove_flow_starting_point',
+  'get_prototype_summary',
+  'execute_batch',
+] as const;
+
+export type FigmaCommand = (typeof FIGMA_COMMANDS)[number];
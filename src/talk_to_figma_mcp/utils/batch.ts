@@ -0,0 +1,158 @@
+import { FigmaCommand } from "../types";
+
+/**
+ * Commands a batch step may run. Steps go to the plugin as they are, so commands the
+ * server post-processes (exports, create_tree), long-running commands with their own
+ * chunking and cancellation, and internal commands (join, cancel_command) are left out.
+ */
+export const BATCHABLE_COMMANDS = [
+  "get_document_info",
+  "create_page",
+  "rename_page",
+  "reorder_page",
+  "delete_page",
+  "set_current_page",
+  "get_selection",
+  "get_node_info",
+  "create_rectangle",
+  "create_frame",
+  "create_text",
+  "create_ellipse",
+  "create_polygon",
+  "create_star",
+  "create_vector",
+  "create_line",
+  "boolean_operation",
+  "create_from_svg",
+  "outline_stroke",
+  "set_fill_color",
+  "set_fills",
+  "set_stroke_color",
+  "set_stroke",
+  "move_node",
+  "resize_node",
+  "delete_node",
+  "get_styles",
+  "get_local_components",
+  "create_component_instance",
+  "create_component",
+  "convert_to_component",
+  "combine_as_variants",
+  "add_component_property",
+  "edit_component_property",
+  "delete_component_property",
+  "swap_component",
+  "reset_overrides",
+  "detach_instance",
+  "get_instance_overrides",
+  "set_corner_radius",
+  "set_node_properties",
+  "clone_node",
+  "set_text_content",
+  "set_auto_layout",
+  "set_layout_child",
+  "set_font_name",
+  "set_font_size",
+  "set_font_weight",
+  "set_letter_spacing",
+  "set_line_height",
+  "set_paragraph_spacing",
+  "set_text_case",
+  "set_text_decoration",
+  "get_styled_text_segments",
+  "load_font_async",
+  "get_remote_components",
+  "set_effects",
+  "set_effect_style_id",
+  "group_nodes",
+  "ungroup_nodes",
+  "flatten_node",
+  "set_text_style_id",
+  "set_fill_style_id",
+  "set_layout_grids",
+  "set_grid_style_id",
+  "create_grid_style",
+  "create_paint_style",
+  "create_text_style",
+  "create_effect_style",
+  "update_style",
+  "move_styles_to_folder",
+  "delete_style",
+  "insert_child",
+  "get_variable_collections",
+  "get_variables",
+  "create_variable_collection",
+  "create_variable",
+  "update_variable",
+  "delete_variable",
+  "set_variable_value",
+  "bind_variable",
+  "get_reactions",
+  "add_reaction",
+  "remove_reactions",
+  "add_flow_starting_point",
+  "remove_flow_starting_point",
+  "get_prototype_summary",
+] as const satisfies readonly FigmaCommand[];
+
+const batchableCommands = new Set<string>(BATCHABLE_COMMANDS);
+
+/**
+ * A single step of an execute_batch call.
+ */
+export interface BatchStep {
+  command: string;
+  params?: Record<string, unknown>;
+}
+
+/**
+ * Matches a reference to the result of an earlier step: "$2" is the whole result
+ * of step 2, "$2.id" or "$3.nodes.0.id" a field inside it. A leading "$$" escapes
+ * a literal string. Must stay in sync with BATCH_REFERENCE_PATTERN in the plugin.
+ */
+export const BATCH_REFERENCE_PATTERN = /^\$(\d+)((?:\.[A-Za-z0-9_]+)*)$/;
+
+/**
+ * Collect every step reference used anywhere in a value.
+ * @param value - Step parameters, possibly nested
+ * @returns The referenced step numbers with the raw reference strings
+ */
+export function findBatchReferences(value: unknown): Array<{ step: number; reference: string }> {
+  if (typeof value === "string") {
+    const match = value.match(BATCH_REFERENCE_PATTERN);
+    return match ? [{ step: parseInt(match[1], 10), reference: value }] : [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => findBatchReferences(item));
+  }
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap((item) => findBatchReferences(item));
+  }
+  return [];
+}
+
+/**
+ * Check a batch before sending it to Figma: only batchable commands, no nested
+ * batches and every reference points to an earlier step. Steps are numbered from 1.
+ * @param steps - The batch steps
+ * @returns A list of problems, empty when the batch is valid
+ */
+export function validateBatch(steps: BatchStep[]): string[] {
+  const problems: string[] = [];
+
+  steps.forEach((step, index) => {
+    const stepNumber = index + 1;
+    if (step.command === "execute_batch") {
+      problems.push(`Step ${stepNumber}: execute_batch cannot be nested`);
+    } else if (!batchableCommands.has(step.command)) {
+      problems.push(`Step ${stepNumber}: ${step.command} cannot run in a batch, use its own tool`);
+    }
+    for (const { step: referenced, reference } of findBatchReferences(step.params)) {
+      if (referenced < 1 || referenced >= stepNumber) {
+        problems.push(`Step ${stepNumber}: reference ${reference} must point to an earlier step`);
+      }
+    }
+  });
+
+  return problems;
+}
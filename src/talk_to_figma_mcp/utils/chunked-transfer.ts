@@ -0,0 +1,121 @@
+/**
+ * Reassembly of large plugin responses. The plugin UI splits a serialized response
+ * that is too big for one WebSocket message into numbered frames sharing a transfer ID,
+ * and the WebSocket server forwards them to the client that sent the command.
+ */
+
+/**
+ * One frame of a chunked response.
+ */
+export interface ChunkFrame {
+  type: "chunk";
+  /** ID of the command being answered */
+  id: string;
+  transferId: string;
+  index: number;
+  total: number;
+  /** Length of the whole serialized response */
+  size: number;
+  /** FNV-1a checksum of the whole serialized response */
+  checksum: string;
+  data: string;
+}
+
+interface Transfer {
+  parts: string[];
+  received: number;
+  length: number;
+}
+
+const transfers = new Map<string, Transfer>();
+
+/**
+ * FNV-1a 32-bit hash over the UTF-16 code units of a string, as hex.
+ * The plugin UI computes the same hash before splitting a response.
+ * @param text - The text to hash
+ * @returns The hash as 8 hex digits
+ */
+export function checksum(text: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+function megabytes(size: number): string {
+  return (size / (1024 * 1024)).toFixed(1);
+}
+
+/**
+ * Add a frame to its transfer.
+ * @param frame - The frame forwarded by the WebSocket server
+ * @param maxSize - Largest response accepted, in characters
+ * @returns The whole serialized response once the last frame arrived, otherwise null
+ * @throws When the response is over the limit, frames do not match or the checksum fails;
+ *   the transfer is dropped
+ */
+export function addChunk(frame: ChunkFrame, maxSize: number): string | null {
+  const fail = (message: string): never => {
+    transfers.delete(frame.transferId);
+    throw new Error(message);
+  };
+
+  if (frame.size > maxSize) {
+    fail(
+      `Response from Figma is ${megabytes(frame.size)} MB, over the ${megabytes(maxSize)} MB limit. ` +
+        `Raise it with --max-response-mb= or FIGMA_MAX_RESPONSE_MB, or request less data (e.g. a lower export scale)`
+    );
+  }
+  if (!Number.isInteger(frame.total) || frame.total < 1 || !Number.isInteger(frame.index) || frame.index < 0 || frame.index >= frame.total) {
+    fail(`Invalid chunk ${frame.index} of ${frame.total} in response transfer ${frame.transferId}`);
+  }
+
+  let transfer = transfers.get(frame.transferId);
+  if (!transfer) {
+    transfer = { parts: new Array(frame.total), received: 0, length: 0 };
+    transfers.set(frame.transferId, transfer);
+  }
+  if (transfer.parts.length !== frame.total || transfer.parts[frame.index] !== undefined) {
+    fail(`Unexpected chunk ${frame.index} of ${frame.total} in response transfer ${frame.transferId}`);
+  }
+
+  transfer.parts[frame.index] = frame.data;
+  transfer.received++;
+  transfer.length += frame.data.length;
+  if (transfer.length > frame.size) {
+    fail(`Response transfer ${frame.transferId} is longer than announced (${frame.size} characters)`);
+  }
+  if (transfer.received < frame.total) {
+    return null;
+  }
+
+  transfers.delete(frame.transferId);
+  const text = transfer.parts.join("");
+  if (text.length !== frame.size || checksum(text) !== frame.checksum) {
+    fail(`Response transfer ${frame.transferId} from Figma is corrupted (checksum mismatch)`);
+  }
+  return text;
+}
+
+/**
+ * Drop a partially received transfer, e.g. when its request was cancelled or timed out.
+ * Without an ID every transfer is dropped.
+ * @param transferId - The transfer to drop
+ */
+export function discardTransfer(transferId?: string): void {
+  if (transferId === undefined) {
+    transfers.clear();
+  } else {
+    transfers.delete(transferId);
+  }
+}
+
+/**
+ * Number of transfers still waiting for frames.
+ * @returns The count
+ */
+export function pendingTransferCount(): number {
+  return transfers.size;
+}
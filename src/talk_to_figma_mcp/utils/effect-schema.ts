@@ -0,0 +1,43 @@
+import { z } from "zod";
+
+/**
+ * Zod schema for Figma effects, shared by node effects and effect styles.
+ */
+export const effectSchema = z.object({
+  type: z
+    .enum([
+      "DROP_SHADOW",
+      "INNER_SHADOW",
+      "LAYER_BLUR",
+      "BACKGROUND_BLUR",
+    ])
+    .describe("Effect type"),
+  color: z
+    .object({
+      r: z.number().min(0).max(1).describe("Red (0-1)"),
+      g: z.number().min(0).max(1).describe("Green (0-1)"),
+      b: z.number().min(0).max(1).describe("Blue (0-1)"),
+      a: z.number().min(0).max(1).describe("Alpha (0-1)"),
+    })
+    .optional()
+    .describe("Effect color (for shadows)"),
+  offset: z
+    .object({
+      x: z.number().describe("X offset"),
+      y: z.number().describe("Y offset"),
+    })
+    .optional()
+    .describe("Offset (for shadows)"),
+  radius: z.number().optional().describe("Effect radius"),
+  spread: z
+    .number()
+    .optional()
+    .describe("Shadow spread (for shadows)"),
+  visible: z
+    .boolean()
+    .optional()
+    .describe("Whether the effect is visible"),
+  blendMode: z.string().optional().describe("Blend mode"),
+});
+
+export type Effect = z.infer<typeof effectSchema>;
@@ -0,0 +1,89 @@
+import { FigmaEvent } from "../types";
+
+/**
+ * A plugin event as kept by the server, numbered so clients can resume with a cursor.
+ */
+export interface RecordedFigmaEvent extends FigmaEvent {
+  cursor: number;
+}
+
+export interface RecentChanges {
+  events: RecordedFigmaEvent[];
+  /** Cursor to pass on the next call to only get newer events */
+  cursor: number;
+  /** More events than `limit` are waiting after `cursor` */
+  hasMore: boolean;
+  /** Events after the given cursor were dropped from the buffer before they were read */
+  missed: boolean;
+}
+
+type FigmaEventListener = (event: RecordedFigmaEvent) => void;
+
+/** Number of events kept in memory; older events are dropped first. */
+export const MAX_RECORDED_EVENTS = 500;
+
+let events: RecordedFigmaEvent[] = [];
+let lastCursor = 0;
+const listeners = new Set<FigmaEventListener>();
+
+/**
+ * Store an event received from the plugin and notify subscribers.
+ * @param event - The event forwarded by the plugin
+ * @returns The stored event with its cursor
+ */
+export function recordFigmaEvent(event: FigmaEvent): RecordedFigmaEvent {
+  const recorded = { ...event, cursor: ++lastCursor };
+  events.push(recorded);
+  if (events.length > MAX_RECORDED_EVENTS) {
+    events = events.slice(events.length - MAX_RECORDED_EVENTS);
+  }
+  listeners.forEach((listener) => listener(recorded));
+  return recorded;
+}
+
+/**
+ * Read recorded events. Without a cursor the most recent events are returned,
+ * with a cursor only the events recorded after it, oldest first.
+ * @param options - Cursor, maximum number of events and event types to include
+ * @returns The events with the cursor to continue from
+ */
+export function getRecentChanges(
+  options: { cursor?: number; limit?: number; types?: FigmaEvent["event"][] } = {}
+): RecentChanges {
+  const { cursor, limit = 100, types } = options;
+  const oldestCursor = events.length > 0 ? events[0].cursor : lastCursor + 1;
+  const missed = cursor !== undefined && cursor < oldestCursor - 1;
+
+  let selected = events.filter(
+    (event) => (cursor === undefined || event.cursor > cursor) && (!types || types.includes(event.event))
+  );
+  const hasMore = cursor !== undefined && selected.length > limit;
+  selected = cursor === undefined ? selected.slice(-limit) : selected.slice(0, limit);
+
+  return {
+    events: selected,
+    cursor: hasMore ? selected[selected.length - 1].cursor : lastCursor,
+    hasMore,
+    missed,
+  };
+}
+
+/**
+ * Subscribe to events as they are recorded.
+ * @param listener - Called with every new event
+ * @returns A function that removes the listener
+ */
+export function onFigmaEvent(listener: FigmaEventListener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Drop all recorded events, e.g. when joining a channel for another document.
+ * Cursors keep increasing so old cursors never match new events.
+ */
+export function clearFigmaEvents(): void {
+  events = [];
+}
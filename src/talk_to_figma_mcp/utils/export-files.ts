@@ -0,0 +1,98 @@
+import { createHash } from "crypto";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Minimal description of an export returned by the Figma plugin.
+ */
+export interface ExportedAsset {
+  nodeId: string;
+  nodeName: string;
+  format: "PNG" | "JPG" | "SVG" | "PDF";
+  scale?: number;
+  constraint?: { type: "SCALE" | "WIDTH" | "HEIGHT"; value: number };
+  imageData: string;
+}
+
+/**
+ * Information about an export written to disk.
+ */
+export interface SavedAsset {
+  nodeId: string;
+  nodeName: string;
+  format: string;
+  path: string;
+  size: number;
+  sha256: string;
+}
+
+const FILE_EXTENSIONS: Record<ExportedAsset["format"], string> = {
+  PNG: "png",
+  JPG: "jpg",
+  SVG: "svg",
+  PDF: "pdf",
+};
+
+/**
+ * Turn a layer name or node ID into a file-system friendly slug.
+ * @param value - The value to slugify
+ * @returns A lowercase slug containing only letters, digits, dots, dashes and underscores
+ */
+function slugify(value: string): string {
+  const slug = value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "node";
+}
+
+/**
+ * Build a deterministic file name for an export from the node name, node ID, size and format.
+ * The node ID keeps files apart when several layers share the same name.
+ * @param asset - The export returned by the plugin
+ * @returns A file name such as `icon-home__12-34@2x.png` or `hero__1-2@w1200.jpg`
+ */
+export function buildExportFileName(asset: ExportedAsset): string {
+  const extension = FILE_EXTENSIONS[asset.format];
+  const base = `${slugify(asset.nodeName)}__${slugify(asset.nodeId.replace(/:/g, "-"))}`;
+
+  // Vector formats are resolution independent, so no size suffix is added
+  if (asset.format === "SVG" || asset.format === "PDF") {
+    return `${base}.${extension}`;
+  }
+
+  const constraint = asset.constraint || { type: "SCALE", value: asset.scale ?? 1 };
+  const sizeSuffix =
+    constraint.type === "WIDTH"
+      ? `@w${constraint.value}`
+      : constraint.type === "HEIGHT"
+        ? `@h${constraint.value}`
+        : `@${constraint.value}x`;
+
+  return `${base}${sizeSuffix}.${extension}`;
+}
+
+/**
+ * Write an export to the output directory and return its path, size and hash.
+ * @param asset - The export returned by the plugin (base64 encoded data)
+ * @param outputDir - Directory the file is written to (created if missing)
+ * @returns Information about the written file
+ */
+export async function saveExportToDisk(asset: ExportedAsset, outputDir: string): Promise<SavedAsset> {
+  const bytes = Buffer.from(asset.imageData, "base64");
+  const filePath = path.resolve(outputDir, buildExportFileName(asset));
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, bytes);
+
+  return {
+    nodeId: asset.nodeId,
+    nodeName: asset.nodeName,
+    format: asset.format,
+    path: filePath,
+    size: bytes.byteLength,
+    sha256: createHash("sha256").update(bytes).digest("hex"),
+  };
+}
@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { rgbaSchema } from "./paint-schema";
+
+/**
+ * Zod schema for Figma layout grids, shared by frame grids and grid styles.
+ */
+export const layoutGridSchema = z.object({
+  pattern: z.enum(["COLUMNS", "ROWS", "GRID"]).describe("Column grid, row grid or square grid"),
+  count: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe("Number of columns or rows (default: 12)"),
+  gutterSize: z.number().min(0).optional().describe("Space between columns or rows in pixels (default: 20)"),
+  offset: z
+    .number()
+    .min(0)
+    .optional()
+    .describe("Margin from the frame edge in pixels, unused with CENTER alignment (default: 0)"),
+  alignment: z
+    .enum(["MIN", "MAX", "STRETCH", "CENTER"])
+    .optional()
+    .describe("How columns or rows are placed in the frame (default: STRETCH)"),
+  sectionSize: z
+    .number()
+    .positive()
+    .optional()
+    .describe("Cell size for GRID, or column/row width when alignment is not STRETCH"),
+  visible: z.boolean().optional().describe("Whether the grid is shown (default: true)"),
+  color: rgbaSchema.optional().describe("Grid color (default: red at 10% opacity)"),
+});
+
+export type LayoutGrid = z.infer<typeof layoutGridSchema>;
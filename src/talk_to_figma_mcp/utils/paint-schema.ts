@@ -0,0 +1,85 @@
+import { z } from "zod";
+
+/**
+ * Zod schemas for Figma paints, shared by every tool that accepts a paint stack
+ * (fills, strokes, paint styles...).
+ */
+
+export const blendModeSchema = z.enum([
+  "NORMAL",
+  "DARKEN",
+  "MULTIPLY",
+  "LINEAR_BURN",
+  "COLOR_BURN",
+  "LIGHTEN",
+  "SCREEN",
+  "LINEAR_DODGE",
+  "COLOR_DODGE",
+  "OVERLAY",
+  "SOFT_LIGHT",
+  "HARD_LIGHT",
+  "DIFFERENCE",
+  "EXCLUSION",
+  "HUE",
+  "SATURATION",
+  "COLOR",
+  "LUMINOSITY",
+]);
+
+export const rgbaSchema = z.object({
+  r: z.number().min(0).max(1).describe("Red component (0-1)"),
+  g: z.number().min(0).max(1).describe("Green component (0-1)"),
+  b: z.number().min(0).max(1).describe("Blue component (0-1)"),
+  a: z.number().min(0).max(1).optional().describe("Alpha component (0-1, defaults to 1)"),
+});
+
+const transformSchema = z
+  .array(z.array(z.number()).length(3))
+  .length(2)
+  .describe("2x3 affine transform [[a, b, tx], [c, d, ty]] in normalized node space");
+
+const paintCommonShape = {
+  opacity: z.number().min(0).max(1).optional().describe("Paint opacity (0-1, default: 1)"),
+  blendMode: blendModeSchema.optional().describe("Paint blend mode (default: NORMAL)"),
+  visible: z.boolean().optional().describe("Whether the paint is visible (default: true)"),
+};
+
+export const solidPaintSchema = z.object({
+  type: z.literal("SOLID"),
+  color: rgbaSchema.describe("Paint color. Alpha is multiplied into the paint opacity"),
+  ...paintCommonShape,
+});
+
+export const gradientPaintSchema = z.object({
+  type: z.enum(["GRADIENT_LINEAR", "GRADIENT_RADIAL", "GRADIENT_ANGULAR", "GRADIENT_DIAMOND"]),
+  gradientStops: z
+    .array(
+      z.object({
+        position: z.number().min(0).max(1).describe("Stop position (0-1)"),
+        color: rgbaSchema.describe("Stop color"),
+      })
+    )
+    .min(2)
+    .describe("Gradient stops, at least two"),
+  gradientTransform: transformSchema.optional(),
+  angle: z
+    .number()
+    .optional()
+    .describe("Convenience rotation in degrees when no gradientTransform is given (0 = left to right, 90 = top to bottom)"),
+  ...paintCommonShape,
+});
+
+export const imagePaintSchema = z.object({
+  type: z.literal("IMAGE"),
+  imageData: z.string().optional().describe("Base64 encoded PNG, JPG or GIF bytes"),
+  imageHash: z.string().optional().describe("Hash of an image already in the document (alternative to imageData)"),
+  scaleMode: z.enum(["FILL", "FIT", "CROP", "TILE"]).optional().describe("How the image fills the node (default: FILL)"),
+  imageTransform: transformSchema.optional().describe("Image transform, used with scaleMode CROP"),
+  scalingFactor: z.number().positive().optional().describe("Image scale, used with scaleMode TILE"),
+  rotation: z.number().optional().describe("Image rotation in degrees (multiples of 90)"),
+  ...paintCommonShape,
+});
+
+export const paintSchema = z.union([solidPaintSchema, gradientPaintSchema, imagePaintSchema]);
+
+export type Paint = z.infer<typeof paintSchema>;
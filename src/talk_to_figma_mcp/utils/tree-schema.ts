@@ -0,0 +1,135 @@
+import { z } from "zod";
+import { paintSchema } from "./paint-schema";
+import { effectSchema } from "./effect-schema";
+
+/**
+ * Zod schemas for the declarative node tree accepted by create_tree.
+ * Each spec node describes one layer; frames nest further specs in `children`.
+ */
+
+/** Maximum number of nodes a single create_tree call may describe. */
+export const MAX_TREE_NODES = 500;
+
+const paddingSchema = z.union([
+  z.number().min(0),
+  z.object({
+    top: z.number().min(0).optional(),
+    right: z.number().min(0).optional(),
+    bottom: z.number().min(0).optional(),
+    left: z.number().min(0).optional(),
+  }),
+]);
+
+export const autoLayoutSpecSchema = z.object({
+  mode: z.enum(["HORIZONTAL", "VERTICAL"]).describe("Auto layout direction"),
+  wrap: z.boolean().optional().describe("Wrap children onto new rows (horizontal only, default: false)"),
+  itemSpacing: z.number().optional().describe("Space between children"),
+  counterAxisSpacing: z.number().min(0).optional().describe("Space between wrapped rows (requires wrap)"),
+  padding: paddingSchema.optional().describe("Padding on all sides, or per side as { top, right, bottom, left }"),
+  primaryAxisAlignItems: z.enum(["MIN", "MAX", "CENTER", "SPACE_BETWEEN"]).optional(),
+  counterAxisAlignItems: z.enum(["MIN", "MAX", "CENTER", "BASELINE"]).optional(),
+});
+
+// Properties every spec node accepts
+const commonSpecShape = {
+  name: z.string().optional().describe("Layer name, also used as the node's segment in the returned id map"),
+  x: z.number().optional().describe("X position (ignored inside auto layout unless absolutely positioned)"),
+  y: z.number().optional().describe("Y position (ignored inside auto layout unless absolutely positioned)"),
+  width: z.number().positive().optional(),
+  height: z.number().positive().optional(),
+  visible: z.boolean().optional(),
+  opacity: z.number().min(0).max(1).optional(),
+  fills: z.array(paintSchema).optional().describe("Paint stack"),
+  fillStyleId: z.string().optional().describe("Paint style to use for the fills (takes precedence over fills)"),
+  strokes: z.array(paintSchema).optional(),
+  strokeWeight: z.number().min(0).optional(),
+  strokeStyleId: z.string().optional(),
+  effects: z.array(effectSchema).optional(),
+  effectStyleId: z.string().optional(),
+  layoutSizingHorizontal: z
+    .enum(["FIXED", "HUG", "FILL"])
+    .optional()
+    .describe("Horizontal sizing inside an auto layout parent (HUG only for auto layout frames and text)"),
+  layoutSizingVertical: z.enum(["FIXED", "HUG", "FILL"]).optional(),
+  layoutPositioning: z.enum(["AUTO", "ABSOLUTE"]).optional().describe("ABSOLUTE takes the node out of the parent's auto layout flow"),
+};
+
+const cornerRadiusSchema = z.number().min(0).optional();
+
+export const textSpecSchema = z.object({
+  type: z.literal("TEXT"),
+  ...commonSpecShape,
+  text: z.string().describe("Text content"),
+  fontFamily: z.string().optional().describe("Font family (default: Inter)"),
+  fontStyle: z.string().optional().describe("Font style, e.g. Regular, Bold (default: Regular)"),
+  fontSize: z.number().positive().optional(),
+  textStyleId: z.string().optional().describe("Text style to apply (takes precedence over the font properties)"),
+  textAlignHorizontal: z.enum(["LEFT", "CENTER", "RIGHT", "JUSTIFIED"]).optional(),
+  textAutoResize: z.enum(["NONE", "WIDTH_AND_HEIGHT", "HEIGHT", "TRUNCATE"]).optional(),
+});
+
+export const rectangleSpecSchema = z.object({
+  type: z.literal("RECTANGLE"),
+  ...commonSpecShape,
+  cornerRadius: cornerRadiusSchema,
+});
+
+export const ellipseSpecSchema = z.object({
+  type: z.literal("ELLIPSE"),
+  ...commonSpecShape,
+});
+
+export const instanceSpecSchema = z.object({
+  type: z.literal("INSTANCE"),
+  ...commonSpecShape,
+  componentId: z.string().optional().describe("ID of a local component"),
+  componentKey: z.string().optional().describe("Key of a local or published component"),
+  properties: z
+    .record(z.union([z.string(), z.boolean()]))
+    .optional()
+    .describe("Component property values by name, e.g. { \"Label\": \"Save\", \"Size\": \"Large\" }"),
+});
+
+const frameSpecBaseSchema = z.object({
+  type: z.literal("FRAME"),
+  ...commonSpecShape,
+  cornerRadius: cornerRadiusSchema,
+  clipsContent: z.boolean().optional(),
+  autoLayout: autoLayoutSpecSchema.optional(),
+});
+
+type FrameSpec = z.infer<typeof frameSpecBaseSchema> & { children?: TreeNodeSpec[] };
+
+export type TreeNodeSpec =
+  | FrameSpec
+  | z.infer<typeof textSpecSchema>
+  | z.infer<typeof rectangleSpecSchema>
+  | z.infer<typeof ellipseSpecSchema>
+  | z.infer<typeof instanceSpecSchema>;
+
+export const frameSpecSchema: z.ZodType<FrameSpec> = frameSpecBaseSchema.extend({
+  children: z.lazy(() => z.array(treeNodeSchema)).optional().describe("Child nodes, in order"),
+});
+
+export const treeNodeSchema: z.ZodType<TreeNodeSpec> = z.lazy(() =>
+  z
+    .union([frameSpecSchema, textSpecSchema, rectangleSpecSchema, ellipseSpecSchema, instanceSpecSchema])
+    .superRefine((spec, ctx) => {
+      if (spec.type === "INSTANCE" && !spec.componentId && !spec.componentKey) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: "INSTANCE nodes need a componentId or componentKey" });
+      }
+      if (spec.type === "FRAME" && spec.autoLayout && spec.autoLayout.counterAxisSpacing !== undefined && !spec.autoLayout.wrap) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: "autoLayout.counterAxisSpacing requires wrap" });
+      }
+    })
+);
+
+/**
+ * Count the nodes described by a spec, including the root.
+ * @param spec - The root spec node
+ * @returns The number of nodes create_tree would create
+ */
+export function countTreeNodes(spec: TreeNodeSpec): number {
+  const children = spec.type === "FRAME" ? spec.children || [] : [];
+  return 1 + children.reduce((total, child) => total + countTreeNodes(child), 0);
+}
@@ -1,8 +1,10 @@
 import WebSocket from "ws";
 import { v4 as uuidv4 } from "uuid";
 import { logger } from "./logger";
-import { serverUrl, defaultPort, WS_URL, reconnectInterval } from "../config/config";
-import { FigmaCommand, FigmaResponse, CommandProgressUpdate, PendingRequest, ProgressMessage } from "../types";
+import { serverUrl, defaultPort, portConfigured, WS_URL, reconnectInterval, channelToken, maxResponseMb } from "../config/config";
+import { FigmaCommand, FigmaResponse, CommandProgressUpdate, PendingRequest, ProgressMessage, FigmaEvent } from "../types";
+import { recordFigmaEvent, clearFigmaEvents } from "./events";
+import { addChunk, discardTransfer, ChunkFrame } from "./chunked-transfer";
 
 // WebSocket connection and request tracking
 let ws: WebSocket | null = null;
@@ -11,6 +13,99 @@ let currentChannel: string | null = null;
 // Map of pending requests for promise tracking
 const pendingRequests = new Map<string, PendingRequest>();
 
+// How long a cancelled request waits for the plugin to report what it processed before stopping
+const CANCELLED_RESULT_WAIT = 10000;
+
+// Largest chunked response accepted from the plugin, in characters
+const maxResponseSize = Math.floor(maxResponseMb * 1024 * 1024);
+
+/**
+ * Give a request that is still making progress another 60 seconds before it times out.
+ * @param requestId - ID of the request
+ * @param request - The pending request
+ */
+function extendRequestTimeout(requestId: string, request: PendingRequest) {
+  // Update last activity timestamp
+  request.lastActivity = Date.now();
+
+  // Reset the timeout to prevent timeouts during long-running operations
+  clearTimeout(request.timeout);
+
+  // Create a new timeout
+  request.timeout = setTimeout(() => {
+    if (pendingRequests.has(requestId)) {
+      logger.error(`Request ${requestId} timed out after extended period of inactivity`);
+      pendingRequests.delete(requestId);
+      request.reject(new Error('Request to Figma timed out'));
+    }
+  }, 60000); // 60 second timeout for inactivity
+}
+
+/**
+ * Settle the pending request a response from Figma answers.
+ * @param myResponse - The response, with the request ID and a result or an error
+ */
+function handleResponse(myResponse: FigmaResponse) {
+  logger.debug(`Received message: ${JSON.stringify(myResponse)}`);
+
+  // Handle response to a request
+  if (
+    myResponse.id &&
+    pendingRequests.has(myResponse.id) &&
+    (myResponse.result || myResponse.error)
+  ) {
+    const request = pendingRequests.get(myResponse.id)!;
+    clearTimeout(request.timeout);
+
+    if (myResponse.error) {
+      logger.error(`Error from Figma: ${myResponse.error}`);
+      request.reject(new Error(myResponse.error));
+    } else {
+      if (myResponse.result) {
+        request.resolve(myResponse.result);
+      }
+    }
+
+    pendingRequests.delete(myResponse.id);
+  } else {
+    // Handle broadcast messages or events
+    logger.info(`Received broadcast message: ${JSON.stringify(myResponse)}`);
+  }
+}
+
+/**
+ * Collect a frame of a large response; the request is kept alive until the last frame
+ * and fails if the response is over the size limit or arrives corrupted.
+ * @param frame - The frame forwarded by the WebSocket server
+ */
+function handleChunk(frame: ChunkFrame) {
+  const request = pendingRequests.get(frame.id);
+  if (!request) {
+    // Cancelled or timed out while the plugin was still sending
+    discardTransfer(frame.transferId);
+    return;
+  }
+
+  extendRequestTimeout(frame.id, request);
+  logger.debug(`Received chunk ${frame.index + 1}/${frame.total} of response ${frame.id}`);
+
+  let text: string | null;
+  try {
+    text = addChunk(frame, maxResponseSize);
+  } catch (error) {
+    logger.error(`Chunked response ${frame.id} failed: ${error instanceof Error ? error.message : String(error)}`);
+    clearTimeout(request.timeout);
+    pendingRequests.delete(frame.id);
+    request.reject(error);
+    return;
+  }
+
+  if (text !== null) {
+    logger.info(`Reassembled response ${frame.id} from ${frame.total} chunks (${text.length} characters)`);
+    handleResponse(JSON.parse(text) as FigmaResponse);
+  }
+}
+
 /**
  * Connects to the Figma server via WebSocket.
  * @param port - Optional port for the connection (defaults to defaultPort from config)
@@ -34,7 +129,7 @@ export function connectToFigma(port: number = defaultPort) {
     ws = null;
   }
 
-  const wsUrl = serverUrl === 'localhost' ? `${WS_URL}:${port}` : WS_URL;
+  const wsUrl = serverUrl === 'localhost' || portConfigured ? `${WS_URL}:${port}` : WS_URL;
   logger.info(`Connecting to Figma socket server at ${wsUrl}...`);
   
   try {
@@ -64,23 +159,13 @@ export function connectToFigma(port: number = defaultPort) {
           const progressData = json.message.data as CommandProgressUpdate;
           const requestId = json.id || '';
 
+          if (progressData.status === 'cancelled') {
+            logger.info(`${progressData.commandType} stopped in Figma: ${progressData.message}`);
+          }
+
           if (requestId && pendingRequests.has(requestId)) {
             const request = pendingRequests.get(requestId)!;
-
-            // Update last activity timestamp
-            request.lastActivity = Date.now();
-
-            // Reset the timeout to prevent timeouts during long-running operations
-            clearTimeout(request.timeout);
-
-            // Create a new timeout
-            request.timeout = setTimeout(() => {
-              if (pendingRequests.has(requestId)) {
-                logger.error(`Request ${requestId} timed out after extended period of inactivity`);
-                pendingRequests.delete(requestId);
-                request.reject(new Error('Request to Figma timed out'));
-              }
-            }, 60000); // 60 second timeout for inactivity
+            extendRequestTimeout(requestId, request);
 
             // Log progress
             logger.info(`Progress update for ${progressData.commandType}: ${progressData.progress}% - ${progressData.message}`);
@@ -98,34 +183,35 @@ export function connectToFigma(port: number = defaultPort) {
           return;
         }
 
-        // Handle regular responses
-        const myResponse = json.message;
-        logger.debug(`Received message: ${JSON.stringify(myResponse)}`);
-        logger.log('myResponse' + JSON.stringify(myResponse));
-
-        // Handle response to a request
-        if (
-          myResponse.id &&
-          pendingRequests.has(myResponse.id) &&
-          myResponse.result
-        ) {
-          const request = pendingRequests.get(myResponse.id)!;
-          clearTimeout(request.timeout);
-
-          if (myResponse.error) {
-            logger.error(`Error from Figma: ${myResponse.error}`);
-            request.reject(new Error(myResponse.error));
-          } else {
-            if (myResponse.result) {
-              request.resolve(myResponse.result);
-            }
+        // Handle errors from the WebSocket server, e.g. a join refused for a bad channel token
+        if (json.type === 'error') {
+          logger.error(`Error from WebSocket server: ${json.message}`);
+          const requestId = json.id || '';
+          const request = pendingRequests.get(requestId);
+          if (request) {
+            clearTimeout(request.timeout);
+            pendingRequests.delete(requestId);
+            request.reject(new Error(json.message));
           }
+          return;
+        }
+
+        // Handle frames of a response too large for one message
+        if (json.type === 'chunk') {
+          handleChunk(json as unknown as ChunkFrame);
+          return;
+        }
 
-          pendingRequests.delete(myResponse.id);
-        } else {
-          // Handle broadcast messages or events
-          logger.info(`Received broadcast message: ${JSON.stringify(myResponse)}`);
+        // Handle selection and document change events forwarded by the plugin
+        if (json.type === 'event') {
+          const event = json.message as FigmaEvent;
+          logger.debug(`Figma event: ${event.event}`);
+          recordFigmaEvent(event);
+          return;
         }
+
+        // Handle regular responses
+        handleResponse(json.message);
       } catch (error) {
         logger.error(`Error parsing message: ${error instanceof Error ? error.message : String(error)}`);
       }
@@ -140,6 +226,7 @@ export function connectToFigma(port: number = defaultPort) {
       clearTimeout(connectionTimeout);
       logger.info(`Disconnected from Figma socket server with code ${code} and reason: ${reason || 'No reason provided'}`);
       ws = null;
+      discardTransfer();
 
       // Reject all pending requests
       for (const [id, request] of pendingRequests.entries()) {
@@ -173,6 +260,10 @@ export async function joinChannel(channelName: string): Promise<void> {
 
   try {
     await sendCommandToFigma("join", { channel: channelName });
+    // Events recorded so far belong to the previous document
+    if (currentChannel !== channelName) {
+      clearFigmaEvents();
+    }
     currentChannel = channelName;
     logger.info(`Joined channel: ${channelName}`);
   } catch (error) {
@@ -194,14 +285,21 @@ export function getCurrentChannel(): string | null {
  * @param command - The command to send
  * @param params - Additional parameters for the command
  * @param timeoutMs - Timeout in milliseconds before failing
+ * @param signal - Aborts the request and asks the plugin to stop the command
  * @returns A promise that resolves with the Figma response
  */
 export function sendCommandToFigma(
   command: FigmaCommand,
   params: unknown = {},
-  timeoutMs: number = 30000
+  timeoutMs: number = 30000,
+  signal?: AbortSignal
 ): Promise<unknown> {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
     // If not connected, try to connect first
     if (!ws || ws.readyState !== WebSocket.OPEN) {
       connectToFigma();
@@ -221,7 +319,7 @@ export function sendCommandToFigma(
       id,
       type: command === "join" ? "join" : "message",
       ...(command === "join"
-        ? { channel: (params as any).channel }
+        ? { channel: (params as any).channel, role: "mcp", ...(channelToken ? { token: channelToken } : {}) }
         : { channel: currentChannel }),
       message: {
         id,
@@ -233,10 +331,38 @@ export function sendCommandToFigma(
       },
     };
 
+    // Stop waiting when the caller aborts, and tell the plugin so it stops at its next checkpoint.
+    // The request stays pending a little longer so the partial result the plugin sends back is logged.
+    const onAbort = () => {
+      const pending = pendingRequests.get(id);
+      if (!pending) {
+        return;
+      }
+      clearTimeout(pending.timeout);
+      pending.resolve = (value) => {
+        const summary = JSON.stringify(value) ?? String(value);
+        logger.info(`Cancelled ${command} (${id}) stopped in Figma: ${summary.length > 500 ? `${summary.slice(0, 500)}...` : summary}`);
+      };
+      pending.reject = (reason) => {
+        logger.warn(`Cancelled ${command} (${id}) did not finish in Figma: ${reason instanceof Error ? reason.message : String(reason)}`);
+      };
+      pending.timeout = setTimeout(() => {
+        pendingRequests.delete(id);
+      }, CANCELLED_RESULT_WAIT);
+      logger.info(`Request ${id} (${command}) cancelled, asking Figma to stop`);
+      sendCommandToFigma("cancel_command", { targetCommandId: id }, 5000).catch((error) => {
+        logger.warn(`Could not cancel ${command} in Figma: ${error instanceof Error ? error.message : String(error)}`);
+      });
+      reject(new Error('Request cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const removeAbortListener = () => signal?.removeEventListener('abort', onAbort);
+
     // Set timeout for request
     const timeout = setTimeout(() => {
       if (pendingRequests.has(id)) {
         pendingRequests.delete(id);
+        removeAbortListener();
         logger.error(`Request ${id} to Figma timed out after ${timeoutMs / 1000} seconds`);
         reject(new Error('Request to Figma timed out'));
       }
@@ -244,15 +370,21 @@ export function sendCommandToFigma(
 
     // Store the promise callbacks to resolve/reject later
     pendingRequests.set(id, {
-      resolve,
-      reject,
+      resolve: (value) => {
+        removeAbortListener();
+        resolve(value);
+      },
+      reject: (reason) => {
+        removeAbortListener();
+        reject(reason);
+      },
       timeout,
       lastActivity: Date.now()
     });
 
     // Send the request
     logger.info(`Sending command to Figma: ${command}`);
-    logger.debug(`Request details: ${JSON.stringify(request)}`);
+    logger.debug(`Request details: ${JSON.stringify(request, (key, value) => (key === 'token' ? '***' : value))}`);
     ws.send(JSON.stringify(request));
   });
 }
\ No newline at end of file
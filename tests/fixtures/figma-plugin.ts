@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+const PLUGIN_SOURCE = fs.readFileSync(
+  path.join(__dirname, '../../src/claude_mcp_plugin/code.js'),
+  'utf8'
+);
+
+/**
+ * Run the plugin code against a fake `figma` global and return its top-level functions.
+ * Only what the plugin touches at startup is stubbed; tests add the rest of the API they use.
+ */
+export function loadPlugin(figma: Record<string, any> = {}): Record<string, any> {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    clearTimeout,
+    __html__: '',
+    figma: {
+      mixed: Symbol('mixed'),
+      showUI() {},
+      ui: { postMessage() {} },
+      on() {},
+      clientStorage: { getAsync: async () => undefined, setAsync: async () => undefined },
+      currentPage: { id: '0:1', name: 'Page 1', on() {}, off() {} },
+      ...figma,
+    },
+  });
+  vm.runInContext(PLUGIN_SOURCE, context);
+  return context;
+}
+
+/**
+ * A node with the geometry setters the creation commands call.
+ */
+export function fakeNode(type: string, id = '1:1'): Record<string, any> {
+  return {
+    id,
+    type,
+    fills: [],
+    strokes: [],
+    resize(width: number, height: number) {
+      this.width = width;
+      this.height = height;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerVariableTools } from '../../src/talk_to_figma_mcp/tools/variable-tools';
+
+jest.mock('../../src/talk_to_figma_mcp/utils/websocket', () => ({
+  sendCommandToFigma: jest.fn().mockResolvedValue({ name: 'MockNode', variableName: 'brand/primary' })
+}));
+
+describe('bind_variable tool integration', () => {
+  let server: McpServer;
+  let mockSendCommand: jest.Mock;
+  let toolHandler: Function;
+  let toolSchema: z.ZodObject<any>;
+
+  beforeEach(() => {
+    server = new McpServer(
+      { name: 'test-server', version: '1.0.0' },
+      { capabilities: { tools: {} } }
+    );
+
+    mockSendCommand = require('../../src/talk_to_figma_mcp/utils/websocket').sendCommandToFigma;
+    mockSendCommand.mockClear();
+
+    const originalTool = server.tool.bind(server);
+    jest.spyOn(server, 'tool').mockImplementation((...args: any[]) => {
+      if (args.length === 4) {
+        const [name, description, schema, handler] = args;
+        if (name === 'bind_variable') {
+          toolHandler = handler;
+          toolSchema = z.object(schema);
+        }
+      }
+      return (originalTool as any)(...args);
+    });
+
+    registerVariableTools(server);
+  });
+
+  it('forwards a supported field to the plugin', async () => {
+    const args = toolSchema.parse({ nodeId: '1:2', field: 'fontSize', variableId: 'VariableID:1' });
+    const response = await toolHandler(args, { meta: {} });
+
+    expect(mockSendCommand).toHaveBeenCalledWith('bind_variable', {
+      nodeId: '1:2',
+      field: 'fontSize',
+      variableId: 'VariableID:1',
+      paintIndex: undefined,
+    });
+    expect(response.content[0].text).toBe('Bound variable "brand/primary" to fontSize of node "MockNode"');
+  });
+
+  it('rejects a misspelled field before it reaches the plugin', () => {
+    expect(() => toolSchema.parse({ nodeId: '1:2', field: 'fill', variableId: 'VariableID:1' })).toThrow(z.ZodError);
+  });
+});
@@ -0,0 +1,121 @@
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerCreationTools } from '../../src/talk_to_figma_mcp/tools/creation-tools';
+
+jest.mock('../../src/talk_to_figma_mcp/utils/websocket', () => ({
+  sendCommandToFigma: jest.fn()
+}));
+
+const cardSpec = {
+  type: 'FRAME',
+  name: 'Card',
+  width: 320,
+  autoLayout: { mode: 'VERTICAL', itemSpacing: 12, padding: 16 },
+  fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }],
+  children: [
+    { type: 'TEXT', name: 'Title', text: 'Hello', fontStyle: 'Bold', fontSize: 20, layoutSizingHorizontal: 'FILL' },
+    { type: 'RECTANGLE', name: 'Divider', height: 1, layoutSizingHorizontal: 'FILL' },
+    { type: 'INSTANCE', componentKey: 'abc123', properties: { Label: 'Save' } },
+  ],
+};
+
+describe("create_tree tool integration", () => {
+  let server: McpServer;
+  let mockSendCommand: jest.Mock;
+  let toolHandler: Function;
+  let toolSchema: z.ZodObject<any>;
+
+  beforeEach(() => {
+    server = new McpServer(
+      { name: 'test-server', version: '1.0.0' },
+      { capabilities: { tools: {} } }
+    );
+
+    mockSendCommand = require('../../src/talk_to_figma_mcp/utils/websocket').sendCommandToFigma;
+    mockSendCommand.mockReset();
+
+    const originalTool = server.tool.bind(server);
+    jest.spyOn(server, 'tool').mockImplementation((...args: any[]) => {
+      if (args.length === 4) {
+        const [name, description, schema, handler] = args;
+        if (name === 'create_tree') {
+          toolHandler = handler;
+          toolSchema = z.object(schema);
+        }
+      }
+      return (originalTool as any)(...args);
+    });
+
+    registerCreationTools(server);
+  });
+
+  async function callToolWithValidation(args: any) {
+    const validatedArgs = toolSchema.parse(args);
+    const result = await toolHandler(validatedArgs, { meta: {} });
+    return result;
+  }
+
+  describe("schema validation", () => {
+    it("accepts a nested spec and forwards it in one command", async () => {
+      mockSendCommand.mockResolvedValue({
+        id: '1:1',
+        name: 'Card',
+        nodeCount: 4,
+        ids: { 'Card': '1:1', 'Card > Title': '1:2', 'Card > Divider': '1:3', 'Card > INSTANCE': '1:4' },
+      });
+
+      const response = await callToolWithValidation({ spec: cardSpec, parentId: '0:5' });
+
+      expect(mockSendCommand).toHaveBeenCalledTimes(1);
+      expect(mockSendCommand).toHaveBeenCalledWith(
+        'create_tree',
+        { spec: cardSpec, parentId: '0:5', pageId: undefined },
+        60000
+      );
+      expect(response.content[0].text).toBe('Created "Card" with ID: 1:1 (4 nodes)');
+      expect(JSON.parse(response.content[1].text)['Card > Title']).toBe('1:2');
+    });
+
+    it("rejects unknown node types deep in the tree", () => {
+      const spec = { ...cardSpec, children: [{ type: 'FRAME', children: [{ type: 'POLYGON' }] }] };
+      expect(() => toolSchema.parse({ spec })).toThrow();
+    });
+
+    it("requires text content on TEXT nodes", () => {
+      expect(() => toolSchema.parse({ spec: { type: 'TEXT', name: 'Label' } })).toThrow();
+    });
+
+    it("requires a component reference on INSTANCE nodes", () => {
+      expect(() => toolSchema.parse({ spec: { type: 'INSTANCE', name: 'Button' } }))
+        .toThrow(/componentId or componentKey/);
+    });
+
+    it("rejects counterAxisSpacing without wrap", () => {
+      const spec = { type: 'FRAME', autoLayout: { mode: 'HORIZONTAL', counterAxisSpacing: 8 } };
+      expect(() => toolSchema.parse({ spec })).toThrow(/requires wrap/);
+    });
+  });
+
+  describe("limits and errors", () => {
+    it("refuses specs above the node limit without contacting Figma", async () => {
+      const children = Array.from({ length: 500 }, (_, i) => ({ type: 'RECTANGLE', name: `Cell ${i}` }));
+
+      const response = await callToolWithValidation({ spec: { type: 'FRAME', name: 'Grid', children } });
+
+      expect(mockSendCommand).not.toHaveBeenCalled();
+      expect(response.content[0].text).toBe(
+        'Error creating tree: Spec describes 501 nodes, the limit is 500. Split it into several calls'
+      );
+    });
+
+    it("returns the failing spec path reported by the plugin", async () => {
+      mockSendCommand.mockRejectedValue(new Error('Card > INSTANCE: Component not found with key: abc123'));
+
+      const response = await callToolWithValidation({ spec: cardSpec });
+
+      expect(response.content[0].text).toBe(
+        'Error creating tree: Card > INSTANCE: Component not found with key: abc123'
+      );
+    });
+  });
+});
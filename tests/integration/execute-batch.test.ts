@@ -0,0 +1,123 @@
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerBatchTools } from '../../src/talk_to_figma_mcp/tools/batch-tools';
+
+jest.mock('../../src/talk_to_figma_mcp/utils/websocket', () => ({
+  sendCommandToFigma: jest.fn()
+}));
+
+describe("execute_batch tool integration", () => {
+  let server: McpServer;
+  let mockSendCommand: jest.Mock;
+  let toolHandler: Function;
+  let toolSchema: z.ZodObject<any>;
+
+  beforeEach(() => {
+    server = new McpServer(
+      { name: 'test-server', version: '1.0.0' },
+      { capabilities: { tools: {} } }
+    );
+
+    mockSendCommand = require('../../src/talk_to_figma_mcp/utils/websocket').sendCommandToFigma;
+    mockSendCommand.mockReset();
+
+    const originalTool = server.tool.bind(server);
+    jest.spyOn(server, 'tool').mockImplementation((...args: any[]) => {
+      if (args.length === 4) {
+        const [name, description, schema, handler] = args;
+        if (name === 'execute_batch') {
+          toolHandler = handler;
+          toolSchema = z.object(schema);
+        }
+      }
+      return (originalTool as any)(...args);
+    });
+
+    registerBatchTools(server);
+  });
+
+  const signal = new AbortController().signal;
+
+  async function callToolWithValidation(args: any) {
+    const validatedArgs = toolSchema.parse(args);
+    const result = await toolHandler(validatedArgs, { meta: {}, signal });
+    return result;
+  }
+
+  it("sends the steps in one command and stops on error by default", async () => {
+    mockSendCommand.mockResolvedValue({
+      success: true,
+      succeeded: 2,
+      failed: 0,
+      skipped: 0,
+      results: [
+        { step: 1, command: 'create_frame', success: true, result: { id: '1:2' } },
+        { step: 2, command: 'create_text', success: true, result: { id: '1:3' } },
+      ],
+    });
+
+    const commands = [
+      { command: 'create_frame', params: { name: 'Card', width: 320, height: 200 } },
+      { command: 'create_text', params: { parentId: '$1.id', text: 'Title' } },
+    ];
+    const response = await callToolWithValidation({ commands });
+
+    expect(mockSendCommand).toHaveBeenCalledTimes(1);
+    expect(mockSendCommand).toHaveBeenCalledWith(
+      'execute_batch',
+      { commands, stopOnError: true },
+      60000,
+      signal
+    );
+    expect(response.content[0].text).toBe('Batch completed: 2 succeeded, 0 failed, 0 skipped');
+    expect(JSON.parse(response.content[1].text)).toHaveLength(2);
+  });
+
+  it("passes continue-on-error mode and reports failed steps", async () => {
+    mockSendCommand.mockResolvedValue({
+      success: false,
+      succeeded: 1,
+      failed: 1,
+      skipped: 0,
+      results: [
+        { step: 1, command: 'set_fills', success: false, error: 'Node not found with ID: 9:9' },
+        { step: 2, command: 'create_rectangle', success: true, result: { id: '1:4' } },
+      ],
+    });
+
+    const response = await callToolWithValidation({
+      commands: [
+        { command: 'set_fills', params: { nodeId: '9:9', fills: [] } },
+        { command: 'create_rectangle', params: { x: 0, y: 0 } },
+      ],
+      stopOnError: false,
+    });
+
+    expect(mockSendCommand.mock.calls[0][1].stopOnError).toBe(false);
+    expect(response.content[0].text).toBe('Batch finished with errors: 1 succeeded, 1 failed, 0 skipped');
+    expect(response.content[1].text).toContain('Node not found with ID: 9:9');
+  });
+
+  it("rejects forward references without contacting Figma", async () => {
+    const response = await callToolWithValidation({
+      commands: [
+        { command: 'create_text', params: { parentId: '$2.id', text: 'Title' } },
+        { command: 'create_frame', params: {} },
+      ],
+    });
+
+    expect(mockSendCommand).not.toHaveBeenCalled();
+    expect(response.content[0].text).toBe(
+      'Error executing batch: Step 1: reference $2.id must point to an earlier step'
+    );
+  });
+
+  it("requires at least one command", () => {
+    expect(() => toolSchema.parse({ commands: [] })).toThrow();
+  });
+
+  it("only accepts batchable commands", () => {
+    expect(() => toolSchema.parse({ commands: [{ command: 'cancel_command', params: { targetCommandId: 'x' } }] })).toThrow();
+    expect(() => toolSchema.parse({ commands: [{ command: 'export_nodes', params: { nodeIds: ['1:2'] } }] })).toThrow();
+  });
+});
@@ -0,0 +1,95 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { registerResources } from '../../src/talk_to_figma_mcp/resources';
+import { recordFigmaEvent } from '../../src/talk_to_figma_mcp/utils/events';
+
+jest.mock('../../src/talk_to_figma_mcp/utils/websocket', () => ({
+  sendCommandToFigma: jest.fn()
+}));
+
+describe("MCP resources integration", () => {
+  let server: McpServer;
+  let client: Client;
+  let mockSendCommand: jest.Mock;
+
+  beforeEach(async () => {
+    mockSendCommand = require('../../src/talk_to_figma_mcp/utils/websocket').sendCommandToFigma;
+    mockSendCommand.mockReset();
+
+    server = new McpServer({ name: 'test-server', version: '1.0.0' });
+    registerResources(server);
+
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it("advertises subscription support", () => {
+    expect(client.getServerCapabilities()?.resources?.subscribe).toBe(true);
+  });
+
+  it("reads the selection through get_selection", async () => {
+    mockSendCommand.mockResolvedValue({ selectionCount: 1, selection: [{ id: '1:2', name: 'Header', type: 'FRAME' }] });
+
+    const result = await client.readResource({ uri: 'figma://selection' });
+
+    expect(mockSendCommand).toHaveBeenCalledWith('get_selection');
+    expect(result.contents[0].mimeType).toBe('application/json');
+    expect(JSON.parse(result.contents[0].text as string).selection[0].name).toBe('Header');
+  });
+
+  it("reads a node by ID, decoding percent-encoded IDs", async () => {
+    mockSendCommand.mockResolvedValue({ id: '1:2', name: 'Header', type: 'FRAME', children: [] });
+
+    await client.readResource({ uri: 'figma://node/1%3A2' });
+
+    expect(mockSendCommand).toHaveBeenCalledWith('get_node_info', { nodeId: '1:2' });
+  });
+
+  it("lists pages as resources and returns nothing when Figma is not connected", async () => {
+    mockSendCommand.mockResolvedValueOnce({ pages: [{ id: '0:1', name: 'Cover' }, { id: '5:0', name: 'Screens' }] });
+
+    const listed = await client.listResources();
+    expect(listed.resources.map((resource) => resource.uri)).toEqual(
+      expect.arrayContaining(['figma://document', 'figma://page/0:1', 'figma://page/5:0'])
+    );
+
+    mockSendCommand.mockRejectedValueOnce(new Error('Not connected to Figma'));
+    const offline = await client.listResources();
+    expect(offline.resources.map((resource) => resource.uri)).not.toContain('figma://page/0:1');
+  });
+
+  it("notifies subscribers of resources affected by plugin events", async () => {
+    const updated: string[] = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, async (notification) => {
+      updated.push(notification.params.uri);
+    });
+
+    await client.subscribeResource({ uri: 'figma://selection' });
+    await client.subscribeResource({ uri: 'figma://node/1%3A2' });
+
+    recordFigmaEvent({ event: 'style_change', data: { count: 1, changes: [] }, timestamp: Date.now() });
+    recordFigmaEvent({ event: 'selection_change', data: { count: 0, nodes: [] }, timestamp: Date.now() });
+    recordFigmaEvent({
+      event: 'node_change',
+      data: { pageId: '0:1', count: 1, changes: [{ type: 'PROPERTY_CHANGE', id: '1:2', properties: ['fills'] }] },
+      timestamp: Date.now(),
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(updated).toEqual(['figma://selection', 'figma://node/1%3A2']);
+
+    await client.unsubscribeResource({ uri: 'figma://selection' });
+    recordFigmaEvent({ event: 'selection_change', data: { count: 0, nodes: [] }, timestamp: Date.now() });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(updated).toHaveLength(2);
+  });
+});
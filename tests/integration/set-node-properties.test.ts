@@ -0,0 +1,113 @@
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerModificationTools } from '../../src/talk_to_figma_mcp/tools/modification-tools';
+
+jest.mock('../../src/talk_to_figma_mcp/utils/websocket', () => ({
+  sendCommandToFigma: jest.fn()
+}));
+
+describe("set_node_properties tool integration", () => {
+  let server: McpServer;
+  let mockSendCommand: jest.Mock;
+  let toolHandler: Function;
+  let toolSchema: z.ZodObject<any>;
+
+  beforeEach(() => {
+    server = new McpServer(
+      { name: 'test-server', version: '1.0.0' },
+      { capabilities: { tools: {} } }
+    );
+
+    mockSendCommand = require('../../src/talk_to_figma_mcp/utils/websocket').sendCommandToFigma;
+    mockSendCommand.mockReset();
+
+    const originalTool = server.tool.bind(server);
+    jest.spyOn(server, 'tool').mockImplementation((...args: any[]) => {
+      if (args.length === 4) {
+        const [name, description, schema, handler] = args;
+        if (name === 'set_node_properties') {
+          toolHandler = handler;
+          toolSchema = z.object(schema);
+        }
+      }
+      return (originalTool as any)(...args);
+    });
+
+    registerModificationTools(server);
+  });
+
+  async function callToolWithValidation(args: any) {
+    const validatedArgs = toolSchema.parse(args);
+    const result = await toolHandler(validatedArgs, { meta: {} });
+    return result;
+  }
+
+  describe("schema validation", () => {
+    it("accepts whitelisted properties and forwards them unchanged", async () => {
+      mockSendCommand.mockResolvedValue({
+        name: "Card",
+        type: "FRAME",
+        applied: { opacity: 0.5, visible: false, topLeftRadius: 8 },
+        unsupported: [],
+      });
+
+      await callToolWithValidation({
+        nodeId: "1:2",
+        properties: { opacity: 0.5, visible: false, topLeftRadius: 8 },
+      });
+
+      expect(mockSendCommand).toHaveBeenCalledWith("set_node_properties", {
+        nodeId: "1:2",
+        properties: { opacity: 0.5, visible: false, topLeftRadius: 8 },
+      });
+    });
+
+    it("rejects properties outside the whitelist", () => {
+      expect(() =>
+        toolSchema.parse({ nodeId: "1:2", properties: { opacity: 1, fills: [] } })
+      ).toThrow();
+    });
+
+    it("rejects out of range values", () => {
+      expect(() => toolSchema.parse({ nodeId: "1:2", properties: { opacity: 1.5 } })).toThrow();
+      expect(() => toolSchema.parse({ nodeId: "1:2", properties: { rotation: 270 } })).toThrow();
+      expect(() => toolSchema.parse({ nodeId: "1:2", properties: { cornerRadius: -4 } })).toThrow();
+    });
+
+    it("accepts PASS_THROUGH as a layer blend mode", () => {
+      expect(() =>
+        toolSchema.parse({ nodeId: "1:2", properties: { blendMode: "PASS_THROUGH" } })
+      ).not.toThrow();
+    });
+  });
+
+  describe("response", () => {
+    it("reports applied and unsupported properties", async () => {
+      mockSendCommand.mockResolvedValue({
+        name: "Label",
+        type: "TEXT",
+        applied: { rotation: 45, locked: true },
+        unsupported: [{ property: "clipsContent", reason: "not supported on TEXT nodes" }],
+      });
+
+      const response = await callToolWithValidation({
+        nodeId: "3:4",
+        properties: { rotation: 45, locked: true, clipsContent: true },
+      });
+
+      expect(response.content[0].text).toContain('Applied 2 properties to TEXT node "Label"');
+      expect(response.content[0].text).toContain("clipsContent (not supported on TEXT nodes)");
+    });
+
+    it("returns the plugin error as text", async () => {
+      mockSendCommand.mockRejectedValue(new Error("Node not found with ID: 9:9"));
+
+      const response = await callToolWithValidation({
+        nodeId: "9:9",
+        properties: { visible: true },
+      });
+
+      expect(response.content[0].text).toBe("Error setting node properties: Node not found with ID: 9:9");
+    });
+  });
+});
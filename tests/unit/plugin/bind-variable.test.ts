@@ -0,0 +1,75 @@
+import { loadPlugin } from '../../fixtures/figma-plugin';
+
+describe('plugin bind_variable', () => {
+  const colorVariable = { id: 'VariableID:1', name: 'brand/primary', resolvedType: 'COLOR' };
+  const sizeVariable = { id: 'VariableID:2', name: 'type/body', resolvedType: 'FLOAT' };
+
+  let nodes: Record<string, any>;
+  let loadFontAsync: jest.Mock;
+  let plugin: Record<string, any>;
+
+  beforeEach(() => {
+    nodes = {};
+    loadFontAsync = jest.fn(async () => undefined);
+    plugin = loadPlugin({
+      getNodeByIdAsync: async (id: string) => nodes[id] || null,
+      loadFontAsync,
+      variables: {
+        getVariableByIdAsync: async (id: string) => [colorVariable, sizeVariable].find((v) => v.id === id) || null,
+        setBoundVariableForPaint: (paint: any, field: string, variable: any) => ({
+          ...paint,
+          boundVariables: variable ? { [field]: { type: 'VARIABLE_ALIAS', id: variable.id } } : {},
+        }),
+      },
+    });
+  });
+
+  it('binds a color variable to a node without fills through a placeholder paint', async () => {
+    nodes['1:1'] = { id: '1:1', type: 'RECTANGLE', fills: [] };
+
+    await plugin.bindVariable({ nodeId: '1:1', field: 'fills', variableId: 'VariableID:1' });
+
+    expect(nodes['1:1'].fills).toHaveLength(1);
+    expect(nodes['1:1'].fills[0].boundVariables.color.id).toBe('VariableID:1');
+  });
+
+  it('leaves a node without fills untouched when unbinding', async () => {
+    const fills: any[] = [];
+    nodes['1:1'] = { id: '1:1', type: 'RECTANGLE', fills };
+
+    const result = await plugin.bindVariable({ nodeId: '1:1', field: 'fills', variableId: null });
+
+    expect(nodes['1:1'].fills).toBe(fills);
+    expect(result.variableId).toBeNull();
+  });
+
+  it('refuses to overwrite mixed text fills', async () => {
+    nodes['1:1'] = { id: '1:1', type: 'TEXT', fills: plugin.figma.mixed };
+
+    await expect(
+      plugin.bindVariable({ nodeId: '1:1', field: 'fills', variableId: 'VariableID:1' })
+    ).rejects.toThrow('Node 1:1 has mixed fills');
+    expect(nodes['1:1'].fills).toBe(plugin.figma.mixed);
+  });
+
+  it('loads every font of mixed text before binding a text field', async () => {
+    const regular = { family: 'Inter', style: 'Regular' };
+    const bold = { family: 'Inter', style: 'Bold' };
+    nodes['1:1'] = {
+      id: '1:1',
+      type: 'TEXT',
+      characters: 'Hello world',
+      fontName: plugin.figma.mixed,
+      getRangeAllFontNames: jest.fn(() => [regular, bold]),
+      setBoundVariable: jest.fn(() => {
+        expect(loadFontAsync).toHaveBeenCalledTimes(2);
+      }),
+    };
+
+    await plugin.bindVariable({ nodeId: '1:1', field: 'fontSize', variableId: 'VariableID:2' });
+
+    expect(nodes['1:1'].getRangeAllFontNames).toHaveBeenCalledWith(0, 11);
+    expect(loadFontAsync.mock.calls).toEqual([[regular], [bold]]);
+    expect(nodes['1:1'].setBoundVariable).toHaveBeenCalledWith('fontSize', sizeVariable);
+  });
+});
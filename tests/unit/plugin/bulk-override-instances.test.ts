@@ -0,0 +1,35 @@
+import { loadPlugin } from '../../fixtures/figma-plugin';
+
+describe('plugin bulk_override_instances', () => {
+  it('loads a page other than the current one before searching it', async () => {
+    const instance = {
+      id: '2:1',
+      name: 'Button',
+      type: 'INSTANCE',
+      getMainComponentAsync: async () => ({ key: 'button-key', parent: null }),
+      resetOverrides: jest.fn(),
+    };
+    let loaded = false;
+    const otherPage = {
+      id: '0:2',
+      name: 'Components',
+      type: 'PAGE',
+      loadAsync: jest.fn(async () => {
+        loaded = true;
+      }),
+      // Unloaded pages throw with dynamic-page document access
+      findAllWithCriteria: () => {
+        if (!loaded) {
+          throw new Error('Cannot read the children of an unloaded page');
+        }
+        return [instance];
+      },
+    };
+    const plugin = loadPlugin({ getNodeByIdAsync: async (id: string) => (id === '0:2' ? otherPage : null) });
+
+    await plugin.bulkOverrideInstances({ componentKey: 'button-key', rootNodeId: '0:2', resetOverrides: true });
+
+    expect(otherPage.loadAsync).toHaveBeenCalledTimes(1);
+    expect(instance.resetOverrides).toHaveBeenCalledTimes(1);
+  });
+});
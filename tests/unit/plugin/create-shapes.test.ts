@@ -0,0 +1,48 @@
+import { loadPlugin, fakeNode } from '../../fixtures/figma-plugin';
+
+describe('plugin shape creation fills', () => {
+  const gradient = {
+    type: 'GRADIENT_LINEAR',
+    gradientStops: [
+      { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+      { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } },
+    ],
+  };
+  const image = { type: 'IMAGE', imageData: 'aGVsbG8=' };
+
+  let created: Record<string, any>;
+  let createImage: jest.Mock;
+  let plugin: Record<string, any>;
+
+  beforeEach(() => {
+    createImage = jest.fn(() => ({ hash: 'image-hash' }));
+    plugin = loadPlugin({
+      createEllipse: () => (created = fakeNode('ELLIPSE')),
+      createPolygon: () => (created = fakeNode('POLYGON')),
+      createImage,
+      base64Decode: () => new Uint8Array(),
+    });
+    plugin.figma.currentPage.appendChild = jest.fn();
+  });
+
+  it('applies the fills paint stack to ellipses over fillColor', async () => {
+    await plugin.createEllipse({ fillColor: { r: 0, g: 1, b: 0, a: 1 }, fills: [gradient, image] });
+
+    expect(created.fills.map((paint: any) => paint.type)).toEqual(['GRADIENT_LINEAR', 'IMAGE']);
+    expect(created.fills[1].imageHash).toBe('image-hash');
+    expect(createImage).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the solid fillColor on ellipses without fills', async () => {
+    await plugin.createEllipse({ fillColor: { r: 0, g: 1, b: 0, a: 0.5 } });
+
+    expect(created.fills).toEqual([{ type: 'SOLID', color: { r: 0, g: 1, b: 0 }, opacity: 0.5 }]);
+  });
+
+  it('builds the fills of polygons once', async () => {
+    await plugin.createPolygon({ fills: [image] });
+
+    expect(created.fills.map((paint: any) => paint.type)).toEqual(['IMAGE']);
+    expect(createImage).toHaveBeenCalledTimes(1);
+  });
+});
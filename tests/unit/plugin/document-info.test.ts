@@ -0,0 +1,44 @@
+import { loadPlugin } from '../../fixtures/figma-plugin';
+
+describe('plugin get_document_info', () => {
+  function fakePage(id: string, name: string, childCount: number) {
+    return {
+      id,
+      name,
+      type: 'PAGE',
+      children: Array.from({ length: childCount }, (_, index) => ({ id: `${id}-${index}`, name: 'Layer', type: 'FRAME' })),
+      loadAsync: jest.fn(async () => undefined),
+    };
+  }
+
+  let current: ReturnType<typeof fakePage>;
+  let other: ReturnType<typeof fakePage>;
+  let plugin: Record<string, any>;
+
+  beforeEach(() => {
+    current = fakePage('0:1', 'Cover', 2);
+    other = fakePage('0:2', 'Components', 40);
+    plugin = loadPlugin({
+      currentPage: { ...current, on() {}, off() {} },
+      root: { name: 'Design system', children: [current, other] },
+    });
+    plugin.figma.currentPage.loadAsync = current.loadAsync;
+  });
+
+  it('lists every page without loading the pages that are not current', async () => {
+    const result = await plugin.getDocumentInfo({});
+
+    expect(result.pages).toEqual([
+      { id: '0:1', name: 'Cover', isCurrent: true, childCount: 2 },
+      { id: '0:2', name: 'Components', isCurrent: false },
+    ]);
+    expect(other.loadAsync).not.toHaveBeenCalled();
+  });
+
+  it('loads every page to count its layers when asked to', async () => {
+    const result = await plugin.getDocumentInfo({ includePageChildCounts: true });
+
+    expect(result.pages[1]).toEqual({ id: '0:2', name: 'Components', isCurrent: false, childCount: 40 });
+    expect(other.loadAsync).toHaveBeenCalledTimes(1);
+  });
+});
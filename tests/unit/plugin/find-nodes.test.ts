@@ -0,0 +1,159 @@
+import { loadPlugin } from '../../fixtures/figma-plugin';
+
+describe('plugin find_nodes', () => {
+  const red = { r: 1, g: 0, b: 0, a: 1 };
+
+  // A scene node with parent links and Figma's depth-first findAll / findAllWithCriteria
+  function sceneNode(id: string, type: string, name: string, props: Record<string, any> = {}, children: any[] = []) {
+    const node: Record<string, any> = { id, type, name, visible: true, parent: null, ...props, children };
+    children.forEach((child) => (child.parent = node));
+    node.findAll = () => children.flatMap((child) => [child, ...(child.findAll ? child.findAll() : [])]);
+    node.findAllWithCriteria = ({ types }: { types: string[] }) =>
+      node.findAll().filter((descendant: any) => types.includes(descendant.type));
+    return node;
+  }
+
+  let page: Record<string, any>;
+  let plugin: Record<string, any>;
+
+  beforeEach(() => {
+    page = sceneNode('0:1', 'PAGE', 'Page 1', { loadAsync: jest.fn(async () => undefined), on() {}, off() {} }, [
+      sceneNode('1:1', 'FRAME', 'Card', { x: 0, y: 0, width: 300, height: 200, fills: [{ type: 'SOLID', color: red }] }, [
+        sceneNode('1:2', 'TEXT', 'Title', { characters: 'Hello World', textStyleId: 'S:heading' }),
+        sceneNode('1:3', 'RECTANGLE', 'Background', {
+          x: 0, y: 0, width: 300, height: 200,
+          fills: [{ type: 'SOLID', color: { r: 0.995, g: 0, b: 0 } }],
+          fillStyleId: 'S:red',
+        }),
+        sceneNode('1:4', 'FRAME', 'Hidden group', { visible: false }, [
+          sceneNode('1:5', 'TEXT', 'Caption', { characters: 'hello again' }),
+        ]),
+      ]),
+      sceneNode('1:6', 'INSTANCE', 'Button', {
+        x: 0, y: 0, width: 120, height: 40,
+        getMainComponentAsync: async () => ({ key: 'variant-key', parent: { type: 'COMPONENT_SET', key: 'set-key' } }),
+      }),
+      sceneNode('1:7', 'RECTANGLE', 'Divider', { x: 0, y: 0, width: 300, height: 1 }),
+    ]);
+    plugin = loadPlugin({ currentPage: page, root: { children: [page] } });
+  });
+
+  async function findIds(params: Record<string, any>) {
+    const result = await plugin.findNodes(params);
+    return result.nodes.map((node: any) => node.id);
+  }
+
+  it.each([0, -50, 2.5, '200'])('rejects chunkSize %p before searching', async (chunkSize) => {
+    const getNodeByIdAsync = jest.fn();
+    plugin = loadPlugin({ getNodeByIdAsync });
+
+    await expect(plugin.findNodes({ nodeId: '1:1', chunkSize })).rejects.toThrow(
+      'chunkSize must be a positive integer'
+    );
+    expect(getNodeByIdAsync).not.toHaveBeenCalled();
+  });
+
+  it('filters by node type', async () => {
+    expect(await findIds({ types: ['TEXT'] })).toEqual(['1:2', '1:5']);
+  });
+
+  it('matches name and text patterns, case-insensitive unless asked', async () => {
+    expect(await findIds({ namePattern: '^card$' })).toEqual(['1:1']);
+    expect(await findIds({ namePattern: '^card$', caseSensitive: true })).toEqual([]);
+    expect(await findIds({ textPattern: 'hello' })).toEqual(['1:2', '1:5']);
+    expect(await findIds({ textPattern: 'hello', caseSensitive: true })).toEqual(['1:5']);
+  });
+
+  it('treats nodes under a hidden ancestor as hidden', async () => {
+    expect(await findIds({ visible: false })).toEqual(['1:4', '1:5']);
+    expect(await findIds({ visible: true, types: ['TEXT'] })).toEqual(['1:2']);
+  });
+
+  it('matches solid fills within the color tolerance', async () => {
+    expect(await findIds({ fillColor: red })).toEqual(['1:1', '1:3']);
+    expect(await findIds({ fillColor: red, colorTolerance: 0.001 })).toEqual(['1:1']);
+  });
+
+  it('matches applied styles and instances of a component or component set', async () => {
+    expect(await findIds({ styleId: 'S:red' })).toEqual(['1:3']);
+    expect(await findIds({ styleId: 'S:heading' })).toEqual(['1:2']);
+    expect(await findIds({ componentKey: 'variant-key' })).toEqual(['1:6']);
+    expect(await findIds({ componentKey: 'set-key' })).toEqual(['1:6']);
+    expect(await findIds({ componentKey: 'other-key' })).toEqual([]);
+  });
+
+  it('filters by size range and depth below the root', async () => {
+    expect(await findIds({ minWidth: 200, maxHeight: 10 })).toEqual(['1:7']);
+    expect(await findIds({ minWidth: 100, maxWidth: 200 })).toEqual(['1:6']);
+    expect(await findIds({ maxDepth: 1 })).toEqual(['1:1', '1:6', '1:7']);
+  });
+
+  it('pages through the matches', async () => {
+    const first = await plugin.findNodes({ limit: 3 });
+    expect(first).toMatchObject({ totalMatches: 7, offset: 0, limit: 3, nextOffset: 3 });
+    expect(first.nodes.map((node: any) => node.id)).toEqual(['1:1', '1:2', '1:3']);
+
+    const last = await plugin.findNodes({ limit: 3, offset: 6 });
+    expect(last.nodes.map((node: any) => node.id)).toEqual(['1:7']);
+    expect(last.nextOffset).toBeNull();
+  });
+
+  it('summarizes each match with its page, parent and depth', async () => {
+    const result = await plugin.findNodes({ nodeId: undefined, types: ['TEXT'], visible: true });
+
+    expect(result.nodes[0]).toEqual({
+      id: '1:2',
+      name: 'Title',
+      type: 'TEXT',
+      pageId: '0:1',
+      pageName: 'Page 1',
+      parentId: '1:1',
+      depth: 2,
+      visible: true,
+      characters: 'Hello World',
+    });
+  });
+
+  it('skips subtrees below maxDepth instead of scanning them', async () => {
+    const result = await plugin.findNodes({ maxDepth: 1 });
+
+    expect(result.scannedNodes).toBe(3);
+  });
+
+  it('stops walking the tree when cancelled between chunks', async () => {
+    const hiddenGroup = page.children[0].children[2];
+    const groupChildren = hiddenGroup.children;
+    const readChildren = jest.fn(() => groupChildren);
+    Object.defineProperty(hiddenGroup, 'children', { get: readChildren });
+
+    page.findAll = jest.fn(page.findAll);
+
+    // Cancel as soon as the first chunk reports progress, the way the server's cancel_command does
+    const finished = new Promise((resolve) => {
+      plugin.figma.ui.postMessage = (message: any) => {
+        if (message.type === 'command_progress' && message.status === 'in_progress') {
+          plugin.figma.ui.onmessage({
+            type: 'execute-command',
+            id: 'cancel-1',
+            command: 'cancel_command',
+            params: { targetCommandId: 'find-1' },
+          });
+        }
+        if (message.type === 'command-result' && message.id === 'find-1') {
+          resolve(message.result);
+        }
+      };
+    });
+
+    plugin.figma.ui.onmessage({
+      type: 'execute-command',
+      id: 'find-1',
+      command: 'find_nodes',
+      params: { chunkSize: 2, commandId: 'find-1' },
+    });
+
+    expect(await finished).toMatchObject({ cancelled: true, scannedNodes: 2, totalMatches: 2 });
+    expect(page.findAll).not.toHaveBeenCalled();
+    expect(readChildren).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  stats,
+  recordMessageIn,
+  recordMessageOut,
+  recordError,
+  recordCommandLatency,
+  recordCommandFailure,
+  forgetChannel,
+  getChannelTraffic,
+  getCommandSummaries,
+  renderPrometheusMetrics,
+  getStatus,
+  channelLabel,
+  resetMetrics,
+} from '../../../src/relay/metrics';
+
+describe('relay metrics', () => {
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  it('counts messages and bytes globally and per channel', () => {
+    recordMessageIn(undefined, 40);
+    recordMessageIn('abc123', 100);
+    recordMessageOut('abc123', 250);
+    recordError('abc123');
+
+    expect(stats).toMatchObject({ messagesReceived: 2, bytesReceived: 140, messagesSent: 1, bytesSent: 250, errors: 1 });
+    expect(getChannelTraffic('abc123')).toEqual({ messagesIn: 1, messagesOut: 1, bytesIn: 100, bytesOut: 250, errors: 1 });
+  });
+
+  it('summarizes command latency and errors by command name', () => {
+    recordMessageIn('abc123', 10);
+    recordCommandLatency('abc123', 'get_node_info', 0.04, false);
+    recordCommandLatency('abc123', 'get_node_info', 0.3, true);
+    recordCommandLatency('abc123', 'export_node_as_image', 200, false);
+    recordCommandFailure('abc123', 'get_selection');
+
+    const summaries = getCommandSummaries();
+    expect(summaries.get_node_info).toMatchObject({ count: 2, errors: 1, averageMs: 170, maxMs: 300 });
+    expect(summaries.get_node_info.latencyBuckets.slice(0, 4)).toEqual([
+      { le: '0.05', count: 1 },
+      { le: '0.1', count: 1 },
+      { le: '0.25', count: 1 },
+      { le: '0.5', count: 2 },
+    ]);
+    expect(summaries.export_node_as_image.latencyBuckets.slice(-2)).toEqual([
+      { le: '120', count: 0 },
+      { le: '+Inf', count: 1 },
+    ]);
+    expect(summaries.get_selection).toMatchObject({ count: 0, errors: 1 });
+    expect(getChannelTraffic('abc123').errors).toBe(2);
+  });
+
+  it('forgets closed channels without bringing them back on late failures', () => {
+    recordMessageIn('abc123', 10);
+    forgetChannel('abc123');
+    recordCommandFailure('abc123', 'get_selection');
+
+    expect(renderPrometheusMetrics(1, [], 0)).not.toContain('abc123');
+  });
+
+  it('renders the Prometheus text format', () => {
+    recordMessageIn('abc123', 100);
+    recordCommandLatency('abc123', 'get_node_info', 0.2, false);
+    stats.authFailures = 2;
+
+    const text = renderPrometheusMetrics(12.5, [{ name: 'abc123', plugins: 1, mcpServers: 2, protected: false }], 3);
+
+    expect(text).toContain('# TYPE figma_relay_auth_failures_total counter\nfigma_relay_auth_failures_total 2\n');
+    expect(text).toContain('figma_relay_uptime_seconds 12.5\n');
+    expect(text).toContain('figma_relay_pending_commands 3\n');
+    expect(text).toContain(`figma_relay_channel_clients{channel="${channelLabel('abc123')}",role="mcp"} 2\n`);
+    expect(text).toContain(`figma_relay_channel_received_bytes_total{channel="${channelLabel('abc123')}"} 100\n`);
+    expect(text).not.toContain('abc123');
+    expect(text).toContain('# TYPE figma_relay_command_duration_seconds histogram\n');
+    expect(text).toContain('figma_relay_command_duration_seconds_bucket{command="get_node_info",le="0.1"} 0\n');
+    expect(text).toContain('figma_relay_command_duration_seconds_bucket{command="get_node_info",le="0.25"} 1\n');
+    expect(text).toContain('figma_relay_command_duration_seconds_bucket{command="get_node_info",le="+Inf"} 1\n');
+    expect(text).toContain('figma_relay_command_duration_seconds_count{command="get_node_info"} 1\n');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('reports channels in /status by label, never by name', () => {
+    recordMessageIn('secret-channel', 100);
+    recordError('secret-channel');
+
+    const status = getStatus(3, [{ name: 'secret-channel', plugins: 1, mcpServers: 1, protected: false }], 0);
+
+    expect(JSON.stringify(status)).not.toContain('secret-channel');
+    expect(status.channels[channelLabel('secret-channel')]).toEqual({
+      plugins: 1,
+      mcpServers: 1,
+      protected: false,
+      messagesIn: 1,
+      messagesOut: 0,
+      bytesIn: 100,
+      bytesOut: 0,
+      errors: 1,
+    });
+  });
+
+  it('labels channels with a stable hash that differs per channel', () => {
+    expect(channelLabel('abc123')).toMatch(/^[0-9a-f]{12}$/);
+    expect(channelLabel('abc123')).toBe(channelLabel('abc123'));
+    expect(channelLabel('abc124')).not.toBe(channelLabel('abc123'));
+  });
+
+  it('counts unknown command names under a single other label', () => {
+    recordCommandLatency('abc123', 'made_up_1', 0.1, false);
+    recordCommandLatency('abc123', 'made_up_2', 0.2, true);
+    recordCommandFailure('abc123', 'made_up_3');
+
+    const summaries = getCommandSummaries();
+    expect(Object.keys(summaries)).toEqual(['other']);
+    expect(summaries.other).toMatchObject({ count: 2, errors: 2 });
+    expect(renderPrometheusMetrics(1, [], 0)).not.toContain('made_up');
+  });
+});
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfigFile, getArgValue, parsePort } from '../../../src/shared/config-file';
+
+describe('shared config file', () => {
+  let dir: string;
+
+  function writeConfig(contents: unknown): string {
+    const file = path.join(dir, 'figma-mcp.json');
+    fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return file;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'figma-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns no settings without a config file', () => {
+    expect(loadConfigFile([], {})).toEqual({});
+  });
+
+  it('reads the file from --config= before FIGMA_MCP_CONFIG', () => {
+    const file = writeConfig({ port: 3056, server: 'figma.example.com', token: 'secret' });
+
+    expect(loadConfigFile([`--config=${file}`], { FIGMA_MCP_CONFIG: '/missing.json' })).toEqual({
+      port: 3056,
+      server: 'figma.example.com',
+      token: 'secret',
+    });
+    expect(loadConfigFile([], { FIGMA_MCP_CONFIG: file }).port).toBe(3056);
+  });
+
+  it('resolves paths relative to the config file', () => {
+    const file = writeConfig({ tlsCert: 'certs/cert.pem', tlsKey: '/etc/ssl/key.pem', exportDir: 'exports' });
+
+    expect(loadConfigFile([`--config=${file}`], {})).toEqual({
+      tlsCert: path.join(dir, 'certs/cert.pem'),
+      tlsKey: '/etc/ssl/key.pem',
+      exportDir: path.join(dir, 'exports'),
+    });
+  });
+
+  it('rejects unknown keys and invalid values with the file name', () => {
+    const file = writeConfig({ port: 70000, tlsCertificate: 'cert.pem' });
+
+    expect(() => loadConfigFile([`--config=${file}`], {})).toThrow(`Invalid config file ${file}`);
+    expect(() => loadConfigFile([`--config=${file}`], {})).toThrow(/port:/);
+    expect(() => loadConfigFile([`--config=${file}`], {})).toThrow(/tlsCertificate/);
+  });
+
+  it('reports files that are missing or not JSON', () => {
+    expect(() => loadConfigFile(['--config=/missing/figma-mcp.json'], {})).toThrow(
+      'Could not read config file /missing/figma-mcp.json'
+    );
+
+    const file = writeConfig('{ port: 3056 }');
+    expect(() => loadConfigFile([`--config=${file}`], {})).toThrow(`Could not read config file ${file}`);
+  });
+
+  it('reads flags and ports', () => {
+    expect(getArgValue(['--host=0.0.0.0', '--port=3056'], 'port')).toBe('3056');
+    expect(getArgValue(['--tls-cert=a=b.pem'], 'tls-cert')).toBe('a=b.pem');
+    expect(getArgValue([], 'port')).toBeUndefined();
+
+    expect(parsePort('3056', '--port')).toBe(3056);
+    expect(parsePort(undefined, '--port')).toBeUndefined();
+    expect(() => parsePort('http', 'FIGMA_SOCKET_PORT')).toThrow('Invalid port in FIGMA_SOCKET_PORT: http');
+  });
+});
@@ -0,0 +1,66 @@
+import { findBatchReferences, validateBatch } from '../../../src/talk_to_figma_mcp/utils/batch';
+
+describe('batch utilities', () => {
+  describe('findBatchReferences', () => {
+    it('should find references in nested objects and arrays', () => {
+      const references = findBatchReferences({
+        parentId: '$1.id',
+        nodeIds: ['$2.id', '3:4', '$3.nodes.0.id'],
+        options: { source: '$2' },
+      });
+
+      expect(references).toEqual([
+        { step: 1, reference: '$1.id' },
+        { step: 2, reference: '$2.id' },
+        { step: 3, reference: '$3.nodes.0.id' },
+        { step: 2, reference: '$2' },
+      ]);
+    });
+
+    it('should ignore strings that are not a reference on their own', () => {
+      expect(findBatchReferences({ text: 'Price: $1.99', name: '$1 id' })).toEqual([]);
+      expect(findBatchReferences({ text: '$$1.99' })).toEqual([]);
+      expect(findBatchReferences(undefined)).toEqual([]);
+    });
+  });
+
+  describe('validateBatch', () => {
+    it('should accept references to earlier steps', () => {
+      expect(validateBatch([
+        { command: 'create_frame', params: { name: 'Card' } },
+        { command: 'create_text', params: { parentId: '$1.id', text: 'Title' } },
+        { command: 'set_fills', params: { nodeId: '$2.id', fills: [] } },
+      ])).toEqual([]);
+    });
+
+    it('should reject references to the same or a later step', () => {
+      expect(validateBatch([
+        { command: 'create_frame', params: { parentId: '$1.id' } },
+        { command: 'create_text', params: { parentId: '$3.id' } },
+        { command: 'create_text', params: { parentId: '$0.id' } },
+      ])).toEqual([
+        'Step 1: reference $1.id must point to an earlier step',
+        'Step 2: reference $3.id must point to an earlier step',
+        'Step 3: reference $0.id must point to an earlier step',
+      ]);
+    });
+
+    it('should reject nested batches', () => {
+      expect(validateBatch([{ command: 'execute_batch', params: { commands: [] } }]))
+        .toEqual(['Step 1: execute_batch cannot be nested']);
+    });
+
+    it('should reject internal and non-batchable commands', () => {
+      expect(validateBatch([
+        { command: 'join', params: { channel: 'abc' } },
+        { command: 'cancel_command', params: { targetCommandId: 'x' } },
+        { command: 'export_node_as_image', params: { nodeId: '1:2', saveToDisk: true } },
+        { command: 'create_frame', params: {} },
+      ])).toEqual([
+        'Step 1: join cannot run in a batch, use its own tool',
+        'Step 2: cancel_command cannot run in a batch, use its own tool',
+        'Step 3: export_node_as_image cannot run in a batch, use its own tool',
+      ]);
+    });
+  });
+});
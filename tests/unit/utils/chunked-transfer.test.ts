@@ -0,0 +1,77 @@
+import {
+  ChunkFrame,
+  addChunk,
+  checksum,
+  discardTransfer,
+  pendingTransferCount,
+} from '../../../src/talk_to_figma_mcp/utils/chunked-transfer';
+
+describe('chunked transfers', () => {
+  function split(text: string, chunkSize: number, transferId = 'transfer-1'): ChunkFrame[] {
+    const total = Math.ceil(text.length / chunkSize);
+    return Array.from({ length: total }, (_, index) => ({
+      type: 'chunk' as const,
+      id: 'command-1',
+      transferId,
+      index,
+      total,
+      size: text.length,
+      checksum: checksum(text),
+      data: text.slice(index * chunkSize, (index + 1) * chunkSize),
+    }));
+  }
+
+  afterEach(() => {
+    discardTransfer();
+  });
+
+  it('computes the FNV-1a checksum as 8 hex digits', () => {
+    expect(checksum('')).toBe('811c9dc5');
+    expect(checksum('a')).toBe('e40c292c');
+    expect(checksum('foobar')).toBe('bf9cf968');
+  });
+
+  it('returns the text once every frame arrived', () => {
+    const [first, second, third] = split('{"id":"command-1","result":"ok"}', 12);
+
+    expect(addChunk(third, 1024)).toBeNull();
+    expect(addChunk(first, 1024)).toBeNull();
+    expect(pendingTransferCount()).toBe(1);
+    expect(addChunk(second, 1024)).toBe('{"id":"command-1","result":"ok"}');
+    expect(pendingTransferCount()).toBe(0);
+  });
+
+  it('keeps separate transfers apart', () => {
+    const [a1, a2] = split('aaaa', 2, 'transfer-a');
+    const [b1, b2] = split('bbbb', 2, 'transfer-b');
+
+    addChunk(a1, 1024);
+    addChunk(b1, 1024);
+    expect(addChunk(b2, 1024)).toBe('bbbb');
+    expect(addChunk(a2, 1024)).toBe('aaaa');
+  });
+
+  it('rejects a response over the size limit and drops the transfer', () => {
+    const [first] = split('x'.repeat(3 * 1024 * 1024), 1024 * 1024);
+
+    expect(() => addChunk(first, 2 * 1024 * 1024)).toThrow(
+      'Response from Figma is 3.0 MB, over the 2.0 MB limit. Raise it with --max-response-mb='
+    );
+    expect(pendingTransferCount()).toBe(0);
+  });
+
+  it('rejects duplicate, out of range and corrupted frames', () => {
+    const [first, second] = split('abcdef', 3);
+
+    addChunk(first, 1024);
+    expect(() => addChunk(first, 1024)).toThrow('Unexpected chunk 0 of 2 in response transfer transfer-1');
+    expect(() => addChunk({ ...first, index: 2 }, 1024)).toThrow('Invalid chunk 2 of 2');
+
+    addChunk(first, 1024);
+    expect(() => addChunk({ ...second, data: 'xyz' }, 1024)).toThrow('corrupted (checksum mismatch)');
+
+    addChunk(first, 1024);
+    expect(() => addChunk({ ...second, data: 'defghi' }, 1024)).toThrow('longer than announced (6 characters)');
+    expect(pendingTransferCount()).toBe(0);
+  });
+});
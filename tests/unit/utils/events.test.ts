@@ -0,0 +1,102 @@
+import {
+  recordFigmaEvent,
+  getRecentChanges,
+  onFigmaEvent,
+  clearFigmaEvents,
+  MAX_RECORDED_EVENTS,
+} from '../../../src/talk_to_figma_mcp/utils/events';
+import { FigmaEvent } from '../../../src/talk_to_figma_mcp/types';
+
+function selectionEvent(nodeId: string): FigmaEvent {
+  return {
+    event: 'selection_change',
+    data: { pageId: '0:1', count: 1, nodes: [{ id: nodeId, name: 'Header', type: 'FRAME' }] },
+    timestamp: Date.now(),
+  };
+}
+
+function nodeEvent(nodeId: string): FigmaEvent {
+  return {
+    event: 'node_change',
+    data: { pageId: '0:1', count: 1, changes: [{ type: 'PROPERTY_CHANGE', id: nodeId, properties: ['fills'] }] },
+    timestamp: Date.now(),
+  };
+}
+
+describe('figma event buffer', () => {
+  beforeEach(() => {
+    clearFigmaEvents();
+  });
+
+  it('should number events and resume after a cursor', () => {
+    const first = recordFigmaEvent(selectionEvent('1:1'));
+    const second = recordFigmaEvent(nodeEvent('1:1'));
+
+    expect(second.cursor).toBe(first.cursor + 1);
+
+    const afterFirst = getRecentChanges({ cursor: first.cursor });
+    expect(afterFirst.events.map((event) => event.cursor)).toEqual([second.cursor]);
+    expect(afterFirst.cursor).toBe(second.cursor);
+    expect(afterFirst.hasMore).toBe(false);
+
+    expect(getRecentChanges({ cursor: afterFirst.cursor }).events).toEqual([]);
+  });
+
+  it('should return the most recent events without a cursor', () => {
+    for (let i = 0; i < 5; i++) {
+      recordFigmaEvent(selectionEvent(`1:${i}`));
+    }
+
+    const recent = getRecentChanges({ limit: 2 });
+    expect(recent.events.map((event) => event.data.nodes[0].id)).toEqual(['1:3', '1:4']);
+    expect(recent.hasMore).toBe(false);
+  });
+
+  it('should page through events with a cursor', () => {
+    const start = getRecentChanges().cursor;
+    for (let i = 0; i < 3; i++) {
+      recordFigmaEvent(nodeEvent(`2:${i}`));
+    }
+
+    const page = getRecentChanges({ cursor: start, limit: 2 });
+    expect(page.events).toHaveLength(2);
+    expect(page.hasMore).toBe(true);
+
+    const rest = getRecentChanges({ cursor: page.cursor, limit: 2 });
+    expect(rest.events.map((event) => event.data.changes[0].id)).toEqual(['2:2']);
+    expect(rest.hasMore).toBe(false);
+  });
+
+  it('should filter by event type', () => {
+    const start = getRecentChanges().cursor;
+    recordFigmaEvent(selectionEvent('3:1'));
+    recordFigmaEvent(nodeEvent('3:1'));
+
+    const selections = getRecentChanges({ cursor: start, types: ['selection_change'] });
+    expect(selections.events.map((event) => event.event)).toEqual(['selection_change']);
+    expect(getRecentChanges({ cursor: selections.cursor }).events).toEqual([]);
+  });
+
+  it('should drop the oldest events and report missed ones', () => {
+    const start = getRecentChanges().cursor;
+    for (let i = 0; i < MAX_RECORDED_EVENTS + 10; i++) {
+      recordFigmaEvent(nodeEvent(`4:${i}`));
+    }
+
+    const changes = getRecentChanges({ cursor: start, limit: 500 });
+    expect(changes.missed).toBe(true);
+    expect(changes.events[0].data.changes[0].id).toBe('4:10');
+  });
+
+  it('should notify subscribers until they unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = onFigmaEvent(listener);
+
+    const event = recordFigmaEvent(selectionEvent('5:1'));
+    unsubscribe();
+    recordFigmaEvent(selectionEvent('5:2'));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(event);
+  });
+});
@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildExportFileName, saveExportToDisk, ExportedAsset } from '../../../src/talk_to_figma_mcp/utils/export-files';
+
+const pngAsset: ExportedAsset = {
+  nodeId: '12:34',
+  nodeName: 'Icon / Home',
+  format: 'PNG',
+  scale: 2,
+  constraint: { type: 'SCALE', value: 2 },
+  imageData: Buffer.from('fake-png-bytes').toString('base64'),
+};
+
+describe('export file utilities', () => {
+  describe('buildExportFileName', () => {
+    it('should combine node name, node ID, scale and format', () => {
+      expect(buildExportFileName(pngAsset)).toBe('icon-home__12-34@2x.png');
+    });
+
+    it('should use width and height constraints as size suffix', () => {
+      expect(buildExportFileName({ ...pngAsset, format: 'JPG', constraint: { type: 'WIDTH', value: 1200 } }))
+        .toBe('icon-home__12-34@w1200.jpg');
+      expect(buildExportFileName({ ...pngAsset, constraint: { type: 'HEIGHT', value: 64 } }))
+        .toBe('icon-home__12-34@h64.png');
+    });
+
+    it('should not add a size suffix to vector formats', () => {
+      expect(buildExportFileName({ ...pngAsset, format: 'SVG', constraint: undefined })).toBe('icon-home__12-34.svg');
+      expect(buildExportFileName({ ...pngAsset, format: 'PDF', constraint: undefined })).toBe('icon-home__12-34.pdf');
+    });
+
+    it('should strip path separators and accents from node names', () => {
+      const fileName = buildExportFileName({ ...pngAsset, nodeName: '../../Botón Primário' });
+      expect(fileName).toBe('..-..-boton-primario__12-34@2x.png');
+      expect(fileName).not.toContain('/');
+    });
+
+    it('should be deterministic', () => {
+      expect(buildExportFileName(pngAsset)).toBe(buildExportFileName({ ...pngAsset }));
+    });
+  });
+
+  describe('saveExportToDisk', () => {
+    let outputDir: string;
+
+    beforeEach(async () => {
+      outputDir = await mkdtemp(path.join(os.tmpdir(), 'figma-export-test-'));
+    });
+
+    afterEach(async () => {
+      await rm(outputDir, { recursive: true, force: true });
+    });
+
+    it('should write the decoded bytes and report path, size and hash', async () => {
+      const saved = await saveExportToDisk(pngAsset, outputDir);
+      const written = await readFile(saved.path);
+
+      expect(saved.path).toBe(path.join(outputDir, 'icon-home__12-34@2x.png'));
+      expect(written.toString()).toBe('fake-png-bytes');
+      expect(saved.size).toBe(written.byteLength);
+      expect(saved.sha256).toBe(createHash('sha256').update(written).digest('hex'));
+    });
+
+    it('should create the output directory when it does not exist', async () => {
+      const nestedDir = path.join(outputDir, 'icons', 'svg');
+      const saved = await saveExportToDisk({ ...pngAsset, format: 'SVG' }, nestedDir);
+
+      expect(path.dirname(saved.path)).toBe(nestedDir);
+      await expect(readFile(saved.path)).resolves.toBeDefined();
+    });
+  });
+});
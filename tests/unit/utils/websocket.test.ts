@@ -0,0 +1,206 @@
+import { connectToFigma, joinChannel, sendCommandToFigma } from '../../../src/talk_to_figma_mcp/utils/websocket';
+import { checksum, pendingTransferCount } from '../../../src/talk_to_figma_mcp/utils/chunked-transfer';
+import { logger } from '../../../src/talk_to_figma_mcp/utils/logger';
+
+jest.mock('ws', () => {
+  const { EventEmitter } = require('events');
+
+  class FakeWebSocket extends EventEmitter {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+    static instances: FakeWebSocket[] = [];
+
+    readyState = FakeWebSocket.OPEN;
+    sent: any[] = [];
+
+    constructor() {
+      super();
+      FakeWebSocket.instances.push(this);
+    }
+
+    send(data: string) {
+      this.sent.push(JSON.parse(data));
+    }
+
+    terminate() {}
+  }
+
+  return { __esModule: true, default: FakeWebSocket };
+});
+
+jest.mock('../../../src/talk_to_figma_mcp/config/config', () => ({
+  ...jest.requireActual('../../../src/talk_to_figma_mcp/config/config'),
+  channelToken: 'channel-secret',
+}));
+
+describe('sendCommandToFigma', () => {
+  let socket: any;
+  let joinRequest: any;
+
+  // Answer the next request sent over the fake socket the way the relay would
+  function respondToLastRequest(result: unknown) {
+    const request = socket.sent[socket.sent.length - 1];
+    socket.emit('message', JSON.stringify({ type: 'message', message: { id: request.id, result } }));
+  }
+
+  // Split the answer to the last request into chunk frames the way the plugin UI does
+  function chunkLastResponse(result: unknown, chunkSize: number) {
+    const id = socket.sent[socket.sent.length - 1].id;
+    const text = JSON.stringify({ id, result });
+    const total = Math.ceil(text.length / chunkSize);
+    return Array.from({ length: total }, (_, index) => ({
+      type: 'chunk',
+      channel: 'test-channel',
+      id,
+      transferId: 'transfer-1',
+      index,
+      total,
+      size: text.length,
+      checksum: checksum(text),
+      data: text.slice(index * chunkSize, (index + 1) * chunkSize),
+    }));
+  }
+
+  beforeAll(async () => {
+    // Keeps the connection and request timeouts from holding the test run open
+    jest.useFakeTimers();
+    connectToFigma();
+    socket = require('ws').default.instances[0];
+    const joined = joinChannel('test-channel');
+    joinRequest = socket.sent[0];
+    respondToLastRequest('Connected to channel: test-channel');
+    await joined;
+  });
+
+  beforeEach(() => {
+    socket.sent = [];
+  });
+
+  afterAll(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it('resolves with the plugin result', async () => {
+    const pending = sendCommandToFigma('get_selection');
+    respondToLastRequest({ selectionCount: 0 });
+
+    await expect(pending).resolves.toEqual({ selectionCount: 0 });
+    expect(socket.sent[0].message.params.commandId).toBe(socket.sent[0].id);
+  });
+
+  it('joins the channel as an MCP server with the configured token', () => {
+    expect(joinRequest).toMatchObject({ type: 'join', channel: 'test-channel', role: 'mcp', token: 'channel-secret' });
+  });
+
+  it('rejects a join refused by the server and stays in the current channel', async () => {
+    const joined = joinChannel('protected-channel');
+    socket.emit('message', JSON.stringify({
+      type: 'error',
+      id: socket.sent[0].id,
+      message: 'Invalid or missing token for channel protected-channel',
+    }));
+
+    await expect(joined).rejects.toThrow('Invalid or missing token for channel protected-channel');
+
+    sendCommandToFigma('get_selection');
+    expect(socket.sent[1].channel).toBe('test-channel');
+    respondToLastRequest({ selectionCount: 0 });
+  });
+
+  it('rejects with the error sent back for the command', async () => {
+    const pending = sendCommandToFigma('get_node_info', { nodeId: '1:2' });
+    const request = socket.sent[0];
+    socket.emit('message', JSON.stringify({
+      type: 'message',
+      message: { id: request.id, error: 'No Figma plugin connected to channel test-channel' },
+    }));
+
+    await expect(pending).rejects.toThrow('No Figma plugin connected to channel test-channel');
+  });
+
+  it('rejects right away when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(sendCommandToFigma('scan_text_nodes', { nodeId: '1:2' }, 30000, controller.signal)).rejects.toThrow(
+      'Request cancelled'
+    );
+    expect(socket.sent).toHaveLength(0);
+  });
+
+  it('asks the plugin to cancel the command when the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = sendCommandToFigma('scan_text_nodes', { nodeId: '1:2' }, 30000, controller.signal);
+    const commandId = socket.sent[0].id;
+
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Request cancelled');
+    expect(socket.sent[1].message.command).toBe('cancel_command');
+    expect(socket.sent[1].message.params.targetCommandId).toBe(commandId);
+
+    respondToLastRequest({ commandId, cancelled: true });
+  });
+
+  it('logs the partial result the plugin sends back for a cancelled command', async () => {
+    const info = jest.spyOn(logger, 'info');
+    const controller = new AbortController();
+    const pending = sendCommandToFigma('find_nodes', {}, 30000, controller.signal);
+    const commandId = socket.sent[0].id;
+
+    controller.abort();
+    await expect(pending).rejects.toThrow('Request cancelled');
+
+    socket.emit('message', JSON.stringify({ message: { id: commandId, result: { cancelled: true, scannedNodes: 200 } } }));
+
+    expect(info).toHaveBeenCalledWith(
+      `Cancelled find_nodes (${commandId}) stopped in Figma: {"cancelled":true,"scannedNodes":200}`
+    );
+    info.mockRestore();
+  });
+
+  it('ignores an abort after the command completed', async () => {
+    const controller = new AbortController();
+    const pending = sendCommandToFigma('find_nodes', {}, 30000, controller.signal);
+    respondToLastRequest({ nodes: [] });
+    await pending;
+
+    controller.abort();
+
+    expect(socket.sent).toHaveLength(1);
+  });
+
+  it('resolves with a response reassembled from chunks', async () => {
+    const pending = sendCommandToFigma('export_node_as_image', { nodeId: '1:2' });
+    const frames = chunkLastResponse({ imageData: 'A'.repeat(1000), mimeType: 'image/png' }, 300);
+
+    // Frames may arrive out of order
+    [...frames].reverse().forEach((frame) => socket.emit('message', JSON.stringify(frame)));
+
+    await expect(pending).resolves.toEqual({ imageData: 'A'.repeat(1000), mimeType: 'image/png' });
+    expect(pendingTransferCount()).toBe(0);
+  });
+
+  it('rejects a chunked response over the size limit', async () => {
+    const pending = sendCommandToFigma('export_node_as_image', { nodeId: '1:2' });
+    const [frame] = chunkLastResponse({ imageData: 'A' }, 1000);
+
+    socket.emit('message', JSON.stringify({ ...frame, size: 100 * 1024 * 1024 }));
+
+    await expect(pending).rejects.toThrow('Response from Figma is 100.0 MB, over the 64.0 MB limit');
+  });
+
+  it('rejects a chunked response that fails the checksum', async () => {
+    const pending = sendCommandToFigma('get_node_info', { nodeId: '1:2' });
+    const frames = chunkLastResponse({ name: 'Frame' }, 10);
+
+    frames.forEach((frame, index) =>
+      socket.emit('message', JSON.stringify(index === 0 ? { ...frame, data: frame.data.toUpperCase() } : frame))
+    );
+
+    await expect(pending).rejects.toThrow('corrupted (checksum mismatch)');
+  });
+});